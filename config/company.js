@@ -0,0 +1,27 @@
+// backend/config/company.js
+// Company details printed on invoices and rental contracts. Override through the environment.
+module.exports = {
+  name: process.env.COMPANY_NAME || 'Fadlocar',
+  legalName: process.env.COMPANY_LEGAL_NAME || process.env.COMPANY_NAME || 'Fadlocar SARL',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  website: process.env.COMPANY_WEBSITE || '',
+  // Moroccan company identifiers (ICE, RC, IF), printed when set
+  taxIds: [
+    process.env.COMPANY_ICE && `ICE: ${process.env.COMPANY_ICE}`,
+    process.env.COMPANY_RC && `RC: ${process.env.COMPANY_RC}`,
+    process.env.COMPANY_IF && `IF: ${process.env.COMPANY_IF}`,
+  ].filter(Boolean),
+  // Absolute path to a PNG or JPEG logo, optional
+  logoPath: process.env.COMPANY_LOGO_PATH || '',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+  // Printed at the bottom of every rental contract
+  contractTerms: [
+    'The renter must hold a driving licence valid for the rented vehicle category.',
+    'The vehicle must be returned at the agreed date, time and branch, with the same fuel level as at pickup.',
+    'Traffic fines and tolls incurred during the rental are charged to the renter.',
+    'Damage not covered by the selected insurance is deducted from the security deposit.',
+    'The vehicle may not be driven outside Morocco without written consent.',
+  ],
+};
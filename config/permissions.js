@@ -0,0 +1,103 @@
+// backend/config/permissions.js
+// Staff roles and what each of them may do. Routes declare the permission they need
+// with authorize('bookings:write'); this file is the only place roles map to permissions.
+
+const PERMISSIONS = [
+  'bookings:read',      // bookings list, invoices, contracts, inspections, calendar feed links
+  'bookings:write',     // status changes, change requests, vehicle assignment, inspections
+  'bookings:delete',
+  'payments:read',
+  'payments:write',     // record payments and deposits
+  'payments:refund',    // refunds and deposit releases
+  'cars:read',          // staff-only car data such as blackouts
+  'cars:write',         // listings, images and blackouts
+  'fleet:read',         // fleet units, maintenance and vehicle documents
+  'fleet:write',
+  'pricing:read',       // pricing rules and coupons
+  'pricing:write',      // pricing rules, coupons and extras
+  'locations:write',
+  'contact:read',
+  'contact:write',      // mark messages read, delete them
+  'blog:publish',       // posts go live when saved, so writing one is publishing it
+  'waitlist:read',
+  'waitlist:write',
+  'notifications:read',
+  'notifications:write',
+  'jobs:manage',
+  'stats:read',
+  'users:manage',       // create staff accounts and change their roles
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter((permission) => permission !== 'users:manage'),
+  // Front desk: handles bookings, payments and customer messages
+  agent: [
+    'bookings:read',
+    'bookings:write',
+    'payments:read',
+    'payments:write',
+    'cars:read',
+    'fleet:read',
+    'contact:read',
+    'contact:write',
+    'waitlist:read',
+    'waitlist:write',
+    'notifications:read',
+  ],
+  blog_editor: ['blog:publish'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// A typo here would silently take access away, so fail at startup instead
+for (const [role, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+  const unknown = permissions.filter((permission) => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) throw new Error(`Role "${role}" grants unknown permission(s): ${unknown.join(', ')}`);
+}
+
+// Staff accounts created without a role get the least access that is still useful
+const DEFAULT_ROLE = 'agent';
+
+// Before roles existed every account was "admin", and anyone could sign up as one. Those
+// accounts get the least access; the real staff are promoted by an owner (or OWNER_EMAIL)
+const LEGACY_ROLES = { admin: 'blog_editor' };
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const isValidPermission = (permission) => PERMISSIONS.includes(permission);
+
+// Roles that must use two-factor authentication, e.g. TWO_FACTOR_REQUIRED_ROLES=owner,manager.
+// For everyone else it is optional.
+const getTwoFactorRequiredRoles = () => String(process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(isValidRole);
+
+/**
+ * Permissions granted to a role (legacy roles resolve to their replacement). Unknown roles get none.
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[LEGACY_ROLES[role] || role] || [];
+
+/**
+ * Whether `role` grants `permission`.
+ */
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * Whether accounts with `role` must sign in with a second factor.
+ */
+const isTwoFactorRequired = (role) => getTwoFactorRequiredRoles().includes(LEGACY_ROLES[role] || role);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  LEGACY_ROLES,
+  isValidRole,
+  isValidPermission,
+  getRolePermissions,
+  hasPermission,
+  isTwoFactorRequired,
+};
@@ -0,0 +1,151 @@
+// backend/controllers/availabilityController.js
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Blackout = require('../models/Blackout');
+const {
+  MAX_CALENDAR_DAYS,
+  parseDateRange,
+  findBlockingPeriods,
+  getCarCapacity,
+  findConflictingBookings,
+  bookingToPeriod,
+  formatConflicts,
+  formatBlockedRanges,
+  buildAvailabilityCalendar,
+} = require('../utils/bookingAvailability');
+const { offerFreedSlot } = require('../services/waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CALENDAR_DAYS = 60;
+
+// Shared guard for the :id param of car sub-resources
+const findCarOr404 = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ success: false, message: 'Invalid car ID format' });
+    return null;
+  }
+  const car = await Car.findById(id);
+  if (!car) {
+    res.status(404).json({ success: false, message: 'Car not found' });
+    return null;
+  }
+  return car;
+};
+
+/**
+ * @desc    Blocked and free day ranges for a car, with vehicles left on free days
+ * @route   GET /api/cars/:id/availability?from=&to=
+ * @access  Public
+ */
+exports.getCarAvailability = async (req, res) => {
+  try {
+    const car = await findCarOr404(req, res);
+    if (!car) return;
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_CALENDAR_DAYS * DAY_MS);
+    const { error } = parseDateRange(from, to);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (to - from > MAX_CALENDAR_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, message: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days.` });
+    }
+
+    const periods = await findBlockingPeriods(car._id, from, to);
+    const capacity = await getCarCapacity(car._id);
+    const { blocked, free } = buildAvailabilityCalendar(periods, from, to, { capacity });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        carId: car._id,
+        from,
+        to,
+        capacity,
+        blocked,
+        free,
+        periods: formatBlockedRanges(periods),
+      },
+    });
+  } catch (error) {
+    console.error('GET CAR AVAILABILITY ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving car availability' });
+  }
+};
+
+/**
+ * @desc    List blackout periods of a car
+ * @route   GET /api/cars/:id/blackouts
+ * @access  Private
+ */
+exports.getBlackouts = async (req, res) => {
+  try {
+    const car = await findCarOr404(req, res);
+    if (!car) return;
+
+    const blackouts = await Blackout.find({ car: car._id }).sort({ startDate: 1 });
+    res.status(200).json({ success: true, count: blackouts.length, data: blackouts });
+  } catch (error) {
+    console.error('GET BLACKOUTS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving blackouts' });
+  }
+};
+
+/**
+ * @desc    Block a car for a date range
+ * @route   POST /api/cars/:id/blackouts
+ * @access  Private
+ */
+exports.createBlackout = async (req, res) => {
+  try {
+    const car = await findCarOr404(req, res);
+    if (!car) return;
+
+    const { startDate, endDate, reason } = req.body;
+    const { start, end, error } = parseDateRange(startDate, endDate);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const blackout = await Blackout.create({ car: car._id, startDate: start, endDate: end, reason });
+
+    // Existing bookings are kept; the admin is told which ones fall inside the blackout
+    const overlapping = await findConflictingBookings(car._id, start, end);
+
+    res.status(201).json({
+      success: true,
+      data: blackout,
+      conflictingBookings: formatConflicts(overlapping.map(bookingToPeriod)),
+    });
+  } catch (error) {
+    console.error('CREATE BLACKOUT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error creating blackout' });
+  }
+};
+
+/**
+ * @desc    Remove a blackout period
+ * @route   DELETE /api/cars/:id/blackouts/:blackoutId
+ * @access  Private
+ */
+exports.deleteBlackout = async (req, res) => {
+  try {
+    const { id, blackoutId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(blackoutId)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID format' });
+    }
+
+    const blackout = await Blackout.findOne({ _id: blackoutId, car: id });
+    if (!blackout) {
+      return res.status(404).json({ success: false, message: 'Blackout not found' });
+    }
+    await blackout.deleteOne();
+    offerFreedSlot(blackout.car, blackout.startDate, blackout.endDate);
+    res.status(200).json({ success: true, message: 'Blackout removed successfully' });
+  } catch (error) {
+    console.error('DELETE BLACKOUT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error removing blackout' });
+  }
+};
@@ -1,40 +1,175 @@
 // backend/controllers/bookingController.js
 const Booking = require('../models/Booking');
-const Car = require('../models/Car');
+const {
+  checkCarAvailability,
+  findExtraShortages,
+  withCarLock,
+  formatConflicts,
+  formatBlockedRanges,
+} = require('../utils/bookingAvailability');
+const { totalsMatch } = require('../utils/pricing');
+const { prepareBookingRequest, prepareDateChange } = require('../utils/bookingRequest');
+const {
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  actorFromRequest,
+  RELEASED_STATUSES,
+} = require('../utils/bookingLifecycle');
+const { signBookingAccessToken } = require('../utils/bookingAccess');
+const { redeemCoupon } = require('../utils/coupons');
+const { findActiveHold, holdMatches, consumeHold } = require('../utils/bookingHolds');
+const { assignUnit } = require('../utils/fleetUnits');
+const { findBookingCustomer } = require('../utils/customers');
+const { notifyBookingReceived, notifyBookingStatusChanged } = require('../services/notifications');
+const { offerFreedSlot } = require('../services/waitlist');
 
-// @desc    Create a new booking
+// Strip the quote down to what is stored on the booking
+const toPriceBreakdown = (quote) => ({
+  currency: quote.currency,
+  rentalDays: quote.rentalDays,
+  billableDays: quote.billableDays,
+  dailyRate: quote.dailyRate,
+  lineItems: quote.lineItems,
+  subtotal: quote.subtotal,
+});
+
+// Live update for the staff dashboard; the booking is saved whether or not it is connected
+const broadcast = (req, event, payload) => {
+  if (req.io) req.io.emit(event, payload);
+};
+
+const STALE_BOOKING = { status: 409, message: 'This booking was changed by someone else. Please reload and try again.' };
+
+// Changes made under the car lock go on a copy read inside the transaction: a retried
+// transaction runs its callback again from the start, so each attempt must start from what
+// is stored. Null when someone saved the booking since `booking` was read.
+const reloadInTransaction = async (booking, session) => {
+  const current = await Booking.findById(booking._id).session(session);
+  return current && current.__v === booking.__v ? current : null;
+};
+
+// @desc    Get a server-side price quote for a car and date range
+// @route   POST /api/bookings/quote
+exports.getQuote = async (req, res) => {
+  try {
+    const prepared = await prepareBookingRequest(req.body);
+    if (prepared.status) {
+      return res.status(prepared.status).json({ message: prepared.message });
+    }
+
+    res.status(200).json({ quote: prepared.quote });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error while calculating quote.', error: error.message });
+  }
+};
+
+// @desc    Create a new booking (as a guest or signed in as a customer)
 // @route   POST /api/bookings
 exports.createBooking = async (req, res) => {
   try {
-    const { carId, userEmail, userName, pickupDate, userPhone, returnDate, totalPrice } = req.body;
+    const { userEmail, userName, userPhone, totalPrice, holdToken } = req.body;
 
-    // Basic validation
-    if (!carId || !userEmail || !userName || !userPhone || !pickupDate || !returnDate || !totalPrice) {
+    // Basic validation (totalPrice is optional: the server computes it)
+    if (!userEmail || !userName || !userPhone) {
       return res.status(400).json({ message: 'Please provide all required fields.' });
     }
 
-    const car = await Car.findById(carId);
-    if (!car) {
-      return res.status(404).json({ message: 'Car not found.' });
+    const prepared = await prepareBookingRequest(req.body);
+    if (prepared.status) {
+      return res.status(prepared.status).json({ message: prepared.message });
     }
+    const { car, pickup, dropoff, extraItems, locations, coupon, quote } = prepared;
 
-    const newBooking = new Booking({
-      car: carId,
-      userEmail,
-      userName,
-      pickupDate,
-      returnDate,
-      totalPrice,
-      userPhone
-    });
+    if (totalPrice !== undefined && totalPrice !== null && totalPrice !== '' && !totalsMatch(totalPrice, quote)) {
+      return res.status(409).json({
+        message: 'The price for this booking has changed. Please review the updated quote.',
+        quote,
+      });
+    }
+
+    // The customer's own checkout hold doesn't block them. An expired hold is simply
+    // ignored: the booking goes through if nobody else took the car in the meantime.
+    const hold = holdToken ? await findActiveHold(holdToken) : null;
+    if (hold && !holdMatches(hold, car._id, pickup, dropoff)) {
+      return res.status(400).json({ message: 'This hold is for a different car or different dates.' });
+    }
+
+    // Signed-in customers keep the booking in their history, as do guests using a verified account's email
+    const customer = await findBookingCustomer(req.customer, userEmail);
+
+    // Check for overlaps and stock, and save under the lock so concurrent requests can't double-book
+    const { conflicts, shortages, couponError, booking } = await withCarLock(car._id, async (session) => {
+      const availability = await checkCarAvailability(car._id, pickup, dropoff, {
+        session,
+        excludeHoldId: hold ? hold._id : undefined,
+      });
+      if (!availability.available) {
+        return { conflicts: availability.periods };
+      }
 
-    let savedBooking = await newBooking.save();
-    savedBooking = await savedBooking.populate('car', 'name brand');
-    req.io.emit('newOrder', savedBooking);
+      const missingExtras = await findExtraShortages(extraItems, pickup, dropoff, { session });
+      if (missingExtras.length > 0) {
+        return { shortages: missingExtras };
+      }
+
+      // Last step before writing the booking: a failed redemption leaves nothing to undo
+      if (coupon) {
+        const redemptionError = await redeemCoupon(coupon, userEmail, { session });
+        if (redemptionError) {
+          return { couponError: redemptionError };
+        }
+      }
+
+      const [created] = await Booking.create([{
+        car: car._id,
+        customer,
+        userEmail,
+        userName,
+        pickupDate: pickup,
+        returnDate: dropoff,
+        pickupLocation: locations ? locations.pickupLocation._id : undefined,
+        returnLocation: locations ? locations.returnLocation._id : undefined,
+        totalPrice: quote.total,
+        priceBreakdown: toPriceBreakdown(quote),
+        appliedPricingRules: quote.appliedRules,
+        extras: quote.extras,
+        coupon: quote.coupon || undefined,
+        userPhone,
+        statusHistory: [{ from: null, to: 'pending', actor: { kind: 'customer', name: userName } }]
+      }], { session });
+      if (hold) {
+        await consumeHold(hold, created, { session });
+      }
+      return { booking: created };
+    }, { extraIds: extraItems.map(({ extra }) => extra._id) });
+
+    if (conflicts) {
+      return res.status(409).json({
+        message: 'This car is not available for part of the selected dates.',
+        conflicts: formatBlockedRanges(conflicts),
+      });
+    }
+    if (shortages) {
+      return res.status(409).json({
+        message: 'Some of the selected extras are not available for these dates.',
+        unavailableExtras: shortages,
+      });
+    }
+    if (couponError) {
+      return res.status(409).json({ message: couponError });
+    }
+
+    const savedBooking = await booking.populate('car', 'name brand');
+    broadcast(req, 'newOrder', savedBooking);
+    notifyBookingReceived(savedBooking);
 
     res.status(201).json({
       message: 'Booking successful!',
       booking: savedBooking,
+      reference: savedBooking.reference,
+      // Lets the customer view, cancel or change this booking without an account
+      accessToken: signBookingAccessToken(savedBooking),
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error while creating booking.', error: error.message });
@@ -44,6 +179,7 @@ exports.getAllBookings = async (req, res) => {
   try {
     const bookings = await Booking.find({})
       .populate('car', 'name brand thumbnail') // <-- This is the key part. It replaces the car ObjectId with actual car data.
+      .populate('unit', 'plateNumber colour')
       .sort({ createdAt: -1 }); // Show the newest bookings first
     const validBookings = bookings.filter(booking => booking.car !== null);
     res.status(200).json(validBookings);
@@ -60,6 +196,9 @@ exports.deleteBooking = async (req, res) => {
 
     if (booking) {
       await booking.deleteOne(); // Use deleteOne() on the document
+      if (!RELEASED_STATUSES.includes(booking.status)) {
+        offerFreedSlot(booking.car, booking.pickupDate, booking.returnDate);
+      }
       res.json({ message: 'Booking removed' });
     } else {
       res.status(404).json({ message: 'Booking not found' });
@@ -68,27 +207,218 @@ exports.deleteBooking = async (req, res) => {
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 };
+// @desc    Move a booking to a new lifecycle status
+// @route   PATCH /api/bookings/:id/status
 exports.updateBookingStatus = async (req, res) => {
     try {
-        const { status } = req.body;
-        const booking = await Booking.findById(req.params.id);
+        const { status, reason, unitId } = req.body;
 
-        // Check for valid status
-        const validStatuses = ['confirmed', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!isValidStatus(status)) {
             return res.status(400).json({ message: 'Invalid status provided.' });
         }
 
-        if (booking) {
-            booking.status = status;
-            const updatedBooking = await booking.save();
-            // We need to populate the car details again to send back to the frontend
-            await updatedBooking.populate('car', 'name brand thumbnail');
-            res.json(updatedBooking);
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({ message: 'Booking not found' });
+        }
+
+        if (!canTransition(booking.status, status)) {
+            return res.status(409).json({
+                message: `Cannot change booking status from ${booking.status} to ${status}.`,
+                allowedTransitions: getAllowedTransitions(booking.status),
+            });
+        }
+
+        const previousStatus = booking.status;
+        const actor = actorFromRequest(req);
+
+        // Confirming (or handing over) a booking puts a specific vehicle on it: the one staff
+        // picked, or a free one. Done under the car lock so two bookings can't get the same unit.
+        const needsUnit = ['confirmed', 'picked_up'].includes(status) && (unitId || !booking.unit);
+        let updatedBooking = booking;
+        if (needsUnit) {
+            const assignment = await withCarLock(booking.car, async (session) => {
+                const current = await reloadInTransaction(booking, session);
+                if (!current) return STALE_BOOKING;
+                current.transitionTo(status, { actor, reason });
+                const result = await assignUnit(current, { unitId, session });
+                if (result.message) return result;
+                current.unit = result.unit ? result.unit._id : null;
+                await current.save({ session });
+                return { booking: current };
+            });
+            if (assignment.message) {
+                return res.status(assignment.status).json({ message: assignment.message });
+            }
+            updatedBooking = assignment.booking;
         } else {
-            res.status(404).json({ message: 'Booking not found' });
+            booking.transitionTo(status, { actor, reason });
+            await booking.save();
         }
+        if (RELEASED_STATUSES.includes(status)) {
+            // Offer the freed dates to the waitlist (runs in the background)
+            offerFreedSlot(updatedBooking.car, updatedBooking.pickupDate, updatedBooking.returnDate);
+        }
+
+        // We need to populate the car details again to send back to the frontend
+        await updatedBooking.populate('car', 'name brand thumbnail');
+        broadcast(req, 'bookingStatusChanged', {
+            bookingId: updatedBooking._id,
+            from: previousStatus,
+            to: status,
+            booking: updatedBooking,
+        });
+        notifyBookingStatusChanged(updatedBooking, { reason });
+        res.json(updatedBooking);
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'This booking was changed by someone else. Please reload and try again.' });
+        }
         res.status(500).json({ message: 'Server Error', error: error.message });
     }
-};
\ No newline at end of file
+};
+
+// @desc    Approve or reject a guest's date change request
+// @route   PATCH /api/bookings/:id/change-requests/:requestId
+exports.reviewChangeRequest = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be "approved" or "rejected".' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const changeRequest = booking.changeRequests.id(req.params.requestId);
+    if (!changeRequest) {
+      return res.status(404).json({ message: 'Change request not found' });
+    }
+    if (changeRequest.status !== 'pending') {
+      return res.status(409).json({ message: `This request has already been ${changeRequest.status}.` });
+    }
+
+    changeRequest.reviewedAt = new Date();
+    changeRequest.reviewNote = note;
+
+    if (status === 'rejected') {
+      changeRequest.status = 'rejected';
+      await booking.save();
+      return res.json(booking);
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ message: `Dates of a ${booking.status} booking can no longer be changed.` });
+    }
+
+    const { pickupDate: pickup, returnDate: dropoff } = changeRequest;
+    const prepared = await prepareDateChange(booking, pickup, dropoff);
+    if (prepared.status) {
+      return res.status(prepared.status).json({ message: prepared.message });
+    }
+    const { car, extraItems, quote } = prepared;
+
+    // Move the booking under the car lock, like a new booking
+    const moved = await withCarLock(car._id, async (session) => {
+      const lockOptions = { session, excludeBookingId: booking._id };
+      const availability = await checkCarAvailability(car._id, pickup, dropoff, lockOptions);
+      if (!availability.available) return { conflicts: availability.periods };
+
+      const missingExtras = await findExtraShortages(extraItems, pickup, dropoff, lockOptions);
+      if (missingExtras.length > 0) return { shortages: missingExtras };
+
+      const current = await reloadInTransaction(booking, session);
+      if (!current) return STALE_BOOKING;
+      const approved = current.changeRequests.id(changeRequest._id);
+      approved.status = 'approved';
+      approved.reviewedAt = changeRequest.reviewedAt;
+      approved.reviewNote = note;
+      current.pickupDate = pickup;
+      current.returnDate = dropoff;
+      current.totalPrice = quote.total;
+      current.priceBreakdown = toPriceBreakdown(quote);
+      current.appliedPricingRules = quote.appliedRules;
+      current.extras = quote.extras;
+      if (quote.coupon) current.coupon = quote.coupon;
+      if (current.unit) {
+        // Keep the same vehicle if it is free on the new dates, otherwise pick another one
+        const kept = await assignUnit(current, { unitId: current.unit, session });
+        const { unit } = kept.unit ? kept : await assignUnit(current, { session });
+        current.unit = unit ? unit._id : null;
+      }
+      await current.save({ session });
+      return { booking: current };
+    }, { extraIds: extraItems.map(({ extra }) => extra._id) });
+
+    const { conflicts, shortages } = moved;
+    if (moved.message) {
+      return res.status(moved.status).json({ message: moved.message });
+    }
+    if (conflicts) {
+      return res.status(409).json({
+        message: 'The car is not available for the requested dates.',
+        conflicts: formatConflicts(conflicts),
+      });
+    }
+    if (shortages) {
+      return res.status(409).json({
+        message: 'Some of the booked extras are not available for the requested dates.',
+        unavailableExtras: shortages,
+      });
+    }
+
+    const updated = await moved.booking.populate('car', 'name brand thumbnail');
+    broadcast(req, 'bookingUpdated', updated);
+    res.json(updated);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'This booking was changed by someone else. Please reload and try again.' });
+    }
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// @desc    Put a specific vehicle on a booking, or let the system pick a free one
+// @route   PATCH /api/bookings/:id/unit
+exports.assignBookingUnit = async (req, res) => {
+  try {
+    const { unitId } = req.body;
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!['pending', 'confirmed', 'picked_up'].includes(booking.status)) {
+      return res.status(409).json({ message: `A vehicle can no longer be assigned to a ${booking.status} booking.` });
+    }
+
+    const assignment = await withCarLock(booking.car, async (session) => {
+      const current = await reloadInTransaction(booking, session);
+      if (!current) return STALE_BOOKING;
+      const result = await assignUnit(current, { unitId, session });
+      if (result.message) return result;
+      if (!result.unit) {
+        return { status: 409, message: 'No vehicle of this car is free for the booking dates.' };
+      }
+      current.unit = result.unit._id;
+      await current.save({ session });
+      return { booking: current };
+    });
+    if (assignment.message) {
+      return res.status(assignment.status).json({ message: assignment.message });
+    }
+
+    const updated = await assignment.booking.populate([
+      { path: 'car', select: 'name brand thumbnail' },
+      { path: 'unit', select: 'plateNumber colour odometer' },
+    ]);
+    broadcast(req, 'bookingUpdated', updated);
+    res.json(updated);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'This booking was changed by someone else. Please reload and try again.' });
+    }
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
@@ -0,0 +1,97 @@
+// backend/controllers/bookingHoldController.js
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const BookingHold = require('../models/BookingHold');
+const {
+  parseBookingDates,
+  checkCarAvailability,
+  withCarLock,
+  formatBlockedRanges,
+} = require('../utils/bookingAvailability');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getHoldMinutes, checkHoldLimits, createHold, hashHoldToken } = require('../utils/bookingHolds');
+const { offerFreedSlot } = require('../services/waitlist');
+
+/**
+ * @desc    Reserve a car and date range while the customer checks out
+ * @route   POST /api/bookings/holds
+ * @access  Public
+ */
+exports.createBookingHold = async (req, res) => {
+  try {
+    const { carId, pickupDate, returnDate } = req.body;
+    if (!carId || !pickupDate || !returnDate) {
+      return res.status(400).json({ message: 'Please provide carId, pickupDate and returnDate.' });
+    }
+
+    const { pickup, dropoff, error: dateError } = parseBookingDates(pickupDate, returnDate);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    if (pickup < new Date()) {
+      return res.status(400).json({ message: 'Pickup date must be in the future.' });
+    }
+    const limitError = await checkHoldLimits(pickup, dropoff, req.ip);
+    if (limitError) {
+      return res.status(limitError.status).json({ message: limitError.message });
+    }
+    if (!mongoose.isValidObjectId(carId)) {
+      return res.status(400).json({ message: 'Invalid car ID format.' });
+    }
+    const car = await Car.findById(carId).select('_id');
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found.' });
+    }
+
+    const { conflicts, hold, token } = await withCarLock(car._id, async (session) => {
+      const availability = await checkCarAvailability(car._id, pickup, dropoff, { session });
+      if (!availability.available) {
+        return { conflicts: availability.periods };
+      }
+      return createHold(car._id, pickup, dropoff, { clientIp: req.ip, session });
+    });
+
+    if (conflicts) {
+      return res.status(409).json({
+        message: 'This car is not available for part of the selected dates.',
+        conflicts: formatBlockedRanges(conflicts),
+      });
+    }
+
+    res.status(201).json({
+      message: `The car is reserved for ${getHoldMinutes()} minutes.`,
+      holdToken: token,
+      expiresAt: hold.expiresAt,
+      carId: hold.car,
+      pickupDate: hold.pickupDate,
+      returnDate: hold.returnDate,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error while reserving the car.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Give up a hold before it expires (e.g. the customer left checkout or declined a waitlist offer)
+ * @route   DELETE /api/bookings/holds/:token
+ * @access  Hold token
+ */
+exports.releaseBookingHold = async (req, res) => {
+  try {
+    const hold = await BookingHold.findOneAndDelete({ tokenHash: hashHoldToken(req.params.token) });
+    if (!hold) {
+      return res.status(404).json({ message: 'Hold not found or already expired.' });
+    }
+
+    const declinedOffer = await WaitlistEntry.findOneAndUpdate(
+      { 'offer.hold': hold._id, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+    if (declinedOffer) {
+      offerFreedSlot(hold.car, hold.pickupDate, hold.returnDate);
+    }
+    res.status(200).json({ message: 'Hold released.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error while releasing the hold.', error: error.message });
+  }
+};
@@ -0,0 +1,146 @@
+// backend/controllers/calendarController.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const { buildCalendar } = require('../utils/ical');
+const {
+  getFeedKey,
+  signFeedToken,
+  findFeedUser,
+  getFeedStart,
+  bookingToEvent,
+} = require('../utils/calendarFeeds');
+
+const BOOKING_POPULATE = [
+  { path: 'car', select: 'name brand' },
+  { path: 'pickupLocation', select: 'name' },
+  { path: 'returnLocation', select: 'name' },
+];
+
+const sendCalendar = (res, filename, calendar, { attachment = false } = {}) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `${attachment ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.status(200).send(calendar);
+};
+
+const findFeedBookings = (filter) =>
+  Booking.find({ ...filter, returnDate: { $gte: getFeedStart() } })
+    .populate(BOOKING_POPULATE)
+    .sort({ pickupDate: 1 });
+
+// The signed-in user's subscription URLs for the fleet feed and each car's feed
+const buildFeedLinks = async (req, feedKey) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}/api/calendar`;
+  const userId = req.user._id;
+  const cars = await Car.find({}).select('name brand').sort({ brand: 1, name: 1 });
+  return {
+    fleet: `${baseUrl}/fleet.ics?token=${signFeedToken('fleet', userId, feedKey)}`,
+    cars: cars.map((car) => ({
+      car: car._id,
+      name: `${car.brand} ${car.name}`,
+      url: `${baseUrl}/cars/${car._id}.ics?token=${signFeedToken(`car:${car._id}`, userId, feedKey)}`,
+    })),
+  };
+};
+
+/**
+ * @desc    Your subscription URLs for the fleet feed and each car's feed
+ * @route   GET /api/calendar/feeds
+ * @access  Private
+ */
+exports.getFeedLinks = async (req, res) => {
+  try {
+    const feedKey = await getFeedKey(req.user._id);
+    res.status(200).json({ success: true, data: await buildFeedLinks(req, feedKey) });
+  } catch (error) {
+    console.error('GET CALENDAR FEEDS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve calendar feeds.' });
+  }
+};
+
+/**
+ * @desc    Revoke your calendar feed URLs and get new ones (e.g. after a URL was shared)
+ * @route   POST /api/calendar/feeds/reset
+ * @access  Private
+ */
+exports.resetFeedLinks = async (req, res) => {
+  try {
+    const feedKey = await getFeedKey(req.user._id, { reset: true });
+    res.status(200).json({
+      success: true,
+      message: 'Your previous calendar feed URLs no longer work.',
+      data: await buildFeedLinks(req, feedKey),
+    });
+  } catch (error) {
+    console.error('RESET CALENDAR FEEDS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset calendar feeds.' });
+  }
+};
+
+/**
+ * @desc    iCalendar feed of every booking
+ * @route   GET /api/calendar/fleet.ics?token=
+ * @access  Feed token
+ */
+exports.getFleetFeed = async (req, res) => {
+  try {
+    if (!(await findFeedUser('fleet', req.query.token))) {
+      return res.status(403).json({ success: false, message: 'Invalid calendar feed token.' });
+    }
+    const bookings = await findFeedBookings({});
+    const calendar = buildCalendar({
+      name: 'Fadlocar bookings',
+      events: bookings.map((booking) => bookingToEvent(booking)),
+    });
+    sendCalendar(res, 'fleet.ics', calendar);
+  } catch (error) {
+    console.error('FLEET CALENDAR ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to build calendar feed.' });
+  }
+};
+
+/**
+ * @desc    iCalendar feed of one car's bookings
+ * @route   GET /api/calendar/cars/:id.ics?token=
+ * @access  Feed token
+ */
+exports.getCarFeed = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id) || !(await findFeedUser(`car:${id}`, req.query.token))) {
+      return res.status(403).json({ success: false, message: 'Invalid calendar feed token.' });
+    }
+    const car = await Car.findById(id).select('name brand slug');
+    if (!car) {
+      return res.status(404).json({ success: false, message: 'Car not found.' });
+    }
+    const bookings = await findFeedBookings({ car: car._id });
+    const calendar = buildCalendar({
+      name: `${car.brand} ${car.name} bookings`,
+      events: bookings.map((booking) => bookingToEvent(booking)),
+    });
+    sendCalendar(res, `${car.slug || car._id}.ics`, calendar);
+  } catch (error) {
+    console.error('CAR CALENDAR ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to build calendar feed.' });
+  }
+};
+
+/**
+ * @desc    Download a booking as a calendar event
+ * @route   GET /api/bookings/manage/:reference/booking.ics
+ * @access  Guest token
+ */
+exports.getGuestBookingEvent = async (req, res) => {
+  try {
+    await req.booking.populate(BOOKING_POPULATE);
+    const calendar = buildCalendar({
+      method: 'PUBLISH',
+      events: [bookingToEvent(req.booking, { forCustomer: true })],
+    });
+    sendCalendar(res, `${req.booking.reference}.ics`, calendar, { attachment: true });
+  } catch (error) {
+    console.error('BOOKING CALENDAR ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to build calendar event.' });
+  }
+};
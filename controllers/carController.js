@@ -1,4 +1,6 @@
 const Car = require('../models/Car');
+const { parseDateRange, findUnitsLeft } = require('../utils/bookingAvailability');
+const { findCarIdsWithExpiredDocuments } = require('../utils/vehicleDocuments');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -164,6 +166,8 @@ exports.createCar = async (req, res) => {
       seats,
       fuel,
       transmission,
+      homeLocation,
+      odometer,
       primaryImageIndex
     } = req.body;
 
@@ -197,6 +201,8 @@ exports.createCar = async (req, res) => {
       rating: rating ? Math.min(5, Math.max(0, Number(rating))) : 5.0,
       reviews: reviews ? Math.max(0, Number(reviews)) : 0,
       slug: slugify(`${brand}-${name}`),
+      homeLocation: homeLocation || null,
+      odometer: odometer ? Math.max(0, Number(odometer)) : 0,
       specs: {
         seats: seats ? Math.max(1, Math.min(50, Number(seats))) : 5,
         fuel: fuel || 'Petrol',
@@ -276,7 +282,7 @@ exports.getCars = async (req, res) => {
   try {
     console.log('📋 Getting all cars');
 
-    const { page = 1, limit = 10, sort = '-createdAt', search, type, fuel, minPrice, maxPrice, available } = req.query;
+    const { page = 1, limit = 10, sort = '-createdAt', search, type, fuel, minPrice, maxPrice, available, from, to, location } = req.query;
     const skip = (Number(page) - 1) * Number(limit);
 
     // Build filter object
@@ -292,6 +298,15 @@ exports.getCars = async (req, res) => {
 
     if (type) filter.type = type;
     if (fuel) filter['specs.fuel'] = fuel;
+    if (location) {
+      if (!location.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID format'
+        });
+      }
+      filter.homeLocation = location;
+    }
     if (available !== undefined) filter.available = available === 'true';
 
     // Price range filter
@@ -301,6 +316,21 @@ exports.getCars = async (req, res) => {
       if (maxPrice) filter.price.$lte = Number(maxPrice);
     }
 
+    // Date range filter: only cars with a vehicle free for the whole range
+    let unitsLeft = null;
+    if (from || to) {
+      const { start, end, error } = parseDateRange(from, to);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      unitsLeft = await findUnitsLeft(start, end);
+      const unavailableIds = [...unitsLeft].filter(([, left]) => left === 0).map(([carId]) => carId);
+      filter._id = { $nin: unavailableIds };
+    }
+
     const cars = await Car.find(filter)
       .sort(sort)
       .skip(skip)
@@ -310,6 +340,14 @@ exports.getCars = async (req, res) => {
     const baseUrl = getBaseUrl(req);
     const carsFormatted = cars.map(car => formatCarData(car, baseUrl));
 
+    // "3 left" for the searched dates; cars not in the map are single vehicles that are free
+    if (unitsLeft) {
+      carsFormatted.forEach(car => {
+        const key = String(car._id);
+        car.unitsLeft = unitsLeft.has(key) ? unitsLeft.get(key) : 1;
+      });
+    }
+
     console.log(`✅ ${cars.length} cars retrieved (page ${page})`);
 
     res.status(200).json({
@@ -448,7 +486,7 @@ exports.updateCar = async (req, res) => {
     const {
       name, brand, type, price, description, featured,
       seats, fuel, transmission, available, imagesToDelete,
-      rating, reviews, primaryImageIndex
+      rating, reviews, primaryImageIndex, homeLocation, odometer
     } = req.body;
 
     // Update basic fields
@@ -462,6 +500,8 @@ exports.updateCar = async (req, res) => {
     if (description !== undefined) car.description = description.trim();
     if (rating !== undefined) car.rating = Math.min(5, Math.max(0, Number(rating)));
     if (reviews !== undefined) car.reviews = Math.max(0, Number(reviews));
+    if (homeLocation !== undefined) car.homeLocation = homeLocation || null;
+    if (odometer !== undefined) car.odometer = Math.max(0, Number(odometer));
 
     // Update specs
     if (seats !== undefined) car.specs.seats = Math.max(1, Math.min(50, Number(seats)));
@@ -719,12 +759,15 @@ exports.getAvailableCars = async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (Number(page) - 1) * Number(limit);
 
-    const cars = await Car.find({ available: true })
+    // Cars whose mandatory papers (insurance, registration...) have expired can't be rented
+    const filter = { available: true, _id: { $nin: await findCarIdsWithExpiredDocuments() } };
+
+    const cars = await Car.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(Number(limit));
 
-    const total = await Car.countDocuments({ available: true });
+    const total = await Car.countDocuments(filter);
     const baseUrl = getBaseUrl(req);
     const carsFormatted = cars.map(car => formatCarData(car, baseUrl));
 
@@ -1,5 +1,6 @@
 // backend/controllers/contactController.js
 const Contact = require('../models/Contact');
+const { notifyContactMessage } = require('../services/notifications');
 
 /**
  * @desc    Create a new contact message
@@ -23,6 +24,7 @@ exports.createContactMessage = async (req, res) => {
       message,
     });
      req.io.emit('newMessage', newMessage);
+    notifyContactMessage(newMessage);
 
     res.status(201).json({ 
       success: true, 
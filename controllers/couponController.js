@@ -0,0 +1,128 @@
+// backend/controllers/couponController.js
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const { sendValidationError } = require('../utils/validation');
+
+// Fields an admin may set; usedCount is only changed by redemptions
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'validFrom', 'validTo',
+  'maxUses', 'maxUsesPerCustomer', 'minRentalDays', 'cars', 'carTypes', 'active',
+];
+
+const pickCouponFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * @desc    List all coupons with their usage
+ * @route   GET /api/coupons
+ * @access  Private
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const filter = req.query.active === undefined ? {} : { active: req.query.active === 'true' };
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, count: coupons.length, data: coupons });
+  } catch (error) {
+    console.error('GET COUPONS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve coupons.' });
+  }
+};
+
+/**
+ * @desc    Get a single coupon
+ * @route   GET /api/coupons/:id
+ * @access  Private
+ */
+exports.getCouponById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID format.' });
+    }
+    const coupon = await Coupon.findById(req.params.id).populate('cars', 'name');
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found.' });
+    }
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    console.error('GET COUPON ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve coupon.' });
+  }
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/coupons
+ * @access  Private
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists.' });
+    }
+    console.error('CREATE COUPON ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create coupon.' });
+  }
+};
+
+/**
+ * @desc    Update a coupon
+ * @route   PUT /api/coupons/:id
+ * @access  Private
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID format.' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found.' });
+    }
+    coupon.set(pickCouponFields(req.body));
+    const updatedCoupon = await coupon.save();
+    res.status(200).json({ success: true, data: updatedCoupon });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists.' });
+    }
+    console.error('UPDATE COUPON ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update coupon.' });
+  }
+};
+
+/**
+ * @desc    Delete a coupon no booking has used
+ * @route   DELETE /api/coupons/:id
+ * @access  Private
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID format.' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found.' });
+    }
+    if (await Booking.exists({ 'coupon.coupon': coupon._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has been used by bookings. Deactivate it instead.',
+      });
+    }
+    await coupon.deleteOne();
+    res.status(200).json({ success: true, message: 'Coupon deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE COUPON ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete coupon.' });
+  }
+};
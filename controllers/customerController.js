@@ -0,0 +1,269 @@
+// backend/controllers/customerController.js
+// Renter accounts: sign-up, sign-in, saved driver details and booking history.
+// Customers authenticate with their own tokens (see customerAuthMiddleware) and
+// have no access to staff routes.
+const bcrypt = require('bcryptjs');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const { sendValidationError } = require('../utils/validation');
+const { issueAccountToken, redeemAccountToken } = require('../utils/accountTokens');
+const {
+  EMAIL_VERIFICATION_TTL_MS,
+  signCustomerToken,
+  linkGuestBookings,
+  toCustomerView,
+} = require('../utils/customers');
+const { signBookingAccessToken } = require('../utils/bookingAccess');
+const { notifyCustomerEmailVerification } = require('../services/notifications');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Fields a customer may change on their own profile; email and password are handled separately
+const PROFILE_FIELDS = ['name', 'phone', 'driver'];
+
+const pickProfileFields = (body) =>
+  PROFILE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Start (or restart) email verification; the customer must be saved afterwards
+const startEmailVerification = (customer) => {
+  customer.emailVerifiedAt = null;
+  return issueAccountToken(customer, 'emailVerification', EMAIL_VERIFICATION_TTL_MS);
+};
+
+// A booking as listed in the customer's history. The access token opens the
+// guest self-service endpoints (cancel, change dates, documents) for it.
+const toHistoryItem = (booking) => ({
+  _id: booking._id,
+  reference: booking.reference,
+  status: booking.status,
+  car: booking.car,
+  pickupDate: booking.pickupDate,
+  returnDate: booking.returnDate,
+  pickupLocation: booking.pickupLocation,
+  returnLocation: booking.returnLocation,
+  totalPrice: booking.totalPrice,
+  extras: booking.extras,
+  amountOutstanding: booking.amountOutstanding,
+  createdAt: booking.createdAt,
+  accessToken: signBookingAccessToken(booking),
+});
+
+/**
+ * @desc    Create a customer account and email a verification link
+ * @route   POST /api/customers/register
+ * @access  Public
+ */
+exports.registerCustomer = async (req, res) => {
+  try {
+    const { name, email, password, phone, driver } = req.body;
+    if (!name || !email || !password) {
+      return res.status(400).json({ success: false, message: 'Please provide name, email and password.' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`,
+      });
+    }
+    if (await Customer.exists({ email: normalizeEmail(email) })) {
+      return res.status(409).json({ success: false, message: 'An account already exists for this email.' });
+    }
+
+    const customer = new Customer({
+      name,
+      email,
+      phone,
+      driver,
+      password: await bcrypt.hash(String(password), 10),
+    });
+    const verification = startEmailVerification(customer);
+    await customer.save();
+    notifyCustomerEmailVerification(customer, verification);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created. Please check your inbox to confirm your email address.',
+      data: toCustomerView(customer),
+      token: signCustomerToken(customer),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An account already exists for this email.' });
+    }
+    console.error('REGISTER CUSTOMER ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create account.' });
+  }
+};
+
+/**
+ * @desc    Sign in to a customer account
+ * @route   POST /api/customers/login
+ * @access  Public
+ */
+exports.loginCustomer = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'Please provide email and password.' });
+    }
+
+    const customer = await Customer.findOne({ email: normalizeEmail(email) }).select('+password');
+    if (!customer || !(await bcrypt.compare(String(password), customer.password))) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password.' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: toCustomerView(customer),
+      token: signCustomerToken(customer),
+    });
+  } catch (error) {
+    console.error('LOGIN CUSTOMER ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign in.' });
+  }
+};
+
+/**
+ * @desc    Confirm an email address and link the guest bookings made with it
+ * @route   POST /api/customers/verify-email
+ * @access  Public (token from the verification email)
+ */
+exports.verifyCustomerEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required.' });
+    }
+
+    const customer = await redeemAccountToken(Customer, 'emailVerification', token, { emailVerifiedAt: new Date() });
+    if (!customer) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired.' });
+    }
+
+    const { modifiedCount } = await linkGuestBookings(customer);
+    res.status(200).json({
+      success: true,
+      message: 'Email address confirmed.',
+      data: toCustomerView(customer),
+      linkedBookings: modifiedCount,
+    });
+  } catch (error) {
+    console.error('VERIFY CUSTOMER EMAIL ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify email address.' });
+  }
+};
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /api/customers/verify-email/resend
+ * @access  Customer
+ */
+exports.resendCustomerVerification = async (req, res) => {
+  try {
+    const { customer } = req;
+    if (customer.emailVerifiedAt) {
+      return res.status(409).json({ success: false, message: 'Your email address is already confirmed.' });
+    }
+    const verification = startEmailVerification(customer);
+    await customer.save();
+    notifyCustomerEmailVerification(customer, verification);
+    res.status(200).json({ success: true, message: 'A new verification email is on its way.' });
+  } catch (error) {
+    console.error('RESEND CUSTOMER VERIFICATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to send verification email.' });
+  }
+};
+
+/**
+ * @desc    Get the signed-in customer's profile and saved driver details
+ * @route   GET /api/customers/me
+ * @access  Customer
+ */
+exports.getMyProfile = async (req, res) => {
+  res.status(200).json({ success: true, data: toCustomerView(req.customer) });
+};
+
+/**
+ * @desc    Update profile and driver details; changing email or password needs currentPassword
+ * @route   PUT /api/customers/me
+ * @access  Customer
+ */
+exports.updateMyProfile = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.customer._id).select('+password');
+    const { email, password, currentPassword } = req.body;
+    const emailChanged = email !== undefined && normalizeEmail(email) !== customer.email;
+
+    if (emailChanged || password !== undefined) {
+      if (!currentPassword || !(await bcrypt.compare(String(currentPassword), customer.password))) {
+        return res.status(401).json({ success: false, message: 'Your current password is incorrect.' });
+      }
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`,
+      });
+    }
+
+    customer.set(pickProfileFields(req.body));
+    if (password !== undefined) customer.password = await bcrypt.hash(String(password), 10);
+
+    // A new address has to be confirmed before bookings made with it are linked
+    let verification = null;
+    if (emailChanged) {
+      if (await Customer.exists({ email: normalizeEmail(email), _id: { $ne: customer._id } })) {
+        return res.status(409).json({ success: false, message: 'An account already exists for this email.' });
+      }
+      customer.email = email;
+      verification = startEmailVerification(customer);
+    }
+
+    await customer.save();
+    if (verification) notifyCustomerEmailVerification(customer, verification);
+
+    res.status(200).json({
+      success: true,
+      message: verification
+        ? 'Profile updated. Please check your inbox to confirm your new email address.'
+        : 'Profile updated successfully.',
+      data: toCustomerView(customer),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An account already exists for this email.' });
+    }
+    console.error('UPDATE CUSTOMER PROFILE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update profile.' });
+  }
+};
+
+/**
+ * @desc    The signed-in customer's bookings, latest pickup first (?status=)
+ * @route   GET /api/customers/me/bookings
+ * @access  Customer
+ */
+exports.getMyBookings = async (req, res) => {
+  try {
+    const filter = { customer: req.customer._id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+    const bookings = await Booking.find(filter)
+      .populate('car', 'name brand thumbnail type')
+      .populate('pickupLocation', 'name address phone')
+      .populate('returnLocation', 'name address phone')
+      .sort({ pickupDate: -1 });
+    res.status(200).json({ success: true, count: bookings.length, data: bookings.map(toHistoryItem) });
+  } catch (error) {
+    console.error('GET CUSTOMER BOOKINGS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve bookings.' });
+  }
+};
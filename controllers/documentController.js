@@ -0,0 +1,76 @@
+// backend/controllers/documentController.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const {
+  DOCUMENT_STATUSES,
+  assignInvoiceNumber,
+  renderInvoice,
+  renderContract,
+} = require('../services/documents/bookingDocuments');
+
+// Load a booking with everything printed on its documents, or answer with an error
+const loadDocumentBooking = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid booking ID format.' });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.id).populate([
+    { path: 'car', select: 'name brand type specs' },
+    { path: 'unit', select: 'plateNumber vin colour' },
+    { path: 'pickupLocation', select: 'name address timezone' },
+    { path: 'returnLocation', select: 'name address timezone' },
+  ]);
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found.' });
+    return null;
+  }
+  if (!DOCUMENT_STATUSES.includes(booking.status)) {
+    res.status(409).json({ success: false, message: `Documents are not available for a ${booking.status} booking.` });
+    return null;
+  }
+  return booking;
+};
+
+const sendPdf = (res, filename, buffer) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.status(200).end(buffer);
+};
+
+/**
+ * @desc    Invoice PDF; the invoice number is assigned on first download
+ * @route   GET /api/bookings/:id/invoice.pdf
+ * @access  Private
+ */
+exports.getInvoicePdf = async (req, res) => {
+  try {
+    const booking = await loadDocumentBooking(req, res);
+    if (!booking) return;
+
+    const invoice = await assignInvoiceNumber(booking);
+    const pdf = await renderInvoice(booking, invoice);
+    sendPdf(res, `${invoice.number}.pdf`, pdf);
+  } catch (error) {
+    console.error('INVOICE PDF ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate invoice.' });
+  }
+};
+
+/**
+ * @desc    Rental agreement PDF
+ * @route   GET /api/bookings/:id/contract.pdf
+ * @access  Private
+ */
+exports.getContractPdf = async (req, res) => {
+  try {
+    const booking = await loadDocumentBooking(req, res);
+    if (!booking) return;
+
+    const pdf = await renderContract(booking);
+    sendPdf(res, `contract-${booking.reference}.pdf`, pdf);
+  } catch (error) {
+    console.error('CONTRACT PDF ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate rental agreement.' });
+  }
+};
@@ -0,0 +1,126 @@
+// backend/controllers/extraController.js
+const mongoose = require('mongoose');
+const Extra = require('../models/Extra');
+const { parseDateRange, getExtraAvailability: computeExtraAvailability } = require('../utils/bookingAvailability');
+const { sendValidationError } = require('../utils/validation');
+
+// Fields an admin may set on a catalog entry
+const EDITABLE_FIELDS = ['name', 'code', 'description', 'category', 'pricingType', 'price', 'stock', 'maxPerBooking', 'active'];
+
+const pickExtraFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' && key === 'stock' ? null : body[key];
+    return fields;
+  }, {});
+
+/**
+ * @desc    List extras (active ones unless ?includeInactive=true)
+ * @route   GET /api/extras
+ * @access  Public
+ */
+exports.getExtras = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const extras = await Extra.find(filter).sort({ category: 1, name: 1 });
+    res.status(200).json({ success: true, count: extras.length, data: extras });
+  } catch (error) {
+    console.error('GET EXTRAS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve extras.' });
+  }
+};
+
+/**
+ * @desc    Remaining stock of an extra for a date range
+ * @route   GET /api/extras/:id/availability?from=&to=
+ * @access  Public
+ */
+exports.getExtraAvailability = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid extra ID format.' });
+    }
+    const extra = await Extra.findById(req.params.id);
+    if (!extra) {
+      return res.status(404).json({ success: false, message: 'Extra not found.' });
+    }
+
+    const { start, end, error } = parseDateRange(req.query.from, req.query.to);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const availability = await computeExtraAvailability(extra, start, end);
+    res.status(200).json({ success: true, data: { extraId: extra._id, from: start, to: end, ...availability } });
+  } catch (error) {
+    console.error('GET EXTRA AVAILABILITY ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve extra availability.' });
+  }
+};
+
+/**
+ * @desc    Add an extra to the catalog
+ * @route   POST /api/extras
+ * @access  Private
+ */
+exports.createExtra = async (req, res) => {
+  try {
+    const extra = await Extra.create(pickExtraFields(req.body));
+    res.status(201).json({ success: true, data: extra });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An extra with this code already exists.' });
+    }
+    console.error('CREATE EXTRA ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create extra.' });
+  }
+};
+
+/**
+ * @desc    Update an extra (existing bookings keep their price snapshot)
+ * @route   PUT /api/extras/:id
+ * @access  Private
+ */
+exports.updateExtra = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid extra ID format.' });
+    }
+    const extra = await Extra.findById(req.params.id);
+    if (!extra) {
+      return res.status(404).json({ success: false, message: 'Extra not found.' });
+    }
+    extra.set(pickExtraFields(req.body));
+    const updatedExtra = await extra.save();
+    res.status(200).json({ success: true, data: updatedExtra });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An extra with this code already exists.' });
+    }
+    console.error('UPDATE EXTRA ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update extra.' });
+  }
+};
+
+/**
+ * @desc    Delete an extra
+ * @route   DELETE /api/extras/:id
+ * @access  Private
+ */
+exports.deleteExtra = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid extra ID format.' });
+    }
+    const extra = await Extra.findById(req.params.id);
+    if (!extra) {
+      return res.status(404).json({ success: false, message: 'Extra not found.' });
+    }
+    await extra.deleteOne();
+    res.status(200).json({ success: true, message: 'Extra deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE EXTRA ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete extra.' });
+  }
+};
@@ -0,0 +1,173 @@
+// backend/controllers/fleetUnitController.js
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const { sendValidationError } = require('../utils/validation');
+const { RELEASED_STATUSES } = require('../utils/bookingLifecycle');
+const { offerFreedSlot } = require('../services/waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead new capacity is offered to the waitlist
+const WAITLIST_HORIZON_DAYS = 365;
+
+// Fields an admin may set; a unit stays under the listing it was created for
+const EDITABLE_FIELDS = ['plateNumber', 'vin', 'colour', 'odometer', 'status', 'notes'];
+
+const pickUnitFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+const findCarOr404 = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid car ID format' });
+    return null;
+  }
+  const car = await Car.findById(req.params.id);
+  if (!car) {
+    res.status(404).json({ success: false, message: 'Car not found' });
+    return null;
+  }
+  return car;
+};
+
+const findUnitOr404 = async (req, res) => {
+  const { id, unitId } = req.params;
+  if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(unitId)) {
+    res.status(400).json({ success: false, message: 'Invalid ID format' });
+    return null;
+  }
+  const unit = await FleetUnit.findOne({ _id: unitId, car: id });
+  if (!unit) {
+    res.status(404).json({ success: false, message: 'Vehicle not found' });
+    return null;
+  }
+  return unit;
+};
+
+// Upcoming bookings already assigned to a unit, which need another vehicle if it goes off the road
+const findAssignedBookings = (unit) =>
+  Booking.find({
+    unit: unit._id,
+    status: { $nin: [...RELEASED_STATUSES, 'returned', 'completed'] },
+    returnDate: { $gt: new Date() },
+  })
+    .select('reference pickupDate returnDate status')
+    .sort({ pickupDate: 1 });
+
+const sendDuplicateError = (res, error) => {
+  const field = error.keyPattern && error.keyPattern.vin ? 'VIN' : 'plate number';
+  return res.status(400).json({ success: false, message: `A vehicle with this ${field} already exists.` });
+};
+
+// A newly rentable vehicle may satisfy customers waiting for this car
+const offerNewCapacity = (carId) => {
+  const now = new Date();
+  offerFreedSlot(carId, now, new Date(now.getTime() + WAITLIST_HORIZON_DAYS * DAY_MS));
+};
+
+/**
+ * @desc    List the physical vehicles of a car
+ * @route   GET /api/cars/:id/units
+ * @access  Private
+ */
+exports.getFleetUnits = async (req, res) => {
+  try {
+    const car = await findCarOr404(req, res);
+    if (!car) return;
+
+    const units = await FleetUnit.find({ car: car._id }).sort({ plateNumber: 1 });
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      active: units.filter((unit) => unit.status === 'active').length,
+      data: units,
+    });
+  } catch (error) {
+    console.error('GET FLEET UNITS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving vehicles' });
+  }
+};
+
+/**
+ * @desc    Register a vehicle under a car
+ * @route   POST /api/cars/:id/units
+ * @access  Private
+ */
+exports.createFleetUnit = async (req, res) => {
+  try {
+    const car = await findCarOr404(req, res);
+    if (!car) return;
+
+    const isFirstUnit = !(await FleetUnit.exists({ car: car._id }));
+    const unit = await FleetUnit.create({ ...pickUnitFields(req.body), car: car._id });
+
+    // The listing's only vehicle becoming a registered unit adds no capacity
+    if (unit.status === 'active' && !isFirstUnit) offerNewCapacity(car._id);
+    res.status(201).json({ success: true, data: unit });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) return sendDuplicateError(res, error);
+    console.error('CREATE FLEET UNIT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error creating vehicle' });
+  }
+};
+
+/**
+ * @desc    Update a vehicle (plate, odometer, status...)
+ * @route   PUT /api/cars/:id/units/:unitId
+ * @access  Private
+ */
+exports.updateFleetUnit = async (req, res) => {
+  try {
+    const unit = await findUnitOr404(req, res);
+    if (!unit) return;
+
+    const wasActive = unit.status === 'active';
+    unit.set(pickUnitFields(req.body));
+    const updatedUnit = await unit.save();
+
+    if (!wasActive && updatedUnit.status === 'active') offerNewCapacity(updatedUnit.car);
+
+    // Taking a vehicle off the road keeps its bookings; the admin is told which ones to reassign
+    const affectedBookings = updatedUnit.status === 'active' ? [] : await findAssignedBookings(updatedUnit);
+    res.status(200).json({ success: true, data: updatedUnit, affectedBookings });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) return sendDuplicateError(res, error);
+    console.error('UPDATE FLEET UNIT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error updating vehicle' });
+  }
+};
+
+/**
+ * @desc    Delete a vehicle that no booking or maintenance refers to
+ * @route   DELETE /api/cars/:id/units/:unitId
+ * @access  Private
+ */
+exports.deleteFleetUnit = async (req, res) => {
+  try {
+    const unit = await findUnitOr404(req, res);
+    if (!unit) return;
+
+    const [bookingCount, maintenanceCount] = await Promise.all([
+      Booking.countDocuments({ unit: unit._id }),
+      Maintenance.countDocuments({ unit: unit._id }),
+    ]);
+    if (bookingCount > 0 || maintenanceCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This vehicle has bookings or maintenance history. Retire it instead.',
+      });
+    }
+
+    await unit.deleteOne();
+    res.status(200).json({ success: true, message: 'Vehicle deleted successfully' });
+  } catch (error) {
+    console.error('DELETE FLEET UNIT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Error deleting vehicle' });
+  }
+};
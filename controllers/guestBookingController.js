@@ -0,0 +1,190 @@
+// backend/controllers/guestBookingController.js
+// Self-service endpoints for customers holding a booking reference and access token.
+// The guestBookingAccess middleware has already loaded the booking into req.booking.
+const { parseBookingDates, checkCarAvailability, findExtraShortages } = require('../utils/bookingAvailability');
+const { canTransition } = require('../utils/bookingLifecycle');
+const { prepareDateChange } = require('../utils/bookingRequest');
+const { getCancellationDeadline } = require('../utils/bookingAccess');
+const { notifyBookingStatusChanged } = require('../services/notifications');
+const { offerFreedSlot } = require('../services/waitlist');
+
+// What a guest may see about their own booking
+const toGuestView = (booking) => {
+  const cancellationDeadline = getCancellationDeadline(booking);
+  return {
+    reference: booking.reference,
+    status: booking.status,
+    car: booking.car,
+    userName: booking.userName,
+    userEmail: booking.userEmail,
+    userPhone: booking.userPhone,
+    pickupDate: booking.pickupDate,
+    returnDate: booking.returnDate,
+    pickupLocation: booking.pickupLocation,
+    returnLocation: booking.returnLocation,
+    totalPrice: booking.totalPrice,
+    extras: booking.extras,
+    priceBreakdown: booking.priceBreakdown,
+    payments: {
+      paid: booking.payments.paid,
+      refunded: booking.payments.refunded,
+      outstanding: booking.amountOutstanding,
+    },
+    changeRequests: booking.changeRequests.map((request) => ({
+      _id: request._id,
+      pickupDate: request.pickupDate,
+      returnDate: request.returnDate,
+      message: request.message,
+      status: request.status,
+      requestedAt: request.requestedAt,
+      reviewNote: request.reviewNote,
+    })),
+    cancellationDeadline,
+    canCancel: canTransition(booking.status, 'cancelled') && new Date() <= cancellationDeadline,
+    createdAt: booking.createdAt,
+  };
+};
+
+/**
+ * @desc    View a booking as its guest
+ * @route   GET /api/bookings/manage/:reference
+ * @access  Guest token
+ */
+exports.getGuestBooking = async (req, res) => {
+  try {
+    await req.booking.populate([
+      { path: 'car', select: 'name brand thumbnail type specs' },
+      { path: 'pickupLocation', select: 'name address phone' },
+      { path: 'returnLocation', select: 'name address phone' },
+    ]);
+    res.status(200).json({ success: true, data: toGuestView(req.booking) });
+  } catch (error) {
+    console.error('GET GUEST BOOKING ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve booking.' });
+  }
+};
+
+/**
+ * @desc    Cancel a booking within the cancellation window
+ * @route   POST /api/bookings/manage/:reference/cancel
+ * @access  Guest token
+ */
+exports.cancelGuestBooking = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(409).json({ success: false, message: `A ${booking.status} booking can no longer be cancelled.` });
+    }
+
+    const deadline = getCancellationDeadline(booking);
+    if (new Date() > deadline) {
+      return res.status(403).json({
+        success: false,
+        message: 'The online cancellation window for this booking has passed. Please contact us.',
+        cancellationDeadline: deadline,
+      });
+    }
+
+    const previousStatus = booking.status;
+    booking.transitionTo('cancelled', {
+      actor: { kind: 'customer', name: booking.userName },
+      reason: req.body.reason || 'Cancelled by customer',
+    });
+    await booking.save();
+    offerFreedSlot(booking.car, booking.pickupDate, booking.returnDate);
+    await booking.populate('car', 'name brand thumbnail type specs');
+
+    // The booking is cancelled either way; only the live dashboard update needs the socket
+    if (req.io) {
+      req.io.emit('bookingStatusChanged', {
+        bookingId: booking._id,
+        from: previousStatus,
+        to: 'cancelled',
+        booking,
+      });
+    }
+    notifyBookingStatusChanged(booking, { reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your booking has been cancelled.',
+      data: toGuestView(booking),
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ success: false, message: 'This booking was just updated. Please reload and try again.' });
+    }
+    console.error('CANCEL GUEST BOOKING ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel booking.' });
+  }
+};
+
+/**
+ * @desc    Ask staff to move a booking to other dates
+ * @route   POST /api/bookings/manage/:reference/change-request
+ * @access  Guest token
+ */
+exports.requestDateChange = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { pickupDate, returnDate, message } = req.body;
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ success: false, message: `Dates of a ${booking.status} booking can no longer be changed.` });
+    }
+    if (booking.changeRequests.some((request) => request.status === 'pending')) {
+      return res.status(409).json({ success: false, message: 'A date change request is already waiting for review.' });
+    }
+
+    const { pickup, dropoff, error: dateError } = parseBookingDates(pickupDate, returnDate);
+    if (dateError) {
+      return res.status(400).json({ success: false, message: dateError });
+    }
+    if (pickup < new Date()) {
+      return res.status(400).json({ success: false, message: 'The new pickup date must be in the future.' });
+    }
+
+    const prepared = await prepareDateChange(booking, pickup, dropoff);
+    if (prepared.status) {
+      return res.status(prepared.status).json({ success: false, message: prepared.message });
+    }
+    const { car, extraItems, quote } = prepared;
+
+    const availability = await checkCarAvailability(car._id, pickup, dropoff, { excludeBookingId: booking._id });
+    const shortages = await findExtraShortages(extraItems, pickup, dropoff, { excludeBookingId: booking._id });
+    const available = availability.available && shortages.length === 0;
+
+    booking.changeRequests.push({
+      pickupDate: pickup,
+      returnDate: dropoff,
+      message,
+      availableAtRequest: available,
+      quotedTotal: quote.total,
+    });
+    await booking.save();
+    await booking.populate('car', 'name brand thumbnail type specs');
+
+    if (req.io) {
+      req.io.emit('bookingChangeRequested', {
+        bookingId: booking._id,
+        reference: booking.reference,
+        changeRequest: booking.changeRequests[booking.changeRequests.length - 1],
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Your request has been sent. We will confirm the new dates shortly.',
+      available,
+      quote,
+      data: toGuestView(booking),
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ success: false, message: 'This booking was just updated. Please reload and try again.' });
+    }
+    console.error('DATE CHANGE REQUEST ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit date change request.' });
+  }
+};
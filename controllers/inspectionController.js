@@ -0,0 +1,232 @@
+// backend/controllers/inspectionController.js
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const path = require('path');
+const Booking = require('../models/Booking');
+const Inspection = require('../models/Inspection');
+const { actorFromRequest } = require('../utils/bookingLifecycle');
+const { parseChecklist, compareInspections } = require('../utils/inspections');
+const { sendValidationError } = require('../utils/validation');
+const { recordOdometer } = require('../utils/maintenance');
+const { inspectionPhotosDir } = require('../middleware/uploadMiddleware');
+
+// Booking states in which each report can be taken
+const INSPECTION_STATUSES = {
+  pickup: ['confirmed', 'picked_up'],
+  return: ['picked_up', 'returned'],
+};
+
+// Photos multer already wrote to disk for a request that is being rejected
+const discardPhotos = (files = []) =>
+  Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+
+// Photos live in private storage; staff fetch them through the authorized photo route.
+// Only the filename is kept: where storage sits on the server is nobody's business.
+const toPhoto = (req, file) => ({
+  url: `${req.protocol}://${req.get('host')}/api/bookings/${req.params.id}/inspections/${req.params.type}/photos/${file.filename}`,
+  filename: file.filename,
+  size: file.size || 0,
+  mimetype: file.mimetype,
+});
+
+// Both reports of a booking, plus the comparison once the car is back
+const loadInspections = async (bookingId) => {
+  const inspections = await Inspection.find({ booking: bookingId });
+  const pickup = inspections.find((inspection) => inspection.type === 'pickup') || null;
+  const dropoff = inspections.find((inspection) => inspection.type === 'return') || null;
+  return {
+    pickup,
+    return: dropoff,
+    comparison: pickup && dropoff ? compareInspections(pickup, dropoff) : null,
+  };
+};
+
+// A report as the guest sees it: photo links point at the guest route (add ?token=)
+const toGuestReport = (req, inspection) => inspection && {
+  ...inspection.toObject(),
+  photos: inspection.photos.map((photo) => ({
+    ...photo.toObject(),
+    url: `${req.protocol}://${req.get('host')}/api/bookings/manage/${encodeURIComponent(req.booking.reference)}/inspections/${inspection.type}/photos/${photo.filename}`,
+  })),
+};
+
+// Send a photo of one of the booking's reports. Looked up by filename among the recorded
+// photos, so nothing else in storage can be reached.
+const sendInspectionPhoto = async (res, bookingId, { type, filename }) => {
+  const inspection = await Inspection.findOne({ booking: bookingId, type });
+  const photo = inspection && inspection.photos.find((candidate) => candidate.filename === filename);
+  if (!photo) {
+    return res.status(404).json({ success: false, message: 'Photo not found.' });
+  }
+  res.sendFile(path.join(inspectionPhotosDir, photo.filename), { headers: { 'Cache-Control': 'private, max-age=3600' } }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'The file for this photo is missing.' });
+    }
+  });
+};
+
+/**
+ * @desc    Pickup and return reports of a booking, with distance driven and new damage
+ * @route   GET /api/bookings/:id/inspections
+ * @access  Private
+ */
+exports.getBookingInspections = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format.' });
+    }
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found.' });
+    }
+    res.status(200).json({ success: true, data: await loadInspections(booking._id) });
+  } catch (error) {
+    console.error('GET INSPECTIONS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve inspections.' });
+  }
+};
+
+/**
+ * @desc    One photo of a pickup or return report
+ * @route   GET /api/bookings/:id/inspections/:type/photos/:filename
+ * @access  Private
+ */
+exports.getInspectionPhoto = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format.' });
+    }
+    await sendInspectionPhoto(res, req.params.id, req.params);
+  } catch (error) {
+    console.error('GET INSPECTION PHOTO ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve photo.' });
+  }
+};
+
+/**
+ * @desc    Record the pickup or return inspection, with photos (multipart field "photos")
+ * @route   POST /api/bookings/:id/inspections/:type
+ * @access  Private
+ */
+exports.createInspection = async (req, res) => {
+  const photos = (req.files && req.files.photos) || [];
+  const reject = async (status, message) => {
+    await discardPhotos(photos);
+    return res.status(status).json({ success: false, message });
+  };
+
+  try {
+    const { id, type } = req.params;
+    if (!mongoose.isValidObjectId(id)) return reject(400, 'Invalid booking ID format.');
+    if (!INSPECTION_STATUSES[type]) return reject(400, 'Inspection type must be "pickup" or "return".');
+
+    const booking = await Booking.findById(id);
+    if (!booking) return reject(404, 'Booking not found.');
+    if (!INSPECTION_STATUSES[type].includes(booking.status)) {
+      return reject(409, `A ${type} inspection cannot be recorded for a ${booking.status} booking.`);
+    }
+
+    const { checklist, error: checklistError } = parseChecklist(req.body.checklist);
+    if (checklistError) return reject(400, checklistError);
+
+    const odometer = req.body.odometer === undefined ? undefined : Number(req.body.odometer);
+    if (type === 'return') {
+      const pickup = await Inspection.findOne({ booking: booking._id, type: 'pickup' });
+      if (!pickup) return reject(409, 'Record the pickup inspection before the return inspection.');
+      if (odometer < pickup.odometer) {
+        return reject(400, `Odometer reading cannot be lower than at pickup (${pickup.odometer} km).`);
+      }
+    }
+
+    const { acknowledgedBy } = req.body;
+    const inspection = await Inspection.create({
+      booking: booking._id,
+      car: booking.car,
+      unit: booking.unit,
+      type,
+      odometer,
+      fuelLevel: req.body.fuelLevel,
+      checklist,
+      notes: req.body.notes,
+      photos: photos.map((file) => toPhoto(req, file)),
+      inspectedBy: actorFromRequest(req),
+      // Signed by the customer on the spot
+      acknowledgement: acknowledgedBy ? { acknowledgedAt: new Date(), name: acknowledgedBy } : undefined,
+    });
+    await recordOdometer(booking.car, inspection.odometer, { unitId: booking.unit });
+
+    req.io.emit('bookingInspectionRecorded', { bookingId: booking._id, type });
+    res.status(201).json({ success: true, data: inspection });
+  } catch (error) {
+    await discardPhotos(photos);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: `A ${req.params.type} inspection was already recorded for this booking.` });
+    }
+    console.error('CREATE INSPECTION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to record inspection.' });
+  }
+};
+
+/**
+ * @desc    The guest's view of their handover reports
+ * @route   GET /api/bookings/manage/:reference/inspections
+ * @access  Guest token
+ */
+exports.getGuestInspections = async (req, res) => {
+  try {
+    const reports = await loadInspections(req.booking._id);
+    res.status(200).json({
+      success: true,
+      data: { ...reports, pickup: toGuestReport(req, reports.pickup), return: toGuestReport(req, reports.return) },
+    });
+  } catch (error) {
+    console.error('GET GUEST INSPECTIONS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve inspections.' });
+  }
+};
+
+/**
+ * @desc    One photo of the guest's handover reports
+ * @route   GET /api/bookings/manage/:reference/inspections/:type/photos/:filename
+ * @access  Guest token
+ */
+exports.getGuestInspectionPhoto = async (req, res) => {
+  try {
+    await sendInspectionPhoto(res, req.booking._id, req.params);
+  } catch (error) {
+    console.error('GET GUEST INSPECTION PHOTO ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve photo.' });
+  }
+};
+
+/**
+ * @desc    Acknowledge a handover report as the customer, optionally with a comment
+ * @route   POST /api/bookings/manage/:reference/inspections/:type/acknowledge
+ * @access  Guest token
+ */
+exports.acknowledgeInspection = async (req, res) => {
+  try {
+    const inspection = await Inspection.findOne({ booking: req.booking._id, type: req.params.type });
+    if (!inspection) {
+      return res.status(404).json({ success: false, message: 'Inspection not found.' });
+    }
+    if (inspection.acknowledgement && inspection.acknowledgement.acknowledgedAt) {
+      return res.status(409).json({ success: false, message: 'This inspection has already been acknowledged.' });
+    }
+
+    inspection.acknowledgement = {
+      acknowledgedAt: new Date(),
+      name: req.body.name || req.booking.userName,
+      comment: req.body.comment,
+    };
+    await inspection.save();
+
+    req.io.emit('bookingInspectionAcknowledged', { bookingId: req.booking._id, type: inspection.type });
+    res.status(200).json({ success: true, data: inspection });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('ACKNOWLEDGE INSPECTION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge inspection.' });
+  }
+};
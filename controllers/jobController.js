@@ -0,0 +1,61 @@
+// backend/controllers/jobController.js
+const Job = require('../models/Job');
+const { triggerJob } = require('../services/scheduler');
+
+/**
+ * @desc    Scheduled jobs with their last run and next run
+ * @route   GET /api/jobs
+ * @access  Private
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await Job.find({}).sort({ name: 1 });
+    res.status(200).json({ success: true, count: jobs.length, data: jobs });
+  } catch (error) {
+    console.error('GET JOBS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve jobs.' });
+  }
+};
+
+/**
+ * @desc    Run a job on the next scheduler poll instead of waiting for its interval
+ * @route   POST /api/jobs/:name/run
+ * @access  Private
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const job = await triggerJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found.' });
+    }
+    res.status(202).json({ success: true, message: 'The job will run shortly.', data: job });
+  } catch (error) {
+    console.error('RUN JOB ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to schedule job.' });
+  }
+};
+
+/**
+ * @desc    Pause or resume a job
+ * @route   PATCH /api/jobs/:name
+ * @access  Private
+ */
+exports.updateJob = async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'Please provide enabled (true or false).' });
+    }
+    const job = await Job.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { enabled: req.body.enabled } },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found.' });
+    }
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    console.error('UPDATE JOB ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update job.' });
+  }
+};
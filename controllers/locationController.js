@@ -0,0 +1,136 @@
+// backend/controllers/locationController.js
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const { sendValidationError } = require('../utils/validation');
+
+// Fields an admin may set on a branch
+const EDITABLE_FIELDS = ['name', 'code', 'kind', 'address', 'phone', 'email', 'timezone', 'openingHours', 'afterHours', 'oneWayFees', 'active'];
+
+const pickLocationFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * @desc    List branches (active ones unless ?includeInactive=true)
+ * @route   GET /api/locations
+ * @access  Public
+ */
+exports.getLocations = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const locations = await Location.find(filter)
+      .populate('oneWayFees.toLocation', 'name code')
+      .sort({ name: 1 });
+    res.status(200).json({ success: true, count: locations.length, data: locations });
+  } catch (error) {
+    console.error('GET LOCATIONS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve locations.' });
+  }
+};
+
+/**
+ * @desc    Get a single branch
+ * @route   GET /api/locations/:id
+ * @access  Public
+ */
+exports.getLocationById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID format.' });
+    }
+    const location = await Location.findById(req.params.id).populate('oneWayFees.toLocation', 'name code');
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found.' });
+    }
+    res.status(200).json({ success: true, data: location });
+  } catch (error) {
+    console.error('GET LOCATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve location.' });
+  }
+};
+
+/**
+ * @desc    Create a branch
+ * @route   POST /api/locations
+ * @access  Private
+ */
+exports.createLocation = async (req, res) => {
+  try {
+    const location = await Location.create(pickLocationFields(req.body));
+    res.status(201).json({ success: true, data: location });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A location with this code already exists.' });
+    }
+    console.error('CREATE LOCATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create location.' });
+  }
+};
+
+/**
+ * @desc    Update a branch
+ * @route   PUT /api/locations/:id
+ * @access  Private
+ */
+exports.updateLocation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID format.' });
+    }
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found.' });
+    }
+    location.set(pickLocationFields(req.body));
+    const updatedLocation = await location.save();
+    res.status(200).json({ success: true, data: updatedLocation });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A location with this code already exists.' });
+    }
+    console.error('UPDATE LOCATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update location.' });
+  }
+};
+
+/**
+ * @desc    Delete a branch that no booking or car references
+ * @route   DELETE /api/locations/:id
+ * @access  Private
+ */
+exports.deleteLocation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid location ID format.' });
+    }
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found.' });
+    }
+
+    const [bookingCount, carCount] = await Promise.all([
+      Booking.countDocuments({ $or: [{ pickupLocation: location._id }, { returnLocation: location._id }] }),
+      Car.countDocuments({ homeLocation: location._id }),
+    ]);
+    if (bookingCount > 0 || carCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This location is used by bookings or cars. Deactivate it instead.',
+      });
+    }
+
+    await location.deleteOne();
+    // Drop one-way routes pointing at the deleted branch
+    await Location.updateMany({}, { $pull: { oneWayFees: { toLocation: location._id } } });
+    res.status(200).json({ success: true, message: 'Location deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE LOCATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete location.' });
+  }
+};
@@ -0,0 +1,231 @@
+// backend/controllers/maintenanceController.js
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const { sendValidationError } = require('../utils/validation');
+const {
+  BLOCKING_MAINTENANCE_STATUSES,
+  findConflictingBookings,
+  bookingToPeriod,
+  formatConflicts,
+} = require('../utils/bookingAvailability');
+const { recordOdometer, findServiceDue } = require('../utils/maintenance');
+const { offerFreedSlot } = require('../services/waitlist');
+
+// Fields an admin may set; the car and vehicle of a visit can't be changed afterwards
+const EDITABLE_FIELDS = [
+  'type', 'status', 'startDate', 'endDate', 'cost', 'garage', 'notes',
+  'odometer', 'nextDueDate', 'nextDueOdometer',
+];
+
+const pickMaintenanceFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Bookings the admin should move, cancel or give another vehicle because the car is at the garage
+const findAffectedBookings = async (visit) => {
+  if (!BLOCKING_MAINTENANCE_STATUSES.includes(visit.status)) return [];
+  const overlapping = await findConflictingBookings(visit.car, visit.startDate, visit.endDate);
+  const affected = visit.unit
+    ? overlapping.filter((booking) => booking.unit && booking.unit.equals(visit.unit))
+    : overlapping;
+  return formatConflicts(affected.map(bookingToPeriod));
+};
+
+/**
+ * @desc    List maintenance visits (?car=&unit=&status=&from=&to=)
+ * @route   GET /api/maintenance
+ * @access  Private
+ */
+exports.getMaintenance = async (req, res) => {
+  try {
+    const { car, unit, status, from, to } = req.query;
+    const filter = {};
+    if (car) {
+      if (!mongoose.isValidObjectId(car)) {
+        return res.status(400).json({ success: false, message: 'Invalid car ID format.' });
+      }
+      filter.car = car;
+    }
+    if (unit) {
+      if (!mongoose.isValidObjectId(unit)) {
+        return res.status(400).json({ success: false, message: 'Invalid vehicle ID format.' });
+      }
+      filter.unit = unit;
+    }
+    if (status) filter.status = { $in: String(status).split(',') };
+    if (from) filter.endDate = { $gt: new Date(from) };
+    if (to) filter.startDate = { $lt: new Date(to) };
+
+    const visits = await Maintenance.find(filter)
+      .populate('car', 'name brand odometer')
+      .populate('unit', 'plateNumber odometer')
+      .sort({ startDate: 1 });
+    res.status(200).json({ success: true, count: visits.length, data: visits });
+  } catch (error) {
+    console.error('GET MAINTENANCE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve maintenance.' });
+  }
+};
+
+/**
+ * @desc    Services coming due within ?days= (default 30) or ?km= (default 1000), ?by=date|odometer
+ * @route   GET /api/maintenance/due
+ * @access  Private
+ */
+exports.getServiceDue = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    const km = req.query.km === undefined ? 1000 : Number(req.query.km);
+    const { by } = req.query;
+    if (!Number.isFinite(days) || days < 0 || !Number.isFinite(km) || km < 0) {
+      return res.status(400).json({ success: false, message: 'days and km must be non-negative numbers.' });
+    }
+    if (by !== undefined && !['date', 'odometer'].includes(by)) {
+      return res.status(400).json({ success: false, message: 'by must be "date" or "odometer".' });
+    }
+
+    const items = await findServiceDue({ days, km, by });
+    res.status(200).json({ success: true, count: items.length, data: items });
+  } catch (error) {
+    console.error('GET SERVICE DUE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve upcoming service.' });
+  }
+};
+
+/**
+ * @desc    Get a single maintenance visit
+ * @route   GET /api/maintenance/:id
+ * @access  Private
+ */
+exports.getMaintenanceById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid maintenance ID format.' });
+    }
+    const visit = await Maintenance.findById(req.params.id)
+      .populate('car', 'name brand odometer')
+      .populate('unit', 'plateNumber odometer');
+    if (!visit) {
+      return res.status(404).json({ success: false, message: 'Maintenance not found.' });
+    }
+    res.status(200).json({ success: true, data: visit });
+  } catch (error) {
+    console.error('GET MAINTENANCE BY ID ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve maintenance.' });
+  }
+};
+
+/**
+ * @desc    Plan (or log) a garage visit; planned dates block bookings
+ * @route   POST /api/maintenance
+ * @access  Private
+ */
+exports.createMaintenance = async (req, res) => {
+  try {
+    const { car: carId, unit: unitId } = req.body;
+    if (!mongoose.isValidObjectId(carId)) {
+      return res.status(400).json({ success: false, message: 'Invalid car ID format.' });
+    }
+    const car = await Car.findById(carId);
+    if (!car) {
+      return res.status(404).json({ success: false, message: 'Car not found.' });
+    }
+
+    let unit = null;
+    if (unitId) {
+      unit = mongoose.isValidObjectId(unitId) ? await FleetUnit.findOne({ _id: unitId, car: car._id }) : null;
+      if (!unit) {
+        return res.status(404).json({ success: false, message: 'Vehicle not found for this car.' });
+      }
+    }
+
+    const fields = pickMaintenanceFields(req.body);
+    if (fields.status === 'completed') fields.completedAt = new Date();
+    const visit = await Maintenance.create({ ...fields, car: car._id, unit: unit ? unit._id : null });
+    if (visit.status === 'completed') await recordOdometer(car._id, visit.odometer, { unitId: visit.unit });
+
+    // Existing bookings are kept, as with blackouts; the admin is told which ones clash
+    res.status(201).json({
+      success: true,
+      data: visit,
+      conflictingBookings: await findAffectedBookings(visit),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('CREATE MAINTENANCE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create maintenance.' });
+  }
+};
+
+/**
+ * @desc    Update a visit: reschedule, start, complete (with cost and next due) or cancel it
+ * @route   PUT /api/maintenance/:id
+ * @access  Private
+ */
+exports.updateMaintenance = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid maintenance ID format.' });
+    }
+    const visit = await Maintenance.findById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ success: false, message: 'Maintenance not found.' });
+    }
+
+    const previous = {
+      blocking: BLOCKING_MAINTENANCE_STATUSES.includes(visit.status),
+      startDate: visit.startDate,
+      endDate: visit.endDate,
+    };
+    visit.set(pickMaintenanceFields(req.body));
+    if (visit.isModified('status')) {
+      visit.completedAt = visit.status === 'completed' ? new Date() : undefined;
+    }
+    const updatedVisit = await visit.save();
+    if (updatedVisit.status === 'completed') {
+      await recordOdometer(updatedVisit.car, updatedVisit.odometer, { unitId: updatedVisit.unit });
+    }
+
+    // Dates the visit no longer covers may be wanted by the waitlist
+    if (previous.blocking) offerFreedSlot(updatedVisit.car, previous.startDate, previous.endDate);
+
+    res.status(200).json({
+      success: true,
+      data: updatedVisit,
+      conflictingBookings: await findAffectedBookings(updatedVisit),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('UPDATE MAINTENANCE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update maintenance.' });
+  }
+};
+
+/**
+ * @desc    Delete a maintenance visit
+ * @route   DELETE /api/maintenance/:id
+ * @access  Private
+ */
+exports.deleteMaintenance = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid maintenance ID format.' });
+    }
+    const visit = await Maintenance.findById(req.params.id);
+    if (!visit) {
+      return res.status(404).json({ success: false, message: 'Maintenance not found.' });
+    }
+    await visit.deleteOne();
+    if (BLOCKING_MAINTENANCE_STATUSES.includes(visit.status)) {
+      offerFreedSlot(visit.car, visit.startDate, visit.endDate);
+    }
+    res.status(200).json({ success: true, message: 'Maintenance deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE MAINTENANCE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete maintenance.' });
+  }
+};
@@ -0,0 +1,57 @@
+// backend/controllers/notificationController.js
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { retryNotification } = require('../services/notifications');
+
+/**
+ * @desc    Email delivery log, newest first (filter with ?status= and ?booking=)
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { status, booking } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (booking) {
+      if (!mongoose.isValidObjectId(booking)) {
+        return res.status(400).json({ success: false, message: 'Invalid booking ID format.' });
+      }
+      filter.booking = booking;
+    }
+    const notifications = await Notification.find(filter)
+      .select('-data')
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.status(200).json({ success: true, count: notifications.length, data: notifications });
+  } catch (error) {
+    console.error('GET NOTIFICATIONS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve notifications.' });
+  }
+};
+
+/**
+ * @desc    Send a failed email again
+ * @route   POST /api/notifications/:id/retry
+ * @access  Private
+ */
+exports.retryFailedNotification = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID format.' });
+    }
+    const notification = await retryNotification(req.params.id);
+    if (!notification) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only failed notifications can be retried. Emails with a one-time link must be requested again.',
+      });
+    }
+    // Template data holds customer details, so it stays out of API responses like in the list
+    const { data, ...delivery } = notification.toObject();
+    res.status(200).json({ success: notification.status === 'sent', data: delivery });
+  } catch (error) {
+    console.error('RETRY NOTIFICATION ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry notification.' });
+  }
+};
@@ -0,0 +1,153 @@
+// backend/controllers/paymentController.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { actorFromRequest } = require('../utils/bookingLifecycle');
+const {
+  chargeBooking,
+  holdSecurityDeposit,
+  refundPayment,
+  releaseSecurityDeposit,
+} = require('../services/payments');
+
+// Guests settle up until the car is back; finished, cancelled and no-show bookings are staff-only
+const GUEST_PAYABLE_STATUSES = ['pending', 'confirmed', 'picked_up', 'returned'];
+
+// Send the outcome of a ledger operation: 201 when settled, 402 when the provider declined,
+// 202 when the provider could not be reached and the entry is waiting for reconciliation
+const sendLedgerResult = async (req, res, result) => {
+  if (result.message) {
+    return res.status(result.status).json({ success: false, message: result.message });
+  }
+
+  const { entry } = result;
+  const booking = await Booking.findById(entry.booking);
+  // Enough for the dashboard to refresh; provider references and sources stay in the API
+  req.io.emit('bookingPaymentRecorded', {
+    bookingId: entry.booking,
+    paymentId: entry._id,
+    type: entry.type,
+    amount: entry.amount,
+    status: entry.status,
+  });
+
+  const statusCode = { succeeded: 201, failed: 402, pending: 202 }[entry.status];
+  res.status(statusCode).json({
+    success: entry.status !== 'failed',
+    message: entry.status === 'failed' ? entry.failureReason : undefined,
+    data: entry,
+    payments: booking ? { ...booking.payments.toObject(), outstanding: booking.amountOutstanding } : undefined,
+  });
+};
+
+const hasValidIds = (req, res) => {
+  const ids = [req.params.id, req.params.paymentId].filter(Boolean);
+  if (ids.every((id) => mongoose.isValidObjectId(id))) return true;
+  res.status(400).json({ success: false, message: 'Invalid ID format.' });
+  return false;
+};
+
+/**
+ * @desc    Ledger entries and payment totals of a booking
+ * @route   GET /api/bookings/:id/payments
+ * @access  Private
+ */
+exports.getBookingPayments = async (req, res) => {
+  try {
+    if (!hasValidIds(req, res)) return;
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found.' });
+    }
+    const entries = await Payment.find({ booking: booking._id }).sort({ createdAt: 1 });
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      payments: { ...booking.payments.toObject(), outstanding: booking.amountOutstanding },
+    });
+  } catch (error) {
+    console.error('GET BOOKING PAYMENTS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve payments.' });
+  }
+};
+
+/**
+ * @desc    Take a deposit or balance payment, or hold a security deposit
+ * @route   POST /api/bookings/:id/payments
+ * @access  Private
+ */
+exports.createBookingPayment = async (req, res) => {
+  try {
+    if (!hasValidIds(req, res)) return;
+    const { type, amount, method, source, note } = req.body;
+    const params = { amount, method, source, note, actor: actorFromRequest(req) };
+
+    const result = type === 'security_hold'
+      ? await holdSecurityDeposit(req.params.id, params)
+      : await chargeBooking(req.params.id, { ...params, type });
+    await sendLedgerResult(req, res, result);
+  } catch (error) {
+    console.error('CREATE PAYMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to record payment.' });
+  }
+};
+
+/**
+ * @desc    Refund all or part of a payment
+ * @route   POST /api/bookings/:id/payments/:paymentId/refund
+ * @access  Private
+ */
+exports.refundBookingPayment = async (req, res) => {
+  try {
+    if (!hasValidIds(req, res)) return;
+    const { amount, note } = req.body;
+    const result = await refundPayment(req.params.id, req.params.paymentId, { amount, note, actor: actorFromRequest(req) });
+    await sendLedgerResult(req, res, result);
+  } catch (error) {
+    console.error('REFUND PAYMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to refund payment.' });
+  }
+};
+
+/**
+ * @desc    Release all or part of a security deposit hold
+ * @route   POST /api/bookings/:id/payments/:paymentId/release
+ * @access  Private
+ */
+exports.releaseBookingDeposit = async (req, res) => {
+  try {
+    if (!hasValidIds(req, res)) return;
+    const { amount, note } = req.body;
+    const result = await releaseSecurityDeposit(req.params.id, req.params.paymentId, { amount, note, actor: actorFromRequest(req) });
+    await sendLedgerResult(req, res, result);
+  } catch (error) {
+    console.error('RELEASE DEPOSIT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to release security deposit.' });
+  }
+};
+
+/**
+ * @desc    Pay a deposit or the balance of a booking by card, as its guest
+ * @route   POST /api/bookings/manage/:reference/payments
+ * @access  Guest token
+ */
+exports.payGuestBooking = async (req, res) => {
+  try {
+    if (!GUEST_PAYABLE_STATUSES.includes(req.booking.status)) {
+      return res.status(409).json({ success: false, message: `A ${req.booking.status} booking cannot be paid online.` });
+    }
+    const { type, amount, source } = req.body;
+    const result = await chargeBooking(req.booking._id, {
+      type,
+      amount,
+      method: 'card',
+      source,
+      actor: { kind: 'customer', name: req.booking.userName },
+    });
+    await sendLedgerResult(req, res, result);
+  } catch (error) {
+    console.error('GUEST PAYMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to process payment.' });
+  }
+};
@@ -0,0 +1,127 @@
+// backend/controllers/pricingRuleController.js
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const { sendValidationError } = require('../utils/validation');
+
+// Fields an admin may set on a rule
+const EDITABLE_FIELDS = [
+  'name', 'description', 'scope', 'car', 'carType', 'startDate', 'endDate',
+  'daysOfWeek', 'minDays', 'maxDays', 'adjustmentType', 'value', 'priority',
+  'exclusive', 'active',
+];
+
+const pickRuleFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * @desc    Create a pricing rule
+ * @route   POST /api/pricing-rules
+ * @access  Private
+ */
+exports.createPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.create(pickRuleFields(req.body));
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('CREATE PRICING RULE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create pricing rule.' });
+  }
+};
+
+/**
+ * @desc    List pricing rules in application order
+ * @route   GET /api/pricing-rules
+ * @access  Private
+ */
+exports.getPricingRules = async (req, res) => {
+  try {
+    const { scope, car, carType, active } = req.query;
+    if (car && !mongoose.isValidObjectId(car)) {
+      return res.status(400).json({ success: false, message: 'Invalid car ID format.' });
+    }
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (car) filter.car = car;
+    if (carType) filter.carType = carType;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const rules = await PricingRule.find(filter)
+      .populate('car', 'name brand')
+      .sort({ priority: 1, _id: 1 });
+    res.status(200).json({ success: true, count: rules.length, data: rules });
+  } catch (error) {
+    console.error('GET PRICING RULES ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve pricing rules.' });
+  }
+};
+
+/**
+ * @desc    Get a single pricing rule
+ * @route   GET /api/pricing-rules/:id
+ * @access  Private
+ */
+exports.getPricingRuleById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid pricing rule ID format.' });
+    }
+    const rule = await PricingRule.findById(req.params.id).populate('car', 'name brand');
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found.' });
+    }
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    console.error('GET PRICING RULE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve pricing rule.' });
+  }
+};
+
+/**
+ * @desc    Update a pricing rule
+ * @route   PUT /api/pricing-rules/:id
+ * @access  Private
+ */
+exports.updatePricingRule = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid pricing rule ID format.' });
+    }
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found.' });
+    }
+    rule.set(pickRuleFields(req.body));
+    const updatedRule = await rule.save();
+    res.status(200).json({ success: true, data: updatedRule });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('UPDATE PRICING RULE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update pricing rule.' });
+  }
+};
+
+/**
+ * @desc    Delete a pricing rule (bookings keep their recorded rule name and amount)
+ * @route   DELETE /api/pricing-rules/:id
+ * @access  Private
+ */
+exports.deletePricingRule = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid pricing rule ID format.' });
+    }
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found.' });
+    }
+    await rule.deleteOne();
+    res.status(200).json({ success: true, message: 'Pricing rule deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE PRICING RULE ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete pricing rule.' });
+  }
+};
@@ -2,6 +2,7 @@
 const Car = require('../models/Car');
 const Booking = require('../models/Booking');
 const Contact = require('../models/Contact');
+const { BOOKING_STATUSES } = require('../utils/bookingLifecycle');
 
 /**
  * @desc    Get dashboard statistics
@@ -11,16 +12,26 @@ const Contact = require('../models/Contact');
 exports.getDashboardStats = async (req, res) => {
     try {
         // Use Promise.all to fetch all counts concurrently for better performance
-        const [carCount, newOrdersCount, unreadMessagesCount] = await Promise.all([
+        const [carCount, statusCounts, unreadMessagesCount] = await Promise.all([
             Car.countDocuments(),
-            Booking.countDocuments({ status: 'confirmed' }),
+            Booking.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
             Contact.countDocuments({ isRead: false })
         ]);
 
+        // Every lifecycle status is present, even with a zero count
+        const bookingsByStatus = BOOKING_STATUSES.reduce((acc, status) => {
+            acc[status] = 0;
+            return acc;
+        }, {});
+        statusCounts.forEach(({ _id, count }) => {
+            if (_id in bookingsByStatus) bookingsByStatus[_id] = count;
+        });
+
         res.status(200).json({
             totalCars: carCount,
-            newOrders: newOrdersCount,
+            newOrders: bookingsByStatus.pending, // New bookings wait in "pending" until an admin confirms them
             unreadMessages: unreadMessagesCount,
+            bookingsByStatus,
         });
 
     } catch (error) {
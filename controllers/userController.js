@@ -1,15 +1,107 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const {
+  DEFAULT_ROLE,
+  ROLES,
+  isValidRole,
+  getRolePermissions,
+  isTwoFactorRequired,
+} = require("../config/permissions");
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  findUserSessions,
+  toSessionView,
+} = require("../utils/sessions");
+const { issueAccountToken, redeemAccountToken } = require("../utils/accountTokens");
+const {
+  CHALLENGE_TTL_SECONDS,
+  findUserWithTwoFactor,
+  startLoginChallenge,
+  findChallengedUser,
+  recordFailedChallenge,
+  endLoginChallenge,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  removeTwoFactor,
+} = require("../utils/twoFactor");
+const {
+  notifyStaffEmailVerification,
+  notifyPasswordReset,
+} = require("../services/notifications");
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "30d" });
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Why a new password is refused, or null when it is acceptable
+const checkNewPassword = (password) => {
+  if (typeof password !== "string") return "Password must be a string";
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+// Start (or restart) email verification; the user must be saved afterwards
+const startEmailVerification = (user) => {
+  user.emailVerifiedAt = null;
+  return issueAccountToken(user, "emailVerification", EMAIL_VERIFICATION_TTL_MS);
+};
+
+// Access token, refresh token and access token lifetime (seconds) for a new session
+const startSession = async (user, req) => {
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+  return { token, refreshToken, expiresIn };
 };
 
-// REGISTER USER
+// After a correct password: a session, or a challenge for the second step when the
+// account uses two-factor (or its role requires it and it still has to be set up)
+const completePasswordSignIn = async (user, req) => {
+  const enrolled = Boolean(user.twoFactor && user.twoFactor.enabled);
+  if (!enrolled && !isTwoFactorRequired(user.role)) {
+    return startSession(user, req);
+  }
+  return {
+    twoFactorRequired: enrolled,
+    twoFactorSetupRequired: !enrolled,
+    challengeToken: await startLoginChallenge(user),
+    challengeExpiresIn: CHALLENGE_TTL_SECONDS,
+  };
+};
+
+// What staff clients get back about an account, with the permissions to build the admin UI from
+const toUserView = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  twoFactorRequired: isTwoFactorRequired(user.role),
+  permissions: getRolePermissions(user.role),
+});
+
+const invalidChallenge = (res) =>
+  res
+    .status(401)
+    .json({ message: "Your sign-in has expired. Please enter your password again" });
+
+// REGISTER USER (staff: the first account becomes the owner, later ones are added by users:manage)
 exports.registerUser = async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
+    const isFirstAccount = !req.user;
+
+    if (!isFirstAccount && role !== undefined && !isValidRole(role)) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+    }
 
     if (!name || !email || !password) {
       return res
@@ -22,27 +114,38 @@ exports.registerUser = async (req, res) => {
       return res.status(409).json({ message: "User already exists" });
     }
 
+    const passwordProblem = checkNewPassword(password);
+    if (passwordProblem) {
+      return res.status(400).json({ message: passwordProblem });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password: hashedPassword,
-      role: role || "admin",
+      role: isFirstAccount ? "owner" : role || DEFAULT_ROLE,
+      firstAccount: isFirstAccount || undefined,
     });
+    const verification = startEmailVerification(user);
+    await user.save();
+    notifyStaffEmailVerification(user, verification);
 
+    // Only someone registering themselves signs in; staff adding a colleague don't get a session
     res.status(201).json({
       success: true,
       message: "User registered successfully",
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-      token: generateToken(user._id),
+      user: toUserView(user),
+      ...(isFirstAccount ? await completePasswordSignIn(user, req) : {}),
     });
   } catch (error) {
+    // Another first account was created at the same moment: this one needs a signed-in owner
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.firstAccount) {
+      return res
+        .status(401)
+        .json({ message: "Not authorized to access this route" });
+    }
     res.status(500).json({
       success: false,
       message: "Server error during registration",
@@ -71,22 +174,103 @@ exports.loginUser = async (req, res) => {
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
+    // With two-factor, this is only the first step: see the /login/2fa routes
+    const signIn = await completePasswordSignIn(user, req);
+    res.status(200).json({
+      success: true,
+      message: signIn.challengeToken
+        ? "Enter the code from your authenticator app"
+        : "Login successful",
+      user: toUserView(user),
+      ...signIn,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
+// LOGIN STEP 2: authenticator code (or a recovery code) for the challenge from step 1
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Please provide the challenge token and a code" });
+    }
+
+    const user = await findChallengedUser(challengeToken);
+    if (!user) return invalidChallenge(res);
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Set up two-factor authentication to continue" });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedChallenge(user);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+    await endLoginChallenge(user);
+
+    // Whoever just used a recovery code is told how many they have left
+    const usedRecoveryCode = !code;
+    const updated = usedRecoveryCode ? await findUserWithTwoFactor(user._id) : null;
     res.status(200).json({
       success: true,
       message: "Login successful",
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-      token: generateToken(user._id),
+      user: toUserView(user),
+      ...(await startSession(user, req)),
+      recoveryCodesLeft: updated ? updated.twoFactor.recoveryCodeHashes.length : undefined,
     });
   } catch (error) {
     res.status(500).json({ message: "Server error during login" });
   }
 };
 
+// LOGIN SETUP: roles that require two-factor set it up before their first session
+exports.setupTwoFactorAtLogin = async (req, res) => {
+  try {
+    const user = await findChallengedUser(req.body.challengeToken);
+    if (!user) return invalidChallenge(res);
+    if (user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already set up" });
+    }
+
+    res.json({ success: true, ...(await startEnrollment(user)) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during two-factor setup" });
+  }
+};
+
+// LOGIN SETUP: confirm the app with a first code; signs in and returns the recovery codes
+exports.enableTwoFactorAtLogin = async (req, res) => {
+  try {
+    const user = await findChallengedUser(req.body.challengeToken);
+    if (!user) return invalidChallenge(res);
+
+    const enrollment = await confirmEnrollment(user, req.body.code);
+    if (enrollment.status) {
+      await recordFailedChallenge(user);
+      return res.status(enrollment.status).json({ message: enrollment.message });
+    }
+    await endLoginChallenge(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe",
+      user: { ...toUserView(user), twoFactorEnabled: true },
+      recoveryCodes: enrollment.recoveryCodes,
+      ...(await startSession(user, req)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during two-factor setup" });
+  }
+};
+
 // PROFILE
 exports.getUserProfile = async (req, res) => {
   try {
@@ -96,34 +280,71 @@ exports.getUserProfile = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.json({ success: true, data: user });
+    res.json({
+      success: true,
+      data: { ...user.toObject(), permissions: getRolePermissions(user.role) },
+    });
   } catch (error) {
     res.status(500).json({ message: "Server error while fetching profile" });
   }
 };
 
-// UPDATE PROFILE
+// UPDATE PROFILE (changing email or password needs the current password)
 exports.updateUserProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select("+password");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    user.name = req.body.name || user.name;
-    user.email = req.body.email || user.email;
+    const { name, email, password, currentPassword } = req.body;
+    const emailChanged = Boolean(email) && email !== user.email;
+
+    const passwordProblem = password ? checkNewPassword(password) : null;
+    if (passwordProblem) {
+      return res.status(400).json({ message: passwordProblem });
+    }
 
-    if (req.body.password) {
-      if (req.body.password.length < 6) {
+    if (emailChanged || password) {
+      const isMatch = typeof currentPassword === "string"
+        ? await bcrypt.compare(currentPassword, user.password)
+        : false;
+      if (!isMatch) {
         return res
-          .status(400)
-          .json({ message: "Password must be at least 6 characters long" });
+          .status(401)
+          .json({ message: "Current password is incorrect" });
+      }
+    }
+
+    user.name = name || user.name;
+
+    // A new address has to be confirmed again
+    let verification = null;
+    if (emailChanged) {
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return res.status(409).json({ message: "User already exists" });
       }
-      user.password = await bcrypt.hash(req.body.password, 10);
+      user.email = email;
+      verification = startEmailVerification(user);
+    }
+
+    if (password) {
+      user.password = await bcrypt.hash(password, 10);
+      // A reset link requested earlier must not undo this change
+      user.passwordReset = undefined;
     }
 
     const updatedUser = await user.save();
+    if (verification) notifyStaffEmailVerification(updatedUser, verification);
+
+    // A new password signs out every other device
+    if (password) {
+      await revokeSessions(
+        { user: updatedUser._id, _id: { $ne: req.authSession._id } },
+        "password_changed"
+      );
+    }
 
     res.json({
       success: true,
@@ -132,10 +353,462 @@ exports.updateUserProfile = async (req, res) => {
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        emailVerified: Boolean(updatedUser.emailVerifiedAt),
       },
-      token: generateToken(updatedUser._id),
     });
   } catch (error) {
     res.status(500).json({ message: "Server error while updating profile" });
   }
 };
+
+// VERIFY EMAIL (token from the emailed link)
+exports.verifyUserEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const user = await redeemAccountToken(User, "emailVerification", token, {
+      emailVerifiedAt: new Date(),
+    });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "This verification link is invalid or has expired" });
+    }
+
+    res.json({
+      success: true,
+      message: "Email address confirmed",
+      user: toUserView(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while verifying email" });
+  }
+};
+
+// RESEND VERIFICATION EMAIL
+exports.resendUserVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerifiedAt) {
+      return res
+        .status(409)
+        .json({ message: "Your email address is already confirmed" });
+    }
+
+    const verification = startEmailVerification(user);
+    await user.save();
+    notifyStaffEmailVerification(user, verification);
+
+    res.json({ success: true, message: "A new verification email is on its way" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while sending verification email" });
+  }
+};
+
+// FORGOT PASSWORD: email a single-use reset link
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide your email" });
+    }
+
+    const user = await User.findOne({ email: String(email) });
+    if (user) {
+      const reset = issueAccountToken(user, "passwordReset", PASSWORD_RESET_TTL_MS);
+      await user.save();
+      notifyPasswordReset(user, reset);
+    }
+
+    // Same answer either way, so the endpoint can't be used to find out who has an account
+    res.json({
+      success: true,
+      message: "If an account exists for this email, a reset link is on its way",
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while requesting password reset" });
+  }
+};
+
+// RESET PASSWORD with the emailed token; signs out every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res
+        .status(400)
+        .json({ message: "Please provide the reset token and a new password" });
+    }
+    const passwordProblem = checkNewPassword(password);
+    if (passwordProblem) {
+      return res.status(400).json({ message: passwordProblem });
+    }
+
+    const user = await redeemAccountToken(User, "passwordReset", token, {
+      password: await bcrypt.hash(password, 10),
+    });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "This reset link is invalid or has expired" });
+    }
+
+    await revokeSessions({ user: user._id }, "password_changed");
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please sign in with your new password",
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while resetting password" });
+  }
+};
+
+// REFRESH: exchange a refresh token for a new pair (the old one stops working)
+exports.refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (rotated.status) {
+      return res.status(rotated.status).json({ message: rotated.message });
+    }
+
+    // Accounts removed since the last refresh don't get a new token
+    if (!(await User.exists({ _id: rotated.session.user }))) {
+      await revokeSessions({ _id: rotated.session._id }, "user_removed");
+      return res
+        .status(401)
+        .json({ message: "Your session has expired. Please sign in again." });
+    }
+
+    res.json({
+      success: true,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while refreshing session" });
+  }
+};
+
+// LOGOUT (this device)
+exports.logoutUser = async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.authSession._id }, "logout");
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+// LOGOUT ALL DEVICES (including this one)
+exports.logoutAllDevices = async (req, res) => {
+  try {
+    const { modifiedCount } = await revokeSessions({ user: req.user._id }, "logout_all");
+    res.json({
+      success: true,
+      message: "Logged out of all devices",
+      revoked: modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+// MY ACTIVE SESSIONS (device, IP, last use)
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await findUserSessions(req.user._id);
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => toSessionView(session, req.authSession._id)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while fetching sessions" });
+  }
+};
+
+// SIGN OUT ONE OF MY DEVICES
+exports.revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID format" });
+    }
+
+    const { modifiedCount } = await revokeSessions(
+      { _id: req.params.sessionId, user: req.user._id },
+      "revoked"
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while revoking session" });
+  }
+};
+
+// TWO-FACTOR STATUS
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor.enabled),
+        enabledAt: user.twoFactor.enabledAt,
+        required: isTwoFactorRequired(user.role),
+        recoveryCodesLeft: user.twoFactor.enabled
+          ? user.twoFactor.recoveryCodeHashes.length
+          : 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while fetching two-factor status" });
+  }
+};
+
+// TWO-FACTOR SETUP: new secret and otpauth:// URI (shown as a QR code) for the app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    res.json({ success: true, ...(await startEnrollment(req.user)) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during two-factor setup" });
+  }
+};
+
+// TWO-FACTOR ENABLE: confirm the app with a first code; returns the recovery codes once
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const enrollment = await confirmEnrollment(user, req.body.code);
+    if (enrollment.status) {
+      return res.status(enrollment.status).json({ message: enrollment.message });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe",
+      recoveryCodes: enrollment.recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error during two-factor setup" });
+  }
+};
+
+// NEW RECOVERY CODES (needs a current authenticator code; the old codes stop working)
+exports.regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated",
+      recoveryCodes: await regenerateRecoveryCodes(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while generating recovery codes" });
+  }
+};
+
+// TWO-FACTOR DISABLE (password and a code; not allowed for roles that require it)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "Two-factor authentication is required for your role" });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+    );
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = password ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res
+        .status(401)
+        .json({ message: "Invalid password or authentication code" });
+    }
+
+    await removeTwoFactor(user._id);
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while disabling two-factor" });
+  }
+};
+
+// LIST STAFF ACCOUNTS
+exports.getUsers = async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: 1 });
+    res.json({ success: true, count: users.length, data: users });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while fetching users" });
+  }
+};
+
+// CHANGE A STAFF MEMBER'S ROLE
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    if (!isValidRole(role)) {
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Someone must always be able to manage accounts
+    if (user.role === "owner" && role !== "owner") {
+      const owners = await User.countDocuments({ role: "owner" });
+      if (owners <= 1) {
+        return res
+          .status(409)
+          .json({ message: "The last owner cannot be given another role" });
+      }
+    }
+
+    user.role = role;
+    const updatedUser = await user.save();
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      user: toUserView(updatedUser),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while updating role" });
+  }
+};
+
+// ACTIVE SESSIONS OF A STAFF MEMBER
+exports.getUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const sessions = await findUserSessions(req.params.id);
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => toSessionView(session, req.authSession._id)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while fetching sessions" });
+  }
+};
+
+// SIGN A STAFF MEMBER OUT EVERYWHERE (e.g. a lost laptop)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { modifiedCount } = await revokeSessions({ user: req.params.id }, "revoked");
+    res.json({
+      success: true,
+      message: "All sessions revoked",
+      revoked: modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while revoking sessions" });
+  }
+};
+
+// REMOVE A STAFF ACCOUNT: access ends immediately, on every device
+exports.deleteUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.role === "owner" && (await User.countDocuments({ role: "owner" })) <= 1) {
+      return res
+        .status(409)
+        .json({ message: "The last owner cannot be removed" });
+    }
+
+    await user.deleteOne();
+    await revokeSessions({ user: user._id }, "user_removed");
+
+    res.json({ success: true, message: "User removed successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while removing user" });
+  }
+};
+
+// RESET A STAFF MEMBER'S TWO-FACTOR (lost phone and recovery codes); they set it up again
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { matchedCount } = await removeTwoFactor(req.params.id);
+    if (matchedCount === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ success: true, message: "Two-factor authentication reset" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error while resetting two-factor" });
+  }
+};
@@ -0,0 +1,235 @@
+// backend/controllers/vehicleDocumentController.js
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const Car = require('../models/Car');
+const FleetUnit = require('../models/FleetUnit');
+const VehicleDocument = require('../models/VehicleDocument');
+const { sendValidationError } = require('../utils/validation');
+const { findExpiringDocuments } = require('../utils/vehicleDocuments');
+
+// Fields an admin may set; the car and vehicle of a document can't be changed afterwards
+const EDITABLE_FIELDS = ['type', 'number', 'issuer', 'issueDate', 'expiryDate', 'mandatory', 'reminderDays', 'notes'];
+
+// Multipart forms send reminder days as "30,7,0" or a JSON array
+const parseReminderDays = (value) => {
+  if (Array.isArray(value) || typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  return trimmed === '' ? [] : trimmed.split(',').map((days) => Number(days.trim()));
+};
+
+const pickDocumentFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] === undefined) return fields;
+    if (key === 'reminderDays') fields[key] = parseReminderDays(body[key]);
+    else if (key === 'mandatory') fields[key] = body[key] === 'true' || body[key] === true;
+    else fields[key] = body[key];
+    return fields;
+  }, {});
+
+const toStoredFile = (file) => ({
+  filename: file.filename,
+  path: file.path,
+  originalName: file.originalname,
+  size: file.size || 0,
+  mimetype: file.mimetype,
+});
+
+const removeFile = (file) => (file && file.path ? fs.unlink(file.path).catch(() => {}) : Promise.resolve());
+
+const findDocumentOr404 = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid document ID format.' });
+    return null;
+  }
+  const document = await VehicleDocument.findById(req.params.id);
+  if (!document) {
+    res.status(404).json({ success: false, message: 'Document not found.' });
+    return null;
+  }
+  return document;
+};
+
+/**
+ * @desc    List vehicle documents (?car=&unit=&type=)
+ * @route   GET /api/vehicle-documents
+ * @access  Private
+ */
+exports.getVehicleDocuments = async (req, res) => {
+  try {
+    const { car, unit, type } = req.query;
+    if ((car && !mongoose.isValidObjectId(car)) || (unit && !mongoose.isValidObjectId(unit))) {
+      return res.status(400).json({ success: false, message: 'Invalid ID format.' });
+    }
+    const filter = {};
+    if (car) filter.car = car;
+    if (unit) filter.unit = unit;
+    if (type) filter.type = type;
+
+    const documents = await VehicleDocument.find(filter)
+      .populate('car', 'name brand')
+      .populate('unit', 'plateNumber')
+      .sort({ expiryDate: -1 });
+    res.status(200).json({ success: true, count: documents.length, data: documents });
+  } catch (error) {
+    console.error('GET VEHICLE DOCUMENTS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve documents.' });
+  }
+};
+
+/**
+ * @desc    Current documents expired or expiring within ?days= (default 30)
+ * @route   GET /api/vehicle-documents/expiring
+ * @access  Private
+ */
+exports.getExpiringDocuments = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isFinite(days) || days < 0) {
+      return res.status(400).json({ success: false, message: 'days must be a non-negative number.' });
+    }
+    const documents = await findExpiringDocuments({ days });
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      expired: documents.filter((document) => document.expired).length,
+      data: documents,
+    });
+  } catch (error) {
+    console.error('GET EXPIRING DOCUMENTS ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve expiring documents.' });
+  }
+};
+
+/**
+ * @desc    Get a single vehicle document
+ * @route   GET /api/vehicle-documents/:id
+ * @access  Private
+ */
+exports.getVehicleDocumentById = async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req, res);
+    if (!document) return;
+    await document.populate([
+      { path: 'car', select: 'name brand' },
+      { path: 'unit', select: 'plateNumber' },
+    ]);
+    res.status(200).json({ success: true, data: document });
+  } catch (error) {
+    console.error('GET VEHICLE DOCUMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve document.' });
+  }
+};
+
+/**
+ * @desc    Download the scan of a vehicle document
+ * @route   GET /api/vehicle-documents/:id/file
+ * @access  Private
+ */
+exports.downloadVehicleDocument = async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req, res);
+    if (!document) return;
+    if (!document.file || !document.file.path) {
+      return res.status(404).json({ success: false, message: 'No file was uploaded for this document.' });
+    }
+    res.download(document.file.path, document.file.originalName || document.file.filename, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'The file for this document is missing.' });
+      }
+    });
+  } catch (error) {
+    console.error('DOWNLOAD VEHICLE DOCUMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to download document.' });
+  }
+};
+
+/**
+ * @desc    Add a document to a car (multipart, optional scan in field "file")
+ * @route   POST /api/vehicle-documents
+ * @access  Private
+ */
+exports.createVehicleDocument = async (req, res) => {
+  try {
+    const { car: carId, unit: unitId } = req.body;
+    const reject = async (status, message) => {
+      await removeFile(req.file);
+      return res.status(status).json({ success: false, message });
+    };
+
+    if (!mongoose.isValidObjectId(carId)) return reject(400, 'Invalid car ID format.');
+    const car = await Car.findById(carId).select('_id');
+    if (!car) return reject(404, 'Car not found.');
+
+    let unit = null;
+    if (unitId) {
+      unit = mongoose.isValidObjectId(unitId) ? await FleetUnit.findOne({ _id: unitId, car: car._id }) : null;
+      if (!unit) return reject(404, 'Vehicle not found for this car.');
+    }
+
+    const document = await VehicleDocument.create({
+      ...pickDocumentFields(req.body),
+      car: car._id,
+      unit: unit ? unit._id : null,
+      file: req.file ? toStoredFile(req.file) : undefined,
+    });
+    res.status(201).json({ success: true, data: document });
+  } catch (error) {
+    await removeFile(req.file);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('CREATE VEHICLE DOCUMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to create document.' });
+  }
+};
+
+/**
+ * @desc    Update a vehicle document, optionally replacing its scan
+ * @route   PUT /api/vehicle-documents/:id
+ * @access  Private
+ */
+exports.updateVehicleDocument = async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req, res);
+    if (!document) {
+      await removeFile(req.file);
+      return;
+    }
+
+    const previousFile = document.file ? document.file.toObject() : null;
+    document.set(pickDocumentFields(req.body));
+    if (req.file) document.file = toStoredFile(req.file);
+    const updatedDocument = await document.save();
+    if (req.file) await removeFile(previousFile);
+
+    res.status(200).json({ success: true, data: updatedDocument });
+  } catch (error) {
+    await removeFile(req.file);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('UPDATE VEHICLE DOCUMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to update document.' });
+  }
+};
+
+/**
+ * @desc    Delete a vehicle document and its scan
+ * @route   DELETE /api/vehicle-documents/:id
+ * @access  Private
+ */
+exports.deleteVehicleDocument = async (req, res) => {
+  try {
+    const document = await findDocumentOr404(req, res);
+    if (!document) return;
+    await document.deleteOne();
+    await removeFile(document.file);
+    res.status(200).json({ success: true, message: 'Document deleted successfully.' });
+  } catch (error) {
+    console.error('DELETE VEHICLE DOCUMENT ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete document.' });
+  }
+};
@@ -0,0 +1,153 @@
+// backend/controllers/waitlistController.js
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const BookingHold = require('../models/BookingHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  parseBookingDates,
+  checkCarAvailability,
+  findUnavailableCarIds,
+} = require('../utils/bookingAvailability');
+const { sendValidationError } = require('../utils/validation');
+const { offerFreedSlot } = require('../services/waitlist');
+
+const { CAR_TYPES } = Car;
+
+/**
+ * @desc    Join the waitlist for a car, or any car of a type, on given dates
+ * @route   POST /api/waitlist
+ * @access  Public
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { carId, carType, pickupDate, returnDate, userName, userEmail, userPhone } = req.body;
+
+    if (!userName || !userEmail || (!carId && !carType)) {
+      return res.status(400).json({ success: false, message: 'Please provide your name, email and a car or car type.' });
+    }
+    const { pickup, dropoff, error: dateError } = parseBookingDates(pickupDate, returnDate);
+    if (dateError) {
+      return res.status(400).json({ success: false, message: dateError });
+    }
+    if (pickup < new Date()) {
+      return res.status(400).json({ success: false, message: 'Pickup date must be in the future.' });
+    }
+
+    const target = {};
+    if (carId) {
+      if (!mongoose.isValidObjectId(carId)) {
+        return res.status(400).json({ success: false, message: 'Invalid car ID format.' });
+      }
+      const car = await Car.findById(carId).select('_id');
+      if (!car) {
+        return res.status(404).json({ success: false, message: 'Car not found.' });
+      }
+      if ((await checkCarAvailability(car._id, pickup, dropoff)).available) {
+        return res.status(409).json({ success: false, message: 'This car is available for these dates. You can book it now.' });
+      }
+      target.car = car._id;
+    } else {
+      if (!CAR_TYPES.includes(carType)) {
+        return res.status(400).json({ success: false, message: `Car type must be one of: ${CAR_TYPES.join(', ')}.` });
+      }
+      const unavailableIds = await findUnavailableCarIds(pickup, dropoff);
+      if (await Car.exists({ type: carType, available: true, _id: { $nin: unavailableIds } })) {
+        return res.status(409).json({ success: false, message: `A ${carType} is available for these dates. You can book it now.` });
+      }
+      target.car = null;
+      target.carType = carType;
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      ...target,
+      userEmail: String(userEmail).trim().toLowerCase(),
+      pickupDate: pickup,
+      returnDate: dropoff,
+      status: { $in: ['waiting', 'offered'] },
+    });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'You are already on the waitlist for these dates.' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      ...target,
+      pickupDate: pickup,
+      returnDate: dropoff,
+      userName,
+      userEmail,
+      userPhone,
+    });
+    const position = await WaitlistEntry.countDocuments({
+      ...target,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'You are on the waitlist. We will email you as soon as a car frees up.',
+      position,
+      data: entry,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('JOIN WAITLIST ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to join the waitlist.' });
+  }
+};
+
+/**
+ * @desc    Waitlist entries, oldest first (filter with ?status= and ?car=)
+ * @route   GET /api/waitlist
+ * @access  Private
+ */
+exports.getWaitlist = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.car) {
+      if (!mongoose.isValidObjectId(req.query.car)) {
+        return res.status(400).json({ success: false, message: 'Invalid car ID format.' });
+      }
+      filter.car = req.query.car;
+    }
+    const entries = await WaitlistEntry.find(filter)
+      .populate('car', 'name brand')
+      .populate('offer.car', 'name brand')
+      .sort({ createdAt: 1 });
+    res.status(200).json({ success: true, count: entries.length, data: entries });
+  } catch (error) {
+    console.error('GET WAITLIST ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to retrieve the waitlist.' });
+  }
+};
+
+/**
+ * @desc    Take someone off the waitlist, releasing any car held for them
+ * @route   DELETE /api/waitlist/:id
+ * @access  Private
+ */
+exports.removeWaitlistEntry = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid waitlist entry ID format.' });
+    }
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'No open waitlist entry with this ID.' });
+    }
+    if (entry.offer && entry.offer.hold) {
+      const { deletedCount } = await BookingHold.deleteOne({ _id: entry.offer.hold });
+      // The held car goes to the next person in line
+      if (deletedCount > 0) offerFreedSlot(entry.offer.car, entry.pickupDate, entry.returnDate);
+    }
+    res.status(200).json({ success: true, message: 'Waitlist entry removed.', data: entry });
+  } catch (error) {
+    console.error('REMOVE WAITLIST ENTRY ERROR:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove waitlist entry.' });
+  }
+};
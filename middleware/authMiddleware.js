@@ -1,6 +1,22 @@
 // api/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission, isValidPermission } = require('../config/permissions');
+const { findActiveSession } = require('../utils/sessions');
+
+// Socket.io room for live dashboard updates; only staff who may see bookings join it
+const DASHBOARD_ROOM = 'dashboard';
+
+// The staff member a bearer token belongs to, or null. Customer and guest booking tokens
+// carry a purpose; staff tokens name their session, which must still be active so
+// signing out or revoking a device takes effect at once.
+const findStaffByToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = !decoded.purpose && decoded.sid
+    ? await findActiveSession(decoded.sid, decoded.id)
+    : null;
+  return session ? { session, user: await User.findById(decoded.id) } : { session: null, user: null };
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -18,15 +34,23 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
-      next();
+      const { session, user } = await findStaffByToken(token);
+      req.authSession = session;
+      req.user = user;
     } catch (error) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
@@ -36,15 +60,65 @@ const protect = async (req, res, next) => {
   }
 };
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+/**
+ * Route guard: the signed-in staff member's role must grant every listed permission.
+ * Use after `protect`, e.g. router.get('/', protect, authorize('bookings:read'), handler).
+ */
+const authorize = (...permissions) => {
+  const unknown = permissions.filter((permission) => !isValidPermission(permission));
+  if (unknown.length > 0) throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+    if (!permissions.every((permission) => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
     next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin role required.'
-    });
+  };
+};
+
+// The very first staff account can be created without signing in; after that the
+// route is guarded like any other: protect + authorize(...permissions). Two requests may
+// both pass this check on an empty database; User's unique firstAccount index lets only
+// one of them be saved.
+const authorizeAfterFirstUser = (...permissions) => {
+  const check = authorize(...permissions);
+  return async (req, res, next) => {
+    try {
+      if (!(await User.exists({}))) return next();
+    } catch (error) {
+      console.error('Auth middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error in authentication'
+      });
+    }
+    return protect(req, res, () => check(req, res, next));
+  };
+};
+
+/**
+ * Socket.io handshake guard: clients send their staff access token as `auth.token`.
+ * Live updates carry customer data, so anyone else is refused, and only staff who
+ * may read bookings join DASHBOARD_ROOM, where every update is sent.
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { user } = await findStaffByToken(String((socket.handshake.auth || {}).token || ''));
+    if (!user) return next(new Error('Not authorized'));
+    if (hasPermission(user.role, 'bookings:read')) socket.join(DASHBOARD_ROOM);
+    next();
+  } catch (error) {
+    next(new Error('Not authorized'));
   }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { DASHBOARD_ROOM, protect, authorize, authorizeAfterFirstUser, authenticateSocket };
@@ -0,0 +1,39 @@
+// api/middleware/bookingAccessMiddleware.js
+const Booking = require('../models/Booking');
+const { verifyBookingAccessToken } = require('../utils/bookingAccess');
+
+// Loads the booking named by :reference when the request carries its guest token
+// (either ?token= from the emailed link or an X-Booking-Token header).
+const guestBookingAccess = async (req, res, next) => {
+  try {
+    const reference = (req.params.reference || '').toUpperCase();
+    const token = req.headers['x-booking-token'] || req.query.token;
+
+    const payload = token && verifyBookingAccessToken(token, reference);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: 'This booking link is invalid or has expired.'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: payload.bookingId, reference });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    req.booking = booking;
+    next();
+  } catch (error) {
+    console.error('Booking access middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking booking access'
+    });
+  }
+};
+
+module.exports = { guestBookingAccess };
@@ -0,0 +1,47 @@
+// api/middleware/customerAuthMiddleware.js
+const Customer = require('../models/Customer');
+const { verifyCustomerToken } = require('../utils/customers');
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer') ? header.split(' ')[1] : null;
+};
+
+// Requires a signed-in customer and loads them into req.customer
+const protectCustomer = async (req, res, next) => {
+  try {
+    const payload = verifyCustomerToken(readBearerToken(req));
+    const customer = payload && await Customer.findById(payload.id);
+    if (!customer) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please sign in to your account'
+      });
+    }
+    req.customer = customer;
+    next();
+  } catch (error) {
+    console.error('Customer auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
+// Public routes that also work for guests: loads req.customer when a valid customer token is sent
+const identifyCustomer = async (req, res, next) => {
+  try {
+    const payload = verifyCustomerToken(readBearerToken(req));
+    req.customer = payload ? await Customer.findById(payload.id) : null;
+    next();
+  } catch (error) {
+    console.error('Customer auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
+module.exports = { protectCustomer, identifyCustomer };
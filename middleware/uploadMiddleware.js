@@ -0,0 +1,192 @@
+// backend/middleware/uploadMiddleware.js
+// Local file uploads: public car images in uploads/, served statically, and private files
+// in storage/ (vehicle papers, inspection photos), which only authorized routes send.
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// ✅ Use absolute path for uploads directory
+const uploadsDir = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  console.log('✅ Uploads directory created:', uploadsDir);
+}
+
+const documentsDir = path.join(__dirname, '../storage/vehicle-documents');
+if (!fs.existsSync(documentsDir)) {
+  fs.mkdirSync(documentsDir, { recursive: true });
+}
+
+const inspectionPhotosDir = path.join(__dirname, '../storage/inspection-photos');
+if (!fs.existsSync(inspectionPhotosDir)) {
+  fs.mkdirSync(inspectionPhotosDir, { recursive: true });
+}
+
+function uniqueFilename(req, file, cb) {
+  const originalName = path.parse(file.originalname).name;
+  const sanitizedName = originalName.replace(/[^a-zA-Z0-9]/g, '_');
+  const extension = path.extname(file.originalname).toLowerCase();
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  cb(null, `${sanitizedName}-${uniqueSuffix}${extension}`);
+}
+
+// Multer configuration
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadsDir);
+  },
+  filename: uniqueFilename,
+});
+
+const documentStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, documentsDir);
+  },
+  filename: uniqueFilename,
+});
+
+const inspectionPhotoStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, inspectionPhotosDir);
+  },
+  filename: uniqueFilename,
+});
+
+function checkFileType(file, cb) {
+  const allowedFileTypes = {
+    'image/jpeg': true,
+    'image/jpg': true,
+    'image/png': true,
+    'image/gif': true,
+    'image/webp': true
+  };
+  const isValidMimeType = allowedFileTypes[file.mimetype];
+  const fileExtension = path.extname(file.originalname).toLowerCase().replace('.', '');
+  const isValidExtension = /jpeg|jpg|png|gif|webp/.test(fileExtension);
+
+  if (isValidMimeType && isValidExtension) {
+    return cb(null, true);
+  } else {
+    const allowedExtensions = Object.keys(allowedFileTypes).join(', ').replace('image/', '');
+    cb(new Error(`Invalid file type. Allowed types: ${allowedExtensions}.`));
+  }
+}
+
+// Scans and photos of papers: PDF or image
+function checkDocumentType(file, cb) {
+  const fileExtension = path.extname(file.originalname).toLowerCase().replace('.', '');
+  if (file.mimetype === 'application/pdf' && fileExtension === 'pdf') {
+    return cb(null, true);
+  }
+  checkFileType(file, (error) => {
+    if (error) return cb(new Error('Invalid file type. Allowed types: pdf, jpeg, jpg, png, gif, webp.'));
+    cb(null, true);
+  });
+}
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: function (req, file, cb) {
+    checkFileType(file, cb);
+  }
+});
+
+const documentUpload = multer({
+  storage: documentStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: function (req, file, cb) {
+    checkDocumentType(file, cb);
+  }
+});
+
+// Damage evidence linked to a booking: kept out of the public uploads/ folder
+const inspectionPhotoUpload = multer({
+  storage: inspectionPhotoStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: function (req, file, cb) {
+    checkFileType(file, cb);
+  }
+});
+
+// Multer error handling middleware
+const handleMulterError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    console.error('❌ Multer error:', error.message);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File too large',
+        error: 'File size must be less than 5MB'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected field',
+        error: 'Invalid field name for file upload'
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: 'Too many files',
+        error: 'Maximum 10 images allowed'
+      });
+    }
+    if (error.code === 'LIMIT_PART_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: 'Too many parts',
+        error: 'Too many form parts'
+      });
+    }
+    // Log other Multer errors
+    console.error('❌ Unexpected Multer error:', error);
+    return res.status(400).json({
+      success: false,
+      message: 'File upload error',
+      error: error.message
+    });
+  } else if (error) {
+    console.error('❌ File upload error:', error);
+    return res.status(400).json({
+      success: false,
+      message: 'File upload error',
+      error: error.message
+    });
+  }
+  next();
+};
+
+// Middleware to log uploaded files
+const logUploadedFiles = (req, res, next) => {
+  if (!req.files || Object.keys(req.files).length === 0) {
+    console.log('⚠️ No files uploaded.');
+  } else {
+    console.log('📁 Uploaded files:');
+    Object.keys(req.files).forEach(fieldName => {
+      req.files[fieldName].forEach(file => {
+        console.log(`  - ${fieldName}: ${file.filename} (${(file.size / 1024).toFixed(2)} KB)`);
+      });
+    });
+  }
+  next();
+};
+
+module.exports = {
+  uploadsDir,
+  documentsDir,
+  inspectionPhotosDir,
+  upload,
+  documentUpload,
+  inspectionPhotoUpload,
+  handleMulterError,
+  logUploadedFiles,
+};
@@ -0,0 +1,38 @@
+// backend/models/Blackout.js
+const mongoose = require('mongoose');
+
+// Admin-defined period during which a car cannot be booked
+const blackoutSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required.'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required.'],
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+blackoutSchema.index({ car: 1, startDate: 1, endDate: 1 });
+
+blackoutSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date.');
+  }
+  next();
+});
+
+const Blackout = mongoose.model('Blackout', blackoutSchema);
+module.exports = Blackout;
@@ -1,12 +1,91 @@
 // backend/models/Booking.js
 const mongoose = require('mongoose');
+const { BOOKING_STATUSES, RELEASED_STATUSES, canTransition, getAllowedTransitions } = require('../utils/bookingLifecycle');
+const { generateBookingReference } = require('../utils/bookingAccess');
+
+// --- Price line item (snapshot of the server-side quote) ---
+const lineItemSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  label: { type: String, required: true },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, default: 0 },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
+// --- Pricing rule that changed the total (see PricingRule) ---
+const appliedRuleSchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+  name: { type: String, required: true },
+  days: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+}, { _id: false });
+
+// --- One entry per status change ---
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: [...BOOKING_STATUSES, null], default: null },
+  to: { type: String, enum: BOOKING_STATUSES, required: true },
+  actor: {
+    kind: { type: String, enum: ['staff', 'customer', 'system'], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+  },
+  reason: { type: String, trim: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// --- Add-on booked with the car (snapshot of the catalog entry) ---
+const bookingExtraSchema = new mongoose.Schema({
+  extra: { type: mongoose.Schema.Types.ObjectId, ref: 'Extra', required: true },
+  name: { type: String, required: true },
+  pricingType: { type: String, enum: ['per_day', 'per_rental'], required: true },
+  unitPrice: { type: Number, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
+// --- Guest request to move the booking to other dates ---
+const changeRequestSchema = new mongoose.Schema({
+  pickupDate: { type: Date, required: true },
+  returnDate: { type: Date, required: true },
+  message: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  // Snapshot taken when the request was made, to help staff decide
+  availableAtRequest: { type: Boolean },
+  quotedTotal: { type: Number },
+  requestedAt: { type: Date, default: Date.now },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, trim: true },
+});
 
 const bookingSchema = new mongoose.Schema({
+  // Human-friendly code customers quote to us, e.g. FDL-7K3M-9QXA
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true, // Bookings made before references existed have none
+    uppercase: true,
+  },
   car: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Car',
     required: true,
   },
+  // The physical vehicle handed over, chosen at confirmation (listings with fleet units only)
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FleetUnit',
+    default: null,
+  },
+  // Customer account the booking belongs to; guest bookings get linked once the email is verified
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+  },
   userEmail: {
     type: String,
     required: true,
@@ -27,6 +106,15 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  // Branches are optional: bookings made before locations existed have none
+  pickupLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+  },
+  returnLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+  },
   returnDate: {
     type: Date,
     required: true,
@@ -35,15 +123,163 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  priceBreakdown: {
+    currency: { type: String, default: 'MAD' },
+    rentalDays: { type: Number },
+    billableDays: { type: Number },
+    dailyRate: { type: Number },
+    lineItems: [lineItemSchema],
+    subtotal: { type: Number },
+  },
+  appliedPricingRules: [appliedRuleSchema],
+  extras: [bookingExtraSchema],
+  // Promo code redeemed by this booking (see Coupon)
+  coupon: {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String },
+    discountAmount: { type: Number },
+  },
   status: {
     type: String,
-    enum: ['confirmed', 'completed', 'cancelled'],
-    default: 'confirmed',
+    enum: BOOKING_STATUSES,
+    default: 'pending',
+  },
+  statusHistory: [statusChangeSchema],
+  changeRequests: [changeRequestSchema],
+  // Totals of the payment ledger (see Payment), kept up to date by services/payments
+  payments: {
+    paid: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    securityHeld: { type: Number, default: 0 },
+  },
+  // iCalendar SEQUENCE, bumped whenever calendar clients must refresh the event
+  icalSequence: {
+    type: Number,
+    default: 0,
+  },
+  // Set by the scheduled jobs (see services/scheduler/jobs) so each reminder goes out once
+  reminders: {
+    pickupSentAt: { type: Date, default: null },
+    returnSentAt: { type: Date, default: null },
+  },
+  // When the booking was first seen past its return date without being returned
+  overdueAt: {
+    type: Date,
+    default: null,
+  },
+  // Assigned the first time an invoice is produced (see services/documents), together
+  // with what the invoice says, so reprints never change once the number is issued
+  invoice: {
+    number: { type: String },
+    issuedAt: { type: Date },
+    currency: { type: String },
+    billedTo: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+    },
+    vehicle: { type: String },
+    pickup: { type: String },
+    return: { type: String },
+    billableDays: { type: Number },
+    lineItems: { type: [lineItemSchema], default: undefined },
+    total: { type: Number },
+  },
+  // --- Bumped inside payment transactions to serialize ledger writes ---
+  ledgerVersion: {
+    type: Number,
+    default: 0,
+    select: false,
   },
 }, {
   timestamps: true,
+  optimisticConcurrency: true, // Two admins changing status at once must not overwrite each other
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Speeds up overlap checks for a car's date range
+bookingSchema.index({ car: 1, pickupDate: 1, returnDate: 1 });
+bookingSchema.index({ unit: 1, pickupDate: 1 });
+bookingSchema.index({ customer: 1, pickupDate: -1 });
+bookingSchema.index({ userEmail: 1 });
+bookingSchema.index({ 'extras.extra': 1, pickupDate: 1 });
+bookingSchema.index({ 'coupon.coupon': 1, userEmail: 1 });
+bookingSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+bookingSchema.index({ status: 1, pickupDate: 1 });
+bookingSchema.index({ status: 1, returnDate: 1 });
+
+// --- Assign a reference to new bookings ---
+bookingSchema.pre('validate', function (next) {
+  if (this.isNew && !this.reference) {
+    this.reference = generateBookingReference();
+  }
+  next();
+});
+
+// --- Tell calendar feeds the event changed ---
+bookingSchema.pre('save', function (next) {
+  const calendarFields = ['status', 'pickupDate', 'returnDate', 'pickupLocation', 'returnLocation', 'car'];
+  if (!this.isNew && calendarFields.some((field) => this.isModified(field))) {
+    this.icalSequence = (this.icalSequence || 0) + 1;
+  }
+  next();
 });
 
+// --- New dates get their own reminders ---
+bookingSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('pickupDate')) {
+    this.reminders.pickupSentAt = null;
+  }
+  if (!this.isNew && this.isModified('returnDate')) {
+    this.reminders.returnSentAt = null;
+    this.overdueAt = null;
+  }
+  next();
+});
+
+// --- Give the promo code use back when a booking is cancelled or a no-show ---
+bookingSchema.pre('save', function (next) {
+  this.$locals.releasesCoupon = !this.isNew
+    && this.isModified('status')
+    && RELEASED_STATUSES.includes(this.status)
+    && Boolean(this.coupon && this.coupon.coupon);
+  next();
+});
+
+bookingSchema.post('save', async function (doc) {
+  if (doc.$locals.releasesCoupon) {
+    doc.$locals.releasesCoupon = false;
+    // Looked up lazily: the Coupon model isn't needed anywhere else in this file
+    await mongoose.model('Coupon').updateOne(
+      { _id: doc.coupon.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+});
+
+// --- Statuses the booking can move to next ---
+bookingSchema.virtual('allowedTransitions').get(function () {
+  return getAllowedTransitions(this.status);
+});
+
+// --- Still to be paid: nothing once cancelled or a no-show (refunds are tracked separately) ---
+bookingSchema.virtual('amountOutstanding').get(function () {
+  if (RELEASED_STATUSES.includes(this.status) || this.totalPrice === undefined) return 0;
+  const netPaid = this.payments ? this.payments.paid - this.payments.refunded : 0;
+  return Math.max(0, Math.round((this.totalPrice - netPaid) * 100) / 100);
+});
+
+// --- Move to a new status and record who did it ---
+bookingSchema.methods.transitionTo = function (status, { actor, reason } = {}) {
+  if (!canTransition(this.status, status)) {
+    throw new Error(`Cannot change booking status from ${this.status} to ${status}.`);
+  }
+  this.statusHistory.push({ from: this.status, to: status, actor, reason });
+  this.status = status;
+  return this;
+};
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// backend/models/BookingHold.js
+const mongoose = require('mongoose');
+
+// Short reservation of a car while a customer completes checkout.
+// Consumed (deleted) by createBooking; MongoDB's TTL monitor deletes expired ones,
+// and availability queries ignore them as soon as expiresAt has passed.
+const bookingHoldSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  pickupDate: {
+    type: Date,
+    required: true,
+  },
+  returnDate: {
+    type: Date,
+    required: true,
+  },
+  // SHA-256 of the token given to the customer; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Address of the customer placing a checkout hold, to limit holds per client;
+  // unset on holds created for waitlist offers
+  clientIp: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+bookingHoldSchema.index({ car: 1, pickupDate: 1, returnDate: 1 });
+bookingHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bookingHoldSchema.index({ clientIp: 1, expiresAt: 1 });
+
+const BookingHold = mongoose.model('BookingHold', bookingHoldSchema);
+
+module.exports = BookingHold;
@@ -3,6 +3,9 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify'); // npm install slugify
 
+// Kinds of car a listing can be; pricing rules, coupons and the waitlist target them too
+const CAR_TYPES = ['Sedan', 'SUV', 'Hatchback', 'Coupe', 'Truck'];
+
 // --- Image Schema ---
 const imageSchema = new mongoose.Schema({
   url: {
@@ -49,7 +52,7 @@ const carSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['Sedan', 'SUV', 'Hatchback', 'Coupe', 'Truck'],
+    enum: CAR_TYPES,
     default: 'Sedan'
   },
   slug: {
@@ -101,10 +104,31 @@ const carSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+
+  // --- Branch the car is normally based at (optional) ---
+  homeLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   featured: {
     type: Boolean,
     default: false
   },
+
+  // --- Latest known odometer reading in km (inspections and maintenance keep it current) ---
+  odometer: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // --- Bumped inside booking transactions to serialize concurrent bookings ---
+  bookingLockVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   specs: {
     seats: {
       type: Number,
@@ -135,6 +159,7 @@ carSchema.index({ brand: 1, name: 1 });
 carSchema.index({ type: 1 });
 carSchema.index({ available: 1 });
 carSchema.index({ featured: 1 });
+carSchema.index({ homeLocation: 1 });
 
 // --- Automatic slug generation ---
 carSchema.pre('save', function (next) {
@@ -271,4 +296,5 @@ carSchema.virtual('primaryImage').get(function () {
 });
 
 const Car = mongoose.model('Car', carSchema);
+Car.CAR_TYPES = CAR_TYPES;
 module.exports = Car;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// backend/models/Counter.js
+const mongoose = require('mongoose');
+
+// Named monotonically increasing sequence, e.g. "invoice"
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// --- Next value of the sequence, creating it on first use ---
+counterSchema.statics.nextSequence = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
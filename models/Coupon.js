@@ -0,0 +1,68 @@
+// backend/models/Coupon.js
+const mongoose = require('mongoose');
+const { CAR_TYPES } = require('./Car');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required.'],
+    unique: true,
+    trim: true,
+    uppercase: true, // Codes are matched case-insensitively, e.g. "SUMMER26"
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required.'],
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required.'],
+    min: 0,
+  },
+  // Cap for percentage discounts, in MAD
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+
+  // --- When the code can be redeemed ---
+  validFrom: { type: Date },
+  validTo: { type: Date },
+
+  // --- Usage limits (null = unlimited) ---
+  maxUses: { type: Number, min: 1, default: null },
+  usedCount: { type: Number, min: 0, default: 0 },
+  maxUsesPerCustomer: { type: Number, min: 1, default: null },
+
+  // --- Eligibility ---
+  minRentalDays: { type: Number, min: 1, default: null },
+  cars: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Car' }], // Empty = any car
+  carTypes: [{ type: String, enum: CAR_TYPES }], // Empty = any type
+
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100.');
+  }
+  if (this.validFrom && this.validTo && this.validTo <= this.validFrom) {
+    this.invalidate('validTo', 'End of validity must be after its start.');
+  }
+  next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+module.exports = Coupon;
@@ -0,0 +1,59 @@
+// backend/models/Customer.js
+const mongoose = require('mongoose');
+
+// --- Driver details saved to prefill bookings ---
+const driverSchema = new mongoose.Schema({
+  dateOfBirth: { type: Date },
+  licenseNumber: { type: String, trim: true },
+  licenseCountry: { type: String, trim: true },
+  licenseIssuedAt: { type: Date },
+  licenseExpiresAt: { type: Date },
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  country: { type: String, trim: true },
+}, { _id: false });
+
+// Renter account. Kept apart from User (staff) so a customer login can never reach admin routes.
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true,
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required.'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address.'],
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  driver: {
+    type: driverSchema,
+    default: () => ({}),
+  },
+  // Guest bookings made with this email are linked once it is verified
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false },
+  },
+}, {
+  timestamps: true,
+});
+
+const Customer = mongoose.model('Customer', customerSchema);
+module.exports = Customer;
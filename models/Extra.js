@@ -0,0 +1,64 @@
+// backend/models/Extra.js
+const mongoose = require('mongoose');
+
+// Bookable add-on such as a child seat, GPS or full insurance
+const extraSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required.'],
+    unique: true,
+    trim: true,
+    lowercase: true, // e.g. "child-seat"
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  category: {
+    type: String,
+    enum: ['equipment', 'driver', 'insurance', 'service'],
+    default: 'equipment',
+  },
+  pricingType: {
+    type: String,
+    enum: ['per_day', 'per_rental'],
+    required: [true, 'Pricing type is required.'],
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required.'],
+    min: 0,
+  },
+  // Units we own; null means unlimited (insurance, extra driver)
+  stock: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  maxPerBooking: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // --- Bumped inside booking transactions to serialize stock checks ---
+  bookingLockVersion: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+const Extra = mongoose.model('Extra', extraSchema);
+module.exports = Extra;
@@ -0,0 +1,55 @@
+// backend/models/FleetUnit.js
+const mongoose = require('mongoose');
+
+// One physical vehicle of a car listing. A listing without units stands for a single vehicle;
+// once units are registered, only active ones count towards what can be booked.
+const fleetUnitSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  plateNumber: {
+    type: String,
+    required: [true, 'Plate number is required.'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  vin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'VIN must be 17 characters (no I, O or Q).'],
+  },
+  colour: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // In km; kept current by inspections and maintenance
+  odometer: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // active: rentable; maintenance: off the road until further notice; retired: sold or written off
+  status: {
+    type: String,
+    enum: ['active', 'maintenance', 'retired'],
+    default: 'active',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+fleetUnitSchema.index({ car: 1, status: 1 });
+fleetUnitSchema.index({ vin: 1 }, { unique: true, sparse: true });
+
+const FleetUnit = mongoose.model('FleetUnit', fleetUnitSchema);
+module.exports = FleetUnit;
@@ -0,0 +1,96 @@
+// backend/models/Inspection.js
+const mongoose = require('mongoose');
+
+// Parts of the car walked around at each handover
+const CAR_ZONES = [
+  'front_bumper', 'hood', 'windshield', 'roof', 'rear_window', 'trunk', 'rear_bumper',
+  'front_left', 'rear_left', 'front_right', 'rear_right',
+  'mirrors', 'lights', 'wheels', 'interior',
+];
+const DAMAGE_TYPES = ['scratch', 'dent', 'crack', 'chip', 'stain', 'broken', 'missing'];
+
+// --- Checklist line for one zone; no damage listed means the zone is fine ---
+const zoneCheckSchema = new mongoose.Schema({
+  zone: { type: String, enum: CAR_ZONES, required: true },
+  damages: [{ type: String, enum: DAMAGE_TYPES }],
+  notes: { type: String, trim: true, default: '' },
+}, { _id: false });
+
+// --- Photo stored in storage/inspection-photos/ under its filename ---
+const photoSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  filename: { type: String, required: true },
+  size: { type: Number },
+  mimetype: { type: String },
+}, { _id: false });
+
+// Check-out (pickup) or check-in (return) report for a booking
+const inspectionSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  // The vehicle inspected, for listings with fleet units
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FleetUnit',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: ['pickup', 'return'],
+    required: true,
+  },
+  odometer: {
+    type: Number,
+    required: [true, 'Odometer reading is required.'],
+    min: 0,
+  },
+  // Eighths of a tank, 0 (empty) to 8 (full), as read on the gauge
+  fuelLevel: {
+    type: Number,
+    required: [true, 'Fuel level is required.'],
+    min: 0,
+    max: 8,
+  },
+  checklist: [zoneCheckSchema],
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  photos: [photoSchema],
+  inspectedBy: {
+    kind: { type: String, enum: ['staff', 'customer', 'system'], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+  },
+  // The customer confirming the report, on the staff tablet or later from the manage link
+  acknowledgement: {
+    acknowledgedAt: { type: Date },
+    name: { type: String, trim: true },
+    comment: { type: String, trim: true },
+  },
+}, {
+  timestamps: true,
+});
+
+inspectionSchema.index({ booking: 1, type: 1 }, { unique: true });
+
+inspectionSchema.pre('validate', function (next) {
+  const zones = this.checklist.map((check) => check.zone);
+  if (new Set(zones).size !== zones.length) {
+    this.invalidate('checklist', 'Each zone can only appear once in the checklist.');
+  }
+  next();
+});
+
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
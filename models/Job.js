@@ -0,0 +1,44 @@
+// backend/models/Job.js
+const mongoose = require('mongoose');
+
+// State of one recurring background job (see services/scheduler). The lock fields make
+// sure only one API instance runs a job at a time; an expired lock means the instance
+// running it died, and the job is picked up again.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true, // e.g. "pickup-reminders"
+  },
+  intervalMs: {
+    type: Number,
+    required: true,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  lastRunAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null,
+  },
+  lastResult: { type: mongoose.Schema.Types.Mixed },
+  lastError: { type: String },
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
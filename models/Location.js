@@ -0,0 +1,81 @@
+// backend/models/Location.js
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 24h
+
+// --- One opening slot; a day may have several (e.g. lunch break) ---
+const openingSlotSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+  open: { type: String, required: true, match: [TIME_PATTERN, 'Opening time must be HH:MM.'] },
+  close: { type: String, required: true, match: [TIME_PATTERN, 'Closing time must be HH:MM.'] },
+}, { _id: false });
+
+// --- Fee charged when the car is returned to another branch ---
+const oneWayFeeSchema = new mongoose.Schema({
+  toLocation: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+  fee: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required.'],
+    unique: true,
+    trim: true,
+    uppercase: true, // e.g. "RAK-AIRPORT"
+  },
+  kind: {
+    type: String,
+    enum: ['airport', 'office', 'station', 'hotel', 'other'],
+    default: 'office',
+  },
+  address: {
+    street: { type: String, trim: true, default: '' },
+    city: { type: String, required: [true, 'City is required.'], trim: true },
+    postalCode: { type: String, trim: true, default: '' },
+    country: { type: String, trim: true, default: 'Morocco' },
+  },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  timezone: {
+    type: String,
+    default: 'Africa/Casablanca', // Opening hours are in this zone
+  },
+  openingHours: [openingSlotSchema],
+  // Pickups/returns outside opening hours: refused unless allowed, then charged the fee
+  afterHours: {
+    allowed: { type: Boolean, default: false },
+    fee: { type: Number, default: 0, min: 0 },
+  },
+  oneWayFees: [oneWayFeeSchema],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+locationSchema.pre('validate', function (next) {
+  (this.openingHours || []).forEach((slot, index) => {
+    if (slot.open && slot.close && slot.close <= slot.open) {
+      this.invalidate(`openingHours.${index}.close`, 'Closing time must be after opening time.');
+    }
+  });
+  if (this.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+    } catch (error) {
+      this.invalidate('timezone', `Unknown timezone: ${this.timezone}.`);
+    }
+  }
+  next();
+});
+
+const Location = mongoose.model('Location', locationSchema);
+module.exports = Location;
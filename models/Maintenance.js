@@ -0,0 +1,77 @@
+// backend/models/Maintenance.js
+const mongoose = require('mongoose');
+
+// Garage visit of a car. Planned and in-progress visits block bookings for their dates;
+// completed ones may say when the same service is due again.
+const maintenanceSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  // Vehicle at the garage for listings with fleet units; empty means the whole listing
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FleetUnit',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: ['oil_change', 'tyres', 'technical_inspection', 'brakes', 'repair', 'bodywork', 'other'],
+    required: [true, 'Maintenance type is required.'],
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'in_progress', 'completed', 'cancelled'],
+    default: 'planned',
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required.'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required.'],
+  },
+  // In MAD
+  cost: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  garage: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Reading when the car went in, in km
+  odometer: {
+    type: Number,
+    min: 0,
+  },
+  completedAt: { type: Date },
+
+  // --- When this service is due again (either or both) ---
+  nextDueDate: { type: Date },
+  nextDueOdometer: { type: Number, min: 0 },
+}, {
+  timestamps: true,
+});
+
+maintenanceSchema.index({ car: 1, startDate: 1, endDate: 1 });
+maintenanceSchema.index({ status: 1, nextDueDate: 1 });
+
+maintenanceSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date.');
+  }
+  next();
+});
+
+const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
+module.exports = Maintenance;
@@ -0,0 +1,55 @@
+// backend/models/Notification.js
+const mongoose = require('mongoose');
+
+// One outgoing email. Kept after sending as a delivery log; failed sends are retried
+// by the notification worker until maxAttempts is reached.
+const notificationSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true, // e.g. "booking_received"
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  // Values the template is rendered with, captured when the event happened
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // One-time tokens and the links holding them. Merged into `data` when rendering and
+  // removed once the message is sent or has failed for good, so the log never keeps them.
+  secret: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false,
+  },
+  secretRemovedAt: { type: Date },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  subject: { type: String },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued',
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  messageId: { type: String },
+  sentAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+// Worker lookup of messages waiting to be (re)sent
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ booking: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,68 @@
+// backend/models/Payment.js
+const mongoose = require('mongoose');
+
+// One ledger entry against a booking. Entries are never edited or deleted:
+// corrections are made with refunds and releases pointing back at the original entry.
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'balance', 'refund', 'security_hold', 'security_release'],
+    required: [true, 'Payment type is required.'],
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required.'],
+    min: [0.01, 'Amount must be positive.'],
+  },
+  currency: {
+    type: String,
+    default: 'MAD',
+  },
+  method: {
+    type: String,
+    enum: ['card', 'cash', 'bank_transfer'],
+    default: 'card',
+  },
+  // Provider that moved the money and its reference for the transaction
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerReference: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  failureReason: { type: String },
+  // Charge being refunded, or hold being released
+  relatedEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  recordedBy: {
+    kind: { type: String, enum: ['staff', 'customer', 'system'], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+  },
+  settledAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+paymentSchema.index({ booking: 1, createdAt: 1 });
+paymentSchema.index({ relatedEntry: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,102 @@
+// backend/models/PricingRule.js
+const mongoose = require('mongoose');
+const { CAR_TYPES } = require('./Car');
+
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required.'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+
+  // --- Which cars the rule applies to ---
+  scope: {
+    type: String,
+    enum: ['fleet', 'type', 'car'],
+    default: 'fleet',
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+  },
+  carType: {
+    type: String,
+    enum: CAR_TYPES,
+  },
+
+  // --- When the rule applies (all conditions are optional) ---
+  startDate: { type: Date }, // First day of the window (inclusive)
+  endDate: { type: Date }, // Last day of the window (inclusive)
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, e.g. [5, 6] for weekends
+  minDays: { type: Number, min: 1 }, // Long-rental rules: only for rentals of at least N days
+  maxDays: { type: Number, min: 1 },
+
+  // --- How the daily rate changes ---
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'fixed'], // percentage of the current rate, or MAD per day
+    required: [true, 'Adjustment type is required.'],
+  },
+  value: {
+    type: Number,
+    required: [true, 'Adjustment value is required.'], // Negative values are discounts
+  },
+
+  // Lower numbers are applied first; ties are broken by creation order
+  priority: {
+    type: Number,
+    default: 100,
+  },
+  // When an exclusive rule applies to a day, lower-priority rules are skipped for that day
+  exclusive: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+pricingRuleSchema.index({ active: 1, scope: 1 });
+
+// --- Scope and window consistency ---
+pricingRuleSchema.pre('validate', function (next) {
+  if (this.scope === 'car' && !this.car) {
+    this.invalidate('car', 'A car is required for car-scoped rules.');
+  }
+  if (this.scope === 'type' && !this.carType) {
+    this.invalidate('carType', 'A car type is required for type-scoped rules.');
+  }
+  if (this.scope !== 'car') this.car = undefined;
+  if (this.scope !== 'type') this.carType = undefined;
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after start date.');
+  }
+  if (this.minDays && this.maxDays && this.maxDays < this.minDays) {
+    this.invalidate('maxDays', 'Maximum days must be greater than or equal to minimum days.');
+  }
+  next();
+});
+
+// --- Active rules that can apply to a given car, in application order ---
+pricingRuleSchema.statics.findForCar = function (car) {
+  return this.find({
+    active: true,
+    $or: [
+      { scope: 'fleet' },
+      { scope: 'type', carType: car.type },
+      { scope: 'car', car: car._id },
+    ],
+  }).sort({ priority: 1, _id: 1 });
+};
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+module.exports = PricingRule;
@@ -0,0 +1,66 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+
+// One signed-in staff device. Access tokens name the session they belong to, so revoking
+// it cuts the device off at its next request. The refresh token changes on every use;
+// previous ones are kept to spot a stolen token being replayed.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Latest refresh tokens already exchanged for new ones (see MAX_ROTATED_TOKENS in
+  // utils/sessions.js). Seeing one again means it was copied.
+  rotatedTokenHashes: {
+    type: [String],
+    default: [],
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Moves forward on every refresh: sessions end after a period of inactivity
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Fixed at sign-in: expiresAt never moves past it, so every session ends eventually
+  maxExpiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'refresh_reuse', 'password_changed', 'user_removed', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are deleted by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -1,13 +1,76 @@
 const mongoose = require("mongoose");
+const { ROLES, DEFAULT_ROLE, LEGACY_ROLES } = require("../config/permissions");
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true, select: false },
-    role: { type: String, default: "admin" },
+    // Staff accounts only; renters are Customers and never get a User.
+    // What each role may do is defined in config/permissions.js
+    role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+    // Set on the account created without signing in on an empty database; unique, so two
+    // simultaneous sign-ups can't both become the owner
+    firstAccount: { type: Boolean, select: false },
+    // Set once the address is confirmed through the emailed link
+    emailVerifiedAt: { type: Date, default: null },
+    // Hashes of emailed single-use tokens (see utils/accountTokens.js)
+    emailVerification: {
+      tokenHash: { type: String, select: false },
+      expiresAt: { type: Date, select: false },
+    },
+    passwordReset: {
+      tokenHash: { type: String, select: false },
+      expiresAt: { type: Date, select: false },
+    },
+    // Mixed into this user's calendar feed tokens; replaced to revoke them (see utils/calendarFeeds.js)
+    calendarFeedKey: { type: String, select: false },
+    // TOTP second factor (see utils/twoFactor.js); secrets and codes never leave the server
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Set up but not yet confirmed with a first code
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      // Last accepted time step, so a code can't be used twice
+      lastUsedStep: { type: Number, select: false },
+      // Current sign-in challenge and the wrong codes entered against it
+      challengeId: { type: String, select: false },
+      challengeAttempts: { type: Number, select: false },
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ firstAccount: 1 }, { unique: true, partialFilterExpression: { firstAccount: true } });
+
+// Rename roles from before config/permissions.js (e.g. "admin" -> "blog_editor"); run at startup
+userSchema.statics.migrateLegacyRoles = async function () {
+  let migrated = 0;
+  for (const [legacyRole, role] of Object.entries(LEGACY_ROLES)) {
+    const { modifiedCount } = await this.updateMany({ role: legacyRole }, { $set: { role } });
+    migrated += modifiedCount;
+  }
+  return migrated;
+};
+
+// Make the account with this email the owner, but only while there is no owner at all,
+// e.g. after legacy accounts were migrated; run at startup with OWNER_EMAIL
+userSchema.statics.ensureOwner = async function (email) {
+  if (!email || (await this.exists({ role: "owner" }))) return null;
+  return this.findOneAndUpdate(
+    { email: String(email).trim() },
+    { $set: { role: "owner" } },
+    { new: true }
+  );
+};
+
+// Staff accounts exist but none is the owner: nobody can manage users, so nobody can fix it
+// from the app. An empty database is fine, its first sign-up becomes the owner.
+userSchema.statics.isMissingOwner = async function () {
+  if (await this.exists({ role: "owner" })) return false;
+  return Boolean(await this.exists({}));
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,95 @@
+// backend/models/VehicleDocument.js
+const mongoose = require('mongoose');
+
+// Papers a car must carry to be driven legally
+const MANDATORY_TYPES = ['insurance', 'registration', 'technical_inspection', 'tax_sticker'];
+
+// --- Scan kept in storage/vehicle-documents (not publicly served) ---
+const documentFileSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  path: { type: String },
+  originalName: { type: String },
+  size: { type: Number },
+  mimetype: { type: String },
+}, { _id: false });
+
+// Insurance policy, registration card, inspection certificate, tax sticker... of a car.
+// Renewing a document means adding a new record; the one expiring last is the current one.
+const vehicleDocumentSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  // The vehicle the papers belong to, for listings with fleet units
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FleetUnit',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: [...MANDATORY_TYPES, 'other'],
+    required: [true, 'Document type is required.'],
+  },
+  // Policy, card or certificate number
+  number: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  issuer: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  issueDate: { type: Date },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required.'],
+  },
+  // Defaults to true for insurance, registration, technical inspection and tax sticker
+  mandatory: { type: Boolean },
+  // Days before expiry at which the admin is reminded; 0 = on the day it expires
+  reminderDays: {
+    type: [{ type: Number, min: 0 }],
+    default: [30, 7, 0],
+  },
+  // Thresholds already reminded about for the current expiry date
+  remindersSent: {
+    type: [Number],
+    default: [],
+  },
+  file: documentFileSchema,
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+vehicleDocumentSchema.index({ car: 1, unit: 1, type: 1, expiryDate: -1 });
+vehicleDocumentSchema.index({ expiryDate: 1 });
+
+vehicleDocumentSchema.pre('validate', function (next) {
+  if (this.mandatory === undefined || this.mandatory === null) {
+    this.mandatory = MANDATORY_TYPES.includes(this.type);
+  }
+  if (this.issueDate && this.expiryDate && this.expiryDate <= this.issueDate) {
+    this.invalidate('expiryDate', 'Expiry date must be after issue date.');
+  }
+  next();
+});
+
+// --- A new expiry date gets its own reminders ---
+vehicleDocumentSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('expiryDate') || this.isModified('reminderDays'))) {
+    this.remindersSent = [];
+  }
+  next();
+});
+
+const VehicleDocument = mongoose.model('VehicleDocument', vehicleDocumentSchema);
+module.exports = VehicleDocument;
@@ -0,0 +1,78 @@
+// backend/models/WaitlistEntry.js
+const mongoose = require('mongoose');
+const { CAR_TYPES } = require('./Car');
+
+// A customer waiting for a car (or any car of a type) to free up for a date range.
+// Entries are offered in creation order; an offer is a booking hold the customer claims
+// by booking with its token (see services/waitlist).
+const waitlistEntrySchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    default: null,
+  },
+  carType: {
+    type: String,
+    enum: [...CAR_TYPES, null],
+    default: null,
+  },
+  pickupDate: {
+    type: Date,
+    required: [true, 'Pickup date is required.'],
+  },
+  returnDate: {
+    type: Date,
+    required: [true, 'Return date is required.'],
+  },
+  userName: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true,
+  },
+  userEmail: {
+    type: String,
+    required: [true, 'Email is required.'],
+    trim: true,
+    lowercase: true,
+  },
+  userPhone: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting',
+  },
+  // Current or last offer
+  offer: {
+    car: { type: mongoose.Schema.Types.ObjectId, ref: 'Car' },
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingHold' },
+    offeredAt: { type: Date },
+    expiresAt: { type: Date },
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+}, {
+  timestamps: true,
+});
+
+waitlistEntrySchema.index({ status: 1, car: 1, pickupDate: 1 });
+waitlistEntrySchema.index({ status: 1, carType: 1, pickupDate: 1 });
+waitlistEntrySchema.index({ 'offer.hold': 1 });
+
+waitlistEntrySchema.pre('validate', function (next) {
+  if (!this.car && !this.carType) {
+    this.invalidate('car', 'Please choose a car or a car type.');
+  }
+  if (this.pickupDate && this.returnDate && this.returnDate <= this.pickupDate) {
+    this.invalidate('returnDate', 'Return date must be after pickup date.');
+  }
+  next();
+});
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
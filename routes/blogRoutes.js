@@ -10,7 +10,7 @@ const {
     getBlogStats,
     getRelatedPosts 
 } = require('../controllers/blogController');
-const {protect} = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 const router = express.Router();
 
 // Multer configuration for blog post images
@@ -22,15 +22,15 @@ const upload = multer({ storage });
 
 // --- API Routes ---
 router.route('/')
-    .post(upload.single('image'), createPost) // Use .single() as we expect one main image
+    .post(protect, authorize('blog:publish'), upload.single('image'), createPost) // Use .single() as we expect one main image
     .get(getAllPosts);
 
 // Route for stats (categories, tags)
 router.route('/stats').get(getBlogStats);
 
 router.route('/:id')
-    .put(upload.single('image'), updatePost)
-    .delete(deletePost);
+    .put(protect, authorize('blog:publish'), upload.single('image'), updatePost)
+    .delete(protect, authorize('blog:publish'), deletePost);
     
 router.route('/slug/:slug').get(getPostBySlug);
 router.route('/related/:category/:currentPostSlug').get(getRelatedPosts);
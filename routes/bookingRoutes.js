@@ -1,12 +1,81 @@
 // backend/routes/bookingRoutes.js
 const express = require('express');
-const { createBooking, getAllBookings, deleteBooking, updateBookingStatus } = require('../controllers/bookingController');
+const rateLimit = require('express-rate-limit');
+const { createBooking, getQuote, getAllBookings, deleteBooking, updateBookingStatus, reviewChangeRequest, assignBookingUnit } = require('../controllers/bookingController');
+const { getGuestBooking, cancelGuestBooking, requestDateChange } = require('../controllers/guestBookingController');
+const {
+    getBookingPayments,
+    createBookingPayment,
+    refundBookingPayment,
+    releaseBookingDeposit,
+    payGuestBooking
+} = require('../controllers/paymentController');
+const { getInvoicePdf, getContractPdf } = require('../controllers/documentController');
+const { getGuestBookingEvent } = require('../controllers/calendarController');
+const { createBookingHold, releaseBookingHold } = require('../controllers/bookingHoldController');
+const {
+    getBookingInspections,
+    createInspection,
+    getInspectionPhoto,
+    getGuestInspections,
+    getGuestInspectionPhoto,
+    acknowledgeInspection
+} = require('../controllers/inspectionController');
+const { guestBookingAccess } = require('../middleware/bookingAccessMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { identifyCustomer } = require('../middleware/customerAuthMiddleware');
+const { inspectionPhotoUpload, handleMulterError } = require('../middleware/uploadMiddleware');
 const router = express.Router();
 
+// Holds are public and block a car for everyone else, so keep clients from cycling them
+const holdLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: { message: 'Too many hold requests. Please try again later.' },
+});
+
+const inspectionPhotos = inspectionPhotoUpload.fields([
+    { name: 'photos', maxCount: 10 }
+]);
+
+router.post('/quote', getQuote);
+// Checkout holds: reserve the car while the customer fills in the form
+router.post('/holds', holdLimiter, createBookingHold);
+router.delete('/holds/:token', releaseBookingHold);
 router.route('/')
-    .post(createBooking)
-    .get(getAllBookings);
-router.route('/:id').delete(deleteBooking);
-router.route('/:id/status').patch(updateBookingStatus);
+    .post(identifyCustomer, createBooking)
+    .get(protect, authorize('bookings:read'), getAllBookings);
+router.route('/:id').delete(protect, authorize('bookings:delete'), deleteBooking);
+router.route('/:id/status').patch(protect, authorize('bookings:write'), updateBookingStatus);
+router.route('/:id/change-requests/:requestId').patch(protect, authorize('bookings:write'), reviewChangeRequest);
+router.patch('/:id/unit', protect, authorize('bookings:write'), assignBookingUnit);
+
+// Payment ledger (staff)
+router.route('/:id/payments')
+    .get(protect, authorize('payments:read'), getBookingPayments)
+    .post(protect, authorize('payments:write'), createBookingPayment);
+router.post('/:id/payments/:paymentId/refund', protect, authorize('payments:refund'), refundBookingPayment);
+router.post('/:id/payments/:paymentId/release', protect, authorize('payments:refund'), releaseBookingDeposit);
+
+// Printable documents (staff)
+router.get('/:id/invoice.pdf', protect, authorize('bookings:read'), getInvoicePdf);
+router.get('/:id/contract.pdf', protect, authorize('bookings:read'), getContractPdf);
+
+// Handover inspections at pickup and return (staff)
+router.get('/:id/inspections', protect, authorize('bookings:read'), getBookingInspections);
+router.post('/:id/inspections/:type', protect, authorize('bookings:write'), inspectionPhotos, handleMulterError, createInspection);
+router.get('/:id/inspections/:type/photos/:filename', protect, authorize('bookings:read'), getInspectionPhoto);
+
+// Guest self-service (reference + access token, no account)
+router.get('/manage/:reference', guestBookingAccess, getGuestBooking);
+router.post('/manage/:reference/cancel', guestBookingAccess, cancelGuestBooking);
+router.post('/manage/:reference/change-request', guestBookingAccess, requestDateChange);
+router.post('/manage/:reference/payments', guestBookingAccess, payGuestBooking);
+router.get('/manage/:reference/booking.ics', guestBookingAccess, getGuestBookingEvent);
+router.get('/manage/:reference/inspections', guestBookingAccess, getGuestInspections);
+router.get('/manage/:reference/inspections/:type/photos/:filename', guestBookingAccess, getGuestInspectionPhoto);
+router.post('/manage/:reference/inspections/:type/acknowledge', guestBookingAccess, acknowledgeInspection);
 
 module.exports = router;
\ No newline at end of file
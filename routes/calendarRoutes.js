@@ -0,0 +1,13 @@
+// backend/routes/calendarRoutes.js
+const express = require('express');
+const { getFeedLinks, resetFeedLinks, getFleetFeed, getCarFeed } = require('../controllers/calendarController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Feeds authenticate with the token in their URL so calendar apps can subscribe
+router.get('/feeds', protect, authorize('bookings:read'), getFeedLinks);
+router.post('/feeds/reset', protect, authorize('bookings:read'), resetFeedLinks);
+router.get('/fleet.ics', getFleetFeed);
+router.get('/cars/:id.ics', getCarFeed);
+
+module.exports = router;
@@ -1,8 +1,6 @@
 const express = require('express');
-const multer = require('multer');
-const { protect } = require('../middleware/authMiddleware');
-const path = require('path');
-const fs = require('fs');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { upload, handleMulterError, logUploadedFiles } = require('../middleware/uploadMiddleware');
 const {
   createCar,
   getCars,
@@ -15,130 +13,26 @@ const {
   getFeaturedCars,
   searchCars
 } = require('../controllers/carController');
+const {
+  getCarAvailability,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+} = require('../controllers/availabilityController');
+const {
+  getFleetUnits,
+  createFleetUnit,
+  updateFleetUnit,
+  deleteFleetUnit
+} = require('../controllers/fleetUnitController');
 
 const router = express.Router();
 
-// ✅ Use absolute path for uploads directory
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('✅ Uploads directory created:', uploadsDir);
-}
-
-// Multer configuration
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const originalName = path.parse(file.originalname).name;
-    const sanitizedName = originalName.replace(/[^a-zA-Z0-9]/g, '_');
-    const extension = path.extname(file.originalname).toLowerCase();
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `${sanitizedName}-${uniqueSuffix}${extension}`);
-  },
-});
-
-function checkFileType(file, cb) {
-  const allowedFileTypes = {
-    'image/jpeg': true,
-    'image/jpg': true,
-    'image/png': true,
-    'image/gif': true,
-    'image/webp': true
-  };
-  const isValidMimeType = allowedFileTypes[file.mimetype];
-  const fileExtension = path.extname(file.originalname).toLowerCase().replace('.', '');
-  const isValidExtension = /jpeg|jpg|png|gif|webp/.test(fileExtension);
-
-  if (isValidMimeType && isValidExtension) {
-    return cb(null, true);
-  } else {
-    const allowedExtensions = Object.keys(allowedFileTypes).join(', ').replace('image/', '');
-    cb(new Error(`Invalid file type. Allowed types: ${allowedExtensions}.`));
-  }
-}
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB
-  },
-  fileFilter: function (req, file, cb) {
-    checkFileType(file, cb);
-  }
-});
-
-// Multer error handling middleware
-const handleMulterError = (error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    console.error('❌ Multer error:', error.message);
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large',
-        error: 'File size must be less than 5MB'
-      });
-    }
-    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({
-        success: false,
-        message: 'Unexpected field',
-        error: 'Invalid field name for file upload'
-      });
-    }
-    if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        message: 'Too many files',
-        error: 'Maximum 10 images allowed'
-      });
-    }
-    if (error.code === 'LIMIT_PART_COUNT') {
-      return res.status(400).json({
-        success: false,
-        message: 'Too many parts',
-        error: 'Too many form parts'
-      });
-    }
-    // Log other Multer errors
-    console.error('❌ Unexpected Multer error:', error);
-    return res.status(400).json({
-      success: false,
-      message: 'File upload error',
-      error: error.message
-    });
-  } else if (error) {
-    console.error('❌ File upload error:', error);
-    return res.status(400).json({
-      success: false,
-      message: 'File upload error',
-      error: error.message
-    });
-  }
-  next();
-};
-
 // Upload fields configuration
 const uploadFields = upload.fields([
   { name: 'images', maxCount: 10 }
 ]);
 
-// Middleware to log uploaded files
-const logUploadedFiles = (req, res, next) => {
-  if (!req.files || Object.keys(req.files).length === 0) {
-    console.log('⚠️ No files uploaded.');
-  } else {
-    console.log('📁 Uploaded files:');
-    Object.keys(req.files).forEach(fieldName => {
-      req.files[fieldName].forEach(file => {
-        console.log(`  - ${fieldName}: ${file.filename} (${(file.size / 1024).toFixed(2)} KB)`);
-      });
-    });
-  }
-  next();
-};
-
 // Public routes - specific paths first
 router.get('/search', searchCars);
 router.get('/available', getAvailableCars);
@@ -149,11 +43,13 @@ router.get('/slug/:slug', getCarBySlug);
 // Public routes - general paths last
 router.get('/', getCars);
 router.get('/:id', getCarById);
+router.get('/:id/availability', getCarAvailability);
 
 // Admin routes (protected)
 router.post(
   '/',
   protect,
+  authorize('cars:write'),
   uploadFields,
   handleMulterError,
   logUploadedFiles,
@@ -163,13 +59,25 @@ router.post(
 router.put(
   '/:id',
   protect,
+  authorize('cars:write'),
   uploadFields,
   handleMulterError,
   logUploadedFiles,
   updateCar
 );
 
-router.delete('/:id', protect, deleteCar);
+router.delete('/:id', protect, authorize('cars:write'), deleteCar);
+
+// Blackout periods (protected)
+router.get('/:id/blackouts', protect, authorize('cars:read'), getBlackouts);
+router.post('/:id/blackouts', protect, authorize('cars:write'), createBlackout);
+router.delete('/:id/blackouts/:blackoutId', protect, authorize('cars:write'), deleteBlackout);
+
+// Physical vehicles (fleet units) of a listing (protected)
+router.get('/:id/units', protect, authorize('fleet:read'), getFleetUnits);
+router.post('/:id/units', protect, authorize('fleet:write'), createFleetUnit);
+router.put('/:id/units/:unitId', protect, authorize('fleet:write'), updateFleetUnit);
+router.delete('/:id/units/:unitId', protect, authorize('fleet:write'), deleteFleetUnit);
 router.get('/search', searchCars);
 
 module.exports = router;
\ No newline at end of file
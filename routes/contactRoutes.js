@@ -2,15 +2,26 @@
 const express = require('express');
 const { createContactMessage, getAllMessages, deleteMessage,       // <-- Import
     updateMessageStatus  } = require('../controllers/contactController');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const {protect} = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Each message emails an acknowledgement to the address given, so keep senders slow
+const contactLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 5,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: { success: false, message: 'Too many messages. Please try again later.' },
+});
+
 // POST a new message
-router.route('/').post(createContactMessage);
+router.route('/').post(contactLimiter, createContactMessage);
 
-// GET all messages (for a future admin panel)
-router.route('/').get(getAllMessages);
-router.route('/:id').delete(deleteMessage);
-router.route('/:id/read').patch(updateMessageStatus);
+// Admin inbox
+router.route('/').get(protect, authorize('contact:read'), getAllMessages);
+router.route('/:id').delete(protect, authorize('contact:write'), deleteMessage);
+router.route('/:id/read').patch(protect, authorize('contact:write'), updateMessageStatus);
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// backend/routes/couponRoutes.js
+const express = require('express');
+const {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Customers apply codes through the quote and booking endpoints; management is admin-only
+router.route('/')
+    .get(protect, authorize('pricing:read'), getCoupons)
+    .post(protect, authorize('pricing:write'), createCoupon);
+
+router.route('/:id')
+    .get(protect, authorize('pricing:read'), getCouponById)
+    .put(protect, authorize('pricing:write'), updateCoupon)
+    .delete(protect, authorize('pricing:write'), deleteCoupon);
+
+module.exports = router;
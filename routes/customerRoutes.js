@@ -0,0 +1,26 @@
+// backend/routes/customerRoutes.js
+const express = require('express');
+const {
+    registerCustomer,
+    loginCustomer,
+    verifyCustomerEmail,
+    resendCustomerVerification,
+    getMyProfile,
+    updateMyProfile,
+    getMyBookings
+} = require('../controllers/customerController');
+const { protectCustomer } = require('../middleware/customerAuthMiddleware');
+const router = express.Router();
+
+// Renter accounts; these tokens are rejected by the staff `protect` middleware
+router.post('/register', registerCustomer);
+router.post('/login', loginCustomer);
+router.post('/verify-email', verifyCustomerEmail);
+router.post('/verify-email/resend', protectCustomer, resendCustomerVerification);
+
+router.route('/me')
+    .get(protectCustomer, getMyProfile)
+    .put(protectCustomer, updateMyProfile);
+router.get('/me/bookings', protectCustomer, getMyBookings);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// backend/routes/extraRoutes.js
+const express = require('express');
+const {
+    getExtras,
+    getExtraAvailability,
+    createExtra,
+    updateExtra,
+    deleteExtra
+} = require('../controllers/extraController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Public catalog
+router.route('/')
+    .get(getExtras)
+    .post(protect, authorize('pricing:write'), createExtra);
+router.get('/:id/availability', getExtraAvailability);
+
+// Admin management
+router.route('/:id')
+    .put(protect, authorize('pricing:write'), updateExtra)
+    .delete(protect, authorize('pricing:write'), deleteExtra);
+
+module.exports = router;
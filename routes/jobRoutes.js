@@ -0,0 +1,11 @@
+// backend/routes/jobRoutes.js
+const express = require('express');
+const { getJobs, runJob, updateJob } = require('../controllers/jobController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+router.get('/', protect, authorize('jobs:manage'), getJobs);
+router.patch('/:name', protect, authorize('jobs:manage'), updateJob);
+router.post('/:name/run', protect, authorize('jobs:manage'), runJob);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/routes/locationRoutes.js
+const express = require('express');
+const {
+    getLocations,
+    getLocationById,
+    createLocation,
+    updateLocation,
+    deleteLocation
+} = require('../controllers/locationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Public list for the booking form; changes are admin-only
+router.route('/')
+    .get(getLocations)
+    .post(protect, authorize('locations:write'), createLocation);
+
+router.route('/:id')
+    .get(getLocationById)
+    .put(protect, authorize('locations:write'), updateLocation)
+    .delete(protect, authorize('locations:write'), deleteLocation);
+
+module.exports = router;
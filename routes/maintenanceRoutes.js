@@ -0,0 +1,26 @@
+// backend/routes/maintenanceRoutes.js
+const express = require('express');
+const {
+    getMaintenance,
+    getServiceDue,
+    getMaintenanceById,
+    createMaintenance,
+    updateMaintenance,
+    deleteMaintenance
+} = require('../controllers/maintenanceController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Fleet maintenance is admin-only; planned visits show up as blocked dates in availability
+router.route('/')
+    .get(protect, authorize('fleet:read'), getMaintenance)
+    .post(protect, authorize('fleet:write'), createMaintenance);
+
+router.get('/due', protect, authorize('fleet:read'), getServiceDue);
+
+router.route('/:id')
+    .get(protect, authorize('fleet:read'), getMaintenanceById)
+    .put(protect, authorize('fleet:write'), updateMaintenance)
+    .delete(protect, authorize('fleet:write'), deleteMaintenance);
+
+module.exports = router;
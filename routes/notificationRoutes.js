@@ -0,0 +1,10 @@
+// backend/routes/notificationRoutes.js
+const express = require('express');
+const { getNotifications, retryFailedNotification } = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+router.get('/', protect, authorize('notifications:read'), getNotifications);
+router.post('/:id/retry', protect, authorize('notifications:write'), retryFailedNotification);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/routes/pricingRuleRoutes.js
+const express = require('express');
+const {
+    createPricingRule,
+    getPricingRules,
+    getPricingRuleById,
+    updatePricingRule,
+    deletePricingRule
+} = require('../controllers/pricingRuleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// All pricing rule management is admin-only
+router.route('/')
+    .get(protect, authorize('pricing:read'), getPricingRules)
+    .post(protect, authorize('pricing:write'), createPricingRule);
+
+router.route('/:id')
+    .get(protect, authorize('pricing:read'), getPricingRuleById)
+    .put(protect, authorize('pricing:write'), updatePricingRule)
+    .delete(protect, authorize('pricing:write'), deletePricingRule);
+
+module.exports = router;
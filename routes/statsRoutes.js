@@ -1,10 +1,10 @@
 // backend/routes/statsRoutes.js
 const express = require('express');
 const { getDashboardStats } = require('../controllers/statsController');
-const { protect } = require('../middleware/authMiddleware'); // Import protect middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
 const router = express.Router();
 
 // This route should be protected so only admins can see the stats
-router.route('/dashboard').get(protect, getDashboardStats);
+router.route('/dashboard').get(protect, authorize('stats:read'), getDashboardStats);
 
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,84 @@
 // backend/routes/userRoutes.js
 const express = require('express');
-const { registerUser, loginUser, getUserProfile,
-    updateUserProfile } = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const rateLimit = require('express-rate-limit');
+const {
+    registerUser,
+    loginUser,
+    loginTwoFactor,
+    setupTwoFactorAtLogin,
+    enableTwoFactorAtLogin,
+    refreshSession,
+    verifyUserEmail,
+    resendUserVerification,
+    forgotPassword,
+    resetPassword,
+    logoutUser,
+    logoutAllDevices,
+    getMySessions,
+    revokeMySession,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateTwoFactorRecoveryCodes,
+    disableTwoFactor,
+    getUserProfile,
+    updateUserProfile,
+    getUsers,
+    updateUserRole,
+    getUserSessions,
+    revokeUserSessions,
+    deleteUser,
+    resetUserTwoFactor
+} = require('../controllers/userController');
+const { protect, authorize, authorizeAfterFirstUser } = require('../middleware/authMiddleware');
 const router = express.Router();
 
-router.post('/register', registerUser);
+// Each request can email a reset link to any address, so keep requesters slow
+const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 5,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: { message: 'Too many password reset requests. Please try again later.' },
+});
+
+// Staff accounts only; renters sign up through /api/customers
+router.post('/register', authorizeAfterFirstUser('users:manage'), registerUser);
 router.post('/login', loginUser);
+// Second sign-in step for accounts with two-factor, using the challenge token from /login
+router.post('/login/2fa', loginTwoFactor);
+router.post('/login/2fa/setup', setupTwoFactorAtLogin);
+router.post('/login/2fa/enable', enableTwoFactorAtLogin);
+router.post('/refresh', refreshSession);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllDevices);
+router.post('/verify-email', verifyUserEmail);
+router.post('/verify-email/resend', protect, resendUserVerification);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
 router.route('/profile')
     .get(protect, getUserProfile)
     .put(protect, updateUserProfile);
 
-module.exports = router;
\ No newline at end of file
+// The signed-in staff member's devices
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions/:sessionId', protect, revokeMySession);
+
+// The signed-in staff member's two-factor authentication
+router.route('/2fa')
+    .get(protect, getTwoFactorStatus)
+    .delete(protect, disableTwoFactor);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateTwoFactorRecoveryCodes);
+
+// Managing colleagues' accounts
+router.get('/', protect, authorize('users:manage'), getUsers);
+router.delete('/:id', protect, authorize('users:manage'), deleteUser);
+router.patch('/:id/role', protect, authorize('users:manage'), updateUserRole);
+router.route('/:id/sessions')
+    .get(protect, authorize('users:manage'), getUserSessions)
+    .delete(protect, authorize('users:manage'), revokeUserSessions);
+router.delete('/:id/2fa', protect, authorize('users:manage'), resetUserTwoFactor);
+
+module.exports = router;
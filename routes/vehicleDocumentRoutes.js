@@ -0,0 +1,33 @@
+// backend/routes/vehicleDocumentRoutes.js
+const express = require('express');
+const {
+    getVehicleDocuments,
+    getExpiringDocuments,
+    getVehicleDocumentById,
+    downloadVehicleDocument,
+    createVehicleDocument,
+    updateVehicleDocument,
+    deleteVehicleDocument
+} = require('../controllers/vehicleDocumentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { documentUpload, handleMulterError, logUploadedFiles } = require('../middleware/uploadMiddleware');
+const router = express.Router();
+
+// Scan of the paper (PDF or image), kept out of the public uploads folder
+const documentFile = documentUpload.single('file');
+
+// Insurance, registration, inspection and tax papers of the fleet (admin-only)
+router.route('/')
+    .get(protect, authorize('fleet:read'), getVehicleDocuments)
+    .post(protect, authorize('fleet:write'), documentFile, handleMulterError, createVehicleDocument);
+
+router.get('/expiring', protect, authorize('fleet:read'), getExpiringDocuments);
+
+router.route('/:id')
+    .get(protect, authorize('fleet:read'), getVehicleDocumentById)
+    .put(protect, authorize('fleet:write'), documentFile, handleMulterError, updateVehicleDocument)
+    .delete(protect, authorize('fleet:write'), deleteVehicleDocument);
+
+router.get('/:id/file', protect, authorize('fleet:read'), downloadVehicleDocument);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/routes/waitlistRoutes.js
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { joinWaitlist, getWaitlist, removeWaitlistEntry } = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Anyone can sign an address up and every entry may be emailed offers, so keep sign-ups slow
+const waitlistLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 5,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: { success: false, message: 'Too many waitlist requests. Please try again later.' },
+});
+
+// Customers join from the booking form; staff manage the list
+router.route('/')
+    .post(waitlistLimiter, joinWaitlist)
+    .get(protect, authorize('waitlist:read'), getWaitlist);
+router.delete('/:id', protect, authorize('waitlist:write'), removeWaitlistEntry);
+
+module.exports = router;
@@ -4,6 +4,11 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
 const http = require('http');
+const { Server } = require('socket.io');
+const { startScheduler } = require('./services/scheduler');
+const { defineDefaultJobs } = require('./services/scheduler/jobs');
+const User = require('./models/User');
+const { DASHBOARD_ROOM, authenticateSocket } = require('./middleware/authMiddleware');
 
 // --- Routes ---
 const carRoutes = require('./routes/carRoutes');
@@ -12,11 +17,35 @@ const userRoutes = require('./routes/userRoutes');
 const blogRoutes = require('./routes/blogRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const statsRoutes = require('./routes/statsRoutes');
+const pricingRuleRoutes = require('./routes/pricingRuleRoutes');
+const extraRoutes = require('./routes/extraRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const vehicleDocumentRoutes = require('./routes/vehicleDocumentRoutes');
+const customerRoutes = require('./routes/customerRoutes');
 
 // --- Express App ---
 const app = express();
 const server = http.createServer(app);
 
+// --- Socket.io (admin dashboard live updates) ---
+// Signed-in staff only; controllers and jobs broadcast to the dashboard room, never to everyone
+const io = new Server(server, { cors: { origin: '*' } });
+io.use(authenticateSocket);
+const dashboard = io.to(DASHBOARD_ROOM);
+
+// --- Client IPs (shown in the staff session list) ---
+// Behind a proxy or load balancer, set TRUST_PROXY to the number of proxy hops (e.g. 1)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // --- Basic CORS (no restrictions) ---
 app.use(cors());
 
@@ -24,6 +53,12 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Expose the dashboard broadcast to controllers as req.io
+app.use((req, res, next) => {
+  req.io = dashboard;
+  next();
+});
+
 // --- Root Route ---
 app.get('/', (req, res) => {
   res.send(`
@@ -42,6 +77,17 @@ app.use('/api/contact', contactRoutes);
 app.use('/api/blog', blogRoutes);
 app.use("/api/users", require("./routes/userRoutes"));
 app.use('/api/stats', statsRoutes);
+app.use('/api/pricing-rules', pricingRuleRoutes);
+app.use('/api/extras', extraRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/vehicle-documents', vehicleDocumentRoutes);
+app.use('/api/customers', customerRoutes);
 
 // --- Database Connection & Server Start ---
 const PORT = process.env.PORT || 5000;
@@ -55,10 +101,26 @@ if (!MONGO_URI) {
 mongoose.set('strictQuery', false);
 
 mongoose.connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
+    const migratedUsers = await User.migrateLegacyRoles();
+    if (migratedUsers > 0) console.log(`✅ Migrated ${migratedUsers} staff account(s) to the new roles`);
+    const promotedOwner = await User.ensureOwner(process.env.OWNER_EMAIL);
+    if (promotedOwner) console.log(`✅ ${promotedOwner.email} is now the owner`);
+    if (await User.isMissingOwner()) {
+      console.error(process.env.OWNER_EMAIL
+        ? `❌ No staff account has the email OWNER_EMAIL=${process.env.OWNER_EMAIL}, so nobody is the owner.`
+        : '❌ No staff account is the owner (legacy "admin" accounts are now blog editors).');
+      console.error('   Set OWNER_EMAIL to the email of the account that should manage staff and restart.');
+      process.exit(1);
+    }
     server.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT} and connected to MongoDB`);
     });
+    // Reminders, overdue alerts and email retries (set DISABLE_SCHEDULER=true to run without them)
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+      defineDefaultJobs();
+      startScheduler({ io: dashboard }).catch((err) => console.error('❌ Scheduler failed to start:', err.message));
+    }
   })
   .catch((err) => {
     console.error('❌ Database connection failed:', err.message);
@@ -0,0 +1,211 @@
+// backend/services/documents/bookingDocuments.js
+// Invoice and rental contract PDFs for a booking. The booking must be loaded with
+// its car, unit, pickupLocation and returnLocation populated.
+const mongoose = require('mongoose');
+const Booking = require('../../models/Booking');
+const Counter = require('../../models/Counter');
+const company = require('../../config/company');
+const {
+  MARGIN,
+  formatMoney,
+  formatDateTime,
+  formatDate,
+  createDocument,
+  renderToBuffer,
+  drawHeader,
+  drawSection,
+  drawTable,
+  drawTotals,
+} = require('./pdf');
+
+// Bookings that have been confirmed and not cancelled
+const DOCUMENT_STATUSES = ['confirmed', 'picked_up', 'returned', 'completed', 'no_show'];
+
+const INVOICE_COUNTER = 'invoice';
+
+const describeLocation = (location) =>
+  (location ? [location.name, location.address].filter(Boolean).join(', ') : 'Agreed with the agency');
+
+const describeCar = (car) => (car ? `${car.brand} ${car.name}` : 'Vehicle no longer in the fleet');
+
+const customerRows = (booking) => [
+  ['Name', booking.userName],
+  ['Email', booking.userEmail],
+  ['Phone', booking.userPhone],
+];
+
+const rentalRows = (booking) => {
+  const pickupTimezone = booking.pickupLocation ? booking.pickupLocation.timezone : undefined;
+  const returnTimezone = booking.returnLocation ? booking.returnLocation.timezone : undefined;
+  return [
+    ['Pickup', `${formatDateTime(booking.pickupDate, pickupTimezone)} - ${describeLocation(booking.pickupLocation)}`],
+    ['Return', `${formatDateTime(booking.returnDate, returnTimezone)} - ${describeLocation(booking.returnLocation)}`],
+    ['Billable days', booking.priceBreakdown && booking.priceBreakdown.billableDays],
+  ];
+};
+
+const priceLines = (booking) => {
+  const currency = (booking.priceBreakdown && booking.priceBreakdown.currency) || 'MAD';
+  const lineItems = (booking.priceBreakdown && booking.priceBreakdown.lineItems) || [];
+  const rows = lineItems.length > 0
+    ? lineItems.map((item) => [item.label, String(item.quantity), formatMoney(item.unitPrice, currency), formatMoney(item.amount, currency)])
+    : [['Car rental', '1', formatMoney(booking.totalPrice, currency), formatMoney(booking.totalPrice, currency)]];
+  return { currency, rows };
+};
+
+// What an invoice states, frozen when its number is assigned
+const buildInvoiceSnapshot = (booking) => {
+  const [pickup, dropoff, billableDays] = rentalRows(booking).map(([, value]) => value);
+  const lineItems = (booking.priceBreakdown && booking.priceBreakdown.lineItems) || [];
+  return {
+    currency: (booking.priceBreakdown && booking.priceBreakdown.currency) || 'MAD',
+    billedTo: { name: booking.userName, email: booking.userEmail, phone: booking.userPhone },
+    vehicle: describeCar(booking.car),
+    pickup,
+    return: dropoff,
+    billableDays,
+    lineItems: lineItems.length > 0
+      ? lineItems.map(({ code, label, quantity, unitPrice, amount }) => ({ code, label, quantity, unitPrice, amount }))
+      : [{ code: 'rental', label: 'Car rental', quantity: 1, unitPrice: booking.totalPrice, amount: booking.totalPrice }],
+    total: booking.totalPrice,
+  };
+};
+
+/**
+ * Give the booking its invoice number the first time an invoice is produced, and freeze
+ * what the invoice states. The counter increment and the booking update share a
+ * transaction, so numbers are sequential without gaps and a booking never gets two of them.
+ * `booking` must be populated like for renderInvoice. Returns the booking's invoice.
+ */
+const assignInvoiceNumber = async (booking) => {
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      const current = await Booking.findById(booking._id).select('invoice').session(session);
+      const { invoice: issued } = current.toObject();
+      if (issued && issued.number) {
+        invoice = issued;
+        return;
+      }
+      const seq = await Counter.nextSequence(INVOICE_COUNTER, { session });
+      const number = `${company.invoicePrefix}-${String(seq).padStart(6, '0')}`;
+      invoice = { number, issuedAt: new Date(), ...buildInvoiceSnapshot(booking) };
+      await Booking.updateOne({ _id: booking._id }, { $set: { invoice } }, { session });
+    });
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const PRICE_COLUMNS = [
+  { header: 'Description', width: 265 },
+  { header: 'Qty', width: 40, align: 'right' },
+  { header: 'Unit price', width: 95, align: 'right' },
+  { header: 'Amount', width: 95, align: 'right' },
+];
+
+/**
+ * Invoice PDF as a Buffer, from the snapshot taken by assignInvoiceNumber. Only the
+ * payments received are read from the booking as it is now.
+ */
+const renderInvoice = (booking, invoice) => {
+  const doc = createDocument(`Invoice ${invoice.number}`);
+  const { currency } = invoice;
+
+  drawHeader(doc, 'INVOICE', [
+    `Invoice no. ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+    `Booking: ${booking.reference}`,
+  ]);
+
+  drawSection(doc, 'Billed to', [
+    ['Name', invoice.billedTo.name],
+    ['Email', invoice.billedTo.email],
+    ['Phone', invoice.billedTo.phone],
+  ]);
+  drawSection(doc, 'Rental', [
+    ['Vehicle', invoice.vehicle],
+    ['Pickup', invoice.pickup],
+    ['Return', invoice.return],
+    ['Billable days', invoice.billableDays],
+  ]);
+
+  drawTable(doc, PRICE_COLUMNS, invoice.lineItems.map((item) =>
+    [item.label, String(item.quantity), formatMoney(item.unitPrice, currency), formatMoney(item.amount, currency)]));
+
+  const payments = booking.payments || { paid: 0, refunded: 0 };
+  const totals = [['Total', formatMoney(invoice.total, currency)]];
+  if (payments.paid > 0 || payments.refunded > 0) {
+    totals.push(['Paid', formatMoney(payments.paid, currency)]);
+    if (payments.refunded > 0) totals.push(['Refunded', formatMoney(payments.refunded, currency)]);
+    const due = Math.max(0, Math.round((invoice.total - (payments.paid - payments.refunded)) * 100) / 100);
+    totals.push(['Amount due', formatMoney(due, currency)]);
+  }
+  drawTotals(doc, totals);
+
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text(`Thank you for renting with ${company.name}.`, MARGIN, doc.y, { align: 'center' });
+
+  return renderToBuffer(doc);
+};
+
+/**
+ * Rental agreement PDF as a Buffer, with signature boxes for both parties.
+ */
+const renderContract = (booking) => {
+  const doc = createDocument(`Rental agreement ${booking.reference}`);
+  const { car } = booking;
+
+  drawHeader(doc, 'RENTAL AGREEMENT', [
+    `Booking: ${booking.reference}`,
+    `Date: ${formatDate(new Date())}`,
+  ]);
+
+  drawSection(doc, 'Renter', customerRows(booking));
+  drawSection(doc, 'Vehicle', car ? [
+    ['Vehicle', describeCar(car)],
+    ['Type', car.type],
+    ['Seats', car.specs && car.specs.seats],
+    ['Fuel', car.specs && car.specs.fuel],
+    ['Transmission', car.specs && car.specs.transmission],
+    ...(booking.unit ? [
+      ['Plate number', booking.unit.plateNumber],
+      ['VIN', booking.unit.vin],
+      ['Colour', booking.unit.colour],
+    ] : []),
+  ] : [['Vehicle', describeCar(car)]]);
+  drawSection(doc, 'Rental period', rentalRows(booking));
+
+  const { currency, rows } = priceLines(booking);
+  drawTable(doc, PRICE_COLUMNS, rows);
+  const totals = [['Rental total', formatMoney(booking.totalPrice, currency)]];
+  if (booking.payments && booking.payments.securityHeld > 0) {
+    totals.unshift(['Security deposit held', formatMoney(booking.payments.securityHeld, currency)]);
+  }
+  drawTotals(doc, totals);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Terms and conditions');
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(8);
+  company.contractTerms.forEach((term, index) => doc.text(`${index + 1}. ${term}`));
+  doc.moveDown(2);
+
+  if (doc.y > doc.page.height - MARGIN - 90) doc.addPage();
+  const signatureTop = doc.y;
+  const boxWidth = (doc.page.width - MARGIN * 2 - 30) / 2;
+  [[`For ${company.name}`, MARGIN], ['The renter', MARGIN + boxWidth + 30]].forEach(([label, x]) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(label, x, signatureTop, { width: boxWidth });
+    doc.rect(x, signatureTop + 15, boxWidth, 60).strokeColor('#999999').stroke();
+  });
+
+  return renderToBuffer(doc);
+};
+
+module.exports = {
+  DOCUMENT_STATUSES,
+  assignInvoiceNumber,
+  renderInvoice,
+  renderContract,
+};
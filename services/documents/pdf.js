@@ -0,0 +1,145 @@
+// backend/services/documents/pdf.js
+// Layout helpers shared by the booking PDFs (A4, one column, Helvetica).
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const company = require('../../config/company');
+
+const DEFAULT_TIMEZONE = 'Africa/Casablanca';
+const MARGIN = 50;
+
+const formatMoney = (amount, currency = 'MAD') =>
+  `${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+// e.g. "14 Jul 2026, 10:00", in the branch's timezone when known
+const formatDateTime = (date, timezone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(new Date(date));
+
+const formatDate = (date, timezone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: '2-digit', month: 'short', year: 'numeric' })
+    .format(new Date(date));
+
+/**
+ * New A4 document with the document's metadata set.
+ */
+const createDocument = (title) =>
+  new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title, Author: company.name } });
+
+/**
+ * Finish the document and collect it into a Buffer, so a rendering error
+ * never leaves a half-sent response.
+ */
+const renderToBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+
+/**
+ * Company block on the left, document title and reference lines on the right.
+ */
+const drawHeader = (doc, title, referenceLines) => {
+  const top = doc.y;
+  const width = doc.page.width - MARGIN * 2;
+  let textLeft = MARGIN;
+
+  if (company.logoPath && fs.existsSync(company.logoPath)) {
+    doc.image(company.logoPath, MARGIN, top, { fit: [60, 60] });
+    textLeft += 70;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(16).text(company.name, textLeft, top);
+  doc.font('Helvetica').fontSize(9);
+  [company.legalName, company.address, company.phone, company.email, company.website, ...company.taxIds]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, textLeft));
+  const companyBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(title, MARGIN, top, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  referenceLines.forEach((line) => doc.text(line, MARGIN, doc.y, { width, align: 'right' }));
+
+  doc.y = Math.max(companyBottom, doc.y, top + 60) + 20;
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown();
+};
+
+/**
+ * Bold section title followed by "label: value" rows.
+ */
+const drawSection = (doc, title, rows) => {
+  doc.x = MARGIN;
+  doc.font('Helvetica-Bold').fontSize(11).text(title);
+  doc.moveDown(0.3);
+  rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(String(value));
+    });
+  doc.moveDown();
+};
+
+/**
+ * Simple table. `columns` are { header, width, align }, `rows` arrays of cell strings.
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    let x = MARGIN;
+    let bottom = y;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(cell, x, y, { width: width - 6, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 4;
+  };
+
+  drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+  doc.moveTo(MARGIN, doc.y - 2).lineTo(doc.page.width - MARGIN, doc.y - 2).strokeColor('#cccccc').stroke();
+  rows.forEach((row) => {
+    if (doc.y > doc.page.height - MARGIN - 40) doc.addPage();
+    drawRow(row, 'Helvetica');
+  });
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+};
+
+/**
+ * Right-aligned "label  amount" lines under a table; the last one in bold.
+ */
+const drawTotals = (doc, lines) => {
+  const width = doc.page.width - MARGIN * 2;
+  lines.forEach(([label, value], index) => {
+    doc.font(index === lines.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+      .text(`${label}   ${value}`, MARGIN, doc.y, { width, align: 'right' });
+  });
+  doc.x = MARGIN;
+  doc.moveDown();
+};
+
+module.exports = {
+  MARGIN,
+  formatMoney,
+  formatDateTime,
+  formatDate,
+  createDocument,
+  renderToBuffer,
+  drawHeader,
+  drawSection,
+  drawTable,
+  drawTotals,
+};
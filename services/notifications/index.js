@@ -0,0 +1,270 @@
+// backend/services/notifications/index.js
+// Email notifications. Controllers call the notify* helpers without awaiting them:
+// each message is stored as a Notification, sent in the background, and retried with
+// backoff by the "notification-retries" scheduled job when the SMTP server fails,
+// so HTTP responses never wait on email.
+const Notification = require('../../models/Notification');
+const templates = require('./templates');
+const { sendMail } = require('./transport');
+const { signBookingAccessToken } = require('../../utils/bookingAccess');
+const { signHoldToken } = require('../../utils/bookingHolds');
+
+// Wait before attempt 2, 3, 4 and 5
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const RETRY_BATCH_SIZE = 20;
+// A send that has not finished by then is assumed lost (e.g. the process restarted)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const getAdminEmail = () => process.env.ADMIN_NOTIFICATION_EMAIL;
+
+// What templates need to know about a booking, frozen at the time of the event
+const bookingSnapshot = (booking) => ({
+  id: booking._id.toString(),
+  reference: booking.reference,
+  status: booking.status,
+  userName: booking.userName,
+  userEmail: booking.userEmail,
+  userPhone: booking.userPhone,
+  carName: booking.car && booking.car.name ? `${booking.car.brand} ${booking.car.name}` : 'Your car',
+  pickupDate: booking.pickupDate,
+  returnDate: booking.returnDate,
+  pickupLocation: booking.pickupLocation && booking.pickupLocation.name,
+  returnLocation: booking.returnLocation && booking.returnLocation.name,
+  totalPrice: booking.totalPrice,
+});
+
+// Self-service link for customer emails, when the site's manage page is configured.
+// Signed at send time so access tokens are never stored in the notification log.
+const buildManageUrl = (booking) => {
+  const baseUrl = process.env.BOOKING_MANAGE_URL;
+  if (!baseUrl || !booking) return null;
+  const token = signBookingAccessToken({ _id: booking.id, reference: booking.reference, returnDate: booking.returnDate });
+  return `${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(booking.reference)}?token=${token}`;
+};
+
+// Reservation code and booking form link of a waitlist offer, rebuilt from the hold id at
+// send time so hold tokens are never stored in the notification log
+const buildOfferClaim = (offer) => {
+  if (!offer || !offer.holdId) return {};
+  const holdToken = signHoldToken(offer.holdId);
+  const baseUrl = process.env.WAITLIST_CLAIM_URL;
+  if (!baseUrl) return { holdToken, claimUrl: null };
+  const params = new URLSearchParams({
+    carId: offer.carId,
+    pickupDate: new Date(offer.pickupDate).toISOString(),
+    returnDate: new Date(offer.returnDate).toISOString(),
+    holdToken,
+  });
+  return { holdToken, claimUrl: `${baseUrl}?${params}` };
+};
+
+/**
+ * Render a stored notification into { subject, html, text }.
+ */
+const renderNotification = (notification) => {
+  const template = templates[notification.template];
+  if (!template) throw new Error(`Unknown notification template "${notification.template}".`);
+  const data = { ...notification.data, ...notification.secret };
+  const isCustomerMessage = data.booking && notification.to === data.booking.userEmail;
+  return template({
+    ...data,
+    ...buildOfferClaim(data.offer),
+    manageUrl: isCustomerMessage ? buildManageUrl(data.booking) : null,
+  });
+};
+
+// Forget the one-time values once they can no longer be delivered
+const removeSecret = (notification) => {
+  if (!notification.secret) return;
+  notification.set({ secret: undefined, secretRemovedAt: new Date() });
+};
+
+/**
+ * Claim a due notification and try to send it once. Failures are rescheduled
+ * until maxAttempts, then left as failed for staff to retry.
+ */
+const deliverNotification = async (notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'queued', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+secret');
+  if (!notification) return null;
+
+  try {
+    const message = renderNotification(notification);
+    const info = await sendMail({ to: notification.to, ...message });
+    notification.set({ status: 'sent', subject: message.subject, messageId: info.messageId, sentAt: new Date(), lastError: undefined });
+    removeSecret(notification);
+  } catch (error) {
+    const retryDelay = RETRY_DELAYS_MINUTES[notification.attempts - 1];
+    const canRetry = notification.attempts < notification.maxAttempts && retryDelay !== undefined;
+    notification.set({
+      status: canRetry ? 'queued' : 'failed',
+      nextAttemptAt: canRetry ? new Date(Date.now() + retryDelay * 60 * 1000) : notification.nextAttemptAt,
+      lastError: error.message,
+    });
+    if (!canRetry) removeSecret(notification);
+    console.error(`NOTIFICATION ${notification.template} to ${notification.to} failed (attempt ${notification.attempts}):`, error.message);
+  }
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Store a message and start sending it in the background. Never rejects:
+ * a notification problem must not fail the request that triggered it.
+ */
+const queueNotification = async (template, to, data, { booking, secret } = {}) => {
+  try {
+    if (!to) return null;
+    const notification = await Notification.create({ template, to, data, secret, booking });
+    setImmediate(() => {
+      deliverNotification(notification._id).catch((error) => console.error('NOTIFICATION DELIVERY ERROR:', error));
+    });
+    return notification;
+  } catch (error) {
+    console.error(`QUEUE NOTIFICATION ${template} ERROR:`, error);
+    return null;
+  }
+};
+
+/**
+ * Send everything that is due, oldest first. Also picks up sends interrupted by a restart.
+ */
+const processDueNotifications = async () => {
+  await Notification.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'queued' } }
+  );
+  const due = await Notification.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id');
+  for (const { _id } of due) {
+    await deliverNotification(_id);
+  }
+  return due.length;
+};
+
+/**
+ * Give a failed message a fresh set of attempts and send it now. Messages whose one-time
+ * link was already discarded can't be sent again; the link has to be requested anew.
+ * Returns the notification after the attempt, or null if it can't be retried.
+ */
+const retryNotification = async (notificationId) => {
+  const reset = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'failed', secretRemovedAt: null },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } }
+  );
+  if (!reset) return null;
+  return deliverNotification(notificationId);
+};
+
+// --- Events ---
+
+const notifyBookingReceived = (booking) => {
+  const data = { booking: bookingSnapshot(booking) };
+  return Promise.all([
+    queueNotification('booking_received', booking.userEmail, data, { booking: booking._id }),
+    queueNotification('admin_new_booking', getAdminEmail(), data, { booking: booking._id }),
+  ]);
+};
+
+const notifyBookingStatusChanged = (booking, { reason } = {}) => {
+  const data = { booking: bookingSnapshot(booking), status: booking.status, reason };
+  const template = booking.status === 'cancelled' ? 'booking_cancelled' : 'booking_status_changed';
+  return queueNotification(template, booking.userEmail, data, { booking: booking._id });
+};
+
+const notifyPickupReminder = (booking) =>
+  queueNotification('pickup_reminder', booking.userEmail, { booking: bookingSnapshot(booking) }, { booking: booking._id });
+
+const notifyReturnReminder = (booking) =>
+  queueNotification('return_reminder', booking.userEmail, { booking: bookingSnapshot(booking) }, { booking: booking._id });
+
+const notifyBookingOverdue = (booking) =>
+  queueNotification('admin_overdue_booking', getAdminEmail(), { booking: bookingSnapshot(booking) }, { booking: booking._id });
+
+// `entry.offer.hold` must have been created with a signed token (see buildOfferClaim)
+const notifyWaitlistOffer = (entry, { car }) =>
+  queueNotification('waitlist_offer', entry.userEmail, {
+    offer: {
+      userName: entry.userName,
+      carName: `${car.brand} ${car.name}`,
+      carId: car._id.toString(),
+      holdId: entry.offer.hold.toString(),
+      pickupDate: entry.pickupDate,
+      returnDate: entry.returnDate,
+      expiresAt: entry.offer.expiresAt,
+    },
+  });
+
+// Account emails (verification, password reset). The token travels as the message's
+// secret; only its hash is kept on the account.
+const buildTokenLink = (baseUrl, token) => (baseUrl ? `${baseUrl}?${new URLSearchParams({ token })}` : null);
+
+const notifyCustomerEmailVerification = (customer, { token, expiresAt }) =>
+  queueNotification('customer_verify_email', customer.email, { customer: { name: customer.name, expiresAt } }, {
+    secret: { verifyUrl: buildTokenLink(process.env.CUSTOMER_VERIFY_EMAIL_URL, token), token },
+  });
+
+const notifyStaffEmailVerification = (user, { token, expiresAt }) =>
+  queueNotification('staff_verify_email', user.email, { user: { name: user.name, expiresAt } }, {
+    secret: { verifyUrl: buildTokenLink(process.env.ADMIN_VERIFY_EMAIL_URL, token), token },
+  });
+
+const notifyPasswordReset = (user, { token, expiresAt }) =>
+  queueNotification('staff_password_reset', user.email, { user: { name: user.name, expiresAt } }, {
+    secret: { resetUrl: buildTokenLink(process.env.ADMIN_RESET_PASSWORD_URL, token), token },
+  });
+
+// `document` must have its car and unit populated
+const notifyDocumentExpiry = (document, { daysLeft }) =>
+  queueNotification('admin_document_expiry', getAdminEmail(), {
+    document: {
+      type: document.type,
+      number: document.number,
+      issuer: document.issuer,
+      mandatory: document.mandatory,
+      expiryDate: document.expiryDate,
+      daysLeft,
+      carName: document.car ? `${document.car.brand} ${document.car.name}` : 'Deleted car',
+      plateNumber: document.unit ? document.unit.plateNumber : undefined,
+    },
+  });
+
+const notifyContactMessage = (contact) => {
+  const data = {
+    contact: {
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      email: contact.email,
+      phone: contact.phone,
+      inquiryType: contact.inquiryType,
+      message: contact.message,
+    },
+  };
+  return Promise.all([
+    queueNotification('contact_acknowledgement', contact.email, data),
+    queueNotification('admin_contact_message', getAdminEmail(), data),
+  ]);
+};
+
+module.exports = {
+  renderNotification,
+  deliverNotification,
+  processDueNotifications,
+  retryNotification,
+  notifyBookingReceived,
+  notifyBookingStatusChanged,
+  notifyPickupReminder,
+  notifyReturnReminder,
+  notifyBookingOverdue,
+  notifyDocumentExpiry,
+  notifyWaitlistOffer,
+  notifyCustomerEmailVerification,
+  notifyStaffEmailVerification,
+  notifyPasswordReset,
+  notifyContactMessage,
+};
@@ -0,0 +1,15 @@
+// backend/services/notifications/templates/adminContactMessage.js
+const { renderMessage } = require('./layout');
+
+// To the admin inbox when the contact form is used
+module.exports = ({ contact }) => renderMessage({
+  subject: `New message: ${contact.inquiryType}`,
+  title: 'New contact form message',
+  paragraphs: [contact.message],
+  rows: [
+    ['From', `${contact.firstName} ${contact.lastName}`],
+    ['Email', contact.email],
+    ['Phone', contact.phone],
+    ['Inquiry type', contact.inquiryType],
+  ],
+});
@@ -0,0 +1,39 @@
+// backend/services/notifications/templates/adminDocumentExpiry.js
+const { renderMessage, formatDateTime } = require('./layout');
+
+const TYPE_LABELS = {
+  insurance: 'Insurance',
+  registration: 'Registration card',
+  technical_inspection: 'Technical inspection',
+  tax_sticker: 'Tax sticker',
+  other: 'Document',
+};
+
+// To the admin inbox when a vehicle document reaches one of its reminder thresholds
+module.exports = ({ document }) => {
+  const label = TYPE_LABELS[document.type] || 'Document';
+  const vehicle = document.plateNumber ? `${document.carName} (${document.plateNumber})` : document.carName;
+  const expired = document.daysLeft < 0;
+  // Expired papers of the listing hide the car; those of one unit only take that vehicle off the road
+  const consequence = document.plateNumber
+    ? ' This vehicle must not be rented out until it is renewed.'
+    : ' The car is hidden from available cars until it is renewed.';
+  return renderMessage({
+    subject: expired
+      ? `Expired: ${label} - ${vehicle}`
+      : `${label} expiring ${document.daysLeft === 0 ? 'today' : `in ${document.daysLeft} days`} - ${vehicle}`,
+    title: expired ? `${label} has expired` : `${label} expires soon`,
+    paragraphs: [
+      expired
+        ? `The ${label.toLowerCase()} of the ${vehicle} has expired.${document.mandatory ? consequence : ''}`
+        : `The ${label.toLowerCase()} of the ${vehicle} expires on ${formatDateTime(document.expiryDate)}. Please renew it in time.`,
+    ],
+    rows: [
+      ['Vehicle', vehicle],
+      ['Document', label],
+      ['Number', document.number],
+      ['Issuer', document.issuer],
+      ['Expires', formatDateTime(document.expiryDate)],
+    ],
+  });
+};
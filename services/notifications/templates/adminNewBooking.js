@@ -0,0 +1,15 @@
+// backend/services/notifications/templates/adminNewBooking.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the admin inbox, for staff not watching the dashboard
+module.exports = ({ booking }) => renderMessage({
+  subject: `New booking ${booking.reference} - ${booking.carName}`,
+  title: 'New booking received',
+  paragraphs: ['A new booking is waiting for confirmation.'],
+  rows: [
+    ['Customer', booking.userName],
+    ['Email', booking.userEmail],
+    ['Phone', booking.userPhone],
+    ...bookingRows(booking),
+  ],
+});
@@ -0,0 +1,15 @@
+// backend/services/notifications/templates/adminOverdueBooking.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the admin inbox when a booking passes its return date without being returned
+module.exports = ({ booking }) => renderMessage({
+  subject: `Overdue: ${booking.reference} - ${booking.carName}`,
+  title: 'Booking past its return date',
+  paragraphs: [`This booking is still ${booking.status.replace('_', ' ')} after its return date.`],
+  rows: [
+    ['Customer', booking.userName],
+    ['Email', booking.userEmail],
+    ['Phone', booking.userPhone],
+    ...bookingRows(booking),
+  ],
+});
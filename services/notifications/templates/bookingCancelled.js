@@ -0,0 +1,14 @@
+// backend/services/notifications/templates/bookingCancelled.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the customer, whoever cancelled the booking
+module.exports = ({ booking, reason }) => renderMessage({
+  subject: `Booking ${booking.reference} cancelled`,
+  title: 'Your booking has been cancelled',
+  paragraphs: [
+    `Booking ${booking.reference} has been cancelled.`,
+    reason ? `Reason: ${reason}` : null,
+    'If you paid anything for this booking, our team will contact you about the refund.',
+  ].filter(Boolean),
+  rows: bookingRows(booking),
+});
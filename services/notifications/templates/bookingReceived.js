@@ -0,0 +1,14 @@
+// backend/services/notifications/templates/bookingReceived.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the customer, right after they book
+module.exports = ({ booking, manageUrl }) => renderMessage({
+  subject: `We received your booking ${booking.reference}`,
+  title: `Thank you, ${booking.userName}!`,
+  paragraphs: [
+    'We have received your booking request. Our team will confirm it shortly.',
+    'Keep your booking reference: you will need it to view, change or cancel your booking.',
+  ],
+  rows: bookingRows(booking),
+  action: manageUrl ? { label: 'Manage my booking', url: manageUrl } : null,
+});
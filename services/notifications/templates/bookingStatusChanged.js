@@ -0,0 +1,19 @@
+// backend/services/notifications/templates/bookingStatusChanged.js
+const { renderMessage, bookingRows } = require('./layout');
+
+const STATUS_MESSAGES = {
+  confirmed: 'Good news: your booking is confirmed. See you at pickup!',
+  picked_up: 'Enjoy your trip! Your rental has started.',
+  returned: 'Thank you for returning the car. We are finishing the return check.',
+  completed: 'Your rental is complete. Thank you for choosing us!',
+  no_show: 'You did not pick up the car at the booked time, so the booking was closed. Contact us if this is a mistake.',
+};
+
+// To the customer, for every status change except cancellation (see bookingCancelled)
+module.exports = ({ booking, status, manageUrl }) => renderMessage({
+  subject: `Booking ${booking.reference}: ${status.replace('_', ' ')}`,
+  title: `Your booking is now ${status.replace('_', ' ')}`,
+  paragraphs: [STATUS_MESSAGES[status] || `The status of your booking changed to ${status}.`],
+  rows: bookingRows(booking),
+  action: manageUrl ? { label: 'View my booking', url: manageUrl } : null,
+});
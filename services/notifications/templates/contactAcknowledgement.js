@@ -0,0 +1,13 @@
+// backend/services/notifications/templates/contactAcknowledgement.js
+const { renderMessage } = require('./layout');
+
+// To whoever filled in the contact form. The address is not verified, so nothing the
+// sender wrote is echoed back: the form must not relay text to arbitrary inboxes.
+module.exports = ({ contact }) => renderMessage({
+  subject: 'We received your message',
+  title: `Hello ${contact.firstName},`,
+  paragraphs: [
+    'Thank you for contacting us. We have received your message and will get back to you shortly.',
+    'If you did not use the contact form on our website, you can ignore this email.',
+  ],
+});
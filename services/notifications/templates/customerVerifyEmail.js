@@ -0,0 +1,15 @@
+// backend/services/notifications/templates/customerVerifyEmail.js
+const { renderMessage, formatDateTime } = require('./layout');
+
+// To a customer after signing up or changing their email address
+module.exports = ({ customer, verifyUrl, token }) => renderMessage({
+  subject: 'Confirm your email address',
+  title: `Welcome, ${customer.name}`,
+  paragraphs: [
+    'Please confirm your email address to finish setting up your account. Bookings you made with this address as a guest will then show up in your booking history.',
+    verifyUrl
+      ? `The link is valid until ${formatDateTime(customer.expiresAt)}.`
+      : `Enter this confirmation code before ${formatDateTime(customer.expiresAt)}: ${token}`,
+  ],
+  action: verifyUrl ? { label: 'Confirm my email', url: verifyUrl } : null,
+});
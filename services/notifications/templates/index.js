@@ -0,0 +1,18 @@
+// backend/services/notifications/templates/index.js
+// Template name -> (data) => { subject, html, text }
+module.exports = {
+  booking_received: require('./bookingReceived'),
+  booking_status_changed: require('./bookingStatusChanged'),
+  booking_cancelled: require('./bookingCancelled'),
+  pickup_reminder: require('./pickupReminder'),
+  return_reminder: require('./returnReminder'),
+  waitlist_offer: require('./waitlistOffer'),
+  customer_verify_email: require('./customerVerifyEmail'),
+  staff_verify_email: require('./staffVerifyEmail'),
+  staff_password_reset: require('./staffPasswordReset'),
+  contact_acknowledgement: require('./contactAcknowledgement'),
+  admin_new_booking: require('./adminNewBooking'),
+  admin_contact_message: require('./adminContactMessage'),
+  admin_overdue_booking: require('./adminOverdueBooking'),
+  admin_document_expiry: require('./adminDocumentExpiry'),
+};
@@ -0,0 +1,75 @@
+// backend/services/notifications/templates/layout.js
+// Shared email layout. Templates describe a message as a title, paragraphs and
+// label/value rows; this file turns that into matching HTML and plain-text bodies.
+const company = require('../../../config/company');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDateTime = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Africa/Casablanca',
+  dateStyle: 'medium',
+  timeStyle: 'short',
+}).format(new Date(date));
+
+const formatMoney = (amount) => `${Number(amount || 0).toFixed(2)} MAD`;
+
+/**
+ * { subject, html, text } for a message.
+ * `rows` are [label, value] pairs; `action` is an optional { label, url } button.
+ */
+const renderMessage = ({ subject, title, paragraphs = [], rows = [], action = null }) => {
+  const visibleRows = rows.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const footer = [company.name, company.phone, company.email].filter(Boolean).join(' · ');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+    <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+    ${paragraphs.map((paragraph) => `<p style="font-size:14px;line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${visibleRows.length > 0 ? `<table style="width:100%;font-size:14px;border-collapse:collapse;margin:16px 0;">
+      ${visibleRows.map(([label, value]) => `<tr><td style="padding:4px 0;color:#71717a;">${escapeHtml(label)}</td><td style="padding:4px 0;text-align:right;">${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>` : ''}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;background:#18181b;color:#ffffff;padding:10px 16px;border-radius:6px;text-decoration:none;font-size:14px;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="font-size:12px;color:#a1a1aa;margin-top:32px;">${escapeHtml(footer)}</p>
+  </div>
+</body>
+</html>`;
+
+  const text = [
+    title,
+    '',
+    ...paragraphs.flatMap((paragraph) => [paragraph, '']),
+    ...visibleRows.map(([label, value]) => `${label}: ${value}`),
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    '--',
+    footer,
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+/**
+ * Rows describing a booking snapshot (see notifications/index.js bookingSnapshot).
+ */
+const bookingRows = (booking) => [
+  ['Reference', booking.reference],
+  ['Car', booking.carName],
+  ['Pickup', `${formatDateTime(booking.pickupDate)}${booking.pickupLocation ? ` - ${booking.pickupLocation}` : ''}`],
+  ['Return', `${formatDateTime(booking.returnDate)}${booking.returnLocation ? ` - ${booking.returnLocation}` : ''}`],
+  ['Total', formatMoney(booking.totalPrice)],
+];
+
+module.exports = {
+  escapeHtml,
+  formatDateTime,
+  formatMoney,
+  renderMessage,
+  bookingRows,
+};
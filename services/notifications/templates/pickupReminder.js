@@ -0,0 +1,14 @@
+// backend/services/notifications/templates/pickupReminder.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the customer, about a day before pickup
+module.exports = ({ booking, manageUrl }) => renderMessage({
+  subject: `Reminder: your rental starts soon (${booking.reference})`,
+  title: 'Your rental starts soon',
+  paragraphs: [
+    `This is a reminder that you pick up your ${booking.carName} soon.`,
+    'Please bring your driving licence, your ID or passport and the payment card used for the booking.',
+  ],
+  rows: bookingRows(booking),
+  action: manageUrl ? { label: 'View my booking', url: manageUrl } : null,
+});
@@ -0,0 +1,13 @@
+// backend/services/notifications/templates/returnReminder.js
+const { renderMessage, bookingRows } = require('./layout');
+
+// To the customer, a couple of hours before the car is due back
+module.exports = ({ booking }) => renderMessage({
+  subject: `Reminder: your car is due back soon (${booking.reference})`,
+  title: 'Your rental ends soon',
+  paragraphs: [
+    `Please return your ${booking.carName} on time, with the same fuel level as at pickup.`,
+    'If you need more time, contact us before the return time so we can check availability.',
+  ],
+  rows: bookingRows(booking),
+});
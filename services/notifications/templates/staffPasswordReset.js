@@ -0,0 +1,16 @@
+// backend/services/notifications/templates/staffPasswordReset.js
+const { renderMessage, formatDateTime } = require('./layout');
+
+// To a staff member who asked to reset a forgotten password
+module.exports = ({ user, resetUrl, token }) => renderMessage({
+  subject: 'Reset your password',
+  title: `Hello ${user.name}`,
+  paragraphs: [
+    'We received a request to reset the password of your admin account.',
+    resetUrl
+      ? `Choose a new password with the link below before ${formatDateTime(user.expiresAt)}. It can only be used once.`
+      : `Enter this reset code before ${formatDateTime(user.expiresAt)}. It can only be used once: ${token}`,
+    'If you did not ask for this, you can ignore this email: your password stays the same.',
+  ],
+  action: resetUrl ? { label: 'Reset my password', url: resetUrl } : null,
+});
@@ -0,0 +1,15 @@
+// backend/services/notifications/templates/staffVerifyEmail.js
+const { renderMessage, formatDateTime } = require('./layout');
+
+// To a staff member when their account is created or their email address changes
+module.exports = ({ user, verifyUrl, token }) => renderMessage({
+  subject: 'Confirm your email address',
+  title: `Hello ${user.name}`,
+  paragraphs: [
+    'Please confirm the email address of your admin account. Password reset links are sent to this address.',
+    verifyUrl
+      ? `The link is valid until ${formatDateTime(user.expiresAt)}.`
+      : `Enter this confirmation code before ${formatDateTime(user.expiresAt)}: ${token}`,
+  ],
+  action: verifyUrl ? { label: 'Confirm my email', url: verifyUrl } : null,
+});
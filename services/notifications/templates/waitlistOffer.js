@@ -0,0 +1,20 @@
+// backend/services/notifications/templates/waitlistOffer.js
+const { renderMessage, formatDateTime } = require('./layout');
+
+// To a waitlisted customer when a car frees up for their dates
+module.exports = ({ offer, claimUrl, holdToken }) => renderMessage({
+  subject: `Good news: the ${offer.carName} is available`,
+  title: `A car is available for you, ${offer.userName}`,
+  paragraphs: [
+    `The ${offer.carName} has become available for your dates and we are keeping it for you until ${formatDateTime(offer.expiresAt)}.`,
+    claimUrl
+      ? 'Complete your booking before then to secure it. After that, the car is offered to the next person on the waitlist.'
+      : `Complete your booking before then with this reservation code: ${holdToken}`,
+  ],
+  rows: [
+    ['Car', offer.carName],
+    ['Pickup', formatDateTime(offer.pickupDate)],
+    ['Return', formatDateTime(offer.returnDate)],
+  ],
+  action: claimUrl ? { label: 'Book now', url: claimUrl } : null,
+});
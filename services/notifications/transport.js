@@ -0,0 +1,33 @@
+// backend/services/notifications/transport.js
+// SMTP transport. Without SMTP_HOST it points at a local catcher such as Mailpit
+// or MailHog on localhost:1025, so development never sends real email.
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth,
+    });
+  }
+  return transporter;
+};
+
+const getSender = () => process.env.MAIL_FROM || 'Fadlocar <no-reply@fadlocar.local>';
+
+/**
+ * Send one message. Resolves to nodemailer's info, rejects when the server refuses it.
+ */
+const sendMail = ({ to, subject, html, text }) =>
+  getTransporter().sendMail({ from: getSender(), to, subject, html, text });
+
+module.exports = {
+  sendMail,
+};
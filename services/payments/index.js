@@ -0,0 +1,8 @@
+// backend/services/payments/index.js
+const ledger = require('./ledger');
+const providers = require('./providers');
+
+module.exports = {
+  ...ledger,
+  ...providers,
+};
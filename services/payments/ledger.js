@@ -0,0 +1,250 @@
+// backend/services/payments/ledger.js
+// Booking payment ledger. Every money movement is a Payment entry; the totals stored on
+// the booking (Booking.payments) are always recomputed from these entries.
+//
+// An entry is written as `pending` inside a transaction that also bumps the booking's
+// ledgerVersion, so two requests can't both spend the same outstanding amount or refund
+// the same charge twice. The provider is called outside that transaction, then the entry
+// is settled. If the provider throws, the entry stays pending for staff to reconcile.
+const mongoose = require('mongoose');
+const Booking = require('../../models/Booking');
+const Payment = require('../../models/Payment');
+const { roundAmount } = require('../../utils/pricing');
+const { RELEASED_STATUSES } = require('../../utils/bookingLifecycle');
+const { getProvider, getProviderForMethod } = require('./providers');
+
+const CHARGE_TYPES = ['deposit', 'balance'];
+const PAYMENT_METHODS = ['card', 'cash', 'bank_transfer'];
+// No card gateway configured (see getProviderForMethod): nothing may be recorded as paid
+const CARD_PAYMENTS_UNAVAILABLE = { status: 503, message: 'Card payments are not available right now.' };
+
+// Sum of entries of the given types; pending entries count too when asked
+const sumEntries = (entries, types, { includePending = false } = {}) =>
+  roundAmount(entries
+    .filter((entry) => types.includes(entry.type))
+    .filter((entry) => entry.status === 'succeeded' || (includePending && entry.status === 'pending'))
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+/**
+ * Settled totals of a booking's ledger entries.
+ */
+const summarizeLedger = (entries) => ({
+  paid: sumEntries(entries, CHARGE_TYPES),
+  refunded: sumEntries(entries, ['refund']),
+  securityHeld: roundAmount(sumEntries(entries, ['security_hold']) - sumEntries(entries, ['security_release'])),
+});
+
+// What is left of a charge or hold once its non-failed refunds or releases are taken off
+const remainingOnEntry = (entry, entries) =>
+  roundAmount(entry.amount - entries
+    .filter((other) => other.relatedEntry && other.relatedEntry.equals(entry._id) && other.status !== 'failed')
+    .reduce((sum, other) => sum + other.amount, 0));
+
+// Positive amount with at most two decimals, or null
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? roundAmount(amount) : null;
+};
+
+/**
+ * Run `work({ booking, entries, session })` in a transaction holding the booking's ledger.
+ */
+const withBookingLedger = async (bookingId, work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const booking = await Booking.findOneAndUpdate(
+        { _id: bookingId },
+        { $inc: { ledgerVersion: 1 } },
+        { session, new: true }
+      );
+      if (!booking) {
+        result = { status: 404, message: 'Booking not found.' };
+        return;
+      }
+      const entries = await Payment.find({ booking: booking._id }).session(session);
+      result = await work({ booking, entries, session });
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Recompute the totals stored on the booking from its ledger.
+ */
+const refreshBookingPayments = (bookingId) =>
+  withBookingLedger(bookingId, async ({ booking, entries, session }) => {
+    await Booking.updateOne({ _id: booking._id }, { $set: { payments: summarizeLedger(entries) } }, { session });
+    return {};
+  });
+
+// Validate and write a pending entry, call the provider, then settle the entry
+const recordEntry = async (bookingId, draftEntry, callProvider) => {
+  const drafted = await withBookingLedger(bookingId, async ({ booking, entries, session }) => {
+    const draft = draftEntry(booking, entries);
+    if (draft.message) return draft;
+    const [entry] = await Payment.create([{ ...draft, booking: booking._id, status: 'pending' }], { session });
+    return { booking, entry };
+  });
+  if (drafted.message) return drafted;
+
+  const { booking, entry } = drafted;
+  let outcome;
+  try {
+    outcome = await callProvider(booking, entry);
+  } catch (error) {
+    console.error(`PAYMENT PROVIDER ERROR (${entry.provider}):`, error);
+    entry.failureReason = `Provider error: ${error.message}`;
+    await entry.save();
+    return { entry };
+  }
+
+  entry.status = outcome.status;
+  entry.providerReference = outcome.reference;
+  entry.failureReason = outcome.failureReason;
+  entry.settledAt = new Date();
+  await entry.save();
+  await refreshBookingPayments(bookingId);
+  return { entry };
+};
+
+/**
+ * Take a deposit or balance payment. Without an amount, a balance payment covers
+ * whatever is still outstanding.
+ * Returns { entry } (check entry.status) or { status, message }.
+ */
+const chargeBooking = (bookingId, { type, amount, method = 'card', source, note, actor }) =>
+  recordEntry(bookingId, (booking, entries) => {
+    if (!CHARGE_TYPES.includes(type)) {
+      return { status: 400, message: `Payment type must be one of: ${CHARGE_TYPES.join(', ')}.` };
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      return { status: 400, message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}.` };
+    }
+    if (RELEASED_STATUSES.includes(booking.status)) {
+      return { status: 409, message: `A ${booking.status} booking cannot take payments.` };
+    }
+
+    const committed = sumEntries(entries, CHARGE_TYPES, { includePending: true }) - sumEntries(entries, ['refund']);
+    const outstanding = roundAmount(Math.max(0, booking.totalPrice - committed));
+    const charge = amount === undefined && type === 'balance' ? outstanding : parseAmount(amount);
+    if (!charge) {
+      return { status: 400, message: outstanding > 0 ? 'Please provide a positive amount.' : 'Nothing is outstanding on this booking.' };
+    }
+    if (charge > outstanding) {
+      return { status: 400, message: `Amount exceeds the outstanding balance of ${outstanding} MAD.` };
+    }
+
+    const provider = getProviderForMethod(method);
+    if (!provider) return CARD_PAYMENTS_UNAVAILABLE;
+
+    return {
+      type,
+      amount: charge,
+      method,
+      provider: provider.name,
+      note,
+      recordedBy: actor,
+    };
+  }, (booking, entry) => getProvider(entry.provider).charge({ amount: entry.amount, currency: entry.currency, booking, source }));
+
+/**
+ * Place a security deposit hold on the customer's payment method.
+ * Returns { entry } (check entry.status) or { status, message }.
+ */
+const holdSecurityDeposit = (bookingId, { amount, method = 'card', source, note, actor }) =>
+  recordEntry(bookingId, (booking) => {
+    if (!PAYMENT_METHODS.includes(method)) {
+      return { status: 400, message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}.` };
+    }
+    if (!['pending', 'confirmed', 'picked_up'].includes(booking.status)) {
+      return { status: 409, message: `A security deposit cannot be held on a ${booking.status} booking.` };
+    }
+    const hold = parseAmount(amount);
+    if (!hold) return { status: 400, message: 'Please provide a positive amount.' };
+    const provider = getProviderForMethod(method);
+    if (!provider) return CARD_PAYMENTS_UNAVAILABLE;
+
+    return {
+      type: 'security_hold',
+      amount: hold,
+      method,
+      provider: provider.name,
+      note,
+      recordedBy: actor,
+    };
+  }, (booking, entry) => getProvider(entry.provider).authorize({ amount: entry.amount, currency: entry.currency, booking, source }));
+
+// Shared by refunds and releases: both give back part of an earlier settled entry
+const reverseEntry = (bookingId, entryId, { type, originalTypes, amount, note, actor, callProvider }) =>
+  recordEntry(bookingId, (booking, entries) => {
+    const original = entries.find((entry) => entry._id.equals(entryId));
+    if (!original || !originalTypes.includes(original.type)) {
+      return { status: 404, message: 'Payment not found on this booking.' };
+    }
+    if (original.status !== 'succeeded') {
+      return { status: 409, message: `This payment is ${original.status} and cannot be reversed.` };
+    }
+
+    const remaining = remainingOnEntry(original, entries);
+    const reversal = amount === undefined ? remaining : parseAmount(amount);
+    if (!reversal) {
+      return { status: 400, message: remaining > 0 ? 'Please provide a positive amount.' : 'This payment has already been fully reversed.' };
+    }
+    if (reversal > remaining) {
+      return { status: 400, message: `Amount exceeds the ${remaining} MAD left on this payment.` };
+    }
+
+    return {
+      type,
+      amount: reversal,
+      method: original.method,
+      provider: original.provider,
+      relatedEntry: original._id,
+      note,
+      recordedBy: actor,
+    };
+  }, async (booking, entry) => {
+    const original = await Payment.findById(entry.relatedEntry);
+    return callProvider(getProvider(entry.provider), { amount: entry.amount, currency: entry.currency, booking, entry: original });
+  });
+
+/**
+ * Refund all or part of a deposit or balance payment, through the provider that took it.
+ * Returns { entry } (check entry.status) or { status, message }.
+ */
+const refundPayment = (bookingId, entryId, { amount, note, actor }) =>
+  reverseEntry(bookingId, entryId, {
+    type: 'refund',
+    originalTypes: CHARGE_TYPES,
+    amount,
+    note,
+    actor,
+    callProvider: (provider, params) => provider.refund(params),
+  });
+
+/**
+ * Release all or part of a security deposit hold.
+ * Returns { entry } (check entry.status) or { status, message }.
+ */
+const releaseSecurityDeposit = (bookingId, entryId, { amount, note, actor }) =>
+  reverseEntry(bookingId, entryId, {
+    type: 'security_release',
+    originalTypes: ['security_hold'],
+    amount,
+    note,
+    actor,
+    callProvider: (provider, params) => provider.release(params),
+  });
+
+module.exports = {
+  summarizeLedger,
+  refreshBookingPayments,
+  chargeBooking,
+  holdSecurityDeposit,
+  refundPayment,
+  releaseSecurityDeposit,
+};
@@ -0,0 +1,25 @@
+// backend/services/payments/providers/fakeProvider.js
+// In-memory stand-in for a card gateway, for development and tests. Only used when
+// PAYMENT_PROVIDER=fake is set; never enable it on a deployment that takes real bookings.
+// Every call succeeds unless the payment source is one of the decline tokens below.
+const crypto = require('crypto');
+
+const DECLINED_SOURCES = {
+  tok_declined: 'Card declined.',
+  tok_insufficient_funds: 'Insufficient funds.',
+};
+
+const respond = (prefix, source) => {
+  if (DECLINED_SOURCES[source]) {
+    return { status: 'failed', failureReason: DECLINED_SOURCES[source] };
+  }
+  return { status: 'succeeded', reference: `fake_${prefix}_${crypto.randomBytes(8).toString('hex')}` };
+};
+
+module.exports = {
+  name: 'fake',
+  charge: async ({ source }) => respond('ch', source),
+  refund: async () => respond('re'),
+  authorize: async ({ source }) => respond('auth', source),
+  release: async () => respond('rel'),
+};
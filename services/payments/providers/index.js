@@ -0,0 +1,53 @@
+// backend/services/payments/providers/index.js
+// Payment provider registry. A provider is an object with a unique `name` and four async
+// methods, each resolving to { status: 'succeeded' | 'failed', reference?, failureReason? }:
+//   charge({ amount, currency, booking, source })     take money now
+//   refund({ amount, currency, booking, entry })      give back part of a charge entry
+//   authorize({ amount, currency, booking, source })  hold a security deposit
+//   release({ amount, currency, booking, entry })     free part of a hold entry
+// `source` is whatever the client sent to identify the payment method (a gateway token,
+// or a receipt number for counter payments). A provider may throw on network errors.
+const fakeProvider = require('./fakeProvider');
+const manualProvider = require('./manualProvider');
+
+const PROVIDER_METHODS = ['charge', 'refund', 'authorize', 'release'];
+
+const providers = {};
+
+/**
+ * Make a provider available by name, e.g. a card gateway adapter at startup.
+ */
+const registerProvider = (provider) => {
+  const missing = PROVIDER_METHODS.filter((method) => typeof provider[method] !== 'function');
+  if (!provider.name || missing.length > 0) {
+    throw new Error(`Invalid payment provider "${provider.name}": missing ${missing.join(', ') || 'name'}.`);
+  }
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider "${name}".`);
+  }
+  return providers[name];
+};
+
+/**
+ * Provider for a payment method: cards go through PAYMENT_PROVIDER, cash and bank
+ * transfers are recorded manually. The fake provider approves almost anything, so it is
+ * only used when PAYMENT_PROVIDER=fake is set explicitly.
+ * Returns null when no card provider is configured.
+ */
+const getProviderForMethod = (method) => {
+  if (method !== 'card') return getProvider('manual');
+  return process.env.PAYMENT_PROVIDER ? getProvider(process.env.PAYMENT_PROVIDER) : null;
+};
+
+registerProvider(fakeProvider);
+registerProvider(manualProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderForMethod,
+};
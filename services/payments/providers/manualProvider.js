@@ -0,0 +1,12 @@
+// backend/services/payments/providers/manualProvider.js
+// Money taken or given back at the counter (cash, bank transfer). Nothing is sent anywhere:
+// the entry is recorded as settled, with the receipt number staff typed in as the reference.
+const settle = async ({ source }) => ({ status: 'succeeded', reference: source || undefined });
+
+module.exports = {
+  name: 'manual',
+  charge: settle,
+  refund: settle,
+  authorize: settle,
+  release: settle,
+};
@@ -0,0 +1,135 @@
+// backend/services/scheduler/index.js
+// Mongo-backed scheduler for recurring jobs. Each job's next run time and lock live in
+// the Job collection, so schedules survive restarts and, with several API instances up,
+// a due job is claimed by exactly one of them (atomic findOneAndUpdate on the lock).
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../../models/Job');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+// A run that takes longer than this is assumed dead and may be claimed again
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// name -> { intervalMs, lockMs, handler }
+const definitions = new Map();
+let pollTimer = null;
+let polling = false;
+let context = {};
+
+/**
+ * Register a recurring job. `handler(context)` may return a small summary object,
+ * stored as the job's lastResult. Must be called before startScheduler.
+ */
+const defineJob = (name, { intervalMs, lockMs = DEFAULT_LOCK_MS, handler }) => {
+  definitions.set(name, { intervalMs, lockMs, handler });
+};
+
+// Atomically take the job's lock if it is due and nobody holds it
+const claimJob = (name, now, lockMs) => Job.findOneAndUpdate(
+  {
+    name,
+    enabled: true,
+    nextRunAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+  },
+  { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now } },
+  { new: true }
+);
+
+/**
+ * Run one job now if it is due and not running elsewhere. Returns the job after the run,
+ * or null when it was not claimed.
+ */
+const runJobIfDue = async (name) => {
+  const definition = definitions.get(name);
+  const job = await claimJob(name, new Date(), definition.lockMs);
+  if (!job) return null;
+
+  const update = { lockedBy: null, lockedUntil: null };
+  try {
+    const result = await definition.handler(context);
+    Object.assign(update, { lastStatus: 'succeeded', lastResult: result, lastError: null });
+  } catch (error) {
+    console.error(`JOB ${name} FAILED:`, error);
+    Object.assign(update, { lastStatus: 'failed', lastError: error.message });
+  }
+  update.lastFinishedAt = new Date();
+  update.nextRunAt = new Date(Date.now() + definition.intervalMs);
+
+  return Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: INSTANCE_ID },
+    {
+      $set: update,
+      $inc: { runCount: 1, failureCount: update.lastStatus === 'failed' ? 1 : 0 },
+    },
+    { new: true }
+  );
+};
+
+// Create missing Job documents; keep intervals in sync with the code
+const registerJobs = async () => {
+  for (const [name, { intervalMs }] of definitions) {
+    const upsertJob = () => Job.updateOne(
+      { name },
+      { $set: { intervalMs }, $setOnInsert: { nextRunAt: new Date() } },
+      { upsert: true }
+    );
+    try {
+      await upsertJob();
+    } catch (error) {
+      // Another instance starting at the same moment inserted it first: it exists now
+      if (error.code !== 11000) throw error;
+      await upsertJob();
+    }
+  }
+};
+
+const pollOnce = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    for (const name of definitions.keys()) {
+      await runJobIfDue(name);
+    }
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling. `jobContext` (e.g. { io }) is passed to every handler.
+ */
+const startScheduler = async (jobContext = {}) => {
+  if (pollTimer) return;
+  context = jobContext;
+  await registerJobs();
+  pollTimer = setInterval(() => {
+    pollOnce().catch((error) => console.error('SCHEDULER ERROR:', error));
+  }, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  pollOnce().catch((error) => console.error('SCHEDULER ERROR:', error));
+};
+
+const stopScheduler = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Make a job due right away (picked up on the next poll by whichever instance gets it).
+ * Returns the job or null for an unknown name.
+ */
+const triggerJob = (name) => {
+  if (!definitions.has(name)) return null;
+  return Job.findOneAndUpdate({ name }, { $set: { nextRunAt: new Date() } }, { new: true });
+};
+
+module.exports = {
+  defineJob,
+  runJobIfDue,
+  startScheduler,
+  stopScheduler,
+  triggerJob,
+};
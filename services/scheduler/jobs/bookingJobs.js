@@ -0,0 +1,134 @@
+// backend/services/scheduler/jobs/bookingJobs.js
+// Booking reminders and clean-up. Every handler claims each booking with a conditional
+// update before acting on it, so a booking is never reminded or flagged twice even if
+// a run is interrupted and repeated.
+const Booking = require('../../../models/Booking');
+const {
+  notifyPickupReminder,
+  notifyReturnReminder,
+  notifyBookingOverdue,
+  notifyBookingStatusChanged,
+} = require('../../notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PICKUP_REMINDER_HOURS = 24;
+const RETURN_REMINDER_HOURS = 2;
+// Statuses still open after the return date
+const OVERDUE_STATUSES = ['pending', 'confirmed', 'picked_up'];
+// Older bookings are left alone so the first run doesn't alert about years of history
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+// Returned bookings are completed automatically after this many hours
+const getAutoCompleteHours = () => {
+  const configured = Number(process.env.BOOKING_AUTO_COMPLETE_HOURS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : 24;
+};
+
+const SCHEDULER_ACTOR = { kind: 'system', name: 'Scheduler' };
+
+const BOOKING_POPULATE = [
+  { path: 'car', select: 'name brand' },
+  { path: 'pickupLocation', select: 'name' },
+  { path: 'returnLocation', select: 'name' },
+];
+
+// Claim bookings matching `filter` one by one by setting `field`, and hand each to `act`
+const claimEach = async (filter, field, act) => {
+  const candidates = await Booking.find({ ...filter, [field]: null }).select('_id');
+  let count = 0;
+  for (const { _id } of candidates) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id, ...filter, [field]: null },
+      { $set: { [field]: new Date() } },
+      { new: true }
+    ).populate(BOOKING_POPULATE);
+    if (booking) {
+      await act(booking);
+      count += 1;
+    }
+  }
+  return count;
+};
+
+/**
+ * Email confirmed customers whose pickup is within the next 24 hours.
+ */
+const sendPickupReminders = async () => {
+  const now = new Date();
+  const sent = await claimEach(
+    { status: 'confirmed', pickupDate: { $gt: now, $lte: new Date(now.getTime() + PICKUP_REMINDER_HOURS * HOUR_MS) } },
+    'reminders.pickupSentAt',
+    notifyPickupReminder
+  );
+  return { sent };
+};
+
+/**
+ * Email customers whose car is due back within the next 2 hours.
+ */
+const sendReturnReminders = async () => {
+  const now = new Date();
+  const sent = await claimEach(
+    { status: 'picked_up', returnDate: { $gt: now, $lte: new Date(now.getTime() + RETURN_REMINDER_HOURS * HOUR_MS) } },
+    'reminders.returnSentAt',
+    notifyReturnReminder
+  );
+  return { sent };
+};
+
+/**
+ * Flag open bookings past their return date and alert staff.
+ */
+const flagOverdueBookings = async ({ io }) => {
+  const now = new Date();
+  const flagged = await claimEach(
+    {
+      status: { $in: OVERDUE_STATUSES },
+      returnDate: { $lt: now, $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS) },
+    },
+    'overdueAt',
+    async (booking) => {
+      if (io) io.emit('bookingOverdue', { bookingId: booking._id, booking });
+      await notifyBookingOverdue(booking);
+    }
+  );
+  return { flagged };
+};
+
+/**
+ * Complete bookings that have been returned for longer than BOOKING_AUTO_COMPLETE_HOURS.
+ */
+const autoCompleteReturnedBookings = async ({ io }) => {
+  const cutoff = new Date(Date.now() - getAutoCompleteHours() * HOUR_MS);
+  const bookings = await Booking.find({
+    status: 'returned',
+    statusHistory: { $elemMatch: { to: 'returned', at: { $lte: cutoff } } },
+  });
+
+  let completed = 0;
+  for (const booking of bookings) {
+    booking.transitionTo('completed', { actor: SCHEDULER_ACTOR, reason: 'Completed automatically after return' });
+    try {
+      await booking.save();
+    } catch (error) {
+      // Staff changed the booking in the meantime; the next run looks at it again
+      if (error.name === 'VersionError') continue;
+      throw error;
+    }
+    await booking.populate(BOOKING_POPULATE);
+    if (io) {
+      io.emit('bookingStatusChanged', { bookingId: booking._id, from: 'returned', to: 'completed', booking });
+    }
+    notifyBookingStatusChanged(booking);
+    completed += 1;
+  }
+  return { completed };
+};
+
+module.exports = {
+  sendPickupReminders,
+  sendReturnReminders,
+  flagOverdueBookings,
+  autoCompleteReturnedBookings,
+};
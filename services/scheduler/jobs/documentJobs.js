@@ -0,0 +1,38 @@
+// backend/services/scheduler/jobs/documentJobs.js
+// Expiry reminders for vehicle papers. Each threshold is claimed on the document with a
+// conditional update before the email is queued, so it is only ever sent once.
+const VehicleDocument = require('../../../models/VehicleDocument');
+const { findCurrentDocuments, daysUntilExpiry } = require('../../../utils/vehicleDocuments');
+const { notifyDocumentExpiry } = require('../../notifications');
+
+/**
+ * Email the admin about current documents that reached one of their reminder thresholds.
+ * Several thresholds crossed at once (e.g. a document added after it expired) make one email.
+ */
+const sendDocumentExpiryReminders = async () => {
+  const now = new Date();
+  let sent = 0;
+  for (const document of await findCurrentDocuments()) {
+    const daysLeft = daysUntilExpiry(document, now);
+    const crossed = document.reminderDays.filter((days) => daysLeft <= days && !document.remindersSent.includes(days));
+    if (crossed.length === 0) continue;
+
+    const claimed = await VehicleDocument.findOneAndUpdate(
+      { _id: document._id, expiryDate: document.expiryDate, remindersSent: { $nin: crossed } },
+      { $addToSet: { remindersSent: { $each: crossed } } },
+      { new: true }
+    ).populate([
+      { path: 'car', select: 'name brand' },
+      { path: 'unit', select: 'plateNumber' },
+    ]);
+    if (claimed) {
+      await notifyDocumentExpiry(claimed, { daysLeft });
+      sent += 1;
+    }
+  }
+  return { sent };
+};
+
+module.exports = {
+  sendDocumentExpiryReminders,
+};
@@ -0,0 +1,29 @@
+// backend/services/scheduler/jobs/index.js
+// Every recurring job the API runs, with how often it runs.
+const { defineJob } = require('..');
+const { processDueNotifications } = require('../../notifications');
+const { expireWaitlistOffers } = require('../../waitlist');
+const {
+  sendPickupReminders,
+  sendReturnReminders,
+  flagOverdueBookings,
+  autoCompleteReturnedBookings,
+} = require('./bookingJobs');
+const { sendDocumentExpiryReminders } = require('./documentJobs');
+
+const MINUTE_MS = 60 * 1000;
+
+const defineDefaultJobs = () => {
+  defineJob('notification-retries', {
+    intervalMs: MINUTE_MS,
+    handler: async () => ({ processed: await processDueNotifications() }),
+  });
+  defineJob('pickup-reminders', { intervalMs: 10 * MINUTE_MS, handler: sendPickupReminders });
+  defineJob('return-reminders', { intervalMs: 10 * MINUTE_MS, handler: sendReturnReminders });
+  defineJob('overdue-bookings', { intervalMs: 15 * MINUTE_MS, handler: flagOverdueBookings });
+  defineJob('waitlist-offers', { intervalMs: 5 * MINUTE_MS, handler: expireWaitlistOffers });
+  defineJob('auto-complete-bookings', { intervalMs: 60 * MINUTE_MS, handler: autoCompleteReturnedBookings });
+  defineJob('document-expiry-reminders', { intervalMs: 60 * MINUTE_MS, handler: sendDocumentExpiryReminders });
+};
+
+module.exports = { defineDefaultJobs };
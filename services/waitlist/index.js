@@ -0,0 +1,99 @@
+// backend/services/waitlist/index.js
+// Offers freed cars to waitlisted customers. An offer is a booking hold on the car for
+// the customer's dates, so nobody else can take the slot while they decide; the claim
+// link in the offer email carries the hold token that createBooking consumes.
+const Car = require('../../models/Car');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const { checkCarAvailability, withCarLock } = require('../../utils/bookingAvailability');
+const { createHold } = require('../../utils/bookingHolds');
+const { notifyWaitlistOffer } = require('../notifications');
+
+// How long a waitlisted customer has to claim an offer
+const getClaimMinutes = () => {
+  const configured = Number(process.env.WAITLIST_CLAIM_MINUTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : 120;
+};
+
+// Reserve the car for one entry if it is free for the entry's dates. Returns whether it was offered.
+const offerToEntry = (entry, carId) =>
+  withCarLock(carId, async (session) => {
+    const availability = await checkCarAvailability(carId, entry.pickupDate, entry.returnDate, { session });
+    if (!availability.available) return null;
+
+    const claimMinutes = getClaimMinutes();
+    // Signed so the email can rebuild the token from the hold id; it is never stored
+    const { hold } = await createHold(carId, entry.pickupDate, entry.returnDate, { minutes: claimMinutes, signed: true, session });
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', offer: { car: carId, hold: hold._id, offeredAt: new Date(), expiresAt: hold.expiresAt } } },
+      { session, new: true }
+    );
+    // Someone else already handled this entry: abort so the hold is rolled back
+    if (!offered) throw new Error('WAITLIST_ENTRY_TAKEN');
+    return true;
+  }).catch((error) => {
+    if (error.message === 'WAITLIST_ENTRY_TAKEN') return false;
+    throw error;
+  });
+
+/**
+ * A car became free between `from` and `to`: offer it, in waitlist order, to every waiting
+ * customer whose dates it can now serve. Never rejects; returns the number of offers made.
+ */
+const offerFreedSlot = async (carId, from, to) => {
+  try {
+    const car = await Car.findById(carId).select('name brand type');
+    if (!car) return 0;
+
+    const entries = await WaitlistEntry.find({
+      status: 'waiting',
+      $or: [{ car: car._id }, { car: null, carType: car.type }],
+      pickupDate: { $lt: to, $gt: new Date() },
+      returnDate: { $gt: from },
+    }).sort({ createdAt: 1 });
+
+    let offers = 0;
+    for (const entry of entries) {
+      if (!(await offerToEntry(entry, car._id))) continue;
+
+      const offered = await WaitlistEntry.findById(entry._id);
+      await notifyWaitlistOffer(offered, { car });
+      offers += 1;
+    }
+    return offers;
+  } catch (error) {
+    console.error('WAITLIST OFFER ERROR:', error);
+    return 0;
+  }
+};
+
+/**
+ * Close offers nobody claimed in time and pass the slot on to the next customers,
+ * and drop waiting entries whose pickup date has passed.
+ */
+const expireWaitlistOffers = async () => {
+  const now = new Date();
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+
+  let reoffered = 0;
+  for (const entry of lapsed) {
+    const { modifiedCount } = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+    if (modifiedCount === 1) {
+      reoffered += await offerFreedSlot(entry.offer.car, entry.pickupDate, entry.returnDate);
+    }
+  }
+
+  const { modifiedCount: stale } = await WaitlistEntry.updateMany(
+    { status: 'waiting', pickupDate: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return { expiredOffers: lapsed.length, reoffered, staleEntries: stale };
+};
+
+module.exports = {
+  offerFreedSlot,
+  expireWaitlistOffers,
+};
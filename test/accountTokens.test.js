@@ -0,0 +1,162 @@
+// backend/test/accountTokens.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  hashAccountToken,
+  issueAccountToken,
+  redeemAccountToken,
+} = require('../utils/accountTokens');
+const { resetPassword, updateUserProfile } = require('../controllers/userController');
+const userRoutes = require('../routes/userRoutes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Staff accounts behind the User and Session calls the password endpoints make
+const stubAccounts = (t, users) => {
+  const revoked = [];
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    const user = users.find((candidate) => Object.entries(filter).every(([key, expected]) => {
+      const actual = candidate.get(key);
+      return expected && expected.$gt ? actual > expected.$gt : actual === expected;
+    }));
+    if (!user) return null;
+    user.set(update.$set);
+    Object.keys(update.$unset).forEach((key) => user.set(key, undefined));
+    return user;
+  });
+  t.mock.method(User, 'findById', (id) => ({
+    select: async () => users.find((user) => user._id.equals(id)) || null,
+  }));
+  t.mock.method(User.prototype, 'save', async function save() { return this; });
+  t.mock.method(Session, 'updateMany', async (filter, update) => {
+    revoked.push({ filter, reason: update.$set.revokedReason });
+    return { modifiedCount: 1 };
+  });
+  return revoked;
+};
+
+const makeUser = async (password = 'old-password') => new User({
+  name: 'Sam Staff',
+  email: 'sam@example.com',
+  password: await bcrypt.hash(password, 4),
+  role: 'agent',
+});
+
+test('account tokens are stored hashed and work once', async (t) => {
+  const user = await makeUser();
+  stubAccounts(t, [user]);
+  const { token, expiresAt } = issueAccountToken(user, 'passwordReset', HOUR_MS);
+
+  assert.equal(user.passwordReset.tokenHash, hashAccountToken(token));
+  assert.notEqual(user.passwordReset.tokenHash, token);
+  assert.ok(expiresAt > new Date());
+
+  assert.equal(await redeemAccountToken(User, 'passwordReset', token), user);
+  assert.equal(user.passwordReset.tokenHash, undefined);
+  assert.equal(await redeemAccountToken(User, 'passwordReset', token), null);
+});
+
+test('expired and superseded tokens are refused', async (t) => {
+  const user = await makeUser();
+  stubAccounts(t, [user]);
+
+  const expired = issueAccountToken(user, 'passwordReset', -1000);
+  assert.equal(await redeemAccountToken(User, 'passwordReset', expired.token), null);
+
+  const older = issueAccountToken(user, 'passwordReset', HOUR_MS);
+  const newer = issueAccountToken(user, 'passwordReset', HOUR_MS);
+  assert.equal(await redeemAccountToken(User, 'passwordReset', older.token), null);
+  assert.equal(await redeemAccountToken(User, 'passwordReset', newer.token), user);
+});
+
+test('a reset link sets the new password once and signs out every device', async (t) => {
+  const user = await makeUser();
+  const revoked = stubAccounts(t, [user]);
+  const { token } = issueAccountToken(user, 'passwordReset', HOUR_MS);
+
+  const res = mockResponse();
+  await resetPassword({ body: { token, password: 'new-password' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.ok(await bcrypt.compare('new-password', user.password));
+  assert.deepEqual(revoked, [{ filter: { user: user._id, revokedAt: null }, reason: 'password_changed' }]);
+
+  const reused = mockResponse();
+  await resetPassword({ body: { token, password: 'another-password' } }, reused);
+  assert.equal(reused.statusCode, 400);
+  assert.match(reused.body.message, /invalid or has expired/);
+});
+
+test('new passwords must be strings of at least 6 characters', async (t) => {
+  const user = await makeUser();
+  stubAccounts(t, [user]);
+  const { token } = issueAccountToken(user, 'passwordReset', HOUR_MS);
+
+  for (const password of [12345678, { $gt: '' }, ['long-enough'], 'short']) {
+    const res = mockResponse();
+    await resetPassword({ body: { token, password } }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(password));
+  }
+  // Refused before the token was spent
+  assert.equal(user.passwordReset.tokenHash, hashAccountToken(token));
+});
+
+test('changing the password or email needs the current password', async (t) => {
+  const user = await makeUser('old-password');
+  const revoked = stubAccounts(t, [user]);
+  const authSession = { _id: new mongoose.Types.ObjectId() };
+  const update = async (body) => {
+    const res = mockResponse();
+    await updateUserProfile({ user: { _id: user._id }, authSession, body }, res);
+    return res;
+  };
+
+  assert.equal((await update({ password: 'new-password' })).statusCode, 401);
+  assert.equal((await update({ password: 'new-password', currentPassword: 'wrong' })).statusCode, 401);
+  assert.equal((await update({ email: 'other@example.com', currentPassword: { $ne: null } })).statusCode, 401);
+  assert.equal((await update({ password: 123456, currentPassword: 'old-password' })).statusCode, 400);
+  assert.ok(await bcrypt.compare('old-password', user.password));
+  assert.equal(revoked.length, 0);
+
+  // The name alone can change without it
+  assert.equal((await update({ name: 'Samira Staff' })).statusCode, 200);
+  assert.equal(user.name, 'Samira Staff');
+
+  user.passwordReset = { tokenHash: 'pending-reset', expiresAt: new Date(Date.now() + HOUR_MS) };
+  assert.equal((await update({ password: 'new-password', currentPassword: 'old-password' })).statusCode, 200);
+  assert.ok(await bcrypt.compare('new-password', user.password));
+  assert.equal(user.passwordReset.tokenHash, undefined);
+  // Every other device is signed out; this one stays
+  assert.deepEqual(revoked[0].filter._id, { $ne: authSession._id });
+});
+
+test('password reset emails are rate-limited', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/users/forgot-password`;
+
+  const statuses = [];
+  for (let i = 0; i < 6; i += 1) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'someone@example.com' }),
+    });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+});
@@ -0,0 +1,229 @@
+// backend/test/bookingAvailability.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Blackout = require('../models/Blackout');
+const BookingHold = require('../models/BookingHold');
+const Maintenance = require('../models/Maintenance');
+const FleetUnit = require('../models/FleetUnit');
+const {
+  parseBookingDates,
+  checkCarAvailability,
+  formatBlockedRanges,
+  peakUsage,
+  buildAvailabilityCalendar,
+  findUnitsLeft,
+} = require('../utils/bookingAvailability');
+
+const carId = new mongoose.Types.ObjectId();
+const at = (day, hour = 10) => new Date(Date.UTC(2026, 6, day, hour));
+
+// Stand-in for a Mongoose query: chainable, resolves to `docs` at the end of the chain
+const fakeQuery = (docs) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    session: () => Promise.resolve(docs),
+  };
+  return query;
+};
+
+// What the database holds for the car; every test starts from nothing
+const stubDatabase = (t, { bookings = [], blackouts = [], holds = [], maintenance = [], units = [] } = {}) => {
+  const calls = {};
+  const stub = (Model, name, docs) => t.mock.method(Model, 'find', (filter) => {
+    calls[name] = filter;
+    return fakeQuery(docs);
+  });
+  stub(Booking, 'bookings', bookings);
+  stub(Blackout, 'blackouts', blackouts);
+  stub(BookingHold, 'holds', holds);
+  stub(Maintenance, 'maintenance', maintenance);
+  stub(FleetUnit, 'units', units);
+  return calls;
+};
+
+const booking = (pickupDay, returnDay, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  pickupDate: at(pickupDay),
+  returnDate: at(returnDay),
+  status: 'confirmed',
+  ...extra,
+});
+
+test('return dates must come after pickup dates', () => {
+  assert.match(parseBookingDates('2026-07-03', '2026-07-01').error, /after pickup/);
+  assert.match(parseBookingDates('2026-07-01', '2026-07-01').error, /after pickup/);
+  assert.match(parseBookingDates('soon', '2026-07-01').error, /valid dates/);
+  assert.deepEqual(parseBookingDates('2026-07-01', '2026-07-03'), {
+    pickup: new Date('2026-07-01'),
+    dropoff: new Date('2026-07-03'),
+  });
+});
+
+test('a free car is available', async (t) => {
+  stubDatabase(t);
+  const result = await checkCarAvailability(carId, at(1), at(4));
+  assert.equal(result.available, true);
+  assert.equal(result.capacity, 1);
+  assert.deepEqual(result.periods, []);
+});
+
+test('an overlapping booking makes a single car unavailable', async (t) => {
+  stubDatabase(t, { bookings: [booking(2, 5)] });
+  const result = await checkCarAvailability(carId, at(1), at(4));
+  assert.equal(result.available, false);
+  assert.equal(result.unitsLeft, 0);
+  assert.equal(result.periods[0].type, 'booking');
+});
+
+test('overlap is looked up half-open and ignores released bookings', async (t) => {
+  const calls = stubDatabase(t);
+  await checkCarAvailability(carId, at(1), at(4));
+  assert.deepEqual(calls.bookings.pickupDate, { $lt: at(4) });
+  assert.deepEqual(calls.bookings.returnDate, { $gt: at(1) });
+  assert.deepEqual(calls.bookings.status, { $nin: ['cancelled', 'no_show'] });
+});
+
+test('a booking returned when the next one is picked up does not conflict', async (t) => {
+  // The query bounds already exclude it; the usage count must agree if it is passed in
+  stubDatabase(t, { bookings: [booking(1, 4)] });
+  const result = await checkCarAvailability(carId, at(4), at(6));
+  assert.equal(result.available, true);
+});
+
+test('blackouts and active holds block the car', async (t) => {
+  stubDatabase(t, { blackouts: [{ _id: 'b1', startDate: at(2), endDate: at(3), reason: 'Inspection' }] });
+  assert.equal((await checkCarAvailability(carId, at(1), at(4))).available, false);
+  t.mock.restoreAll();
+
+  stubDatabase(t, { holds: [{ _id: 'h1', pickupDate: at(1), returnDate: at(4), expiresAt: at(1, 11) }] });
+  assert.equal((await checkCarAvailability(carId, at(1), at(4))).available, false);
+});
+
+test('public conflicts only carry the blocked dates', async (t) => {
+  stubDatabase(t, {
+    bookings: [booking(2, 5, { unit: new mongoose.Types.ObjectId() })],
+    blackouts: [{ _id: 'b1', startDate: at(6), endDate: at(7), reason: 'Owner holiday' }],
+  });
+  const { periods } = await checkCarAvailability(carId, at(1), at(8));
+  assert.deepEqual(formatBlockedRanges(periods), [
+    { pickupDate: at(2), returnDate: at(5) },
+    { pickupDate: at(6), returnDate: at(7) },
+  ]);
+});
+
+// --- Fleet units: several vehicles per listing ---
+
+const activeUnits = (count) =>
+  Array.from({ length: count }, () => ({ _id: new mongoose.Types.ObjectId(), status: 'active' }));
+
+test('peakUsage counts the most vehicles out at the same instant', () => {
+  const intervals = [
+    { start: at(1), end: at(3) },
+    { start: at(2), end: at(4) },
+    { start: at(3), end: at(5) }, // picked up when the first one comes back
+    { start: at(6), end: at(8), quantity: 2 },
+  ];
+  assert.equal(peakUsage(intervals, at(1), at(5)), 2);
+  assert.equal(peakUsage(intervals, at(1), at(9)), 2);
+  assert.equal(peakUsage(intervals, at(5), at(6)), 0);
+  assert.equal(peakUsage([{ start: at(1), end: at(3) }, { start: at(1), end: at(3) }, { start: at(2), end: at(3) }], at(1), at(3)), 3);
+});
+
+test('capacity is the number of active units, or 1 without units', async (t) => {
+  stubDatabase(t, { units: [...activeUnits(2), { _id: 'u3', status: 'retired' }] });
+  assert.equal((await checkCarAvailability(carId, at(1), at(2))).capacity, 2);
+  t.mock.restoreAll();
+
+  stubDatabase(t, { units: [{ _id: 'u1', status: 'maintenance' }] });
+  const allOut = await checkCarAvailability(carId, at(1), at(2));
+  assert.equal(allOut.capacity, 0);
+  assert.equal(allOut.available, false);
+});
+
+test('a listing stays bookable until every unit is taken at once', async (t) => {
+  const units = activeUnits(2);
+  stubDatabase(t, { units, bookings: [booking(1, 3), booking(3, 5)] });
+  const staggered = await checkCarAvailability(carId, at(1), at(5));
+  assert.equal(staggered.available, true);
+  assert.equal(staggered.unitsLeft, 1);
+  t.mock.restoreAll();
+
+  stubDatabase(t, { units, bookings: [booking(1, 4), booking(2, 5)] });
+  const full = await checkCarAvailability(carId, at(3), at(4));
+  assert.equal(full.available, false);
+});
+
+test('unit maintenance takes one vehicle out; listing-wide maintenance all of them', async (t) => {
+  const units = activeUnits(2);
+  const visit = (unit) => ({ _id: 'm1', type: 'service', startDate: at(1), endDate: at(3), unit });
+
+  stubDatabase(t, { units, maintenance: [visit(units[0]._id)] });
+  assert.equal((await checkCarAvailability(carId, at(1), at(2))).unitsLeft, 1);
+  t.mock.restoreAll();
+
+  stubDatabase(t, { units, maintenance: [visit(undefined)] });
+  assert.equal((await checkCarAvailability(carId, at(1), at(2))).unitsLeft, 0);
+});
+
+test('a unit in maintenance status is not taken out again by its garage visit', async (t) => {
+  const units = [...activeUnits(1), { _id: new mongoose.Types.ObjectId(), status: 'maintenance' }];
+  const visit = { _id: 'm1', type: 'repair', startDate: at(1), endDate: at(5), unit: units[1]._id };
+
+  stubDatabase(t, { units, maintenance: [visit] });
+  const result = await checkCarAvailability(carId, at(2), at(3));
+  assert.equal(result.capacity, 1);
+  assert.equal(result.unitsLeft, 1);
+  assert.deepEqual(result.periods, []);
+  t.mock.restoreAll();
+
+  // The active unit's own visit still counts
+  stubDatabase(t, { units, maintenance: [visit, { ...visit, _id: 'm2', unit: units[0]._id }] });
+  assert.equal((await checkCarAvailability(carId, at(2), at(3))).available, false);
+});
+
+test('car search counts each out-of-service unit once', async (t) => {
+  const otherCarId = new mongoose.Types.ObjectId();
+  const [active] = activeUnits(1);
+  const offRoad = { _id: new mongoose.Types.ObjectId() };
+  const lean = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+  t.mock.method(Booking, 'find', () => lean([]));
+  t.mock.method(BookingHold, 'find', () => lean([]));
+  t.mock.method(Maintenance, 'find', () => lean([
+    { car: carId, unit: offRoad._id, startDate: at(1), endDate: at(5) },
+    { car: otherCarId, unit: active._id, startDate: at(1), endDate: at(5) },
+  ]));
+  t.mock.method(Blackout, 'distinct', async () => []);
+  t.mock.method(FleetUnit, 'distinct', async () => [offRoad._id]);
+  t.mock.method(FleetUnit, 'aggregate', async () => [
+    { _id: carId, active: 1 },
+    { _id: otherCarId, active: 1 },
+  ]);
+
+  const unitsLeft = await findUnitsLeft(at(2), at(3));
+  assert.equal(unitsLeft.get(String(carId)), 1);
+  assert.equal(unitsLeft.get(String(otherCarId)), 0);
+});
+
+test('the calendar marks days blocked only when no vehicle is left', () => {
+  const periods = [
+    { type: 'booking', start: at(1), end: at(3) },
+    { type: 'booking', start: at(2), end: at(3) },
+    { type: 'hold', start: at(4, 12), end: at(5, 12) },
+  ];
+  const calendar = buildAvailabilityCalendar(periods, at(1, 0), at(5, 0), { capacity: 2 });
+  assert.deepEqual(calendar.blocked, [{ from: '2026-07-02', to: '2026-07-03', reasons: ['booking'] }]);
+  assert.deepEqual(calendar.free, [
+    { from: '2026-07-01', to: '2026-07-01', unitsLeft: 1 },
+    { from: '2026-07-04', to: '2026-07-05', unitsLeft: 1 },
+  ]);
+});
+
+test('a blackout blocks the calendar whatever the capacity', () => {
+  const periods = [{ type: 'blackout', start: at(2, 0), end: at(3, 0) }];
+  const { blocked } = buildAvailabilityCalendar(periods, at(1, 0), at(3, 0), { capacity: 5 });
+  assert.deepEqual(blocked, [{ from: '2026-07-02', to: '2026-07-02', reasons: ['blackout'] }]);
+});
@@ -0,0 +1,99 @@
+// backend/test/bookingHolds.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const BookingHold = require('../models/BookingHold');
+const {
+  checkHoldLimits,
+  createHold,
+  hashHoldToken,
+  signHoldToken,
+  holdMatches,
+  MAX_HOLDS_PER_CLIENT,
+} = require('../utils/bookingHolds');
+const { createBookingHold } = require('../controllers/bookingHoldController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// Unexpired holds per client address, behind BookingHold.countDocuments
+const stubActiveHolds = (t, holdsByIp = {}) => t.mock.method(BookingHold, 'countDocuments', async (filter) => {
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+  return holdsByIp[filter.clientIp] || 0;
+});
+
+const mockResponse = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+test('a hold covers at most the maximum rental length', async (t) => {
+  stubActiveHolds(t);
+  assert.equal(await checkHoldLimits(inDays(1), inDays(31), '203.0.113.5'), null);
+
+  const tooLong = await checkHoldLimits(inDays(1), inDays(32), '203.0.113.5');
+  assert.deepEqual(tooLong, { status: 400, message: 'A car can be held for at most 30 days of rental.' });
+
+  process.env.BOOKING_HOLD_MAX_DAYS = '7';
+  t.after(() => { delete process.env.BOOKING_HOLD_MAX_DAYS; });
+  assert.equal((await checkHoldLimits(inDays(1), inDays(9), '203.0.113.5')).status, 400);
+});
+
+test('a client can only keep a few holds at once', async (t) => {
+  stubActiveHolds(t, { '203.0.113.5': MAX_HOLDS_PER_CLIENT - 1, '203.0.113.6': MAX_HOLDS_PER_CLIENT });
+  assert.equal(await checkHoldLimits(inDays(1), inDays(3), '203.0.113.5'), null);
+  assert.equal((await checkHoldLimits(inDays(1), inDays(3), '203.0.113.6')).status, 429);
+});
+
+test('the hold endpoint refuses long spans and busy clients before touching the car', async (t) => {
+  stubActiveHolds(t, { '203.0.113.6': MAX_HOLDS_PER_CLIENT });
+  const findCar = t.mock.method(Car, 'findById', () => { throw new Error('should not be reached'); });
+  const carId = new mongoose.Types.ObjectId().toString();
+
+  const yearLong = mockResponse();
+  await createBookingHold({ ip: '203.0.113.5', body: { carId, pickupDate: inDays(1), returnDate: inDays(366) } }, yearLong);
+  assert.equal(yearLong.statusCode, 400);
+
+  const busy = mockResponse();
+  await createBookingHold({ ip: '203.0.113.6', body: { carId, pickupDate: inDays(1), returnDate: inDays(3) } }, busy);
+  assert.equal(busy.statusCode, 429);
+
+  const past = mockResponse();
+  await createBookingHold({ ip: '203.0.113.5', body: { carId, pickupDate: inDays(-1), returnDate: inDays(3) } }, past);
+  assert.equal(past.statusCode, 400);
+  assert.equal(findCar.mock.callCount(), 0);
+});
+
+test('a hold stores a hash of its token and the client address', async (t) => {
+  const created = [];
+  t.mock.method(BookingHold, 'create', async (docs) => {
+    created.push(...docs);
+    return docs;
+  });
+  const carId = new mongoose.Types.ObjectId();
+  const before = Date.now();
+
+  const { hold, token } = await createHold(carId, inDays(1), inDays(3), { minutes: 15, clientIp: '203.0.113.5' });
+  assert.equal(hold.tokenHash, hashHoldToken(token));
+  assert.ok(!JSON.stringify(created).includes(token));
+  assert.equal(hold.clientIp, '203.0.113.5');
+  assert.ok(hold.expiresAt.getTime() >= before + 15 * 60 * 1000);
+
+  const { hold: offered, token: offerToken } = await createHold(carId, inDays(1), inDays(3), { signed: true });
+  assert.equal(offerToken, signHoldToken(offered._id));
+  assert.equal(offered.clientIp, undefined);
+});
+
+test('a hold only matches its own car and exact dates', () => {
+  const carId = new mongoose.Types.ObjectId();
+  const pickup = inDays(1);
+  const dropoff = inDays(3);
+  const hold = { car: carId, pickupDate: pickup, returnDate: dropoff };
+
+  assert.equal(holdMatches(hold, carId, new Date(pickup), new Date(dropoff)), true);
+  assert.equal(holdMatches(hold, new mongoose.Types.ObjectId(), pickup, dropoff), false);
+  assert.equal(holdMatches(hold, carId, pickup, inDays(4)), false);
+});
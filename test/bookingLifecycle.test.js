@@ -0,0 +1,84 @@
+// backend/test/bookingLifecycle.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  isValidStatus,
+  actorFromRequest,
+} = require('../utils/bookingLifecycle');
+
+const newBooking = (status) => new Booking({
+  userName: 'Jane Doe',
+  userEmail: 'jane@example.com',
+  userPhone: '+212600000000',
+  pickupDate: new Date('2026-07-01T10:00:00Z'),
+  returnDate: new Date('2026-07-04T10:00:00Z'),
+  totalPrice: 900,
+  status,
+});
+
+test('the happy path runs from pending to completed', () => {
+  const path = ['pending', 'confirmed', 'picked_up', 'returned', 'completed'];
+  for (let i = 0; i < path.length - 1; i += 1) {
+    assert.equal(canTransition(path[i], path[i + 1]), true, `${path[i]} -> ${path[i + 1]}`);
+  }
+});
+
+test('final states allow no further moves', () => {
+  for (const status of ['completed', 'cancelled', 'no_show']) {
+    assert.deepEqual(getAllowedTransitions(status), []);
+    for (const to of BOOKING_STATUSES) assert.equal(canTransition(status, to), false);
+  }
+});
+
+test('steps cannot be skipped or undone', () => {
+  assert.equal(canTransition('pending', 'picked_up'), false);
+  assert.equal(canTransition('confirmed', 'returned'), false);
+  assert.equal(canTransition('picked_up', 'cancelled'), false);
+  assert.equal(canTransition('returned', 'picked_up'), false);
+  assert.equal(canTransition('confirmed', 'pending'), false);
+  assert.equal(canTransition('pending', 'pending'), false);
+});
+
+test('every transition targets a known status', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...BOOKING_STATUSES].sort());
+  for (const targets of Object.values(TRANSITIONS)) {
+    assert.ok(targets.every(isValidStatus));
+  }
+  assert.equal(isValidStatus('archived'), false);
+  assert.deepEqual(getAllowedTransitions('archived'), []);
+});
+
+test('transitionTo records who moved the booking and why', () => {
+  const booking = newBooking('pending');
+  const actor = { kind: 'staff', name: 'Desk' };
+  booking.transitionTo('confirmed', { actor });
+  booking.transitionTo('cancelled', { actor, reason: 'Customer called' });
+
+  assert.equal(booking.status, 'cancelled');
+  assert.deepEqual(
+    booking.statusHistory.map(({ from, to, reason }) => ({ from, to, reason })),
+    [
+      { from: 'pending', to: 'confirmed', reason: undefined },
+      { from: 'confirmed', to: 'cancelled', reason: 'Customer called' },
+    ]
+  );
+  assert.equal(booking.statusHistory[0].actor.name, 'Desk');
+});
+
+test('transitionTo refuses a move the state machine does not allow', () => {
+  const booking = newBooking('completed');
+  assert.throws(() => booking.transitionTo('cancelled'), /Cannot change booking status from completed to cancelled/);
+  assert.equal(booking.status, 'completed');
+  assert.equal(booking.statusHistory.length, 0);
+});
+
+test('actorFromRequest names the staff member, or the system without one', () => {
+  const user = { _id: 'u1', name: 'Sam' };
+  assert.deepEqual(actorFromRequest({ user }), { kind: 'staff', user: 'u1', name: 'Sam' });
+  assert.equal(actorFromRequest({}).kind, 'system');
+});
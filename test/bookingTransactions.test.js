@@ -0,0 +1,190 @@
+// backend/test/bookingTransactions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Blackout = require('../models/Blackout');
+const BookingHold = require('../models/BookingHold');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const Notification = require('../models/Notification');
+const PricingRule = require('../models/PricingRule');
+const Customer = require('../models/Customer');
+const {
+  createBooking,
+  updateBookingStatus,
+  reviewChangeRequest,
+  assignBookingUnit,
+} = require('../controllers/bookingController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const staff = { _id: new mongoose.Types.ObjectId(), name: 'Desk', role: 'agent' };
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Awaitable like a Mongoose query, or chained with .session()
+const fakeQuery = (load) => Object.assign(Promise.resolve().then(load), { session: async () => load() });
+
+// Stand-in for a find() chain ending in .session()
+const fakeFind = (docs) => {
+  const query = { select: () => query, sort: () => query, session: async () => docs };
+  return query;
+};
+
+// One stored booking behind transactions that fail their first attempt and are retried:
+// whatever the first attempt saved is rolled back, as MongoDB would
+const stubDatabase = (t, fields = {}) => {
+  let stored = new Booking({
+    car: new mongoose.Types.ObjectId(),
+    userName: 'Jane Doe',
+    userEmail: 'jane@example.com',
+    userPhone: '+212600000000',
+    pickupDate: new Date('2026-07-01T10:00:00Z'),
+    returnDate: new Date('2026-07-04T10:00:00Z'),
+    totalPrice: 900,
+    status: 'pending',
+    __v: 0,
+    ...fields,
+  }).toObject();
+  const attempts = [];
+  const savedDocuments = [];
+  const units = [{ _id: new mongoose.Types.ObjectId(), status: 'active', odometer: 1200 }];
+
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => {
+      await work();
+      const committed = attempts.length;
+      await work();
+      if (attempts.length > committed) stored = attempts[attempts.length - 1];
+    },
+    endSession: async () => {},
+  }));
+  t.mock.method(Booking, 'findById', () => fakeQuery(() => Booking.hydrate(stored)));
+  t.mock.method(Booking.prototype, 'save', async function save() {
+    await this.validate();
+    attempts.push({ ...this.toObject(), __v: this.__v + 1 });
+    savedDocuments.push(this);
+    return this;
+  });
+  t.mock.method(Booking.prototype, 'populate', async function populate() { return this; });
+  t.mock.method(Car, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(FleetUnit, 'find', () => fakeFind(units));
+  t.mock.method(Booking, 'distinct', () => ({ session: async () => [] }));
+  t.mock.method(Maintenance, 'distinct', () => ({ session: async () => [] }));
+  t.mock.method(Notification, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Notification, 'findOneAndUpdate', () => ({ select: async () => null }));
+
+  return { attempts, savedDocuments, units, current: () => stored };
+};
+
+// Let the background notification delivery run while the stubs are still in place
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a retried confirmation starts again from the stored booking', async (t) => {
+  const { attempts, savedDocuments, units, current } = stubDatabase(t);
+  const req = { params: { id: 'b1' }, body: { status: 'confirmed' }, user: staff };
+  const res = mockResponse();
+
+  await updateBookingStatus(req, res);
+  await settle();
+  assert.equal(res.statusCode, 200);
+  assert.equal(attempts.length, 2);
+  // A document saved by the aborted attempt would look saved already: the retry needs its own
+  assert.notEqual(savedDocuments[0], savedDocuments[1]);
+  for (const saved of attempts) {
+    assert.equal(saved.status, 'confirmed');
+    assert.deepEqual(saved.statusHistory.map(({ from, to }) => [from, to]), [['pending', 'confirmed']]);
+    assert.ok(saved.unit.equals(units[0]._id));
+  }
+  assert.equal(current().status, 'confirmed');
+  assert.equal(res.body.status, 'confirmed');
+});
+
+test('a booking changed since it was read is not overwritten', async (t) => {
+  const { attempts } = stubDatabase(t, { __v: 1 });
+  const read = Booking.findById;
+  t.mock.method(Booking, 'findById', (id) => {
+    const query = read(id);
+    // Someone saves the booking between the first read and the transaction
+    return Object.assign(query.then((booking) => Object.assign(booking, { __v: booking.__v - 1 })), {
+      session: query.session,
+    });
+  });
+
+  const res = mockResponse();
+  await updateBookingStatus({ params: { id: 'b1' }, body: { status: 'confirmed' }, user: staff }, res);
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.message, /changed by someone else/);
+  assert.equal(attempts.length, 0);
+});
+
+test('a retried unit assignment saves the vehicle once per attempt', async (t) => {
+  const { attempts, savedDocuments, units, current } = stubDatabase(t, { status: 'confirmed' });
+  const res = mockResponse();
+
+  await assignBookingUnit({ params: { id: 'b1' }, body: { unitId: String(units[0]._id) }, user: staff }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(attempts.length, 2);
+  assert.notEqual(savedDocuments[0], savedDocuments[1]);
+  assert.ok(current().unit.equals(units[0]._id));
+});
+
+test('a retried change approval moves the stored booking once', async (t) => {
+  const requested = {
+    _id: new mongoose.Types.ObjectId(),
+    pickupDate: new Date('2026-07-10T10:00:00Z'),
+    returnDate: new Date('2026-07-12T10:00:00Z'),
+  };
+  const { attempts, savedDocuments, current } = stubDatabase(t, { status: 'confirmed', changeRequests: [requested] });
+  const car = { _id: current().car, name: 'Clio', brand: 'Renault', type: 'Economy', price: 300 };
+  t.mock.method(Car, 'findById', async () => car);
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+  [Booking, Blackout, BookingHold, Maintenance].forEach((Model) => t.mock.method(Model, 'find', () => fakeFind([])));
+
+  const res = mockResponse();
+  await reviewChangeRequest({
+    params: { id: 'b1', requestId: String(requested._id) },
+    body: { status: 'approved', note: 'Fine by us' },
+    user: staff,
+  }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(attempts.length, 2);
+  assert.notEqual(savedDocuments[0], savedDocuments[1]);
+
+  const stored = current();
+  assert.deepEqual([stored.pickupDate, stored.returnDate], [requested.pickupDate, requested.returnDate]);
+  assert.equal(stored.totalPrice, 600);
+  assert.equal(stored.changeRequests[0].status, 'approved');
+  assert.equal(stored.changeRequests[0].reviewNote, 'Fine by us');
+});
+
+test('a booking goes through when no dashboard is connected', async (t) => {
+  stubDatabase(t);
+  const car = { _id: new mongoose.Types.ObjectId(), name: 'Clio', brand: 'Renault', type: 'Economy', price: 300 };
+  t.mock.method(Car, 'findById', async () => car);
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+  t.mock.method(Customer, 'findOne', () => ({ select: async () => null }));
+  [Booking, Blackout, BookingHold, Maintenance].forEach((Model) => t.mock.method(Model, 'find', () => fakeFind([])));
+  t.mock.method(Booking, 'create', async (docs) => docs.map((doc) => new Booking(doc)));
+
+  const res = mockResponse();
+  await createBooking({
+    body: {
+      carId: String(car._id),
+      pickupDate: '2026-07-01T10:00:00Z',
+      returnDate: '2026-07-03T10:00:00Z',
+      userName: 'Jane Doe',
+      userEmail: 'jane@example.com',
+      userPhone: '+212600000000',
+    },
+  }, res);
+  await settle();
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.booking.totalPrice, 600);
+});
@@ -0,0 +1,118 @@
+// backend/test/calendarFeeds.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { getFeedKey, signFeedToken, findFeedUser, bookingToEvent } = require('../utils/calendarFeeds');
+const { buildCalendar, foldLine } = require('../utils/ical');
+const { getFleetFeed } = require('../controllers/calendarController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Staff accounts behind the User queries the feeds make
+const stubUsers = (t, users) => {
+  const byId = (id) => users.find((user) => String(user._id) === String(id)) || null;
+  t.mock.method(User, 'findById', (id) => ({ select: async () => byId(id) }));
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    Object.assign(byId(filter._id), update.$set);
+    return { modifiedCount: 1 };
+  });
+};
+
+const staff = (role = 'agent') => ({ _id: new mongoose.Types.ObjectId(), role });
+
+test('feed URLs are per user and per feed', async (t) => {
+  const alice = staff();
+  const bob = staff('manager');
+  stubUsers(t, [alice, bob]);
+
+  const aliceKey = await getFeedKey(alice._id);
+  assert.equal(await getFeedKey(alice._id), aliceKey);
+  const fleetToken = signFeedToken('fleet', alice._id, aliceKey);
+  assert.ok(fleetToken.startsWith(`${alice._id}.`));
+
+  assert.equal(await findFeedUser('fleet', fleetToken), alice);
+  assert.equal(await findFeedUser('car:abc', fleetToken), null);
+  assert.equal(await findFeedUser('fleet', signFeedToken('fleet', bob._id, aliceKey)), null);
+  assert.equal(await findFeedUser('fleet', `${alice._id}.forged`), null);
+  assert.equal(await findFeedUser('fleet', 'garbage'), null);
+  assert.equal(await findFeedUser('fleet', undefined), null);
+});
+
+test('resetting one user\'s key revokes only their URLs', async (t) => {
+  const alice = staff();
+  const bob = staff();
+  stubUsers(t, [alice, bob]);
+  const aliceToken = signFeedToken('fleet', alice._id, await getFeedKey(alice._id));
+  const bobToken = signFeedToken('fleet', bob._id, await getFeedKey(bob._id));
+
+  const newKey = await getFeedKey(alice._id, { reset: true });
+  assert.equal(await findFeedUser('fleet', aliceToken), null);
+  assert.equal(await findFeedUser('fleet', signFeedToken('fleet', alice._id, newKey)), alice);
+  assert.equal(await findFeedUser('fleet', bobToken), bob);
+});
+
+test('feeds stop working when the account is removed or loses bookings access', async (t) => {
+  const alice = staff();
+  const users = [alice];
+  stubUsers(t, users);
+  const token = signFeedToken('fleet', alice._id, await getFeedKey(alice._id));
+
+  alice.role = 'blog_editor';
+  assert.equal(await findFeedUser('fleet', token), null);
+  alice.role = 'agent';
+  assert.equal(await findFeedUser('fleet', token), alice);
+  users.pop();
+  assert.equal(await findFeedUser('fleet', token), null);
+});
+
+test('the fleet feed answers 403 to a revoked URL', async (t) => {
+  const alice = staff();
+  stubUsers(t, [alice]);
+  const token = signFeedToken('fleet', alice._id, await getFeedKey(alice._id));
+  await getFeedKey(alice._id, { reset: true });
+  const find = t.mock.method(Booking, 'find', () => { throw new Error('should not be reached'); });
+
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await getFleetFeed({ query: { token } }, res);
+  assert.equal(res.statusCode, 403);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('customer events leave out staff-only details', () => {
+  const booking = {
+    _id: new mongoose.Types.ObjectId(),
+    reference: 'FAD-ABC123',
+    status: 'pending',
+    car: { brand: 'Dacia', name: 'Logan' },
+    pickupLocation: { name: 'Airport' },
+    returnLocation: { name: 'Downtown' },
+    userName: 'Jane Doe',
+    userPhone: '+212600000000',
+    userEmail: 'jane@example.com',
+    pickupDate: new Date('2026-07-01T10:00:00Z'),
+    returnDate: new Date('2026-07-04T10:00:00Z'),
+    totalPrice: 900,
+  };
+  const staffEvent = bookingToEvent(booking).join('\n');
+  assert.match(staffEvent, /\+212600000000/);
+  assert.match(staffEvent, /STATUS:TENTATIVE/);
+  assert.match(staffEvent, /DTSTART:20260701T100000Z/);
+
+  const customerEvent = bookingToEvent(booking, { forCustomer: true }).join('\n');
+  assert.doesNotMatch(customerEvent, /\+212600000000|jane@example\.com/);
+  assert.match(customerEvent, /SUMMARY:Car rental: Dacia Logan/);
+  assert.match(customerEvent, /Return at: Downtown/);
+});
+
+test('calendar lines are folded at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}`;
+  const parts = foldLine(line).split('\r\n');
+  assert.ok(parts.every((part) => Buffer.byteLength(part) <= 75));
+  assert.equal(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+  assert.ok(buildCalendar({ name: 'Fleet', events: [] }).endsWith('END:VCALENDAR\r\n'));
+});
@@ -0,0 +1,135 @@
+// backend/test/carAvailability.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Blackout = require('../models/Blackout');
+const BookingHold = require('../models/BookingHold');
+const Maintenance = require('../models/Maintenance');
+const FleetUnit = require('../models/FleetUnit');
+const { getCarAvailability, createBlackout } = require('../controllers/availabilityController');
+const { getCars } = require('../controllers/carController');
+
+const carId = new mongoose.Types.ObjectId();
+const at = (day, hour = 10) => new Date(Date.UTC(2026, 6, day, hour));
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Stand-in for a find() chain, awaited at any point
+const fakeFind = (docs) => {
+  const query = Object.assign(Promise.resolve(docs), {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    session: async () => docs,
+    lean: async () => docs,
+  });
+  return query;
+};
+
+// One single-vehicle car with the given bookings and blackouts
+const stubCar = (t, { bookings = [], blackouts = [] } = {}) => {
+  t.mock.method(Car, 'findById', async (id) => (carId.equals(id) ? { _id: carId } : null));
+  t.mock.method(Booking, 'find', () => fakeFind(bookings));
+  t.mock.method(Blackout, 'find', () => fakeFind(blackouts));
+  t.mock.method(BookingHold, 'find', () => fakeFind([]));
+  t.mock.method(Maintenance, 'find', () => fakeFind([]));
+  t.mock.method(FleetUnit, 'find', () => fakeFind([]));
+};
+
+const booking = (pickupDay, returnDay) => ({
+  _id: new mongoose.Types.ObjectId(),
+  car: carId,
+  pickupDate: at(pickupDay),
+  returnDate: at(returnDay),
+  status: 'confirmed',
+});
+
+test('the calendar shows booked and blacked-out days as blocked', async (t) => {
+  stubCar(t, {
+    bookings: [booking(3, 5)],
+    blackouts: [{ _id: new mongoose.Types.ObjectId(), startDate: at(8, 0), endDate: at(9, 0), reason: 'Service' }],
+  });
+
+  const res = mockResponse();
+  await getCarAvailability({ params: { id: String(carId) }, query: { from: at(1, 0).toISOString(), to: at(11, 0).toISOString() } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.capacity, 1);
+  assert.deepEqual(res.body.data.blocked, [
+    { from: '2026-07-03', to: '2026-07-05', reasons: ['booking'] },
+    { from: '2026-07-08', to: '2026-07-08', reasons: ['blackout'] },
+  ]);
+  assert.deepEqual(res.body.data.free.map(({ from, to }) => [from, to]), [
+    ['2026-07-01', '2026-07-02'],
+    ['2026-07-06', '2026-07-07'],
+    ['2026-07-09', '2026-07-11'],
+  ]);
+  assert.ok(!JSON.stringify(res.body).includes('userEmail'));
+});
+
+test('the calendar rejects bad car IDs, unknown cars and oversized ranges', async (t) => {
+  stubCar(t);
+  const cases = [
+    [{ id: 'abc' }, {}, 400],
+    [{ id: String(new mongoose.Types.ObjectId()) }, {}, 404],
+    [{ id: String(carId) }, { from: '2026-07-05', to: '2026-07-01' }, 400],
+    [{ id: String(carId) }, { from: '2026-01-01', to: '2027-06-01' }, 400],
+  ];
+  for (const [params, query, status] of cases) {
+    const res = mockResponse();
+    await getCarAvailability({ params, query }, res);
+    assert.equal(res.statusCode, status, JSON.stringify(query));
+  }
+});
+
+test('a blackout keeps existing bookings and reports the ones it overlaps', async (t) => {
+  const overlapping = booking(3, 5);
+  stubCar(t, { bookings: [overlapping] });
+  t.mock.method(Blackout, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+  const res = mockResponse();
+  await createBlackout({
+    params: { id: String(carId) },
+    body: { startDate: at(4).toISOString(), endDate: at(6).toISOString(), reason: 'Bodywork' },
+  }, res);
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.data.reason, 'Bodywork');
+  assert.deepEqual(res.body.conflictingBookings.map(({ bookingId }) => bookingId), [overlapping._id]);
+});
+
+test('searching by dates leaves out cars with no vehicle left', async (t) => {
+  const freeCar = new Car({ name: 'Clio', brand: 'Renault', type: 'Economy', price: 300 });
+  let filter;
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Booking, 'find', () => fakeFind([booking(3, 5)]));
+  t.mock.method(BookingHold, 'find', () => fakeFind([]));
+  t.mock.method(Maintenance, 'find', () => fakeFind([]));
+  t.mock.method(Blackout, 'distinct', async () => []);
+  t.mock.method(FleetUnit, 'distinct', async () => []);
+  t.mock.method(FleetUnit, 'aggregate', async () => [{ _id: freeCar._id, active: 3 }]);
+  t.mock.method(Car, 'find', (query) => {
+    filter = query;
+    return fakeFind([freeCar]);
+  });
+  t.mock.method(Car, 'countDocuments', async () => 1);
+
+  const res = mockResponse();
+  await getCars({
+    query: { from: at(4).toISOString(), to: at(6).toISOString() },
+    protocol: 'http',
+    get: () => 'localhost',
+  }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(filter._id.$nin, [String(carId)]);
+  assert.equal(res.body.data[0].unitsLeft, 3);
+
+  const invalid = mockResponse();
+  await getCars({ query: { from: 'soon', to: at(6).toISOString() } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+});
@@ -0,0 +1,114 @@
+// backend/test/coupons.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const PricingRule = require('../models/PricingRule');
+const {
+  normalizeCode,
+  getCouponIneligibility,
+  computeDiscount,
+  redeemCoupon,
+} = require('../utils/coupons');
+const { calculateQuote } = require('../utils/pricing');
+
+const car = { _id: new mongoose.Types.ObjectId(), name: 'Duster', brand: 'Dacia', type: 'SUV', price: 400 };
+const now = new Date('2026-07-01T10:00:00Z');
+
+const makeCoupon = (fields = {}) => new Coupon({ code: 'summer26', discountType: 'percentage', value: 10, ...fields });
+
+// Coupon writes as MongoDB applies them: the usedCount check and increment happen together
+const stubRedemptions = (t, coupon, { customerUses = 0 } = {}) => {
+  t.mock.method(Booking, 'countDocuments', () => ({ session: async () => customerUses }));
+  t.mock.method(Coupon, 'findOneAndUpdate', async (filter, update) => {
+    assert.deepEqual(filter.$or, [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]);
+    if (!coupon._id.equals(filter._id) || !coupon.active) return null;
+    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) return null;
+    coupon.usedCount += update.$inc.usedCount;
+    return coupon;
+  });
+};
+
+test('codes are matched whatever their case and spacing', () => {
+  assert.equal(normalizeCode(' summer26 '), 'SUMMER26');
+  assert.equal(makeCoupon().code, 'SUMMER26');
+  assert.equal(normalizeCode(undefined), '');
+});
+
+test('coupons only apply to rentals that meet their conditions', () => {
+  const rental = { car, billableDays: 5, now };
+  const cases = [
+    [{}, null],
+    [{ active: false }, 'This promo code is no longer active.'],
+    [{ validFrom: new Date('2026-08-01') }, 'This promo code is not valid yet.'],
+    [{ validTo: new Date('2026-06-30') }, 'This promo code has expired.'],
+    [{ maxUses: 100, usedCount: 100 }, 'This promo code has been fully redeemed.'],
+    [{ minRentalDays: 7 }, 'This promo code requires a rental of at least 7 days.'],
+    [{ cars: [new mongoose.Types.ObjectId()] }, 'This promo code is not valid for the selected car.'],
+    [{ cars: [car._id] }, null],
+    [{ carTypes: ['Economy', 'Compact'] }, 'This promo code is not valid for SUV cars.'],
+    [{ carTypes: ['SUV'] }, null],
+  ];
+  for (const [fields, expected] of cases) {
+    assert.equal(getCouponIneligibility(makeCoupon(fields), rental), expected, JSON.stringify(fields));
+  }
+});
+
+test('discounts are capped and never exceed the amount', () => {
+  assert.equal(computeDiscount(makeCoupon({ value: 15 }), 999.99), 150);
+  assert.equal(computeDiscount(makeCoupon({ value: 50, maxDiscount: 200 }), 1000), 200);
+  assert.equal(computeDiscount(makeCoupon({ discountType: 'fixed', value: 300 }), 1000), 300);
+  assert.equal(computeDiscount(makeCoupon({ discountType: 'fixed', value: 300 }), 120), 120);
+});
+
+test('coupon values are validated', async () => {
+  const error = await makeCoupon({ value: 120, validFrom: now, validTo: new Date('2026-06-01') })
+    .validate().catch((validationError) => validationError);
+  assert.deepEqual(Object.keys(error.errors).sort(), ['validTo', 'value']);
+  const badType = await makeCoupon({ carTypes: ['Spaceship'] }).validate().catch((validationError) => validationError);
+  assert.ok(badType.errors['carTypes.0']);
+});
+
+test('two bookings racing for the last use get one use between them', async (t) => {
+  const coupon = makeCoupon({ maxUses: 10, usedCount: 9 });
+  stubRedemptions(t, coupon);
+
+  const results = await Promise.all([
+    redeemCoupon(coupon, 'jane@example.com', { session: null }),
+    redeemCoupon(coupon, 'sam@example.com', { session: null }),
+  ]);
+  assert.deepEqual(results.sort(), [null, 'This promo code has been fully redeemed.'].sort());
+  assert.equal(coupon.usedCount, 10);
+});
+
+test('a customer cannot go over the per-customer limit', async (t) => {
+  const coupon = makeCoupon({ maxUsesPerCustomer: 1 });
+  stubRedemptions(t, coupon, { customerUses: 1 });
+
+  assert.equal(
+    await redeemCoupon(coupon, 'jane@example.com', { session: null }),
+    'You have already used this promo code the maximum number of times.'
+  );
+  assert.equal(coupon.usedCount, 0);
+});
+
+test('the discount covers the rental and extras but not branch fees', async (t) => {
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+  const coupon = makeCoupon({ value: 10 });
+
+  const quote = await calculateQuote({
+    car,
+    pickup: now,
+    dropoff: new Date('2026-07-04T10:00:00Z'),
+    locations: { fees: [{ code: 'one_way_fee', label: 'One-way fee', amount: 200 }] },
+    coupon,
+  });
+  assert.deepEqual(quote.coupon, { coupon: coupon._id, code: 'SUMMER26', discountAmount: 120 });
+  assert.deepEqual(quote.lineItems.map(({ code, amount }) => [code, amount]), [
+    ['rental', 1200],
+    ['discount', -120],
+    ['one_way_fee', 200],
+  ]);
+  assert.equal(quote.total, 1280);
+});
@@ -0,0 +1,243 @@
+// backend/test/customers.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { hashAccountToken } = require('../utils/accountTokens');
+const {
+  signCustomerToken,
+  verifyCustomerToken,
+  findBookingCustomer,
+} = require('../utils/customers');
+const {
+  registerCustomer,
+  loginCustomer,
+  verifyCustomerEmail,
+  updateMyProfile,
+  getMyBookings,
+} = require('../controllers/customerController');
+const bookingRoutes = require('../routes/bookingRoutes');
+const customerRoutes = require('../routes/customerRoutes');
+const userRoutes = require('../routes/userRoutes');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// Notifications are queued without a database; delivery finds nothing to send
+const stubNotifications = (t) => {
+  const queued = t.mock.method(Notification, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Notification, 'findOneAndUpdate', () => ({ select: async () => null }));
+  return queued;
+};
+
+const makeCustomer = async (fields = {}) => new Customer({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  password: await bcrypt.hash('correct horse', 4),
+  ...fields,
+});
+
+test('customer tokens are told apart from every other token', async () => {
+  const customer = await makeCustomer();
+  const token = signCustomerToken(customer);
+  assert.equal(verifyCustomerToken(token).id, String(customer._id));
+
+  const staffToken = jwt.sign({ id: String(customer._id), sid: 's1' }, process.env.JWT_SECRET);
+  assert.equal(verifyCustomerToken(staffToken), null);
+  assert.equal(verifyCustomerToken(jwt.sign({ purpose: 'customer', id: 'x' }, 'another-secret')), null);
+  assert.equal(verifyCustomerToken(undefined), null);
+});
+
+test('signing up checks the password and the email, then asks to confirm it', async (t) => {
+  const queued = stubNotifications(t);
+  const exists = t.mock.method(Customer, 'exists', async () => null);
+  const saved = t.mock.method(Customer.prototype, 'save', async function save() { return this; });
+
+  const short = mockResponse();
+  await registerCustomer({ body: { name: 'Jane', email: 'jane@example.com', password: 'short' } }, short);
+  assert.equal(short.statusCode, 400);
+
+  const res = mockResponse();
+  await registerCustomer({
+    body: { name: 'Jane Doe', email: ' Jane@Example.com ', password: 'correct horse', role: 'owner' },
+  }, res);
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(exists.mock.calls[0].arguments[0], { email: 'jane@example.com' });
+  assert.equal(res.body.data.email, 'jane@example.com');
+  assert.equal(res.body.data.emailVerified, false);
+  assert.equal(res.body.data.password, undefined);
+  assert.equal(res.body.data.role, undefined);
+  assert.equal(verifyCustomerToken(res.body.token).id, String(res.body.data._id));
+
+  const [customer] = saved.mock.calls.map((call) => call.this);
+  assert.equal(await bcrypt.compare('correct horse', customer.password), true);
+  assert.ok(customer.emailVerification.tokenHash);
+  const [notification] = queued.mock.calls[0].arguments;
+  assert.equal(notification.template, 'customer_verify_email');
+  assert.equal(hashAccountToken(notification.secret.token), customer.emailVerification.tokenHash);
+  await settle();
+
+  exists.mock.mockImplementation(async () => ({ _id: customer._id }));
+  const taken = mockResponse();
+  await registerCustomer({ body: { name: 'Jane Doe', email: 'jane@example.com', password: 'correct horse' } }, taken);
+  assert.equal(taken.statusCode, 409);
+});
+
+test('signing in needs the right password', async (t) => {
+  const customer = await makeCustomer();
+  const lookup = t.mock.method(Customer, 'findOne', () => ({ select: async () => customer }));
+
+  const wrong = mockResponse();
+  await loginCustomer({ body: { email: 'jane@example.com', password: 'wrong horse' } }, wrong);
+  assert.equal(wrong.statusCode, 401);
+
+  const res = mockResponse();
+  await loginCustomer({ body: { email: 'JANE@example.com', password: 'correct horse' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(lookup.mock.calls[1].arguments[0], { email: 'jane@example.com' });
+  assert.equal(verifyCustomerToken(res.body.token).id, String(customer._id));
+
+  lookup.mock.mockImplementation(() => ({ select: async () => null }));
+  const unknown = mockResponse();
+  await loginCustomer({ body: { email: 'nobody@example.com', password: 'correct horse' } }, unknown);
+  assert.equal(unknown.statusCode, 401);
+  assert.equal(unknown.body.message, wrong.body.message);
+});
+
+test('confirming the email links the guest bookings made with it', async (t) => {
+  const customer = await makeCustomer({ emailVerifiedAt: new Date() });
+  const redeem = t.mock.method(Customer, 'findOneAndUpdate', async () => customer);
+  const link = t.mock.method(Booking, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+  const res = mockResponse();
+  await verifyCustomerEmail({ body: { token: 'from-the-email' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.linkedBookings, 2);
+  assert.equal(redeem.mock.calls[0].arguments[0]['emailVerification.tokenHash'], hashAccountToken('from-the-email'));
+  // Only bookings nobody has claimed yet
+  assert.deepEqual(link.mock.calls[0].arguments, [
+    { userEmail: 'jane@example.com', customer: null },
+    { $set: { customer: customer._id } },
+  ]);
+
+  redeem.mock.mockImplementation(async () => null);
+  const used = mockResponse();
+  await verifyCustomerEmail({ body: { token: 'from-the-email' } }, used);
+  assert.equal(used.statusCode, 400);
+  assert.equal(link.mock.callCount(), 1);
+});
+
+test('new bookings go to the signed-in customer or the one who verified the email', async (t) => {
+  const customer = await makeCustomer();
+  const lookup = t.mock.method(Customer, 'findOne', () => ({ select: async () => ({ _id: customer._id }) }));
+
+  assert.equal(await findBookingCustomer(customer, 'someone@else.com'), customer._id);
+  assert.equal(lookup.mock.callCount(), 0);
+
+  assert.equal(await findBookingCustomer(null, ' Jane@Example.com'), customer._id);
+  assert.deepEqual(lookup.mock.calls[0].arguments[0], {
+    email: 'jane@example.com',
+    emailVerifiedAt: { $ne: null },
+  });
+
+  lookup.mock.mockImplementation(() => ({ select: async () => null }));
+  assert.equal(await findBookingCustomer(null, 'stranger@example.com'), null);
+});
+
+test('a new email address needs the current password and confirming again', async (t) => {
+  const queued = stubNotifications(t);
+  const customer = await makeCustomer({ emailVerifiedAt: new Date() });
+  t.mock.method(Customer, 'findById', () => ({ select: async () => customer }));
+  t.mock.method(Customer, 'exists', async () => null);
+  t.mock.method(Customer.prototype, 'save', async function save() { return this; });
+
+  const guessed = mockResponse();
+  await updateMyProfile({ customer, body: { email: 'new@example.com', currentPassword: 'nope' } }, guessed);
+  assert.equal(guessed.statusCode, 401);
+  assert.equal(customer.email, 'jane@example.com');
+
+  const res = mockResponse();
+  await updateMyProfile({ customer, body: { email: 'new@example.com', currentPassword: 'correct horse', phone: '0600' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.email, 'new@example.com');
+  assert.equal(res.body.data.phone, '0600');
+  assert.equal(res.body.data.emailVerified, false);
+  assert.equal(queued.mock.calls[0].arguments[0].to, 'new@example.com');
+  await settle();
+});
+
+test('booking history only lists the customer\'s own bookings, each with its access token', async (t) => {
+  const customer = await makeCustomer();
+  const booking = new Booking({
+    reference: 'FDL-ABCD-EFGH',
+    customer: customer._id,
+    car: new mongoose.Types.ObjectId(),
+    userName: 'Jane Doe',
+    userEmail: 'jane@example.com',
+    userPhone: '+212600000000',
+    pickupDate: new Date('2026-07-01T10:00:00Z'),
+    returnDate: new Date('2026-07-04T10:00:00Z'),
+    totalPrice: 900,
+  });
+  const chain = { populate: () => chain, sort: async () => [booking] };
+  const find = t.mock.method(Booking, 'find', () => chain);
+
+  const res = mockResponse();
+  await getMyBookings({ customer, query: { status: 'confirmed,completed' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    customer: customer._id,
+    status: { $in: ['confirmed', 'completed'] },
+  });
+  assert.equal(res.body.data[0].reference, 'FDL-ABCD-EFGH');
+  assert.ok(res.body.data[0].accessToken);
+  assert.equal(res.body.data[0].userPhone, undefined);
+});
+
+test('customer tokens do not open staff routes, nor staff tokens customer ones', async (t) => {
+  const customer = await makeCustomer();
+  // Even an ID that also belongs to a staff account gets nowhere
+  t.mock.method(User, 'findById', async () => ({ _id: customer._id, role: 'owner' }));
+  t.mock.method(User, 'exists', async () => ({ _id: customer._id }));
+  t.mock.method(Customer, 'findById', async () => customer);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings', bookingRoutes);
+  app.use('/api/customers', customerRoutes);
+  app.use('/api/users', userRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api`;
+  const as = (token) => ({ authorization: `Bearer ${token}`, 'content-type': 'application/json' });
+
+  const customerToken = signCustomerToken(customer);
+  const own = await fetch(`${url}/customers/me`, { headers: as(customerToken) });
+  assert.equal(own.status, 200);
+
+  for (const [method, path] of [['GET', '/bookings'], ['GET', '/users'], ['GET', '/users/profile'], ['POST', '/users/register']]) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: as(customerToken),
+      body: method === 'POST' ? JSON.stringify({ name: 'Jane', email: 'jane@example.com', password: 'correct horse' }) : undefined,
+    });
+    assert.equal(response.status, 401, `${method} ${path}`);
+  }
+
+  const staffToken = jwt.sign({ id: String(customer._id), sid: 's1' }, process.env.JWT_SECRET);
+  const staff = await fetch(`${url}/customers/me`, { headers: as(staffToken) });
+  assert.equal(staff.status, 401);
+});
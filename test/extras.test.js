@@ -0,0 +1,91 @@
+// backend/test/extras.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Extra = require('../models/Extra');
+const PricingRule = require('../models/PricingRule');
+const { resolveExtras } = require('../utils/extras');
+const { getExtraAvailability, findExtraShortages } = require('../utils/bookingAvailability');
+const { calculateQuote } = require('../utils/pricing');
+
+const at = (day, hour = 10) => new Date(Date.UTC(2026, 6, day, hour));
+
+const childSeat = new Extra({ name: 'Child seat', code: 'child-seat', pricingType: 'per_day', price: 30, stock: 6, maxPerBooking: 2 });
+const insurance = new Extra({ name: 'Full insurance', code: 'full-insurance', pricingType: 'per_rental', price: 250 });
+
+const stubCatalog = (t, extras = [childSeat, insurance]) =>
+  t.mock.method(Extra, 'find', async (filter) =>
+    extras.filter((extra) => filter._id.$in.includes(String(extra._id)) && (!filter.active || extra.active)));
+
+// Bookings holding child seats, behind the stock query
+const stubSeatBookings = (t, bookings) => t.mock.method(Booking, 'find', () => ({
+  select: () => ({ session: async () => bookings }),
+}));
+
+const seatBooking = (pickupDay, returnDay, quantity) => ({
+  pickupDate: at(pickupDay),
+  returnDate: at(returnDay),
+  extras: [{ extra: childSeat._id, quantity }],
+});
+
+test('requested extras are merged per extra and checked against the catalog', async (t) => {
+  stubCatalog(t);
+
+  const { items } = await resolveExtras([
+    { extraId: String(childSeat._id) },
+    { extraId: String(childSeat._id), quantity: '1' },
+    { extraId: String(insurance._id), quantity: 1 },
+  ]);
+  assert.deepEqual(items.map(({ extra, quantity }) => [extra.code, quantity]), [['child-seat', 2], ['full-insurance', 1]]);
+
+  assert.deepEqual(await resolveExtras(undefined), { items: [] });
+  assert.match((await resolveExtras({ extraId: String(childSeat._id) })).error, /must be a list/);
+  assert.match((await resolveExtras([{ extraId: 'gps' }])).error, /Invalid extra ID/);
+  assert.match((await resolveExtras([{ extraId: String(childSeat._id), quantity: 0 }])).error, /at least 1/);
+  assert.match((await resolveExtras([{ extraId: String(childSeat._id), quantity: 3 }])).error, /at most 2 x Child seat/);
+  assert.match((await resolveExtras([{ extraId: String(new mongoose.Types.ObjectId()) }])).error, /not available/);
+});
+
+test('retired extras only resolve for existing bookings', async (t) => {
+  const retired = new Extra({ name: 'GPS', code: 'gps', pricingType: 'per_day', price: 20, active: false });
+  stubCatalog(t, [retired]);
+
+  assert.match((await resolveExtras([{ extraId: String(retired._id) }])).error, /not available/);
+  const { items } = await resolveExtras([{ extra: retired._id, quantity: 1 }], { includeInactive: true });
+  assert.equal(items[0].extra.code, 'gps');
+});
+
+test('stock left is what the busiest moment of the range leaves over', async (t) => {
+  // 3 + 2 seats out on the 2nd, 2 of them back before the last 2 go out on the 4th
+  stubSeatBookings(t, [seatBooking(1, 3, 3), seatBooking(2, 4, 2), seatBooking(4, 6, 2)]);
+
+  assert.deepEqual(await getExtraAvailability(childSeat, at(1), at(6)), { stock: 6, inUse: 5, available: 1 });
+  assert.deepEqual(await getExtraAvailability(insurance, at(1), at(6)), { stock: null, inUse: 0, available: null });
+});
+
+test('extras without enough stock for the dates are reported', async (t) => {
+  stubSeatBookings(t, [seatBooking(1, 5, 5)]);
+
+  const shortages = await findExtraShortages([{ extra: childSeat, quantity: 2 }, { extra: insurance, quantity: 1 }], at(2), at(3));
+  assert.deepEqual(shortages, [{ extraId: childSeat._id, name: 'Child seat', requested: 2, available: 1 }]);
+  assert.deepEqual(await findExtraShortages([{ extra: childSeat, quantity: 1 }], at(2), at(3)), []);
+});
+
+test('per-day extras are charged for every billable day, per-rental extras once', async (t) => {
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+  const car = { _id: new mongoose.Types.ObjectId(), name: 'Clio', brand: 'Renault', type: 'Economy', price: 300 };
+
+  const quote = await calculateQuote({
+    car,
+    pickup: at(1),
+    dropoff: at(4),
+    extras: [{ extra: childSeat, quantity: 2 }, { extra: insurance, quantity: 1 }],
+  });
+  assert.deepEqual(quote.lineItems.map(({ label, amount }) => [label, amount]), [
+    ['Renault Clio - 3 day(s)', 900],
+    ['Child seat x2 - 3 day(s)', 180],
+    ['Full insurance x1', 250],
+  ]);
+  assert.equal(quote.total, 1330);
+});
@@ -0,0 +1,120 @@
+// backend/test/guestBookings.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Notification = require('../models/Notification');
+const {
+  generateBookingReference,
+  signBookingAccessToken,
+  verifyBookingAccessToken,
+} = require('../utils/bookingAccess');
+const bookingRoutes = require('../routes/bookingRoutes');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const makeBooking = (hoursToPickup) => new Booking({
+  reference: generateBookingReference(),
+  car: new mongoose.Types.ObjectId(),
+  userName: 'Jane Doe',
+  userEmail: 'jane@example.com',
+  userPhone: '+212600000000',
+  pickupDate: new Date(Date.now() + hoursToPickup * HOUR_MS),
+  returnDate: new Date(Date.now() + (hoursToPickup + 72) * HOUR_MS),
+  totalPrice: 900,
+  status: 'confirmed',
+});
+
+// The booking behind guestBookingAccess, and what happens once it is saved
+const stubBooking = (t, booking) => {
+  t.mock.method(Booking, 'findOne', async (filter) =>
+    (booking._id.equals(filter._id) && booking.reference === filter.reference ? booking : null));
+  t.mock.method(Booking.prototype, 'save', async function save() { return this; });
+  t.mock.method(Booking.prototype, 'populate', async function populate() { return this; });
+  t.mock.method(Car, 'findById', () => ({ select: async () => null }));
+  t.mock.method(Notification, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Notification, 'findOneAndUpdate', () => ({ select: async () => null }));
+};
+
+const startApp = (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings', bookingRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/api/bookings`;
+};
+
+test('references are easy to read out and access tokens only open their own booking', () => {
+  const booking = makeBooking(100);
+  assert.match(booking.reference, /^FDL-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/);
+
+  const token = signBookingAccessToken(booking);
+  assert.equal(verifyBookingAccessToken(token, booking.reference).bookingId, String(booking._id));
+  assert.equal(verifyBookingAccessToken(token, 'FDL-AAAA-BBBB'), null);
+  assert.equal(verifyBookingAccessToken(`${token}x`, booking.reference), null);
+
+  // A token signed for anything else does not open a booking
+  const staffToken = jwt.sign({ id: 'u1', sid: 's1', reference: booking.reference }, process.env.JWT_SECRET);
+  assert.equal(verifyBookingAccessToken(staffToken, booking.reference), null);
+});
+
+test('guests see their booking with its token and nothing without it', async (t) => {
+  const booking = makeBooking(100);
+  stubBooking(t, booking);
+  const url = startApp(t);
+  const token = signBookingAccessToken(booking);
+
+  const own = await fetch(`${url}/manage/${booking.reference.toLowerCase()}?token=${token}`);
+  assert.equal(own.status, 200);
+  const { data } = await own.json();
+  assert.equal(data.reference, booking.reference);
+  assert.equal(data.canCancel, true);
+  assert.equal(data.statusHistory, undefined);
+
+  const other = makeBooking(100);
+  const wrong = await fetch(`${url}/manage/${other.reference}`, { headers: { 'X-Booking-Token': token } });
+  assert.equal(wrong.status, 401);
+  assert.equal((await fetch(`${url}/manage/${booking.reference}`)).status, 401);
+});
+
+test('a guest token does not open staff routes', async (t) => {
+  const booking = makeBooking(100);
+  stubBooking(t, booking);
+  const url = startApp(t);
+  const headers = { Authorization: `Bearer ${signBookingAccessToken(booking)}` };
+
+  assert.equal((await fetch(url, { headers })).status, 401);
+  assert.equal((await fetch(`${url}/${booking._id}/payments`, { headers })).status, 401);
+  const status = await fetch(`${url}/${booking._id}/status`, {
+    method: 'PATCH',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status: 'cancelled' }),
+  });
+  assert.equal(status.status, 401);
+  assert.equal(booking.status, 'confirmed');
+});
+
+test('guests can cancel online until the cancellation window closes', async (t) => {
+  const early = makeBooking(100);
+  const late = makeBooking(24);
+  const url = startApp(t);
+
+  for (const [booking, expected] of [[early, 200], [late, 403]]) {
+    stubBooking(t, booking);
+    const response = await fetch(`${url}/manage/${booking.reference}/cancel`, {
+      method: 'POST',
+      headers: { 'X-Booking-Token': signBookingAccessToken(booking), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: 'Plans changed' }),
+    });
+    assert.equal(response.status, expected);
+  }
+  assert.equal(early.status, 'cancelled');
+  assert.deepEqual(early.statusHistory.map(({ to, actor }) => [to, actor.kind]), [['cancelled', 'customer']]);
+  assert.equal(late.status, 'confirmed');
+});
@@ -0,0 +1,123 @@
+// backend/test/inspections.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Inspection = require('../models/Inspection');
+const { parseChecklist, compareInspections } = require('../utils/inspections');
+const { inspectionPhotosDir } = require('../middleware/uploadMiddleware');
+const {
+  createInspection,
+  getInspectionPhoto,
+  getGuestInspections,
+} = require('../controllers/inspectionController');
+
+const mockResponse = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = JSON.parse(JSON.stringify(body)); return this; },
+  sendFile(file, options, done) { this.sentFile = file; this.headers = options.headers; done(); },
+});
+
+const staffRequest = (params, extra = {}) => ({
+  params,
+  body: {},
+  protocol: 'https',
+  get: () => 'api.example.com',
+  user: { _id: new mongoose.Types.ObjectId(), name: 'Desk' },
+  io: { emit: () => {} },
+  ...extra,
+});
+
+test('checklists are read from JSON strings and arrays', () => {
+  const checks = [{ zone: 'hood', damages: ['scratch', 'scratch', 'dent'], notes: 'left side' }];
+  assert.deepEqual(parseChecklist(JSON.stringify(checks)).checklist, [
+    { zone: 'hood', damages: ['scratch', 'dent'], notes: 'left side' },
+  ]);
+  assert.deepEqual(parseChecklist([{ zone: 'roof' }]).checklist, [{ zone: 'roof', damages: [], notes: undefined }]);
+  assert.deepEqual(parseChecklist(undefined), { checklist: [] });
+  assert.match(parseChecklist('{not json').error, /JSON array/);
+  assert.match(parseChecklist({ zone: 'hood' }).error, /JSON array/);
+});
+
+test('checklist entries that are not objects are refused', () => {
+  for (const checklist of [[null], [1], ['hood'], [[]], '[null]']) {
+    assert.match(parseChecklist(checklist).error, /Each checklist entry/, JSON.stringify(checklist));
+  }
+});
+
+test('the return report is compared against the pickup report', () => {
+  const pickup = { odometer: 12000, fuelLevel: 8, checklist: [{ zone: 'hood', damages: ['scratch'] }] };
+  const dropoff = {
+    odometer: 12450,
+    fuelLevel: 5,
+    checklist: [
+      { zone: 'hood', damages: ['scratch', 'dent'], notes: 'new dent' },
+      { zone: 'roof', damages: [] },
+    ],
+  };
+  assert.deepEqual(compareInspections(pickup, dropoff), {
+    distanceDriven: 450,
+    fuelDifference: -3,
+    newDamage: [{ zone: 'hood', damages: ['dent'], notes: 'new dent' }],
+    hasNewDamage: true,
+  });
+});
+
+test('a null checklist entry is a 400, not a server error', async (t) => {
+  const booking = new Booking({ status: 'confirmed', car: new mongoose.Types.ObjectId() });
+  t.mock.method(Booking, 'findById', async () => booking);
+  const res = mockResponse();
+  await createInspection(staffRequest({ id: String(booking._id), type: 'pickup' }, { body: { checklist: [null] } }), res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /Each checklist entry/);
+});
+
+test('inspection responses link photos without revealing where they are stored', async (t) => {
+  const booking = new Booking({ status: 'confirmed', car: new mongoose.Types.ObjectId(), reference: 'FAD-ABC123' });
+  let stored;
+  t.mock.method(Booking, 'findById', async () => booking);
+  t.mock.method(Car, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Inspection, 'create', async (doc) => {
+    stored = new Inspection(doc);
+    return stored;
+  });
+  const file = {
+    filename: 'front-1.jpg',
+    path: path.join(inspectionPhotosDir, 'front-1.jpg'),
+    size: 2048,
+    mimetype: 'image/jpeg',
+  };
+  const req = staffRequest({ id: String(booking._id), type: 'pickup' }, {
+    body: { odometer: '12000', fuelLevel: '8', checklist: '[{"zone":"hood","damages":["scratch"]}]' },
+    files: { photos: [file] },
+  });
+
+  const res = mockResponse();
+  await createInspection(req, res);
+  assert.equal(res.statusCode, 201);
+  const [photo] = res.body.data.photos;
+  assert.equal(photo.url, `https://api.example.com/api/bookings/${booking._id}/inspections/pickup/photos/front-1.jpg`);
+  assert.ok(!JSON.stringify(res.body).includes(inspectionPhotosDir));
+  assert.equal(stored.toObject().photos[0].path, undefined);
+
+  // Staff and guest lookups find the file by its recorded name only
+  t.mock.method(Inspection, 'findOne', async () => stored);
+  const photoRes = mockResponse();
+  await getInspectionPhoto(staffRequest({ id: String(booking._id), type: 'pickup', filename: 'front-1.jpg' }), photoRes);
+  assert.equal(photoRes.sentFile, file.path);
+  assert.match(photoRes.headers['Cache-Control'], /^private/);
+
+  const unknown = mockResponse();
+  await getInspectionPhoto(staffRequest({ id: String(booking._id), type: 'pickup', filename: '..%2F.env' }), unknown);
+  assert.equal(unknown.statusCode, 404);
+  assert.equal(unknown.sentFile, undefined);
+
+  t.mock.method(Inspection, 'find', async () => [stored]);
+  const guestRes = mockResponse();
+  await getGuestInspections(staffRequest({}, { booking }), guestRes);
+  const [guestPhoto] = guestRes.body.data.pickup.photos;
+  assert.equal(guestPhoto.url, 'https://api.example.com/api/bookings/manage/FAD-ABC123/inspections/pickup/photos/front-1.jpg');
+  assert.ok(!JSON.stringify(guestRes.body).includes(inspectionPhotosDir));
+});
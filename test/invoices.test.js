@@ -0,0 +1,101 @@
+// backend/test/invoices.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const { assignInvoiceNumber, renderInvoice } = require('../services/documents/bookingDocuments');
+
+// Populated booking as the document controller loads it
+const makeBooking = () => new Booking({
+  reference: 'FAD-ABC123',
+  userName: 'Jane Doe',
+  userEmail: 'jane@example.com',
+  userPhone: '+212600000000',
+  pickupDate: new Date('2026-07-01T10:00:00Z'),
+  returnDate: new Date('2026-07-04T10:00:00Z'),
+  totalPrice: 950,
+  status: 'confirmed',
+  priceBreakdown: {
+    currency: 'MAD',
+    billableDays: 3,
+    lineItems: [
+      { code: 'rental', label: 'Car rental', quantity: 3, unitPrice: 300, amount: 900 },
+      { code: 'extra', label: 'Child seat', quantity: 1, unitPrice: 50, amount: 50 },
+    ],
+  },
+});
+
+// Stored invoices and the invoice counter, behind the calls assignInvoiceNumber makes
+const stubInvoiceStore = (t) => {
+  const stored = new Map();
+  let seq = 0;
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => work(),
+    endSession: async () => {},
+  }));
+  t.mock.method(Booking, 'findById', (id) => ({
+    select: () => ({
+      session: async () => ({ toObject: () => ({ _id: id, invoice: stored.get(String(id)) }) }),
+    }),
+  }));
+  t.mock.method(Booking, 'updateOne', async (filter, update) => {
+    stored.set(String(filter._id), update.$set.invoice);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Counter, 'findOneAndUpdate', async () => {
+    seq += 1;
+    return { seq };
+  });
+  return stored;
+};
+
+test('invoice numbers are sequential and assigned once per booking', async (t) => {
+  stubInvoiceStore(t);
+  const first = makeBooking();
+  const second = makeBooking();
+
+  const invoice = await assignInvoiceNumber(first);
+  assert.equal(invoice.number, 'INV-000001');
+  assert.ok(invoice.issuedAt instanceof Date);
+  assert.equal((await assignInvoiceNumber(second)).number, 'INV-000002');
+  assert.equal((await assignInvoiceNumber(first)).number, 'INV-000001');
+});
+
+test('an issued invoice keeps what it stated when the booking changes', async (t) => {
+  stubInvoiceStore(t);
+  const booking = makeBooking();
+  const invoice = await assignInvoiceNumber(booking);
+  assert.deepEqual(invoice.billedTo, { name: 'Jane Doe', email: 'jane@example.com', phone: '+212600000000' });
+  assert.equal(invoice.total, 950);
+  assert.equal(invoice.billableDays, 3);
+  assert.deepEqual(invoice.lineItems.map((item) => item.amount), [900, 50]);
+  assert.equal(invoice.vehicle, 'Vehicle no longer in the fleet');
+
+  booking.userName = 'Someone Else';
+  booking.totalPrice = 1200;
+  const again = await assignInvoiceNumber(booking);
+  assert.equal(again.billedTo.name, 'Jane Doe');
+  assert.equal(again.total, 950);
+  assert.equal(again.issuedAt, invoice.issuedAt);
+});
+
+test('a booking without a price breakdown is billed as one rental line', async (t) => {
+  stubInvoiceStore(t);
+  const booking = makeBooking();
+  booking.priceBreakdown = undefined;
+  const { lineItems, total } = await assignInvoiceNumber(booking);
+  assert.deepEqual(lineItems, [{ code: 'rental', label: 'Car rental', quantity: 1, unitPrice: 950, amount: 950 }]);
+  assert.equal(total, 950);
+});
+
+test('the invoice renders from its snapshot as a PDF', async (t) => {
+  stubInvoiceStore(t);
+  const booking = makeBooking();
+  const invoice = await assignInvoiceNumber(booking);
+  booking.payments = { paid: 300, refunded: 0, securityHeld: 0 };
+
+  const pdf = await renderInvoice(booking, invoice);
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,106 @@
+// backend/test/locations.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const PricingRule = require('../models/PricingRule');
+const { isOpenAt, checkServiceTime, resolveLocations } = require('../utils/locations');
+const { calculateQuote } = require('../utils/pricing');
+
+// Monday 6 July 2026 at the given UTC time; Casablanca is UTC+1 in July
+const monday = (time) => new Date(`2026-07-06T${time}:00Z`);
+
+const weekdays = (open, close) => [1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({ dayOfWeek, open, close }));
+
+const city = new Location({
+  name: 'City office',
+  code: 'rak-city',
+  address: { city: 'Marrakech' },
+  openingHours: weekdays('08:00', '20:00'),
+});
+const airport = new Location({
+  name: 'Airport',
+  code: 'rak-airport',
+  kind: 'airport',
+  address: { city: 'Marrakech' },
+  openingHours: weekdays('06:00', '23:00'),
+  afterHours: { allowed: true, fee: 150 },
+  oneWayFees: [{ toLocation: city._id, fee: 200 }],
+});
+
+const stubBranches = (t) => t.mock.method(Location, 'findOne', async (filter) =>
+  [city, airport].find((location) => location._id.equals(filter._id) && filter.active) || null);
+
+test('opening hours are read in the branch timezone', () => {
+  assert.equal(isOpenAt(city, monday('06:59')), false);
+  assert.equal(isOpenAt(city, monday('07:00')), true);
+  assert.equal(isOpenAt(city, monday('18:59')), true);
+  // Closing minute excluded
+  assert.equal(isOpenAt(city, monday('19:00')), false);
+  // Sunday
+  assert.equal(isOpenAt(city, new Date('2026-07-05T10:00:00Z')), false);
+});
+
+test('after-hours service is refused unless the branch allows it', () => {
+  assert.deepEqual(checkServiceTime(city, monday('21:30'), 'pickup'), {
+    error: 'City office is closed on Mon at 22:30. Please choose another pickup time.',
+  });
+  assert.deepEqual(checkServiceTime(airport, monday('23:30'), 'return'), { afterHours: true });
+  assert.deepEqual(checkServiceTime(airport, monday('10:00'), 'return'), { afterHours: false });
+});
+
+test('one-way and after-hours fees are added for the branches booked', async (t) => {
+  stubBranches(t);
+
+  const { locations } = await resolveLocations({
+    pickupLocationId: String(airport._id),
+    returnLocationId: String(city._id),
+    pickup: monday('04:30'),
+    dropoff: new Date('2026-07-08T10:00:00Z'),
+  });
+  assert.deepEqual(locations.fees, [
+    { code: 'one_way_fee', label: 'One-way fee (Airport to City office)', amount: 200 },
+    { code: 'after_hours_fee', label: 'After-hours pickup at Airport', amount: 150 },
+  ]);
+
+  const roundTrip = await resolveLocations({ pickupLocationId: String(city._id), pickup: monday('10:00'), dropoff: monday('15:00') });
+  assert.equal(roundTrip.locations.returnLocation, city);
+  assert.deepEqual(roundTrip.locations.fees, []);
+});
+
+test('branch requests are checked before they are priced', async (t) => {
+  stubBranches(t);
+  const during = { pickup: monday('10:00'), dropoff: new Date('2026-07-08T10:00:00Z') };
+
+  assert.deepEqual(await resolveLocations(during), { locations: null });
+  assert.match((await resolveLocations({ returnLocationId: String(city._id), ...during })).error, /pickup location is required/);
+  assert.match((await resolveLocations({ pickupLocationId: 'airport', ...during })).error, /Invalid location ID/);
+  assert.match((await resolveLocations({ pickupLocationId: String(new mongoose.Types.ObjectId()), ...during })).error, /not available/);
+  assert.equal(
+    (await resolveLocations({ pickupLocationId: String(city._id), returnLocationId: String(airport._id), ...during })).error,
+    'One-way rentals from City office to Airport are not available.'
+  );
+});
+
+test('branch fees are added to the quote', async (t) => {
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+  const car = { _id: new mongoose.Types.ObjectId(), name: 'Clio', brand: 'Renault', type: 'Economy', price: 300 };
+  const fees = [{ code: 'one_way_fee', label: 'One-way fee (Airport to City office)', amount: 200 }];
+
+  const quote = await calculateQuote({ car, pickup: monday('10:00'), dropoff: new Date('2026-07-08T10:00:00Z'), locations: { fees } });
+  assert.deepEqual(quote.lineItems.at(-1), { ...fees[0], quantity: 1, unitPrice: 200 });
+  assert.equal(quote.total, 800);
+});
+
+test('branches need valid opening hours and a known timezone', async () => {
+  const invalid = new Location({
+    name: 'Station',
+    code: 'station',
+    address: { city: 'Rabat' },
+    timezone: 'Mars/Olympus',
+    openingHours: [{ dayOfWeek: 1, open: '18:00', close: '09:00' }, { dayOfWeek: 2, open: '07:60', close: '18:00' }],
+  });
+  const error = await invalid.validate().catch((validationError) => validationError);
+  assert.deepEqual(Object.keys(error.errors).sort(), ['openingHours.0.close', 'openingHours.1.open', 'timezone']);
+  assert.equal(city.code, 'RAK-CITY');
+});
@@ -0,0 +1,117 @@
+// backend/test/maintenance.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const { recordOdometer, findServiceDue } = require('../utils/maintenance');
+const { BLOCKING_MAINTENANCE_STATUSES } = require('../utils/bookingAvailability');
+const { getServiceDue } = require('../controllers/maintenanceController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-01T10:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY_MS);
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Stand-in for a find() chain: every step returns it and it resolves to `docs`
+const fakeFind = (docs) => {
+  const query = Object.assign(Promise.resolve(docs), {
+    populate: () => query,
+    select: () => query,
+    sort: () => query,
+  });
+  return query;
+};
+
+// Completed visits (newest first, as the query sorts them) and planned ones
+const stubVisits = (t, { completed = [], planned = [] }) =>
+  t.mock.method(Maintenance, 'find', (filter) => fakeFind(filter.status === 'completed' ? completed : planned));
+
+const duster = { _id: new mongoose.Types.ObjectId(), name: 'Duster', brand: 'Dacia', odometer: 48500 };
+const clio = { _id: new mongoose.Types.ObjectId(), name: 'Clio', brand: 'Renault', odometer: 20000 };
+
+const visit = (car, type, fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  car,
+  unit: null,
+  type,
+  status: 'completed',
+  startDate: daysFromNow(-300),
+  nextDueDate: null,
+  nextDueOdometer: null,
+  ...fields,
+});
+
+test('only planned and running visits block bookings', () => {
+  assert.deepEqual([...BLOCKING_MAINTENANCE_STATUSES].sort(), ['in_progress', 'planned']);
+});
+
+test('service due lists the latest visit per vehicle and type, most urgent first', async (t) => {
+  const oldInspection = visit(duster, 'technical_inspection', { startDate: daysFromNow(-700), nextDueDate: daysFromNow(-335) });
+  const inspection = visit(duster, 'technical_inspection', { startDate: daysFromNow(-340), nextDueDate: daysFromNow(25) });
+  const oilChange = visit(duster, 'oil_change', { odometer: 39000, nextDueOdometer: 49000 });
+  const tyres = visit(clio, 'tyres', { nextDueDate: daysFromNow(-2) });
+  const brakes = visit(clio, 'brakes', { nextDueDate: daysFromNow(90), nextDueOdometer: 40000 });
+  const plannedInspection = { _id: new mongoose.Types.ObjectId(), car: duster._id, unit: null, type: 'technical_inspection', status: 'planned', startDate: daysFromNow(20) };
+  stubVisits(t, { completed: [inspection, oilChange, tyres, brakes, oldInspection], planned: [plannedInspection] });
+
+  const items = await findServiceDue({ now });
+  assert.deepEqual(items.map(({ car, type }) => [car.name, type]), [
+    ['Clio', 'tyres'],
+    ['Duster', 'technical_inspection'],
+    ['Duster', 'oil_change'],
+  ]);
+  const [tyresDue, inspectionDue, oilDue] = items;
+  assert.equal(tyresDue.overdue, true);
+  assert.equal(tyresDue.daysRemaining, -2);
+  assert.equal(inspectionDue.lastService.id, inspection._id);
+  assert.deepEqual(inspectionDue.scheduled, { id: plannedInspection._id, status: 'planned', startDate: plannedInspection.startDate });
+  assert.equal(oilDue.kmRemaining, 500);
+  assert.equal(oilDue.overdue, false);
+});
+
+test('service due can be listed by date or by odometer only', async (t) => {
+  const oilChange = visit(duster, 'oil_change', { nextDueOdometer: 48000 });
+  const inspection = visit(clio, 'technical_inspection', { nextDueDate: daysFromNow(10) });
+  stubVisits(t, { completed: [oilChange, inspection] });
+
+  assert.deepEqual((await findServiceDue({ by: 'date', now })).map(({ type }) => type), ['technical_inspection']);
+  const byOdometer = await findServiceDue({ by: 'odometer', km: 100, now });
+  assert.deepEqual(byOdometer.map(({ type, kmRemaining, overdue }) => [type, kmRemaining, overdue]), [['oil_change', -500, true]]);
+  assert.deepEqual(await findServiceDue({ days: 5, km: 0, by: 'date', now }), []);
+});
+
+test('odometer readings only ever move forward', async (t) => {
+  const carUpdates = t.mock.method(Car, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const unitUpdates = t.mock.method(FleetUnit, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const unitId = new mongoose.Types.ObjectId();
+
+  await recordOdometer(duster._id, '49000');
+  await recordOdometer(duster._id, 51000, { unitId });
+  await recordOdometer(duster._id, 'about 50k');
+  await recordOdometer(duster._id, -5);
+
+  assert.equal(carUpdates.mock.callCount(), 1);
+  assert.deepEqual(carUpdates.mock.calls[0].arguments, [{ _id: duster._id, odometer: { $lt: 49000 } }, { $set: { odometer: 49000 } }]);
+  assert.deepEqual(unitUpdates.mock.calls[0].arguments[0], { _id: unitId, odometer: { $lt: 51000 } });
+});
+
+test('the service due endpoint validates its filters', async () => {
+  for (const query of [{ days: '-1' }, { km: 'far' }, { by: 'mileage' }]) {
+    const res = mockResponse();
+    await getServiceDue({ query }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+});
+
+test('a visit must end after it starts', async () => {
+  const error = await new Maintenance({ car: duster._id, type: 'tyres', startDate: daysFromNow(2), endDate: daysFromNow(1) })
+    .validate().catch((validationError) => validationError);
+  assert.ok(error.errors.endDate);
+});
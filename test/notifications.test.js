@@ -0,0 +1,147 @@
+// backend/test/notifications.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const Notification = require('../models/Notification');
+const templates = require('../services/notifications/templates');
+const {
+  renderNotification,
+  deliverNotification,
+  notifyBookingReceived,
+} = require('../services/notifications');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// The SMTP server: accepts messages unless told to fail
+const outbox = [];
+let smtpError = null;
+test.mock.method(nodemailer, 'createTransport', () => ({
+  sendMail: async (message) => {
+    if (smtpError) throw smtpError;
+    outbox.push(message);
+    return { messageId: `<${outbox.length}@test>` };
+  },
+}));
+
+const booking = {
+  id: new mongoose.Types.ObjectId().toString(),
+  reference: 'FDL-7K3M-9QXA',
+  status: 'confirmed',
+  userName: 'Jane <b>Doe</b>',
+  userEmail: 'jane@example.com',
+  userPhone: '+212600000000',
+  carName: 'Dacia Duster',
+  pickupDate: new Date('2026-07-01T10:00:00Z'),
+  returnDate: new Date('2026-07-04T10:00:00Z'),
+  totalPrice: 1200,
+};
+
+// Enough data for any template
+const sampleData = {
+  booking,
+  status: 'confirmed',
+  reason: 'Customer called',
+  offer: {
+    userName: 'Jane Doe',
+    carName: 'Dacia Duster',
+    carId: new mongoose.Types.ObjectId().toString(),
+    holdId: new mongoose.Types.ObjectId().toString(),
+    pickupDate: booking.pickupDate,
+    returnDate: booking.returnDate,
+    expiresAt: new Date('2026-06-20T12:00:00Z'),
+  },
+  customer: { name: 'Jane Doe', expiresAt: new Date('2026-06-21T12:00:00Z') },
+  user: { name: 'Sam Staff', expiresAt: new Date('2026-06-21T12:00:00Z') },
+  document: { type: 'insurance', number: 'POL-1', mandatory: true, expiryDate: new Date('2026-07-10'), daysLeft: 9, carName: 'Dacia Duster' },
+  contact: { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', inquiryType: 'general', message: 'Hello' },
+  verifyUrl: 'https://example.com/verify?token=abc',
+  resetUrl: 'https://example.com/reset?token=abc',
+  token: 'abc',
+};
+
+// A notification as the worker claims it, with the save it ends with
+const claimedNotification = (t, fields = {}) => {
+  const notification = new Notification({
+    template: 'staff_password_reset',
+    to: 'sam@example.com',
+    data: { user: sampleData.user },
+    secret: { resetUrl: sampleData.resetUrl, token: 'abc' },
+    status: 'sending',
+    attempts: 1,
+    ...fields,
+  });
+  t.mock.method(Notification, 'findOneAndUpdate', () => ({ select: async () => notification }));
+  t.mock.method(Notification.prototype, 'save', async function save() { return this; });
+  return notification;
+};
+
+test('every template renders a subject, an HTML body and a text body', () => {
+  for (const [name, template] of Object.entries(templates)) {
+    const message = template(sampleData);
+    assert.ok(message.subject, name);
+    assert.match(message.html, /^<!DOCTYPE html>/, name);
+    assert.ok(message.text.length > 0, name);
+  }
+});
+
+test('customer content is escaped in HTML and left as is in text', () => {
+  const message = templates.booking_received({ booking });
+  assert.match(message.html, /Jane &lt;b&gt;Doe&lt;\/b&gt;/);
+  assert.ok(!message.html.includes('<b>Doe</b>'));
+  assert.match(message.text, /Jane <b>Doe<\/b>/);
+});
+
+test('only the customer gets the booking management link', (t) => {
+  const previous = process.env.BOOKING_MANAGE_URL;
+  t.after(() => {
+    if (previous === undefined) delete process.env.BOOKING_MANAGE_URL;
+    else process.env.BOOKING_MANAGE_URL = previous;
+  });
+  process.env.BOOKING_MANAGE_URL = 'https://fadlocar.ma/manage/';
+
+  const toCustomer = renderNotification({ template: 'booking_received', to: booking.userEmail, data: { booking } });
+  assert.match(toCustomer.text, /https:\/\/fadlocar\.ma\/manage\/FDL-7K3M-9QXA\?token=/);
+  const toStaff = renderNotification({ template: 'admin_new_booking', to: 'desk@fadlocar.ma', data: { booking } });
+  assert.ok(!toStaff.text.includes('token='));
+});
+
+test('a sent message forgets its one-time link', async (t) => {
+  smtpError = null;
+  const notification = claimedNotification(t);
+
+  await deliverNotification(notification._id);
+  assert.equal(notification.status, 'sent');
+  assert.equal(notification.subject, outbox.at(-1).subject);
+  assert.equal(outbox.at(-1).to, 'sam@example.com');
+  assert.match(outbox.at(-1).text, /token=abc/);
+  assert.equal(notification.secret, undefined);
+  assert.ok(notification.secretRemovedAt);
+});
+
+test('failed sends are retried with backoff, then given up', async (t) => {
+  smtpError = new Error('Connection refused');
+  t.after(() => { smtpError = null; });
+  t.mock.method(console, 'error', () => {});
+
+  const first = claimedNotification(t);
+  const before = Date.now();
+  await deliverNotification(first._id);
+  assert.equal(first.status, 'queued');
+  assert.equal(first.lastError, 'Connection refused');
+  assert.ok(first.nextAttemptAt.getTime() >= before + 60 * 1000);
+  assert.equal(first.secret.token, 'abc');
+
+  const last = claimedNotification(t, { attempts: 5 });
+  await deliverNotification(last._id);
+  assert.equal(last.status, 'failed');
+  assert.equal(last.secret, undefined);
+});
+
+test('queuing a notification never fails the request', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Notification, 'create', async () => { throw new Error('Database down'); });
+
+  const queued = await notifyBookingReceived({ _id: new mongoose.Types.ObjectId(), ...booking, car: null });
+  assert.deepEqual(queued, [null, null]);
+});
@@ -0,0 +1,224 @@
+// backend/test/paymentLedger.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const {
+  summarizeLedger,
+  chargeBooking,
+  holdSecurityDeposit,
+  refundPayment,
+  releaseSecurityDeposit,
+  registerProvider,
+} = require('../services/payments');
+const { payGuestBooking } = require('../controllers/paymentController');
+
+const actor = { kind: 'staff', name: 'Desk' };
+
+// In-memory booking and ledger behind the Mongoose calls the ledger makes
+const stubLedger = (t, { status = 'confirmed', totalPrice = 1000 } = {}) => {
+  const booking = new Booking({
+    userName: 'Jane Doe',
+    userEmail: 'jane@example.com',
+    userPhone: '+212600000000',
+    pickupDate: new Date('2026-07-01T10:00:00Z'),
+    returnDate: new Date('2026-07-04T10:00:00Z'),
+    totalPrice,
+    status,
+  });
+  const entries = [];
+
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => work(),
+    endSession: async () => {},
+  }));
+  t.mock.method(Booking, 'findOneAndUpdate', async (filter) => (booking._id.equals(filter._id) ? booking : null));
+  t.mock.method(Booking, 'updateOne', async (filter, update) => {
+    booking.set(update.$set);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Payment, 'find', () => ({ session: async () => [...entries] }));
+  t.mock.method(Payment, 'findById', async (id) => entries.find((entry) => entry._id.equals(id)) || null);
+  t.mock.method(Payment, 'create', async (docs) => {
+    const created = docs.map((doc) => new Payment(doc));
+    entries.push(...created);
+    return created;
+  });
+  t.mock.method(Payment.prototype, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+
+  return { booking, entries };
+};
+
+// Run with the given environment, restored afterwards
+const withEnv = (t, values) => {
+  const previous = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  t.after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+};
+
+test('summarizeLedger only counts settled entries', () => {
+  const entries = [
+    { type: 'deposit', amount: 300, status: 'succeeded' },
+    { type: 'balance', amount: 700, status: 'failed' },
+    { type: 'balance', amount: 200, status: 'pending' },
+    { type: 'refund', amount: 50.5, status: 'succeeded' },
+    { type: 'security_hold', amount: 500, status: 'succeeded' },
+    { type: 'security_release', amount: 200, status: 'succeeded' },
+  ];
+  assert.deepEqual(summarizeLedger(entries), { paid: 300, refunded: 50.5, securityHeld: 300 });
+});
+
+test('a balance payment without an amount settles what is outstanding', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  const { booking } = stubLedger(t);
+
+  const deposit = await chargeBooking(booking._id, { type: 'deposit', amount: 250, source: 'tok_visa', actor });
+  assert.equal(deposit.entry.status, 'succeeded');
+  assert.equal(deposit.entry.provider, 'fake');
+  assert.match(deposit.entry.providerReference, /^fake_ch_/);
+
+  const balance = await chargeBooking(booking._id, { type: 'balance', source: 'tok_visa', actor });
+  assert.equal(balance.entry.amount, 750);
+  assert.equal(booking.payments.paid, 1000);
+  assert.equal(booking.amountOutstanding, 0);
+
+  const extra = await chargeBooking(booking._id, { type: 'balance', source: 'tok_visa', actor });
+  assert.deepEqual(extra, { status: 400, message: 'Nothing is outstanding on this booking.' });
+});
+
+test('a charge cannot exceed the balance, counting payments still pending', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  const { booking, entries } = stubLedger(t);
+  entries.push(new Payment({ booking: booking._id, type: 'deposit', amount: 600, provider: 'fake', status: 'pending', recordedBy: actor }));
+
+  const result = await chargeBooking(booking._id, { type: 'balance', amount: 500, source: 'tok_visa', actor });
+  assert.deepEqual(result, { status: 400, message: 'Amount exceeds the outstanding balance of 400 MAD.' });
+  assert.equal(entries.length, 1);
+});
+
+test('a declined card leaves a failed entry and nothing paid', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  const { booking } = stubLedger(t);
+
+  const { entry } = await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_declined', actor });
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.failureReason, 'Card declined.');
+  assert.equal(booking.payments.paid, 0);
+});
+
+test('cancelled and no-show bookings take no payments and owe nothing', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  for (const status of ['cancelled', 'no_show']) {
+    const { booking } = stubLedger(t, { status });
+    const result = await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_visa', actor });
+    assert.deepEqual(result, { status: 409, message: `A ${status} booking cannot take payments.` });
+    assert.equal(booking.amountOutstanding, 0);
+  }
+});
+
+test('card payments need PAYMENT_PROVIDER, whatever NODE_ENV says', async (t) => {
+  withEnv(t, { NODE_ENV: undefined, PAYMENT_PROVIDER: undefined });
+  const { booking, entries } = stubLedger(t);
+
+  const card = await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_visa', actor });
+  assert.deepEqual(card, { status: 503, message: 'Card payments are not available right now.' });
+  const hold = await holdSecurityDeposit(booking._id, { amount: 100, source: 'tok_visa', actor });
+  assert.equal(hold.status, 503);
+  process.env.NODE_ENV = 'development';
+  assert.equal((await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_visa', actor })).status, 503);
+  assert.equal(entries.length, 0);
+
+  const cash = await chargeBooking(booking._id, { type: 'deposit', amount: 100, method: 'cash', actor });
+  assert.equal(cash.entry.status, 'succeeded');
+  assert.equal(cash.entry.provider, 'manual');
+
+  process.env.PAYMENT_PROVIDER = 'fake';
+  const opted = await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_visa', actor });
+  assert.equal(opted.entry.provider, 'fake');
+});
+
+test('refunds are limited to what is left on the original charge', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  const { booking } = stubLedger(t);
+  const { entry: charge } = await chargeBooking(booking._id, { type: 'deposit', amount: 300, source: 'tok_visa', actor });
+
+  const first = await refundPayment(booking._id, charge._id, { amount: 100, actor });
+  assert.equal(first.entry.status, 'succeeded');
+  assert.ok(first.entry.relatedEntry.equals(charge._id));
+
+  const tooMuch = await refundPayment(booking._id, charge._id, { amount: 250, actor });
+  assert.deepEqual(tooMuch, { status: 400, message: 'Amount exceeds the 200 MAD left on this payment.' });
+
+  const rest = await refundPayment(booking._id, charge._id, { actor });
+  assert.equal(rest.entry.amount, 200);
+  assert.deepEqual(
+    { paid: booking.payments.paid, refunded: booking.payments.refunded },
+    { paid: 300, refunded: 300 }
+  );
+
+  const again = await refundPayment(booking._id, charge._id, { actor });
+  assert.equal(again.message, 'This payment has already been fully reversed.');
+});
+
+test('security deposits are held and released separately from payments', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+  const { booking } = stubLedger(t);
+
+  const { entry: hold } = await holdSecurityDeposit(booking._id, { amount: 500, source: 'tok_visa', actor });
+  assert.equal(booking.payments.securityHeld, 500);
+  assert.equal(booking.payments.paid, 0);
+
+  await releaseSecurityDeposit(booking._id, hold._id, { amount: 200, actor });
+  assert.equal(booking.payments.securityHeld, 300);
+
+  const wrongType = await refundPayment(booking._id, hold._id, { actor });
+  assert.equal(wrongType.status, 404);
+});
+
+test('an unreachable provider leaves the entry pending for reconciliation', async (t) => {
+  registerProvider({
+    name: 'unreachable',
+    charge: async () => { throw new Error('timeout'); },
+    refund: async () => { throw new Error('timeout'); },
+    authorize: async () => { throw new Error('timeout'); },
+    release: async () => { throw new Error('timeout'); },
+  });
+  withEnv(t, { PAYMENT_PROVIDER: 'unreachable' });
+  t.mock.method(console, 'error', () => {});
+  const { booking } = stubLedger(t);
+
+  const { entry } = await chargeBooking(booking._id, { type: 'deposit', amount: 100, source: 'tok_visa', actor });
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.failureReason, 'Provider error: timeout');
+  assert.equal(booking.payments.paid, 0);
+
+  const blocked = await chargeBooking(booking._id, { type: 'balance', amount: 901, method: 'cash', actor });
+  assert.equal(blocked.status, 400);
+});
+
+test('guests can only pay bookings that are still running', async (t) => {
+  withEnv(t, { PAYMENT_PROVIDER: 'fake' });
+
+  for (const status of ['completed', 'no_show', 'cancelled']) {
+    const { booking, entries } = stubLedger(t, { status });
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    await payGuestBooking({ booking, body: { type: 'balance', source: 'tok_visa' } }, res);
+    assert.equal(res.statusCode, 409, status);
+    assert.equal(entries.length, 0);
+  }
+});
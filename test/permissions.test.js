@@ -0,0 +1,149 @@
+// backend/test/permissions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  LEGACY_ROLES,
+  getRolePermissions,
+  hasPermission,
+  isTwoFactorRequired,
+} = require('../config/permissions');
+const { authorize } = require('../middleware/authMiddleware');
+const User = require('../models/User');
+
+// What each role may do; a change here should be a deliberate decision
+const EXPECTED_MATRIX = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter((permission) => permission !== 'users:manage'),
+  agent: [
+    'bookings:read',
+    'bookings:write',
+    'payments:read',
+    'payments:write',
+    'cars:read',
+    'fleet:read',
+    'contact:read',
+    'contact:write',
+    'waitlist:read',
+    'waitlist:write',
+    'notifications:read',
+  ],
+  blog_editor: ['blog:publish'],
+};
+
+const mockResponse = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+test('every role grants exactly its expected permissions', () => {
+  assert.deepEqual([...ROLES].sort(), Object.keys(EXPECTED_MATRIX).sort());
+  for (const role of ROLES) {
+    for (const permission of PERMISSIONS) {
+      assert.equal(
+        hasPermission(role, permission),
+        EXPECTED_MATRIX[role].includes(permission),
+        `${role} / ${permission}`
+      );
+    }
+  }
+});
+
+test('only owners manage users; agents cannot refund or delete bookings', () => {
+  assert.deepEqual(ROLES.filter((role) => hasPermission(role, 'users:manage')), ['owner']);
+  assert.equal(hasPermission('agent', 'payments:refund'), false);
+  assert.equal(hasPermission('agent', 'bookings:delete'), false);
+});
+
+test('unknown roles get no permissions and legacy roles resolve to their replacement', () => {
+  assert.deepEqual(getRolePermissions('superuser'), []);
+  assert.equal(hasPermission(undefined, 'bookings:read'), false);
+  for (const [legacyRole, role] of Object.entries(LEGACY_ROLES)) {
+    assert.deepEqual(getRolePermissions(legacyRole), getRolePermissions(role));
+  }
+  assert.equal(hasPermission('admin', 'users:manage'), false);
+  assert.ok(ROLES.includes(DEFAULT_ROLE));
+});
+
+test('two-factor requirement follows TWO_FACTOR_REQUIRED_ROLES', (t) => {
+  const previous = process.env.TWO_FACTOR_REQUIRED_ROLES;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    else process.env.TWO_FACTOR_REQUIRED_ROLES = previous;
+  });
+  process.env.TWO_FACTOR_REQUIRED_ROLES = 'owner, manager, nonsense';
+  assert.equal(isTwoFactorRequired('owner'), true);
+  assert.equal(isTwoFactorRequired('manager'), true);
+  assert.equal(isTwoFactorRequired('agent'), false);
+  delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  assert.equal(isTwoFactorRequired('owner'), false);
+});
+
+test('authorize rejects misspelled permissions when the route is defined', () => {
+  assert.throws(() => authorize('booking:read'), /Unknown permission/);
+});
+
+test('every route file loads, so all the permissions it names exist', () => {
+  const routesDir = path.join(__dirname, '..', 'routes');
+  for (const file of fs.readdirSync(routesDir).filter((name) => name.endsWith('.js'))) {
+    assert.doesNotThrow(() => require(path.join(routesDir, file)), file);
+  }
+});
+
+test('authorize answers 401 without a user and 403 without the permission', () => {
+  const guard = authorize('payments:refund');
+  let passed = 0;
+  const next = () => { passed += 1; };
+
+  const anonymous = mockResponse();
+  guard({}, anonymous, next);
+  assert.equal(anonymous.statusCode, 401);
+
+  const agent = mockResponse();
+  guard({ user: { role: 'agent' } }, agent, next);
+  assert.equal(agent.statusCode, 403);
+
+  guard({ user: { role: 'manager' } }, mockResponse(), next);
+  assert.equal(passed, 1);
+});
+
+test('legacy accounts lose access until OWNER_EMAIL names the owner', async (t) => {
+  const accounts = [{ email: 'old-admin@example.com', role: 'admin' }, { email: 'boss@example.com', role: 'admin' }];
+  const matching = (filter) => accounts.filter((account) =>
+    Object.entries(filter).every(([key, value]) => account[key] === value));
+  t.mock.method(User, 'updateMany', async (filter, update) => {
+    const found = matching(filter);
+    found.forEach((account) => Object.assign(account, update.$set));
+    return { modifiedCount: found.length };
+  });
+  t.mock.method(User, 'exists', async (filter) => (matching(filter).length > 0 ? { _id: 'id' } : null));
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    const [found] = matching(filter);
+    return found ? Object.assign(found, update.$set) : null;
+  });
+
+  assert.equal(await User.migrateLegacyRoles(), 2);
+  assert.deepEqual(accounts.map((account) => account.role), ['blog_editor', 'blog_editor']);
+  assert.equal(await User.isMissingOwner(), true);
+
+  assert.equal(await User.ensureOwner(undefined), null);
+  assert.equal(await User.ensureOwner('nobody@example.com'), null);
+  assert.equal(await User.isMissingOwner(), true);
+
+  assert.equal((await User.ensureOwner(' boss@example.com ')).role, 'owner');
+  assert.equal(await User.isMissingOwner(), false);
+  // Only while there is no owner: OWNER_EMAIL can't be used to take over later
+  assert.equal(await User.ensureOwner('old-admin@example.com'), null);
+  assert.equal(accounts[0].role, 'blog_editor');
+});
+
+test('an empty database needs no owner yet', async (t) => {
+  t.mock.method(User, 'exists', async () => null);
+  assert.equal(await User.isMissingOwner(), false);
+});
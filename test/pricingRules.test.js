@@ -0,0 +1,73 @@
+// backend/test/pricingRules.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const { applyPricingRules, calculateQuote } = require('../utils/pricing');
+const { getPricingRules } = require('../controllers/pricingRuleController');
+
+// Wednesday 1 July 2026, 10:00 UTC, plus `days`
+const at = (days) => new Date(Date.UTC(2026, 6, 1 + days, 10));
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+const rule = (fields) => ({ _id: new mongoose.Types.ObjectId(), name: 'Rule', adjustmentType: 'percentage', ...fields });
+
+test('rules stack day by day in priority order', () => {
+  const weekend = rule({ name: 'Weekend', daysOfWeek: [0, 6], value: 20 });
+  const longRental = rule({ name: 'Long rental', minDays: 5, value: -10 });
+
+  const applied = applyPricingRules({ baseRate: 100, pickup: at(0), billableDays: 5, rules: [weekend, longRental] });
+  assert.deepEqual(applied.map(({ name, days, amount }) => ({ name, days, amount })), [
+    { name: 'Weekend', days: 2, amount: 40 },
+    { name: 'Long rental', days: 5, amount: -54 },
+  ]);
+});
+
+test('an exclusive rule stops later rules on the days it applies', () => {
+  const summer = rule({ name: 'Summer', startDate: at(1), endDate: at(2), adjustmentType: 'fixed', value: 50, exclusive: true });
+  const fleet = rule({ name: 'Fleet', value: 10 });
+
+  const applied = applyPricingRules({ baseRate: 100, pickup: at(0), billableDays: 4, rules: [summer, fleet] });
+  assert.deepEqual(applied.map(({ name, days, amount }) => ({ name, days, amount })), [
+    { name: 'Summer', days: 2, amount: 100 },
+    { name: 'Fleet', days: 2, amount: 20 },
+  ]);
+});
+
+test('rules outside their rental length do not apply and rates never go below zero', () => {
+  const weekly = rule({ name: 'Weekly', minDays: 7, value: -20 });
+  const giveaway = rule({ name: 'Giveaway', adjustmentType: 'fixed', value: -500 });
+
+  const applied = applyPricingRules({ baseRate: 100, pickup: at(0), billableDays: 2, rules: [weekly, giveaway] });
+  assert.deepEqual(applied.map(({ name, amount }) => ({ name, amount })), [{ name: 'Giveaway', amount: -200 }]);
+});
+
+test('quotes list the applied rules as line items', async (t) => {
+  const surcharge = rule({ name: 'High season', value: 25 });
+  t.mock.method(PricingRule, 'findForCar', async () => [surcharge]);
+  const car = { _id: new mongoose.Types.ObjectId(), name: 'Duster', brand: 'Dacia', type: 'SUV', price: 400 };
+
+  const quote = await calculateQuote({ car, pickup: at(0), dropoff: at(3) });
+  assert.deepEqual(quote.lineItems.map(({ code, amount }) => ({ code, amount })), [
+    { code: 'rental', amount: 1200 },
+    { code: 'pricing_rule', amount: 300 },
+  ]);
+  assert.equal(quote.total, 1500);
+  assert.ok(quote.appliedRules[0].rule.equals(surcharge._id));
+});
+
+test('listing rules rejects a car filter that is not an ID', async (t) => {
+  const find = t.mock.method(PricingRule, 'find', () => {
+    throw new Error('should not query');
+  });
+  const res = mockResponse();
+  await getPricingRules({ query: { car: 'abc' } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Invalid car ID format.');
+  assert.equal(find.mock.callCount(), 0);
+});
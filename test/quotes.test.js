@@ -0,0 +1,119 @@
+// backend/test/quotes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const PricingRule = require('../models/PricingRule');
+const {
+  countRentalDays,
+  getBillableDays,
+  calculateQuote,
+  totalsMatch,
+} = require('../utils/pricing');
+const { getQuote, createBooking } = require('../controllers/bookingController');
+
+const HOUR_MS = 60 * 60 * 1000;
+const pickup = new Date('2026-07-01T10:00:00Z');
+const after = (hours) => new Date(pickup.getTime() + hours * HOUR_MS);
+
+const car = { _id: new mongoose.Types.ObjectId(), name: 'Clio', brand: 'Renault', type: 'Economy', price: 350 };
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Run with MIN_RENTAL_DAYS set, restored afterwards
+const withMinimumDays = (t, value) => {
+  const previous = process.env.MIN_RENTAL_DAYS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.MIN_RENTAL_DAYS;
+    else process.env.MIN_RENTAL_DAYS = previous;
+  });
+  process.env.MIN_RENTAL_DAYS = value;
+};
+
+const stubCatalog = (t) => {
+  t.mock.method(Car, 'findById', async (id) => (car._id.equals(id) ? car : null));
+  t.mock.method(PricingRule, 'findForCar', async () => []);
+};
+
+test('every started 24 hours is a rental day', () => {
+  assert.equal(countRentalDays(pickup, after(1)), 1);
+  assert.equal(countRentalDays(pickup, after(24)), 1);
+  assert.equal(countRentalDays(pickup, after(25)), 2);
+  assert.equal(countRentalDays(pickup, after(72)), 3);
+});
+
+test('short rentals are billed the configured minimum', (t) => {
+  withMinimumDays(t, '3');
+  assert.equal(getBillableDays(pickup, after(24)), 3);
+  assert.equal(getBillableDays(pickup, after(96)), 4);
+
+  process.env.MIN_RENTAL_DAYS = 'none';
+  assert.equal(getBillableDays(pickup, after(24)), 1);
+});
+
+test('a quote itemizes the rental from the car price', async (t) => {
+  withMinimumDays(t, '2');
+  stubCatalog(t);
+
+  const quote = await calculateQuote({ car, pickup, dropoff: after(20) });
+  assert.deepEqual(
+    { rentalDays: quote.rentalDays, minimumDays: quote.minimumDays, billableDays: quote.billableDays, total: quote.total },
+    { rentalDays: 1, minimumDays: 2, billableDays: 2, total: 700 }
+  );
+  assert.deepEqual(quote.lineItems, [{
+    code: 'rental',
+    label: 'Renault Clio - 2 day(s)',
+    quantity: 2,
+    unitPrice: 350,
+    amount: 700,
+  }]);
+});
+
+test('client totals must match the quote to the centime', () => {
+  const quote = { total: 1050 };
+  assert.equal(totalsMatch(1050, quote), true);
+  assert.equal(totalsMatch('1050.00', quote), true);
+  assert.equal(totalsMatch(1049.99, quote), false);
+  assert.equal(totalsMatch(1, quote), false);
+  assert.equal(totalsMatch('free', quote), false);
+});
+
+test('the quote endpoint prices a car and validates the request', async (t) => {
+  stubCatalog(t);
+
+  const res = mockResponse();
+  await getQuote({ body: { carId: String(car._id), pickupDate: pickup.toISOString(), returnDate: after(48).toISOString() } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.quote.total, 700);
+
+  const missing = mockResponse();
+  await getQuote({ body: { carId: String(car._id) } }, missing);
+  assert.equal(missing.statusCode, 400);
+
+  const unknown = mockResponse();
+  await getQuote({ body: { carId: String(new mongoose.Types.ObjectId()), pickupDate: pickup, returnDate: after(48) } }, unknown);
+  assert.equal(unknown.statusCode, 404);
+});
+
+test('a booking with a tampered total is refused with the real quote', async (t) => {
+  stubCatalog(t);
+
+  const res = mockResponse();
+  await createBooking({
+    body: {
+      carId: String(car._id),
+      pickupDate: pickup.toISOString(),
+      returnDate: after(48).toISOString(),
+      totalPrice: 1,
+      userName: 'Jane Doe',
+      userEmail: 'jane@example.com',
+      userPhone: '+212600000000',
+    },
+  }, res);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.quote.total, 700);
+});
@@ -0,0 +1,76 @@
+// backend/test/scheduler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { defineJob, runJobIfDue, startScheduler, stopScheduler } = require('../services/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let runs = [];
+defineJob('test-job', {
+  intervalMs: HOUR_MS,
+  handler: async () => {
+    runs.push(new Date());
+    if (runs.length > 1) throw new Error('Mail server down');
+    return { sent: 3 };
+  },
+});
+
+// The job's lock is free when `due`; updates made after a run are returned
+const stubJobs = (t, { due = true } = {}) => {
+  const updates = [];
+  const job = { _id: new mongoose.Types.ObjectId(), name: 'test-job' };
+  t.mock.method(Job, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.nextRunAt) return due ? job : null;
+    updates.push(update);
+    return { ...job, ...update.$set };
+  });
+  return updates;
+};
+
+test('a job that is not due or is locked elsewhere does not run', async (t) => {
+  runs = [];
+  const updates = stubJobs(t, { due: false });
+  assert.equal(await runJobIfDue('test-job'), null);
+  assert.equal(runs.length, 0);
+  assert.equal(updates.length, 0);
+});
+
+test('a run releases the lock, records its outcome and schedules the next run', async (t) => {
+  runs = [];
+  const updates = stubJobs(t);
+
+  const done = await runJobIfDue('test-job');
+  assert.equal(done.lastStatus, 'succeeded');
+  assert.deepEqual(done.lastResult, { sent: 3 });
+  assert.equal(done.lockedBy, null);
+  assert.ok(done.nextRunAt - Date.now() > HOUR_MS - 60 * 1000);
+  assert.deepEqual(updates[0].$inc, { runCount: 1, failureCount: 0 });
+
+  t.mock.method(console, 'error', () => {});
+  const failed = await runJobIfDue('test-job');
+  assert.equal(failed.lastStatus, 'failed');
+  assert.equal(failed.lastError, 'Mail server down');
+  assert.deepEqual(updates[1].$inc, { runCount: 1, failureCount: 1 });
+});
+
+test('starting alongside another instance tolerates its job inserts', async (t) => {
+  stubJobs(t, { due: false });
+  let calls = 0;
+  t.mock.method(Job, 'updateOne', async (filter, update, options) => {
+    calls += 1;
+    assert.equal(options.upsert, true);
+    if (calls === 1) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    return { matchedCount: 1 };
+  });
+  t.after(stopScheduler);
+
+  await startScheduler();
+  assert.equal(calls, 2);
+});
+
+test('other errors while registering jobs still stop the scheduler from starting', async (t) => {
+  t.mock.method(Job, 'updateOne', async () => { throw new Error('not primary'); });
+  await assert.rejects(startScheduler(), /not primary/);
+});
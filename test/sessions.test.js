@@ -0,0 +1,174 @@
+// backend/test/sessions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { hashAccountToken } = require('../utils/accountTokens');
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  findActiveSession,
+  toSessionView,
+} = require('../utils/sessions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const req = {
+  get: () => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36',
+  ip: '203.0.113.7',
+};
+
+// Enough of MongoDB's matching for the filters sessions.js uses
+const matches = (doc, filter) => Object.entries(filter).every(([key, expected]) => {
+  const actual = doc.get(key);
+  if (expected === null) return actual == null;
+  if (expected && expected.$gt !== undefined) return actual > expected.$gt;
+  if (Array.isArray(actual)) return actual.includes(expected);
+  return String(actual) === String(expected);
+});
+
+// In-memory Session collection
+const stubSessions = (t) => {
+  const sessions = [];
+  t.mock.method(Session, 'create', async (doc) => {
+    const session = new Session(doc);
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find((doc) => matches(doc, filter));
+    if (!session) return null;
+    session.set(update.$set);
+    Object.entries(update.$push || {}).forEach(([key, { $each, $slice }]) => {
+      session.set(key, [...session.get(key), ...$each].slice($slice));
+    });
+    return session;
+  });
+  t.mock.method(Session, 'updateMany', async (filter, update) => {
+    const matched = sessions.filter((doc) => matches(doc, filter));
+    matched.forEach((doc) => doc.set(update.$set));
+    return { modifiedCount: matched.length };
+  });
+  t.mock.method(Session, 'findOne', (filter) => {
+    const found = Promise.resolve(sessions.find((doc) => matches(doc, filter)) || null);
+    return { select: () => found, then: (resolve, reject) => found.then(resolve, reject) };
+  });
+  return sessions;
+};
+
+test('a new session stores only the hash of its refresh token', async (t) => {
+  const sessions = stubSessions(t);
+  const { session, token, refreshToken, expiresIn } = await createSession(user, req);
+
+  assert.equal(sessions.length, 1);
+  assert.equal(session.refreshTokenHash, hashAccountToken(refreshToken));
+  assert.ok(!JSON.stringify(session.toObject()).includes(refreshToken));
+  assert.equal(session.ip, '203.0.113.7');
+  assert.equal(expiresIn, 15 * 60);
+
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  assert.equal(payload.id, user._id.toString());
+  assert.equal(payload.sid, session._id.toString());
+  assert.equal(payload.purpose, undefined);
+});
+
+test('refreshing hands out a new refresh token every time', async (t) => {
+  stubSessions(t);
+  const first = await createSession(user, req);
+  const second = await rotateSession(first.refreshToken, req);
+  const third = await rotateSession(second.refreshToken, req);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.notEqual(third.refreshToken, second.refreshToken);
+  assert.ok(third.session._id.equals(first.session._id));
+  assert.deepEqual(third.session.rotatedTokenHashes, [
+    hashAccountToken(first.refreshToken),
+    hashAccountToken(second.refreshToken),
+  ]);
+  assert.equal(jwt.verify(third.token, process.env.JWT_SECRET).sid, first.session._id.toString());
+});
+
+test('replaying a used refresh token revokes the whole session', async (t) => {
+  stubSessions(t);
+  t.mock.method(console, 'warn', () => {});
+  const first = await createSession(user, req);
+  const second = await rotateSession(first.refreshToken, req);
+
+  const replay = await rotateSession(first.refreshToken, req);
+  assert.deepEqual(replay, { status: 401, message: 'Your session has expired. Please sign in again.' });
+  assert.equal(second.session.revokedReason, 'refresh_reuse');
+  assert.ok(second.session.revokedAt);
+
+  // The thief's copy and the legitimate one are both dead now
+  assert.equal((await rotateSession(second.refreshToken, req)).status, 401);
+  assert.equal(await findActiveSession(first.session._id, user._id), null);
+});
+
+test('unknown and expired refresh tokens are refused without revoking anything', async (t) => {
+  stubSessions(t);
+  const { session, refreshToken } = await createSession(user, req);
+
+  assert.equal((await rotateSession('not-a-token', req)).status, 401);
+  assert.equal(session.revokedAt, null);
+
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await rotateSession(refreshToken, req)).status, 401);
+  assert.equal(session.revokedAt, null);
+});
+
+test('only the latest exchanged refresh tokens are kept', async (t) => {
+  stubSessions(t);
+  const created = await createSession(user, req);
+  let { refreshToken } = created;
+  const used = [];
+  for (let i = 0; i < 55; i += 1) {
+    used.push(hashAccountToken(refreshToken));
+    ({ refreshToken } = await rotateSession(refreshToken, req));
+  }
+  assert.equal(created.session.rotatedTokenHashes.length, 50);
+  assert.deepEqual([...created.session.rotatedTokenHashes], used.slice(-50));
+});
+
+test('refreshing never extends a session past its maximum lifetime', async (t) => {
+  stubSessions(t);
+  process.env.SESSION_MAX_DAYS = '45';
+  t.after(() => { delete process.env.SESSION_MAX_DAYS; });
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const { session, refreshToken } = await createSession(user, req);
+  const maxExpiresAt = session.maxExpiresAt.getTime();
+  assert.ok(Math.abs(maxExpiresAt - (Date.now() + 45 * DAY_MS)) < 5000);
+  assert.ok(session.expiresAt.getTime() < maxExpiresAt);
+
+  // Signed in 40 days ago: the usual 30 more days would overshoot the maximum
+  session.maxExpiresAt = new Date(Date.now() + 5 * DAY_MS);
+  const rotated = await rotateSession(refreshToken, req);
+  assert.equal(rotated.session.expiresAt.getTime(), session.maxExpiresAt.getTime());
+
+  process.env.SESSION_MAX_DAYS = '7';
+  const short = await createSession(user, req);
+  assert.equal(short.session.expiresAt.getTime(), short.session.maxExpiresAt.getTime());
+});
+
+test('revoked sessions stop authenticating access tokens', async (t) => {
+  stubSessions(t);
+  const { session } = await createSession(user, req);
+  assert.ok(await findActiveSession(session._id, user._id));
+
+  await revokeSessions({ user: user._id }, 'logout_all');
+  assert.equal(session.revokedReason, 'logout_all');
+  assert.equal(await findActiveSession(session._id, user._id), null);
+});
+
+test('the session list describes devices and marks the current one', async (t) => {
+  stubSessions(t);
+  const { session } = await createSession(user, req);
+  const view = toSessionView(session, session._id);
+  assert.equal(view.device, 'Chrome on Windows');
+  assert.equal(view.current, true);
+  assert.equal(view.refreshTokenHash, undefined);
+  assert.equal(toSessionView(session, null).current, false);
+});
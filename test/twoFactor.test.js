@@ -0,0 +1,150 @@
+// backend/test/twoFactor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateTotpSecret, generateTotp, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  startLoginChallenge,
+  findChallengedUser,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+} = require('../utils/twoFactor');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", SHA-1. The RFC prints
+// 8 digits; authenticator apps show the last 6.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(seconds / 30)), code, `T=${seconds}`);
+  }
+});
+
+test('a code is accepted one step either side of now and returns its step', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 1000 / 30);
+  assert.equal(verifyTotp(RFC_SECRET, '050471', { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '050 471', { now }), step);
+});
+
+test('malformed codes are refused', () => {
+  for (const code of ['', '12345', '1234567', 'abcdef', undefined, null]) {
+    assert.equal(verifyTotp(RFC_SECRET, code), null, String(code));
+  }
+});
+
+test('new secrets are 160-bit base32 and appear in the otpauth URI', () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateTotpSecret(), secret);
+
+  const uri = new URL(buildOtpauthUri({ secret, accountName: 'jane@example.com', issuer: 'Fadlocar' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Fadlocar:jane@example.com');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+// --- Account side: replays, recovery codes, enrolment and challenges ---
+
+// One user document behind the User queries utils/twoFactor.js makes
+const stubUser = (t, twoFactor = {}) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', twoFactor: { ...twoFactor } };
+  const field = (path) => user.twoFactor[path.replace('twoFactor.', '')];
+  const fieldMatches = (path, expected) => {
+    const actual = field(path);
+    if (expected && expected.$not) return !(actual !== undefined && actual >= expected.$not.$gte);
+    if (expected && expected.$lt !== undefined) return actual < expected.$lt;
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return actual === expected;
+  };
+  const matches = (filter) => Object.entries(filter)
+    .every(([path, expected]) => (path === '_id' ? String(expected) === String(user._id) : fieldMatches(path, expected)));
+
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    Object.entries(update.$set || {}).forEach(([path, value]) => { user.twoFactor[path.replace('twoFactor.', '')] = value; });
+    Object.keys(update.$unset || {}).forEach((path) => { delete user.twoFactor[path.replace('twoFactor.', '')]; });
+    Object.entries(update.$inc || {}).forEach(([path, by]) => {
+      const key = path.replace('twoFactor.', '');
+      user.twoFactor[key] = (user.twoFactor[key] || 0) + by;
+    });
+    Object.entries(update.$pull || {}).forEach(([path, value]) => {
+      const key = path.replace('twoFactor.', '');
+      user.twoFactor[key] = user.twoFactor[key].filter((item) => item !== value);
+    });
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(User, 'findOne', (filter) => ({ select: async () => (matches(filter) ? user : null) }));
+  return user;
+};
+
+test('an authenticator code works only once', async (t) => {
+  const secret = generateTotpSecret();
+  const user = stubUser(t, { enabled: true, secret });
+  const code = generateTotp(secret);
+
+  assert.equal(await verifySecondFactor(user, { code }), true);
+  assert.equal(await verifySecondFactor(user, { code }), false);
+  assert.equal(await verifySecondFactor(user, {}), false);
+});
+
+test('enrolment needs a valid first code and returns single-use recovery codes', async (t) => {
+  const user = stubUser(t);
+  assert.equal((await confirmEnrollment(user, '000000')).status, 400);
+
+  const { secret } = await startEnrollment(user);
+  assert.equal((await confirmEnrollment(user, '000000')).status, 400);
+
+  const { recoveryCodes } = await confirmEnrollment(user, generateTotp(secret));
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.twoFactor.secret, secret);
+  assert.equal(user.twoFactor.pendingSecret, undefined);
+  assert.equal(recoveryCodes.length, 10);
+  assert.ok(recoveryCodes.every((code) => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+  assert.ok(!user.twoFactor.recoveryCodeHashes.includes(recoveryCodes[0]));
+
+  // Case and separators don't matter; each code is gone once used
+  const typed = recoveryCodes[0].toUpperCase().replace('-', ' ');
+  assert.equal(await verifySecondFactor(user, { recoveryCode: typed }), true);
+  assert.equal(await verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }), false);
+  assert.equal(user.twoFactor.recoveryCodeHashes.length, 9);
+});
+
+test('a sign-in challenge is tied to the latest attempt', async (t) => {
+  const user = stubUser(t, { enabled: true });
+  const first = await startLoginChallenge(user);
+  assert.equal((await findChallengedUser(first)), user);
+
+  const second = await startLoginChallenge(user);
+  assert.equal(await findChallengedUser(first), null);
+  assert.equal(await findChallengedUser(second), user);
+
+  user.twoFactor.challengeAttempts = 5;
+  assert.equal(await findChallengedUser(second), null);
+});
+
+test('only challenge tokens open the second step', async (t) => {
+  const user = stubUser(t, { enabled: true, challengeId: 'abc', challengeAttempts: 0 });
+  const accessLike = jwt.sign({ id: user._id.toString(), cid: 'abc' }, process.env.JWT_SECRET);
+  assert.equal(await findChallengedUser(accessLike), null);
+  assert.equal(await findChallengedUser('garbage'), null);
+});
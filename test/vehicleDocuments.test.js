@@ -0,0 +1,188 @@
+// backend/test/vehicleDocuments.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const FleetUnit = require('../models/FleetUnit');
+const Notification = require('../models/Notification');
+const VehicleDocument = require('../models/VehicleDocument');
+const {
+  daysUntilExpiry,
+  findExpiringDocuments,
+  findCarIdsWithExpiredDocuments,
+} = require('../utils/vehicleDocuments');
+const { sendDocumentExpiryReminders } = require('../services/scheduler/jobs/documentJobs');
+const { getAvailableCars } = require('../controllers/carController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-07-01T10:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY_MS);
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Stand-in for a find() chain: every step returns it and it resolves to `docs`
+const fakeFind = (docs) => {
+  const query = Object.assign(Promise.resolve(docs), {
+    populate: () => query,
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+  });
+  return query;
+};
+
+const carId = new mongoose.Types.ObjectId();
+const otherCarId = new mongoose.Types.ObjectId();
+
+const paper = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  car: carId,
+  unit: null,
+  type: 'insurance',
+  mandatory: true,
+  reminderDays: [30, 7, 0],
+  remindersSent: [],
+  ...fields,
+});
+
+// The current documents, as the aggregation would return them
+const stubCurrentDocuments = (t, documents) =>
+  t.mock.method(VehicleDocument, 'aggregate', async () => documents);
+
+test('days until expiry are whole days, negative once expired', () => {
+  assert.equal(daysUntilExpiry({ expiryDate: daysFromNow(7) }, now), 7);
+  assert.equal(daysUntilExpiry({ expiryDate: new Date(now.getTime() + 12 * 60 * 60 * 1000) }, now), 0);
+  assert.equal(daysUntilExpiry({ expiryDate: daysFromNow(-2) }, now), -2);
+});
+
+test('legal papers are mandatory by default and expire after they are issued', async () => {
+  const insurance = new VehicleDocument({ car: carId, type: 'insurance', expiryDate: daysFromNow(30) });
+  await insurance.validate();
+  assert.equal(insurance.mandatory, true);
+
+  const other = new VehicleDocument({ car: carId, type: 'other', expiryDate: daysFromNow(30) });
+  await other.validate();
+  assert.equal(other.mandatory, false);
+
+  const optional = new VehicleDocument({ car: carId, type: 'registration', mandatory: false, expiryDate: daysFromNow(30) });
+  await optional.validate();
+  assert.equal(optional.mandatory, false);
+
+  const backwards = new VehicleDocument({ car: carId, type: 'insurance', issueDate: now, expiryDate: now });
+  const error = await backwards.validate().catch((caught) => caught);
+  assert.match(error.errors.expiryDate.message, /after issue date/);
+});
+
+test('a new expiry date gets its reminders again', async (t) => {
+  t.mock.method(VehicleDocument.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+  const stored = () => VehicleDocument.hydrate(paper({ expiryDate: daysFromNow(5), remindersSent: [30, 7], __v: 0 }));
+
+  const notes = stored();
+  notes.notes = 'Broker called';
+  await notes.save();
+  assert.deepEqual([...notes.remindersSent], [30, 7]);
+
+  const renewed = stored();
+  renewed.expiryDate = daysFromNow(365);
+  await renewed.save();
+  assert.deepEqual([...renewed.remindersSent], []);
+});
+
+test('expiring documents are those due within the horizon, expired ones flagged', async (t) => {
+  stubCurrentDocuments(t, [
+    paper({ expiryDate: daysFromNow(-3) }),
+    paper({ type: 'tax_sticker', expiryDate: daysFromNow(10) }),
+    paper({ type: 'registration', expiryDate: daysFromNow(45) }),
+  ]);
+  const populate = t.mock.method(VehicleDocument, 'populate', async (documents) => documents);
+
+  const expiring = await findExpiringDocuments({ days: 30, now });
+  assert.deepEqual(expiring.map((document) => [document.type, document.expired, document.daysLeft]), [
+    ['insurance', true, -3],
+    ['tax_sticker', false, 10],
+  ]);
+  assert.equal(populate.mock.calls[0].arguments[0].length, 2);
+});
+
+test('an expired mandatory paper on the listing blocks the whole car', async (t) => {
+  stubCurrentDocuments(t, [
+    paper({ expiryDate: daysFromNow(-1) }),
+    // Optional or still valid papers never block
+    paper({ car: otherCarId, type: 'other', mandatory: false, expiryDate: daysFromNow(-1) }),
+    paper({ car: otherCarId, expiryDate: daysFromNow(1) }),
+  ]);
+  const unitLookup = t.mock.method(FleetUnit, 'find', () => fakeFind([]));
+
+  assert.deepEqual((await findCarIdsWithExpiredDocuments(now)).map(String), [String(carId)]);
+  assert.deepEqual(unitLookup.mock.calls[0].arguments[0].car, { $in: [] });
+});
+
+test('a car with units stays rentable while one active unit has valid papers', async (t) => {
+  const lapsed = { _id: new mongoose.Types.ObjectId(), car: carId };
+  const valid = { _id: new mongoose.Types.ObjectId(), car: carId };
+  stubCurrentDocuments(t, [paper({ unit: lapsed._id, expiryDate: daysFromNow(-1) })]);
+
+  const unitLookup = t.mock.method(FleetUnit, 'find', () => fakeFind([lapsed, valid]));
+  assert.deepEqual(await findCarIdsWithExpiredDocuments(now), []);
+  assert.deepEqual(unitLookup.mock.calls[0].arguments[0], { car: { $in: [String(carId)] }, status: 'active' });
+
+  unitLookup.mock.mockImplementation(() => fakeFind([lapsed]));
+  assert.deepEqual((await findCarIdsWithExpiredDocuments(now)).map(String), [String(carId)]);
+});
+
+test('available cars leave out those with expired papers', async (t) => {
+  stubCurrentDocuments(t, [paper({ expiryDate: daysFromNow(-400) })]);
+  t.mock.method(FleetUnit, 'find', () => fakeFind([]));
+  const carLookup = t.mock.method(Car, 'find', () => fakeFind([]));
+  t.mock.method(Car, 'countDocuments', async () => 0);
+  t.mock.method(console, 'log', () => {});
+
+  const res = mockResponse();
+  await getAvailableCars({ query: {}, protocol: 'http', get: () => 'localhost' }, res);
+  assert.equal(res.statusCode, 200);
+  const { _id } = carLookup.mock.calls[0].arguments[0];
+  assert.deepEqual(_id.$nin.map(String), [String(carId)]);
+});
+
+test('crossed thresholds are claimed once and reminded in one email', async (t) => {
+  process.env.ADMIN_NOTIFICATION_EMAIL = 'fleet@example.com';
+  t.after(() => { delete process.env.ADMIN_NOTIFICATION_EMAIL; });
+
+  // Added after its 30 and 7 day thresholds went by; the 30 day one was already sent
+  const document = paper({ expiryDate: new Date(Date.now() + 5 * DAY_MS + 60 * 1000), remindersSent: [30] });
+  stubCurrentDocuments(t, [document, paper({ type: 'registration', expiryDate: new Date(Date.now() + 200 * DAY_MS) })]);
+  const claims = t.mock.method(VehicleDocument, 'findOneAndUpdate', () => ({
+    populate: async () => ({ ...document, car: { brand: 'Dacia', name: 'Duster' } }),
+  }));
+  const queued = t.mock.method(Notification, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Notification, 'findOneAndUpdate', () => ({ select: async () => null }));
+
+  assert.deepEqual(await sendDocumentExpiryReminders(), { sent: 1 });
+  assert.equal(claims.mock.callCount(), 1);
+  const [filter, update] = claims.mock.calls[0].arguments;
+  assert.deepEqual(filter.remindersSent, { $nin: [7] });
+  assert.deepEqual(update, { $addToSet: { remindersSent: { $each: [7] } } });
+
+  const [{ template, data }] = queued.mock.calls[0].arguments;
+  assert.equal(template, 'admin_document_expiry');
+  assert.equal(data.document.daysLeft, 5);
+  assert.equal(data.document.carName, 'Dacia Duster');
+  await new Promise((resolve) => setImmediate(resolve));
+});
+
+test('a threshold another instance claimed first is not reminded again', async (t) => {
+  process.env.ADMIN_NOTIFICATION_EMAIL = 'fleet@example.com';
+  t.after(() => { delete process.env.ADMIN_NOTIFICATION_EMAIL; });
+
+  stubCurrentDocuments(t, [paper({ expiryDate: new Date(Date.now() - DAY_MS) })]);
+  t.mock.method(VehicleDocument, 'findOneAndUpdate', () => ({ populate: async () => null }));
+  const queued = t.mock.method(Notification, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+  assert.deepEqual(await sendDocumentExpiryReminders(), { sent: 0 });
+  assert.equal(queued.mock.callCount(), 0);
+});
@@ -0,0 +1,134 @@
+// backend/test/waitlist.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Blackout = require('../models/Blackout');
+const BookingHold = require('../models/BookingHold');
+const Maintenance = require('../models/Maintenance');
+const FleetUnit = require('../models/FleetUnit');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { joinWaitlist } = require('../controllers/waitlistController');
+const waitlistRoutes = require('../routes/waitlistRoutes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// An empty calendar, the given cars free of a type, and an in-memory waitlist
+const stubWaitlist = (t, { freeCar = null } = {}) => {
+  const entries = [];
+  const lean = () => ({ select: () => ({ lean: async () => [] }) });
+  t.mock.method(Booking, 'find', lean);
+  t.mock.method(BookingHold, 'find', lean);
+  t.mock.method(Maintenance, 'find', lean);
+  t.mock.method(Blackout, 'distinct', async () => []);
+  t.mock.method(FleetUnit, 'distinct', async () => []);
+  t.mock.method(FleetUnit, 'aggregate', async () => []);
+  t.mock.method(Car, 'exists', async () => freeCar);
+  t.mock.method(WaitlistEntry, 'findOne', async (filter) => entries.find((entry) =>
+    entry.carType === filter.carType
+    && entry.userEmail === filter.userEmail
+    && entry.pickupDate.getTime() === filter.pickupDate.getTime()
+    && filter.status.$in.includes(entry.status)) || null);
+  t.mock.method(WaitlistEntry, 'create', async (doc) => {
+    const entry = new WaitlistEntry(doc);
+    await entry.validate();
+    entries.push(entry);
+    return entry;
+  });
+  t.mock.method(WaitlistEntry, 'countDocuments', async () => entries.filter((entry) => entry.status === 'waiting').length);
+  return entries;
+};
+
+const pickupDate = inDays(10).toISOString();
+const returnDate = inDays(13).toISOString();
+
+const signUp = (overrides = {}) => ({
+  body: {
+    carType: 'SUV',
+    pickupDate,
+    returnDate,
+    userName: 'Jane Doe',
+    userEmail: 'Jane@Example.com',
+    ...overrides,
+  },
+});
+
+test('customers join the waitlist for a car type in order', async (t) => {
+  const entries = stubWaitlist(t);
+
+  const first = mockResponse();
+  await joinWaitlist(signUp(), first);
+  assert.equal(first.statusCode, 201);
+  assert.equal(first.body.position, 1);
+  assert.equal(entries[0].userEmail, 'jane@example.com');
+  assert.equal(entries[0].status, 'waiting');
+
+  const second = mockResponse();
+  await joinWaitlist(signUp({ userEmail: 'sam@example.com' }), second);
+  assert.equal(second.body.position, 2);
+});
+
+test('the same customer cannot join twice for the same dates', async (t) => {
+  const entries = stubWaitlist(t);
+  await joinWaitlist(signUp(), mockResponse());
+
+  const again = mockResponse();
+  await joinWaitlist(signUp(), again);
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.message, 'You are already on the waitlist for these dates.');
+  assert.equal(entries.length, 1);
+});
+
+test('a type with a free car sends the customer to the booking form', async (t) => {
+  const entries = stubWaitlist(t, { freeCar: { _id: 'car' } });
+  const res = mockResponse();
+  await joinWaitlist(signUp(), res);
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.message, /You can book it now/);
+  assert.equal(entries.length, 0);
+});
+
+test('sign-ups need contact details, future dates and a known car type', async (t) => {
+  const entries = stubWaitlist(t);
+  const cases = [
+    [{ userEmail: '' }, /name, email and a car/],
+    [{ pickupDate: inDays(-2).toISOString(), returnDate: inDays(1).toISOString() }, /must be in the future/],
+    [{ carType: 'Spaceship' }, new RegExp(`one of: ${Car.CAR_TYPES.join(', ')}`)],
+    [{ carType: undefined, carId: 'not-an-id' }, /Invalid car ID/],
+  ];
+  for (const [overrides, message] of cases) {
+    const res = mockResponse();
+    await joinWaitlist(signUp(overrides), res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, message);
+  }
+  assert.equal(entries.length, 0);
+});
+
+test('waitlist sign-ups are rate-limited', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/waitlist', waitlistRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/waitlist`;
+
+  const statuses = [];
+  for (let i = 0; i < 6; i += 1) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userName: 'Jane Doe' }),
+    });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 400, 400, 429]);
+});
@@ -0,0 +1,43 @@
+// backend/utils/accountTokens.js
+// Random tokens emailed to account holders (to verify an email address, reset a password).
+// Only a SHA-256 hash and an expiry are stored; a token is cleared once used.
+const crypto = require('crypto');
+
+const hashAccountToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * New token valid for `ttlMs`. Returns { token, tokenHash, expiresAt }; only the
+ * last two belong in the database.
+ */
+const generateAccountToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashAccountToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+};
+
+/**
+ * Store a new token in `account[field]` ({ tokenHash, expiresAt }), replacing any previous one.
+ * The account must be saved afterwards. Returns { token, expiresAt } for the email.
+ */
+const issueAccountToken = (account, field, ttlMs) => {
+  const { token, tokenHash, expiresAt } = generateAccountToken(ttlMs);
+  account.set(field, { tokenHash, expiresAt });
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a token: find the account holding it in `field`, unexpired, and clear it in the
+ * same update (so it works once) along with any other `$set`. Returns the account or null.
+ */
+const redeemAccountToken = (Model, field, token, $set = {}) =>
+  Model.findOneAndUpdate(
+    { [`${field}.tokenHash`]: hashAccountToken(token), [`${field}.expiresAt`]: { $gt: new Date() } },
+    { $set, $unset: { [field]: 1 } },
+    { new: true }
+  );
+
+module.exports = {
+  hashAccountToken,
+  generateAccountToken,
+  issueAccountToken,
+  redeemAccountToken,
+};
@@ -0,0 +1,70 @@
+// backend/utils/bookingAccess.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// No 0/O, 1/I/L so references can be read over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TOKEN_PURPOSE = 'booking-access';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guest links stay valid this long after the return date
+const TOKEN_GRACE_DAYS = 30;
+
+const getSecret = () => process.env.BOOKING_ACCESS_SECRET || process.env.JWT_SECRET;
+
+// Hours before pickup after which guests can no longer cancel online
+const getCancellationWindowHours = () => {
+  const configured = Number(process.env.BOOKING_CANCELLATION_WINDOW_HOURS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : 48;
+};
+
+/**
+ * Human-friendly booking reference, e.g. "FDL-7K3M-9QXA".
+ */
+const generateBookingReference = () => {
+  const chars = Array.from({ length: 8 }, () => REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)]);
+  return `FDL-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * Signed token that lets the holder view and manage one booking without an account.
+ */
+const signBookingAccessToken = (booking) => {
+  const expiresAt = new Date(booking.returnDate).getTime() + TOKEN_GRACE_DAYS * DAY_MS;
+  return jwt.sign(
+    {
+      purpose: TOKEN_PURPOSE,
+      bookingId: booking._id.toString(),
+      reference: booking.reference,
+      exp: Math.floor(expiresAt / 1000),
+    },
+    getSecret()
+  );
+};
+
+/**
+ * Verify a guest token for the given reference. Returns the payload or null.
+ */
+const verifyBookingAccessToken = (token, reference) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    if (payload.purpose !== TOKEN_PURPOSE || payload.reference !== reference) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Latest moment a guest may cancel online.
+ */
+const getCancellationDeadline = (booking) =>
+  new Date(new Date(booking.pickupDate).getTime() - getCancellationWindowHours() * 60 * 60 * 1000);
+
+module.exports = {
+  generateBookingReference,
+  signBookingAccessToken,
+  verifyBookingAccessToken,
+  getCancellationWindowHours,
+  getCancellationDeadline,
+};
@@ -0,0 +1,470 @@
+// backend/utils/bookingAvailability.js
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Blackout = require('../models/Blackout');
+const Car = require('../models/Car');
+const Extra = require('../models/Extra');
+const BookingHold = require('../models/BookingHold');
+const Maintenance = require('../models/Maintenance');
+const FleetUnit = require('../models/FleetUnit');
+const { RELEASED_STATUSES } = require('./bookingLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range the availability calendar will compute, in days
+const MAX_CALENDAR_DAYS = 366;
+
+// Garage visits that keep the car off the road; completed and cancelled ones free it
+const BLOCKING_MAINTENANCE_STATUSES = ['planned', 'in_progress'];
+
+/**
+ * Parse and validate a pickup/return pair coming from a request body.
+ * Returns { pickup, dropoff } on success or { error } with a user-facing message.
+ */
+const parseBookingDates = (pickupDate, returnDate) => {
+  const pickup = new Date(pickupDate);
+  const dropoff = new Date(returnDate);
+
+  if (isNaN(pickup.getTime()) || isNaN(dropoff.getTime())) {
+    return { error: 'Pickup and return dates must be valid dates.' };
+  }
+  if (dropoff <= pickup) {
+    return { error: 'Return date must be after pickup date.' };
+  }
+  return { pickup, dropoff };
+};
+
+/**
+ * Same as parseBookingDates for generic ranges (calendar queries, blackouts).
+ * Returns { start, end } or { error }.
+ */
+const parseDateRange = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Start and end dates must be valid dates.' };
+  }
+  if (end <= start) {
+    return { error: 'End date must be after start date.' };
+  }
+  return { start, end };
+};
+
+/**
+ * Find bookings of a car whose [pickupDate, returnDate) range overlaps the given one.
+ * Ranges touching end-to-start (return at 10:00, next pickup at 10:00) do not conflict.
+ */
+const findConflictingBookings = (carId, pickup, dropoff, { session, excludeBookingId } = {}) => {
+  const filter = {
+    car: carId,
+    status: { $nin: RELEASED_STATUSES },
+    pickupDate: { $lt: dropoff },
+    returnDate: { $gt: pickup },
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+
+  return Booking.find(filter)
+    .select('pickupDate returnDate status unit')
+    .sort({ pickupDate: 1 })
+    .session(session || null);
+};
+
+/**
+ * Find admin blackouts of a car overlapping the given range.
+ */
+const findBlackouts = (carId, from, to, { session } = {}) =>
+  Blackout.find({
+    car: carId,
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  })
+    .sort({ startDate: 1 })
+    .session(session || null);
+
+/**
+ * Planned or in-progress maintenance of a car overlapping the given range.
+ * Visits of a single unit take that unit out; visits without a unit block the whole listing.
+ */
+const findMaintenance = (carId, from, to, { session } = {}) =>
+  Maintenance.find({
+    car: carId,
+    status: { $in: BLOCKING_MAINTENANCE_STATUSES },
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  })
+    .select('type status unit startDate endDate')
+    .sort({ startDate: 1 })
+    .session(session || null);
+
+/**
+ * Unexpired checkout holds of a car overlapping the given range.
+ */
+const findActiveHolds = (carId, from, to, { session, excludeHoldId } = {}) => {
+  const filter = {
+    car: carId,
+    expiresAt: { $gt: new Date() },
+    pickupDate: { $lt: to },
+    returnDate: { $gt: from },
+  };
+  if (excludeHoldId) filter._id = { $ne: excludeHoldId };
+
+  return BookingHold.find(filter)
+    .select('pickupDate returnDate expiresAt')
+    .sort({ pickupDate: 1 })
+    .session(session || null);
+};
+
+/**
+ * IDs (as strings) of a car's fleet units that are out of service.
+ */
+const findOffRoadUnitIds = async (carId, { session } = {}) => {
+  const units = await FleetUnit.find({ car: carId }).select('status').session(session || null);
+  return new Set(units.filter((unit) => unit.status !== 'active').map((unit) => String(unit._id)));
+};
+
+const bookingToPeriod = (booking) => ({
+  type: 'booking',
+  id: booking._id,
+  start: booking.pickupDate,
+  end: booking.returnDate,
+  status: booking.status,
+  unit: booking.unit || null,
+});
+
+/**
+ * Everything that makes a car unavailable in a range, normalized to
+ * { type, id, start, end, ... } and sorted by start.
+ */
+const findBlockingPeriods = async (carId, from, to, options = {}) => {
+  // Sequential on purpose: a transaction session can't run operations in parallel
+  const bookings = await findConflictingBookings(carId, from, to, options);
+  const blackouts = await findBlackouts(carId, from, to, options);
+  const holds = await findActiveHolds(carId, from, to, options);
+  const maintenance = await findMaintenance(carId, from, to, options);
+  // Out-of-service units are already left out of the capacity (see getCarCapacity), so
+  // their garage visits must not take a vehicle out a second time
+  const offRoadUnitIds = maintenance.some((visit) => visit.unit)
+    ? await findOffRoadUnitIds(carId, options)
+    : new Set();
+  const visits = maintenance.filter((visit) => !visit.unit || !offRoadUnitIds.has(String(visit.unit)));
+
+  return [
+    ...bookings.map(bookingToPeriod),
+    ...blackouts.map((blackout) => ({
+      type: 'blackout',
+      id: blackout._id,
+      start: blackout.startDate,
+      end: blackout.endDate,
+      reason: blackout.reason,
+    })),
+    ...holds.map((hold) => ({
+      type: 'hold',
+      id: hold._id,
+      start: hold.pickupDate,
+      end: hold.returnDate,
+      expiresAt: hold.expiresAt,
+    })),
+    ...visits.map((visit) => ({
+      type: 'maintenance',
+      id: visit._id,
+      start: visit.startDate,
+      end: visit.endDate,
+      maintenanceType: visit.type,
+      unit: visit.unit || null,
+    })),
+  ].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Highest number of units in use at any instant of [from, to), given
+ * intervals of { start, end, quantity }. Back-to-back intervals don't add up.
+ */
+const peakUsage = (intervals, from, to) => {
+  const events = [];
+  intervals.forEach(({ start, end, quantity = 1 }) => {
+    const clippedStart = Math.max(new Date(start).getTime(), from.getTime());
+    const clippedEnd = Math.min(new Date(end).getTime(), to.getTime());
+    if (clippedStart < clippedEnd) {
+      events.push([clippedStart, quantity], [clippedEnd, -quantity]);
+    }
+  });
+  // At the same instant, releases are processed before new pickups
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+// Blackouts and listing-wide maintenance close every unit of the car at once
+const blocksWholeCar = (period) =>
+  period.type === 'blackout' || (period.type === 'maintenance' && !period.unit);
+
+/**
+ * How many vehicles of a listing can be booked: its active fleet units, or 1 when
+ * no units have been registered for it.
+ */
+const getCarCapacity = async (carId, { session } = {}) => {
+  const units = await FleetUnit.find({ car: carId }).select('status').session(session || null);
+  if (units.length === 0) return 1;
+  return units.filter((unit) => unit.status === 'active').length;
+};
+
+/**
+ * Capacity of every listing that has fleet units, as a Map keyed by car ID string.
+ * Listings missing from the map have a capacity of 1.
+ */
+const getCarCapacities = async () => {
+  const counts = await FleetUnit.aggregate([
+    { $group: { _id: '$car', active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } } } },
+  ]);
+  return new Map(counts.map(({ _id, active }) => [String(_id), active]));
+};
+
+/**
+ * Whether one more vehicle of the car can be booked for the whole range.
+ * Returns { available, capacity, unitsLeft, periods }; periods explain what is in the way.
+ */
+const checkCarAvailability = async (carId, from, to, options = {}) => {
+  const periods = await findBlockingPeriods(carId, from, to, options);
+  const capacity = await getCarCapacity(carId, options);
+  const unitsLeft = periods.some(blocksWholeCar)
+    ? 0
+    : Math.max(0, capacity - peakUsage(periods, from, to));
+  return { available: unitsLeft > 0, capacity, unitsLeft, periods };
+};
+
+/**
+ * Vehicles left over a range for every car that has anything booked, held or blocked
+ * in it or has fleet units, as a Map keyed by car ID string. Cars missing from the
+ * map are single-vehicle listings that are free.
+ */
+const findUnitsLeft = async (from, to) => {
+  const [bookings, holds, maintenance, blackedOutIds, offRoadUnitIds, capacities] = await Promise.all([
+    Booking.find({
+      status: { $nin: RELEASED_STATUSES },
+      pickupDate: { $lt: to },
+      returnDate: { $gt: from },
+    }).select('car pickupDate returnDate').lean(),
+    BookingHold.find({
+      expiresAt: { $gt: new Date() },
+      pickupDate: { $lt: to },
+      returnDate: { $gt: from },
+    }).select('car pickupDate returnDate').lean(),
+    Maintenance.find({
+      status: { $in: BLOCKING_MAINTENANCE_STATUSES },
+      startDate: { $lt: to },
+      endDate: { $gt: from },
+    }).select('car unit startDate endDate').lean(),
+    Blackout.distinct('car', {
+      startDate: { $lt: to },
+      endDate: { $gt: from },
+    }),
+    FleetUnit.distinct('_id', { status: { $ne: 'active' } }),
+    getCarCapacities(),
+  ]);
+
+  const closed = new Set(blackedOutIds.map(String));
+  // Out-of-service units are already missing from the capacities
+  const offRoad = new Set(offRoadUnitIds.map(String));
+  const intervals = new Map();
+  const addInterval = (carId, start, end) => {
+    const key = String(carId);
+    if (!intervals.has(key)) intervals.set(key, []);
+    intervals.get(key).push({ start, end });
+  };
+  bookings.forEach((booking) => addInterval(booking.car, booking.pickupDate, booking.returnDate));
+  holds.forEach((hold) => addInterval(hold.car, hold.pickupDate, hold.returnDate));
+  maintenance.forEach((visit) => {
+    if (!visit.unit) closed.add(String(visit.car));
+    else if (!offRoad.has(String(visit.unit))) addInterval(visit.car, visit.startDate, visit.endDate);
+  });
+
+  const unitsLeft = new Map();
+  new Set([...intervals.keys(), ...closed, ...capacities.keys()]).forEach((carId) => {
+    const capacity = capacities.has(carId) ? capacities.get(carId) : 1;
+    unitsLeft.set(carId, closed.has(carId)
+      ? 0
+      : Math.max(0, capacity - peakUsage(intervals.get(carId) || [], from, to)));
+  });
+  return unitsLeft;
+};
+
+/**
+ * IDs of cars with no vehicle left for the whole range.
+ */
+const findUnavailableCarIds = async (from, to) => {
+  const unitsLeft = await findUnitsLeft(from, to);
+  return [...unitsLeft]
+    .filter(([, left]) => left === 0)
+    .map(([carId]) => new mongoose.Types.ObjectId(carId));
+};
+
+/**
+ * Stock of a limited extra left over a date range.
+ * Returns { stock, inUse, available }; unlimited extras report available: null.
+ */
+const getExtraAvailability = async (extra, from, to, { session, excludeBookingId } = {}) => {
+  if (extra.stock === null || extra.stock === undefined) {
+    return { stock: null, inUse: 0, available: null };
+  }
+
+  const filter = {
+    'extras.extra': extra._id,
+    status: { $nin: RELEASED_STATUSES },
+    pickupDate: { $lt: to },
+    returnDate: { $gt: from },
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+
+  const bookings = await Booking.find(filter)
+    .select('pickupDate returnDate extras')
+    .session(session || null);
+
+  const intervals = bookings.map((booking) => ({
+    start: booking.pickupDate,
+    end: booking.returnDate,
+    quantity: booking.extras
+      .filter((line) => line.extra && line.extra.equals(extra._id))
+      .reduce((sum, line) => sum + line.quantity, 0),
+  }));
+
+  const inUse = peakUsage(intervals, from, to);
+  return { stock: extra.stock, inUse, available: Math.max(0, extra.stock - inUse) };
+};
+
+/**
+ * Resolved extras ([{ extra, quantity }]) that don't have enough stock left for the range.
+ */
+const findExtraShortages = async (items, from, to, options = {}) => {
+  const shortages = [];
+  for (const { extra, quantity } of items) {
+    const { available } = await getExtraAvailability(extra, from, to, options);
+    if (available !== null && quantity > available) {
+      shortages.push({ extraId: extra._id, name: extra.name, requested: quantity, available });
+    }
+  }
+  return shortages;
+};
+
+/**
+ * Run `work(session)` inside a transaction that first bumps the car's lock counter
+ * (and that of any stock-limited extras being booked).
+ * Two concurrent transactions for the same car both write that document, so MongoDB
+ * aborts one with a write conflict and withTransaction() retries it against fresh data.
+ */
+const withCarLock = async (carId, work, { extraIds = [] } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      await Car.updateOne({ _id: carId }, { $inc: { bookingLockVersion: 1 } }, { session });
+      if (extraIds.length > 0) {
+        await Extra.updateMany(
+          { _id: { $in: extraIds }, stock: { $ne: null } },
+          { $inc: { bookingLockVersion: 1 } },
+          { session }
+        );
+      }
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Shape blocking periods for staff responses: what blocks the car, without customer details.
+ */
+const formatConflicts = (periods) =>
+  periods.map((period) => ({
+    type: period.type,
+    pickupDate: period.start,
+    returnDate: period.end,
+    ...(period.type === 'booking' ? { bookingId: period.id, status: period.status } : {}),
+    ...(period.type === 'blackout' ? { reason: period.reason } : {}),
+    // Checkout holds lapse on their own; the customer can try again after this
+    ...(period.type === 'hold' ? { expiresAt: period.expiresAt } : {}),
+    ...(period.type === 'maintenance' ? { maintenanceType: period.maintenanceType } : {}),
+  }));
+
+/**
+ * Blocking periods for public responses: only the dates, nothing about other customers'
+ * bookings or the fleet's schedule.
+ */
+const formatBlockedRanges = (periods) =>
+  periods.map((period) => ({ pickupDate: period.start, returnDate: period.end }));
+
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Split [from, to] into runs of blocked and free UTC calendar days.
+ * A day is blocked when a blackout or listing-wide maintenance touches it, or when
+ * bookings, holds and unit maintenance use up all `capacity` vehicles at some point of it.
+ * Free runs say how many vehicles are left (the fewest at any point of those days).
+ * Ranges are inclusive: { from: '2026-07-01', to: '2026-07-03' } covers three days.
+ */
+const buildAvailabilityCalendar = (periods, from, to, { capacity = 1 } = {}) => {
+  const blocked = [];
+  const free = [];
+  let current = null;
+
+  for (let day = startOfUtcDay(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const dayEnd = new Date(day.getTime() + DAY_MS);
+    const overlapping = periods.filter((period) => period.start < dayEnd && period.end > day);
+    const unitsLeft = overlapping.some(blocksWholeCar)
+      ? 0
+      : Math.max(0, capacity - peakUsage(overlapping, day, dayEnd));
+    const isBlocked = unitsLeft === 0;
+    const reasons = isBlocked ? [...new Set(overlapping.map((period) => period.type))] : [];
+    const key = toDayKey(day);
+
+    if (current && current.isBlocked === isBlocked && (isBlocked || current.range.unitsLeft === unitsLeft)) {
+      current.range.to = key;
+      if (isBlocked) {
+        reasons
+          .filter((reason) => !current.range.reasons.includes(reason))
+          .forEach((reason) => current.range.reasons.push(reason));
+      }
+    } else {
+      current = {
+        isBlocked,
+        range: isBlocked ? { from: key, to: key, reasons } : { from: key, to: key, unitsLeft },
+      };
+      (isBlocked ? blocked : free).push(current.range);
+    }
+  }
+
+  return { blocked, free };
+};
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  BLOCKING_MAINTENANCE_STATUSES,
+  parseBookingDates,
+  parseDateRange,
+  findConflictingBookings,
+  bookingToPeriod,
+  findBlackouts,
+  findActiveHolds,
+  findMaintenance,
+  findBlockingPeriods,
+  peakUsage,
+  getCarCapacity,
+  checkCarAvailability,
+  findUnitsLeft,
+  findUnavailableCarIds,
+  getExtraAvailability,
+  findExtraShortages,
+  withCarLock,
+  formatConflicts,
+  formatBlockedRanges,
+  buildAvailabilityCalendar,
+};
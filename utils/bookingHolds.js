@@ -0,0 +1,106 @@
+// backend/utils/bookingHolds.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BookingHold = require('../models/BookingHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+// How long a checkout hold lasts
+const getHoldMinutes = () => {
+  const configured = Number(process.env.BOOKING_HOLD_MINUTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : 15;
+};
+
+// Longest rental a checkout hold may cover, in days
+const getMaxHoldDays = () => {
+  const configured = Number(process.env.BOOKING_HOLD_MAX_DAYS);
+  return Number.isFinite(configured) && configured > 0 ? configured : 30;
+};
+
+// Unexpired checkout holds one client may keep at the same time
+const MAX_HOLDS_PER_CLIENT = 3;
+
+const generateHoldToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Token of a hold created with `signed: true`: derived from its id, so it can be rebuilt
+ * when the offer email goes out instead of being stored with the message.
+ */
+const signHoldToken = (holdId) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`booking-hold:${holdId}`).digest('base64url');
+
+const hashHoldToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Whether a checkout hold request is within the limits: the rental length and the
+ * number of holds the client already has. Returns null or { status, message }.
+ */
+const checkHoldLimits = async (pickup, dropoff, clientIp) => {
+  const maxDays = getMaxHoldDays();
+  if (dropoff - pickup > maxDays * 24 * 60 * 60 * 1000) {
+    return { status: 400, message: `A car can be held for at most ${maxDays} days of rental.` };
+  }
+  const activeHolds = await BookingHold.countDocuments({ clientIp, expiresAt: { $gt: new Date() } });
+  if (activeHolds >= MAX_HOLDS_PER_CLIENT) {
+    return { status: 429, message: 'You already have the maximum number of cars on hold. Complete or release one first.' };
+  }
+  return null;
+};
+
+/**
+ * Hold a car for `minutes` (default BOOKING_HOLD_MINUTES). The caller must already
+ * have checked availability under withCarLock. Returns { hold, token }.
+ */
+const createHold = async (carId, pickup, dropoff, { minutes = getHoldMinutes(), signed = false, clientIp, session } = {}) => {
+  const holdId = new mongoose.Types.ObjectId();
+  const token = signed ? signHoldToken(holdId) : generateHoldToken();
+  const [hold] = await BookingHold.create([{
+    _id: holdId,
+    car: carId,
+    pickupDate: pickup,
+    returnDate: dropoff,
+    tokenHash: hashHoldToken(token),
+    clientIp,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  }], { session });
+  return { hold, token };
+};
+
+/**
+ * Turn a hold into `booking`: delete it and, if it was a waitlist offer, mark the entry claimed.
+ */
+const consumeHold = async (hold, booking, { session } = {}) => {
+  await BookingHold.deleteOne({ _id: hold._id }, { session });
+  await WaitlistEntry.updateOne(
+    { 'offer.hold': hold._id, status: 'offered' },
+    { $set: { status: 'claimed', booking: booking._id } },
+    { session }
+  );
+};
+
+/**
+ * The unexpired hold behind a token, or null.
+ */
+const findActiveHold = (token, { session } = {}) =>
+  BookingHold.findOne({ tokenHash: hashHoldToken(token), expiresAt: { $gt: new Date() } })
+    .session(session || null);
+
+/**
+ * Whether a hold covers exactly this car and date range.
+ */
+const holdMatches = (hold, carId, pickup, dropoff) =>
+  hold.car.equals(carId)
+  && hold.pickupDate.getTime() === pickup.getTime()
+  && hold.returnDate.getTime() === dropoff.getTime();
+
+module.exports = {
+  getHoldMinutes,
+  getMaxHoldDays,
+  MAX_HOLDS_PER_CLIENT,
+  checkHoldLimits,
+  hashHoldToken,
+  signHoldToken,
+  createHold,
+  consumeHold,
+  findActiveHold,
+  holdMatches,
+};
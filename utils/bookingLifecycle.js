@@ -0,0 +1,41 @@
+// backend/utils/bookingLifecycle.js
+
+// Every state a booking can be in, in lifecycle order
+const BOOKING_STATUSES = ['pending', 'confirmed', 'picked_up', 'returned', 'completed', 'cancelled', 'no_show'];
+
+// Allowed moves from each state; an empty list means the state is final
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['picked_up', 'cancelled', 'no_show'],
+  picked_up: ['returned'],
+  returned: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// States in which the car is no longer reserved for the booking's dates
+const RELEASED_STATUSES = ['cancelled', 'no_show'];
+
+const isValidStatus = (status) => BOOKING_STATUSES.includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Describe who is changing a booking, from the authenticated request user if any.
+ */
+const actorFromRequest = (req) => (req.user
+  ? { kind: 'staff', user: req.user._id, name: req.user.name }
+  : { kind: 'system', name: 'Unauthenticated request' });
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  RELEASED_STATUSES,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  actorFromRequest,
+};
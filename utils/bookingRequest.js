@@ -0,0 +1,104 @@
+// backend/utils/bookingRequest.js
+// Turns quote/booking request bodies into priced, validated pieces shared by the
+// booking controllers. Rejections come back as { status, message } for the caller to send.
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const { parseBookingDates } = require('./bookingAvailability');
+const { resolveExtras, resolveBookingExtras } = require('./extras');
+const { resolveLocations } = require('./locations');
+const { calculateQuote, getBillableDays } = require('./pricing');
+const { findCouponByCode, getCouponIneligibility, countCustomerRedemptions } = require('./coupons');
+const Coupon = require('../models/Coupon');
+
+/**
+ * Look up a promo code and check it against the rental (and the customer, when known).
+ * Returns { coupon } (null without a code) or { error }.
+ */
+const resolveCoupon = async ({ couponCode, car, pickup, dropoff, userEmail }) => {
+  if (!couponCode) return { coupon: null };
+
+  const coupon = await findCouponByCode(couponCode);
+  if (!coupon) return { error: 'This promo code is not valid.' };
+
+  const ineligible = getCouponIneligibility(coupon, { car, billableDays: getBillableDays(pickup, dropoff) });
+  if (ineligible) return { error: ineligible };
+
+  if (userEmail && coupon.maxUsesPerCustomer !== null) {
+    const used = await countCustomerRedemptions(coupon, userEmail);
+    if (used >= coupon.maxUsesPerCustomer) {
+      return { error: 'You have already used this promo code the maximum number of times.' };
+    }
+  }
+  return { coupon };
+};
+
+/**
+ * Validate car, dates, extras, branches and promo code of a new quote or booking and price it.
+ * Returns { car, pickup, dropoff, extraItems, locations, coupon, quote } or { status, message }.
+ */
+const prepareBookingRequest = async (body) => {
+  const { carId, pickupDate, returnDate, extras, pickupLocationId, returnLocationId, couponCode, userEmail } = body;
+
+  if (!carId || !pickupDate || !returnDate) {
+    return { status: 400, message: 'Please provide carId, pickupDate and returnDate.' };
+  }
+
+  const { pickup, dropoff, error: dateError } = parseBookingDates(pickupDate, returnDate);
+  if (dateError) return { status: 400, message: dateError };
+
+  if (!mongoose.isValidObjectId(carId)) {
+    return { status: 400, message: 'Invalid car ID format.' };
+  }
+  const car = await Car.findById(carId);
+  if (!car) return { status: 404, message: 'Car not found.' };
+
+  const { items: extraItems, error: extrasError } = await resolveExtras(extras);
+  if (extrasError) return { status: 400, message: extrasError };
+
+  const { locations, error: locationError } = await resolveLocations({ pickupLocationId, returnLocationId, pickup, dropoff });
+  if (locationError) return { status: 400, message: locationError };
+
+  const { coupon, error: couponError } = await resolveCoupon({ couponCode, car, pickup, dropoff, userEmail });
+  if (couponError) return { status: 400, message: couponError };
+
+  const quote = await calculateQuote({ car, pickup, dropoff, extras: extraItems, locations, coupon });
+  return { car, pickup, dropoff, extraItems, locations, coupon, quote };
+};
+
+/**
+ * The promo code an existing booking was made with. It was already redeemed,
+ * so it is re-applied without checking eligibility again.
+ */
+const resolveBookingCoupon = (booking) => {
+  if (!booking.coupon || !booking.coupon.coupon) return null;
+  return Coupon.findById(booking.coupon.coupon);
+};
+
+/**
+ * Re-price an existing booking on new dates, keeping its car, extras, branches and promo code.
+ * Returns { car, extraItems, locations, quote } or { status, message }.
+ */
+const prepareDateChange = async (booking, pickup, dropoff) => {
+  const car = await Car.findById(booking.car);
+  if (!car) return { status: 404, message: 'The booked car no longer exists.' };
+
+  const { items: extraItems, error: extrasError } = await resolveBookingExtras(booking);
+  if (extrasError) return { status: 409, message: extrasError };
+
+  const { locations, error: locationError } = await resolveLocations({
+    pickupLocationId: booking.pickupLocation,
+    returnLocationId: booking.returnLocation,
+    pickup,
+    dropoff,
+  });
+  if (locationError) return { status: 400, message: locationError };
+
+  const coupon = await resolveBookingCoupon(booking);
+  const quote = await calculateQuote({ car, pickup, dropoff, extras: extraItems, locations, coupon });
+  return { car, extraItems, locations, quote };
+};
+
+module.exports = {
+  prepareBookingRequest,
+  prepareDateChange,
+};
@@ -0,0 +1,98 @@
+// backend/utils/calendarFeeds.js
+// Booking calendar feeds. Feed URLs carry an HMAC token instead of a login because
+// calendar apps can't send headers. Each token names the staff account it was issued to
+// and mixes in that account's feed key: resetting the key revokes that person's URLs,
+// and they stop working as soon as the account is removed or loses bookings:read.
+// Rotating CALENDAR_FEED_SECRET revokes every URL.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { buildEvent } = require('./ical');
+
+// Keep ended bookings in feeds this long so late cancellations still reach calendars
+const FEED_HISTORY_DAYS = 90;
+
+const ICAL_STATUS = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED',
+};
+
+const getSecret = () => process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET;
+
+const signFeed = (feed, userId, feedKey) =>
+  crypto.createHmac('sha256', getSecret()).update(`calendar-feed:${feed}:${userId}:${feedKey}`).digest('base64url');
+
+/**
+ * The user's feed key, created on first use; `reset` replaces it, revoking their feed URLs.
+ */
+const getFeedKey = async (userId, { reset = false } = {}) => {
+  if (!reset) {
+    const user = await User.findById(userId).select('+calendarFeedKey');
+    if (user && user.calendarFeedKey) return user.calendarFeedKey;
+  }
+  const feedKey = crypto.randomBytes(24).toString('base64url');
+  await User.updateOne({ _id: userId }, { $set: { calendarFeedKey: feedKey } });
+  return feedKey;
+};
+
+/**
+ * Token for one user's subscription to a feed ("fleet" or "car:<carId>").
+ */
+const signFeedToken = (feed, userId, feedKey) => `${userId}.${signFeed(feed, userId, feedKey)}`;
+
+/**
+ * The staff account a feed token was issued to, or null when the token is wrong, was
+ * revoked, or the account can no longer read bookings.
+ */
+const findFeedUser = async (feed, token) => {
+  if (typeof token !== 'string') return null;
+  const [userId, signature] = token.split('.');
+  if (!mongoose.isValidObjectId(userId) || !signature) return null;
+
+  const user = await User.findById(userId).select('+calendarFeedKey');
+  if (!user || !user.calendarFeedKey || !hasPermission(user.role, 'bookings:read')) return null;
+  const expected = Buffer.from(signFeed(feed, user._id, user.calendarFeedKey));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? user : null;
+};
+
+const getFeedStart = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * VEVENT lines for a booking, with `car`, `pickupLocation` and `returnLocation` populated.
+ * `forCustomer` leaves out staff details such as the customer's phone number.
+ */
+const bookingToEvent = (booking, { forCustomer = false } = {}) => {
+  const carName = booking.car ? `${booking.car.brand} ${booking.car.name}` : 'Car';
+  const pickupLocation = booking.pickupLocation ? booking.pickupLocation.name : null;
+  const returnLocation = booking.returnLocation ? booking.returnLocation.name : null;
+
+  const description = [
+    `Booking ${booking.reference} (${booking.status})`,
+    !forCustomer && `Customer: ${booking.userName} - ${booking.userPhone} - ${booking.userEmail}`,
+    returnLocation && returnLocation !== pickupLocation && `Return at: ${returnLocation}`,
+    `Total: ${booking.totalPrice} MAD`,
+  ].filter(Boolean).join('\n');
+
+  return buildEvent({
+    uid: `booking-${booking._id}@fadlocar`,
+    sequence: booking.icalSequence || 0,
+    start: booking.pickupDate,
+    end: booking.returnDate,
+    summary: forCustomer ? `Car rental: ${carName}` : `${carName} - ${booking.userName}`,
+    description,
+    location: pickupLocation,
+    status: ICAL_STATUS[booking.status] || 'CONFIRMED',
+    updatedAt: booking.updatedAt,
+  });
+};
+
+module.exports = {
+  getFeedKey,
+  signFeedToken,
+  findFeedUser,
+  getFeedStart,
+  bookingToEvent,
+};
@@ -0,0 +1,91 @@
+// backend/utils/coupons.js
+// Uses given back on cancellation are handled by the Booking model's save hooks
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const { RELEASED_STATUSES } = require('./bookingLifecycle');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Why `coupon` can't be used for this rental, or null when it can.
+ * Usage limits are checked separately at redemption time.
+ */
+const getCouponIneligibility = (coupon, { car, billableDays, now = new Date() }) => {
+  if (!coupon.active) return 'This promo code is no longer active.';
+  if (coupon.validFrom && now < coupon.validFrom) return 'This promo code is not valid yet.';
+  if (coupon.validTo && now > coupon.validTo) return 'This promo code has expired.';
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) return 'This promo code has been fully redeemed.';
+  if (coupon.minRentalDays && billableDays < coupon.minRentalDays) {
+    return `This promo code requires a rental of at least ${coupon.minRentalDays} days.`;
+  }
+  if (coupon.cars.length > 0 && !coupon.cars.some((id) => id.equals(car._id))) {
+    return 'This promo code is not valid for the selected car.';
+  }
+  if (coupon.carTypes.length > 0 && !coupon.carTypes.includes(car.type)) {
+    return `This promo code is not valid for ${car.type} cars.`;
+  }
+  return null;
+};
+
+/**
+ * Discount in MAD for a discountable amount, never more than the amount itself.
+ */
+const computeDiscount = (coupon, amount) => {
+  let discount = coupon.discountType === 'percentage'
+    ? amount * (coupon.value / 100)
+    : coupon.value;
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+/**
+ * Load a coupon by the code a customer typed. Returns the coupon or null.
+ */
+const findCouponByCode = (code) => Coupon.findOne({ code: normalizeCode(code) });
+
+/**
+ * How many live bookings this customer already made with the coupon.
+ */
+const countCustomerRedemptions = (coupon, userEmail, { session } = {}) =>
+  Booking.countDocuments({
+    'coupon.coupon': coupon._id,
+    userEmail: String(userEmail || '').trim().toLowerCase(),
+    status: { $nin: RELEASED_STATUSES },
+  }).session(session || null);
+
+/**
+ * Take one use of the coupon inside a booking transaction.
+ * The conditional $inc makes two bookings racing for the last use see different counts,
+ * and the write to the coupon document serializes the per-customer check.
+ * Returns null on success or a user-facing error message.
+ */
+const redeemCoupon = async (coupon, userEmail, { session }) => {
+  if (coupon.maxUsesPerCustomer !== null) {
+    const used = await countCustomerRedemptions(coupon, userEmail, { session });
+    if (used >= coupon.maxUsesPerCustomer) {
+      return 'You have already used this promo code the maximum number of times.';
+    }
+  }
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session, new: true }
+  );
+  return redeemed ? null : 'This promo code has been fully redeemed.';
+};
+
+module.exports = {
+  normalizeCode,
+  getCouponIneligibility,
+  computeDiscount,
+  findCouponByCode,
+  countCustomerRedemptions,
+  redeemCoupon,
+};
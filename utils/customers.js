@@ -0,0 +1,63 @@
+// backend/utils/customers.js
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+
+// Customer session tokens carry this purpose so staff routes can tell them apart
+const TOKEN_PURPOSE = 'customer';
+
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+
+const signCustomerToken = (customer) =>
+  jwt.sign({ purpose: TOKEN_PURPOSE, id: customer._id.toString() }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+/**
+ * Payload of a valid customer session token, or null.
+ */
+const verifyCustomerToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === TOKEN_PURPOSE ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Attach the guest bookings made with the customer's (verified) email to their account.
+ */
+const linkGuestBookings = (customer) =>
+  Booking.updateMany({ userEmail: customer.email, customer: null }, { $set: { customer: customer._id } });
+
+/**
+ * Account a new booking belongs to: the signed-in customer, else the customer
+ * who verified the email it was made with. Returns an ID or null.
+ */
+const findBookingCustomer = async (customer, userEmail) => {
+  if (customer) return customer._id;
+  const owner = await Customer.findOne({
+    email: String(userEmail || '').trim().toLowerCase(),
+    emailVerifiedAt: { $ne: null },
+  }).select('_id');
+  return owner ? owner._id : null;
+};
+
+// What a customer sees of their own account
+const toCustomerView = (customer) => ({
+  _id: customer._id,
+  name: customer.name,
+  email: customer.email,
+  phone: customer.phone,
+  driver: customer.driver,
+  emailVerified: Boolean(customer.emailVerifiedAt),
+  createdAt: customer.createdAt,
+});
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_MS,
+  signCustomerToken,
+  verifyCustomerToken,
+  linkGuestBookings,
+  findBookingCustomer,
+  toCustomerView,
+};
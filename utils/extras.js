@@ -0,0 +1,57 @@
+// backend/utils/extras.js
+const mongoose = require('mongoose');
+const Extra = require('../models/Extra');
+
+/**
+ * Turn the `extras` array of a request body ([{ extraId, quantity }]) into
+ * [{ extra, quantity }] with loaded Extra documents.
+ * Returns { items } or { error } with a user-facing message.
+ * Existing bookings pass { includeInactive: true } so retired extras still resolve.
+ */
+const resolveExtras = async (requested, { includeInactive = false } = {}) => {
+  if (requested === undefined || requested === null || requested === '') return { items: [] };
+  if (!Array.isArray(requested)) return { error: 'Extras must be a list of { extraId, quantity }.' };
+
+  // Merge duplicate lines for the same extra
+  const quantities = new Map();
+  for (const line of requested) {
+    const extraId = line && (line.extraId || line.extra);
+    const quantity = line && line.quantity !== undefined ? Number(line.quantity) : 1;
+    if (!mongoose.isValidObjectId(extraId)) return { error: 'Invalid extra ID format.' };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: 'Extra quantities must be whole numbers of at least 1.' };
+    quantities.set(extraId.toString(), (quantities.get(extraId.toString()) || 0) + quantity);
+  }
+  if (quantities.size === 0) return { items: [] };
+
+  const filter = { _id: { $in: [...quantities.keys()] } };
+  if (!includeInactive) filter.active = true;
+  const extras = await Extra.find(filter);
+
+  if (extras.length !== quantities.size) {
+    return { error: 'One or more selected extras are not available.' };
+  }
+
+  const items = [];
+  for (const extra of extras) {
+    const quantity = quantities.get(extra._id.toString());
+    if (!includeInactive && quantity > extra.maxPerBooking) {
+      return { error: `You can add at most ${extra.maxPerBooking} x ${extra.name}.` };
+    }
+    items.push({ extra, quantity });
+  }
+  return { items };
+};
+
+/**
+ * Resolved extras of an existing booking, for re-quoting it on new dates.
+ */
+const resolveBookingExtras = (booking) =>
+  resolveExtras(
+    (booking.extras || []).map((line) => ({ extraId: line.extra, quantity: line.quantity })),
+    { includeInactive: true }
+  );
+
+module.exports = {
+  resolveExtras,
+  resolveBookingExtras,
+};
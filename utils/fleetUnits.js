@@ -0,0 +1,70 @@
+// backend/utils/fleetUnits.js
+// Which physical vehicle of a listing goes out on a booking.
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const { RELEASED_STATUSES } = require('./bookingLifecycle');
+const { BLOCKING_MAINTENANCE_STATUSES } = require('./bookingAvailability');
+
+/**
+ * Active units of a car not taken by another assigned booking or by maintenance
+ * during the range, least driven first.
+ */
+const findFreeUnits = async (carId, from, to, { session, excludeBookingId } = {}) => {
+  // Sequential on purpose: a transaction session can't run operations in parallel
+  const units = await FleetUnit.find({ car: carId, status: 'active' })
+    .sort({ odometer: 1 })
+    .session(session || null);
+  if (units.length === 0) return [];
+
+  const unitIds = units.map((unit) => unit._id);
+  const bookingFilter = {
+    unit: { $in: unitIds },
+    status: { $nin: RELEASED_STATUSES },
+    pickupDate: { $lt: to },
+    returnDate: { $gt: from },
+  };
+  if (excludeBookingId) bookingFilter._id = { $ne: excludeBookingId };
+
+  const bookedIds = await Booking.distinct('unit', bookingFilter).session(session || null);
+  const serviceIds = await Maintenance.distinct('unit', {
+    unit: { $in: unitIds },
+    status: { $in: BLOCKING_MAINTENANCE_STATUSES },
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  }).session(session || null);
+
+  const busy = new Set([...bookedIds, ...serviceIds].map(String));
+  return units.filter((unit) => !busy.has(String(unit._id)));
+};
+
+/**
+ * Pick the vehicle for a booking on its current dates: the requested unit if it is free,
+ * otherwise the least driven free unit so mileage spreads across the fleet.
+ * Returns { unit } (null for listings without units, or when every unit is taken) or { status, message }.
+ */
+const assignUnit = async (booking, { unitId, session } = {}) => {
+  if (unitId && !mongoose.isValidObjectId(unitId)) {
+    return { status: 400, message: 'Invalid vehicle ID format.' };
+  }
+
+  const free = await findFreeUnits(booking.car, booking.pickupDate, booking.returnDate, {
+    session,
+    excludeBookingId: booking._id,
+  });
+  if (!unitId) return { unit: free[0] || null };
+
+  const requested = free.find((unit) => unit._id.equals(unitId));
+  if (requested) return { unit: requested };
+
+  const exists = await FleetUnit.exists({ _id: unitId, car: booking.car }).session(session || null);
+  return exists
+    ? { status: 409, message: 'This vehicle is not available for the booking dates.' }
+    : { status: 404, message: 'Vehicle not found for this car.' };
+};
+
+module.exports = {
+  findFreeUnits,
+  assignUnit,
+};
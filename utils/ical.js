@@ -0,0 +1,79 @@
+// backend/utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for booking feeds: VCALENDAR with VEVENTs only.
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines starting with a space.
+ * Splits on character boundaries so multi-byte characters stay intact.
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// UTC date-time, e.g. 20260714T090000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * One VEVENT. `status` is TENTATIVE, CONFIRMED or CANCELLED; `sequence` must grow
+ * every time the event changes so calendar clients replace their copy.
+ */
+const buildEvent = ({ uid, sequence = 0, start, end, summary, description, location, status, updatedAt }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `SEQUENCE:${sequence}`,
+  `DTSTAMP:${formatDateTime(updatedAt || new Date())}`,
+  `LAST-MODIFIED:${formatDateTime(updatedAt || new Date())}`,
+  `DTSTART:${formatDateTime(start)}`,
+  `DTEND:${formatDateTime(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  description ? `DESCRIPTION:${escapeText(description)}` : null,
+  location ? `LOCATION:${escapeText(location)}` : null,
+  status ? `STATUS:${status}` : null,
+  'END:VEVENT',
+].filter(Boolean);
+
+/**
+ * Complete calendar document from built events.
+ */
+const buildCalendar = ({ name, events, method }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Fadlocar//Bookings//EN',
+  'CALSCALE:GREGORIAN',
+  method ? `METHOD:${method}` : null,
+  name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+  ...events.flat(),
+  'END:VCALENDAR',
+].filter(Boolean).map(foldLine).join(CRLF) + CRLF;
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar,
+};
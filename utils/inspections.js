@@ -0,0 +1,65 @@
+// backend/utils/inspections.js
+// Helpers for the handover inspection reports taken at pickup and return.
+
+/**
+ * Read a checklist sent either as JSON (array) or as a JSON string in a multipart form.
+ * Returns { checklist } or { error }.
+ */
+const parseChecklist = (value) => {
+  if (value === undefined || value === '') return { checklist: [] };
+  let checklist = value;
+  if (typeof value === 'string') {
+    try {
+      checklist = JSON.parse(value);
+    } catch {
+      return { error: 'Checklist must be a JSON array of { zone, damages, notes }.' };
+    }
+  }
+  if (!Array.isArray(checklist)) {
+    return { error: 'Checklist must be a JSON array of { zone, damages, notes }.' };
+  }
+  if (!checklist.every((check) => check && typeof check === 'object' && !Array.isArray(check))) {
+    return { error: 'Each checklist entry must be an object of { zone, damages, notes }.' };
+  }
+  return {
+    checklist: checklist.map((check) => ({
+      zone: check.zone,
+      damages: Array.isArray(check.damages) ? [...new Set(check.damages)] : [],
+      notes: check.notes,
+    })),
+  };
+};
+
+const damagesByZone = (inspection) =>
+  new Map(inspection.checklist.map((check) => [check.zone, check.damages]));
+
+/**
+ * What changed between the pickup and return reports of a rental:
+ * kilometres driven, fuel difference in eighths, and damage found at return
+ * that was not recorded at pickup.
+ */
+const compareInspections = (pickup, dropoff) => {
+  const before = damagesByZone(pickup);
+  const newDamage = dropoff.checklist
+    .map((check) => {
+      const known = before.get(check.zone) || [];
+      return {
+        zone: check.zone,
+        damages: check.damages.filter((damage) => !known.includes(damage)),
+        notes: check.notes,
+      };
+    })
+    .filter((check) => check.damages.length > 0);
+
+  return {
+    distanceDriven: dropoff.odometer - pickup.odometer,
+    fuelDifference: dropoff.fuelLevel - pickup.fuelLevel,
+    newDamage,
+    hasNewDamage: newDamage.length > 0,
+  };
+};
+
+module.exports = {
+  parseChecklist,
+  compareInspections,
+};
@@ -0,0 +1,104 @@
+// backend/utils/locations.js
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Day of week and "HH:MM" of an instant in the given IANA timezone.
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return { dayOfWeek: WEEKDAYS.indexOf(get('weekday')), time: `${get('hour')}:${get('minute')}` };
+};
+
+/**
+ * Is the branch open at this instant? Slots include the opening minute and exclude the closing one.
+ */
+const isOpenAt = (location, date) => {
+  const { dayOfWeek, time } = getLocalTime(date, location.timezone);
+  return (location.openingHours || []).some(
+    (slot) => slot.dayOfWeek === dayOfWeek && slot.open <= time && time < slot.close
+  );
+};
+
+/**
+ * Check a pickup or return time against the branch's opening hours.
+ * Returns { afterHours: boolean } or { error } when the branch refuses after-hours service.
+ */
+const checkServiceTime = (location, date, action) => {
+  if (isOpenAt(location, date)) return { afterHours: false };
+  if (location.afterHours && location.afterHours.allowed) return { afterHours: true };
+  const { dayOfWeek, time } = getLocalTime(date, location.timezone);
+  return { error: `${location.name} is closed on ${WEEKDAYS[dayOfWeek]} at ${time}. Please choose another ${action} time.` };
+};
+
+/**
+ * Fee for returning to another branch, or null when that route isn't offered.
+ */
+const getOneWayFee = (pickupLocation, returnLocation) => {
+  if (pickupLocation._id.equals(returnLocation._id)) return 0;
+  const route = (pickupLocation.oneWayFees || []).find((entry) => entry.toLocation.equals(returnLocation._id));
+  return route ? route.fee : null;
+};
+
+/**
+ * Load and check the pickup/return branches of a booking request.
+ * Without a pickup location the booking is branch-less (as before locations existed).
+ * The return location defaults to the pickup location.
+ * Returns { locations: { pickupLocation, returnLocation, fees } }, { locations: null } or { error }.
+ */
+const resolveLocations = async ({ pickupLocationId, returnLocationId, pickup, dropoff }) => {
+  if (!pickupLocationId && !returnLocationId) return { locations: null };
+  if (!pickupLocationId) return { error: 'A pickup location is required when a return location is given.' };
+
+  const returnId = returnLocationId || pickupLocationId;
+  if (!mongoose.isValidObjectId(pickupLocationId) || !mongoose.isValidObjectId(returnId)) {
+    return { error: 'Invalid location ID format.' };
+  }
+
+  const [pickupLocation, returnLocation] = await Promise.all([
+    Location.findOne({ _id: pickupLocationId, active: true }),
+    Location.findOne({ _id: returnId, active: true }),
+  ]);
+  if (!pickupLocation || !returnLocation) {
+    return { error: 'The selected location is not available.' };
+  }
+
+  const pickupCheck = checkServiceTime(pickupLocation, pickup, 'pickup');
+  if (pickupCheck.error) return { error: pickupCheck.error };
+  const returnCheck = checkServiceTime(returnLocation, dropoff, 'return');
+  if (returnCheck.error) return { error: returnCheck.error };
+
+  const fees = [];
+  const oneWayFee = getOneWayFee(pickupLocation, returnLocation);
+  if (oneWayFee === null) {
+    return { error: `One-way rentals from ${pickupLocation.name} to ${returnLocation.name} are not available.` };
+  }
+  if (oneWayFee > 0) {
+    fees.push({ code: 'one_way_fee', label: `One-way fee (${pickupLocation.name} to ${returnLocation.name})`, amount: oneWayFee });
+  }
+  if (pickupCheck.afterHours && pickupLocation.afterHours.fee > 0) {
+    fees.push({ code: 'after_hours_fee', label: `After-hours pickup at ${pickupLocation.name}`, amount: pickupLocation.afterHours.fee });
+  }
+  if (returnCheck.afterHours && returnLocation.afterHours.fee > 0) {
+    fees.push({ code: 'after_hours_fee', label: `After-hours return at ${returnLocation.name}`, amount: returnLocation.afterHours.fee });
+  }
+
+  return { locations: { pickupLocation, returnLocation, fees } };
+};
+
+module.exports = {
+  getLocalTime,
+  isOpenAt,
+  checkServiceTime,
+  getOneWayFee,
+  resolveLocations,
+};
@@ -0,0 +1,86 @@
+// backend/utils/maintenance.js
+const Car = require('../models/Car');
+const FleetUnit = require('../models/FleetUnit');
+const Maintenance = require('../models/Maintenance');
+const { BLOCKING_MAINTENANCE_STATUSES } = require('./bookingAvailability');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move an odometer forward to a new reading: the fleet unit's when given, else the car's.
+ * Lower readings are ignored, so a late or mistyped report can't wind it back.
+ */
+const recordOdometer = (carId, reading, { unitId } = {}) => {
+  const km = Number(reading);
+  if (!Number.isFinite(km) || km < 0) return Promise.resolve();
+  const [Model, id] = unitId ? [FleetUnit, unitId] : [Car, carId];
+  return Model.updateOne({ _id: id, odometer: { $lt: km } }, { $set: { odometer: km } });
+};
+
+/**
+ * Services coming due within `days` or `km`, from the latest completed visit of each
+ * type per vehicle. `by` limits the list to date-based or odometer-based due services.
+ * Overdue services are included; each item says whether a visit is already planned.
+ */
+const findServiceDue = async ({ days = 30, km = 1000, by, now = new Date() } = {}) => {
+  const dueFilter = [];
+  if (by !== 'odometer') dueFilter.push({ nextDueDate: { $ne: null } });
+  if (by !== 'date') dueFilter.push({ nextDueOdometer: { $ne: null } });
+
+  const [completed, planned] = await Promise.all([
+    Maintenance.find({ status: 'completed', $or: dueFilter })
+      .populate('car', 'name brand odometer')
+      .populate('unit', 'plateNumber odometer')
+      .sort({ startDate: -1 }),
+    Maintenance.find({ status: { $in: BLOCKING_MAINTENANCE_STATUSES } })
+      .select('car unit type status startDate endDate')
+      .sort({ startDate: 1 }),
+  ]);
+
+  // Only the latest visit of each type per vehicle counts; older ones were superseded by it
+  // Populated or not, ObjectIds expose their own _id
+  const vehicleKey = (visit) => `${visit.car._id}:${visit.unit ? visit.unit._id : ''}`;
+  const latest = new Map();
+  completed.forEach((visit) => {
+    if (!visit.car) return;
+    const key = `${vehicleKey(visit)}:${visit.type}`;
+    if (!latest.has(key)) latest.set(key, visit);
+  });
+
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const items = [];
+  latest.forEach((visit) => {
+    const dueByDate = by !== 'odometer' && visit.nextDueDate && visit.nextDueDate <= horizon;
+    const { odometer } = visit.unit || visit.car;
+    const kmRemaining = visit.nextDueOdometer != null ? visit.nextDueOdometer - odometer : null;
+    const dueByOdometer = by !== 'date' && kmRemaining !== null && kmRemaining <= km;
+    if (!dueByDate && !dueByOdometer) return;
+
+    const scheduled = planned.find((next) =>
+      vehicleKey(next) === vehicleKey(visit) && next.type === visit.type && next.startDate >= visit.startDate);
+
+    items.push({
+      car: visit.car,
+      unit: visit.unit || null,
+      type: visit.type,
+      lastService: { id: visit._id, date: visit.startDate, odometer: visit.odometer, garage: visit.garage },
+      nextDueDate: visit.nextDueDate || null,
+      nextDueOdometer: visit.nextDueOdometer ?? null,
+      daysRemaining: visit.nextDueDate ? Math.floor((visit.nextDueDate - now) / DAY_MS) : null,
+      kmRemaining,
+      overdue: Boolean((visit.nextDueDate && visit.nextDueDate <= now) || (kmRemaining !== null && kmRemaining <= 0)),
+      scheduled: scheduled ? { id: scheduled._id, status: scheduled.status, startDate: scheduled.startDate } : null,
+    });
+  });
+
+  // Most urgent first: by due date, or by kilometres left when listing by odometer
+  const sortKey = by === 'odometer'
+    ? (item) => item.kmRemaining
+    : (item) => (item.nextDueDate ? item.nextDueDate.getTime() : Infinity);
+  return items.sort((a, b) => sortKey(a) - sortKey(b));
+};
+
+module.exports = {
+  recordOdometer,
+  findServiceDue,
+};
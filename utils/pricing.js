@@ -0,0 +1,199 @@
+// backend/utils/pricing.js
+const PricingRule = require('../models/PricingRule');
+const { computeDiscount } = require('./coupons');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENCY = 'MAD';
+
+// Shortest rental we bill for, in days (shorter rentals are charged this minimum)
+const getMinimumRentalDays = () => {
+  const configured = parseInt(process.env.MIN_RENTAL_DAYS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : 1;
+};
+
+// Round to centimes to avoid floating point drift in totals
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Number of started 24h periods between pickup and return (a 25h rental is 2 days).
+ */
+const countRentalDays = (pickup, dropoff) => Math.max(1, Math.ceil((dropoff - pickup) / DAY_MS));
+
+/**
+ * Days actually charged for a rental, after applying the configured minimum.
+ */
+const getBillableDays = (pickup, dropoff) => Math.max(countRentalDays(pickup, dropoff), getMinimumRentalDays());
+
+// UTC calendar day of a date, e.g. '2026-07-14'
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Does the rule's length condition accept a rental of this many billable days?
+const matchesDuration = (rule, billableDays) =>
+  (!rule.minDays || billableDays >= rule.minDays) && (!rule.maxDays || billableDays <= rule.maxDays);
+
+// Does the rule's date window and weekday filter cover this rental day?
+const matchesDay = (rule, day) => {
+  const dayKey = toDayKey(day);
+  if (rule.startDate && dayKey < toDayKey(rule.startDate)) return false;
+  if (rule.endDate && dayKey > toDayKey(rule.endDate)) return false;
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(day.getUTCDay())) return false;
+  return true;
+};
+
+const adjustRate = (rate, rule) => {
+  const adjusted = rule.adjustmentType === 'percentage'
+    ? rate * (1 + rule.value / 100)
+    : rate + rule.value;
+  return Math.max(0, adjusted);
+};
+
+/**
+ * Apply pricing rules day by day. `rules` must already be in application order
+ * (priority, then creation), which makes the result deterministic.
+ * Returns the per-rule totals as { rule, name, days, amount } in application order.
+ */
+const applyPricingRules = ({ baseRate, pickup, billableDays, rules }) => {
+  const eligible = rules.filter((rule) => matchesDuration(rule, billableDays));
+  const usage = new Map();
+
+  for (let i = 0; i < billableDays; i++) {
+    const day = new Date(pickup.getTime() + i * DAY_MS);
+    let rate = baseRate;
+
+    for (const rule of eligible) {
+      if (!matchesDay(rule, day)) continue;
+
+      const adjusted = adjustRate(rate, rule);
+      const key = rule._id.toString();
+      const entry = usage.get(key) || { rule: rule._id, name: rule.name, days: 0, amount: 0 };
+      entry.days += 1;
+      entry.amount += adjusted - rate;
+      usage.set(key, entry);
+      rate = adjusted;
+
+      if (rule.exclusive) break;
+    }
+  }
+
+  return eligible
+    .filter((rule) => usage.has(rule._id.toString()))
+    .map((rule) => {
+      const entry = usage.get(rule._id.toString());
+      return { ...entry, amount: roundAmount(entry.amount) };
+    });
+};
+
+/**
+ * Price the resolved extras ([{ extra, quantity }]) for a rental length.
+ * Per-day extras are charged for every billable day, per-rental extras once.
+ */
+const priceExtras = (items, billableDays) =>
+  items.map(({ extra, quantity }) => {
+    const chargedUnits = extra.pricingType === 'per_day' ? quantity * billableDays : quantity;
+    return {
+      extra: extra._id,
+      name: extra.name,
+      pricingType: extra.pricingType,
+      unitPrice: extra.price,
+      quantity,
+      chargedUnits,
+      amount: roundAmount(extra.price * chargedUnits),
+    };
+  });
+
+/**
+ * Build an itemized price quote for renting `car` between two already-validated dates,
+ * with optional resolved extras (utils/extras.js), branches (utils/locations.js)
+ * and an eligible coupon (utils/coupons.js). Coupons discount the rental and extras, not branch fees.
+ * This is the single source of truth for booking prices; client totals are never trusted.
+ */
+const calculateQuote = async ({ car, pickup, dropoff, extras = [], locations = null, coupon = null }) => {
+  const rentalDays = countRentalDays(pickup, dropoff);
+  const minimumDays = getMinimumRentalDays();
+  const billableDays = Math.max(rentalDays, minimumDays);
+  const dailyRate = car.price;
+
+  const rules = await PricingRule.findForCar(car);
+  const appliedRules = applyPricingRules({ baseRate: dailyRate, pickup, billableDays, rules });
+
+  const lineItems = [{
+    code: 'rental',
+    label: `${car.brand} ${car.name} - ${billableDays} day(s)`,
+    quantity: billableDays,
+    unitPrice: dailyRate,
+    amount: roundAmount(dailyRate * billableDays),
+  }];
+
+  appliedRules.forEach((applied) => {
+    lineItems.push({
+      code: 'pricing_rule',
+      label: applied.name,
+      quantity: applied.days,
+      unitPrice: roundAmount(applied.amount / applied.days),
+      amount: applied.amount,
+    });
+  });
+
+  const pricedExtras = priceExtras(extras, billableDays);
+  pricedExtras.forEach((extra) => {
+    lineItems.push({
+      code: 'extra',
+      label: extra.pricingType === 'per_day'
+        ? `${extra.name} x${extra.quantity} - ${billableDays} day(s)`
+        : `${extra.name} x${extra.quantity}`,
+      quantity: extra.chargedUnits,
+      unitPrice: extra.unitPrice,
+      amount: extra.amount,
+    });
+  });
+
+  let discount = null;
+  if (coupon) {
+    const discountable = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    const amount = computeDiscount(coupon, discountable);
+    discount = { coupon: coupon._id, code: coupon.code, discountAmount: amount };
+    lineItems.push({ code: 'discount', label: `Promo code ${coupon.code}`, quantity: 1, unitPrice: -amount, amount: -amount });
+  }
+
+  if (locations) {
+    locations.fees.forEach((fee) => {
+      lineItems.push({ code: fee.code, label: fee.label, quantity: 1, unitPrice: fee.amount, amount: roundAmount(fee.amount) });
+    });
+  }
+
+  const subtotal = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    currency: CURRENCY,
+    pickupDate: pickup,
+    returnDate: dropoff,
+    rentalDays,
+    minimumDays,
+    billableDays,
+    dailyRate,
+    lineItems,
+    appliedRules,
+    extras: pricedExtras,
+    coupon: discount,
+    subtotal,
+    total: subtotal,
+  };
+};
+
+/**
+ * True when a client-supplied total matches the server quote to the centime.
+ */
+const totalsMatch = (clientTotal, quote) =>
+  Math.abs(roundAmount(Number(clientTotal)) - quote.total) < 0.005;
+
+module.exports = {
+  CURRENCY,
+  DAY_MS,
+  roundAmount,
+  countRentalDays,
+  getBillableDays,
+  toDayKey,
+  applyPricingRules,
+  calculateQuote,
+  totalsMatch,
+};
@@ -0,0 +1,153 @@
+// backend/utils/sessions.js
+// Staff sign-in sessions: short-lived access tokens (JWT) plus a rotating, opaque
+// refresh token per device, stored hashed in a Session.
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateAccountToken, hashAccountToken } = require('./accountTokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an access token works before the client must refresh it
+const getAccessTokenMinutes = () => {
+  const configured = Number(process.env.ACCESS_TOKEN_TTL_MINUTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : 15;
+};
+
+// A session that isn't refreshed for this long ends
+const getRefreshTokenDays = () => {
+  const configured = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return Number.isFinite(configured) && configured > 0 ? configured : 30;
+};
+
+// A session ends this long after sign-in however often it is refreshed
+const getSessionMaxDays = () => {
+  const configured = Number(process.env.SESSION_MAX_DAYS);
+  return Number.isFinite(configured) && configured > 0 ? configured : 90;
+};
+
+// Exchanged refresh tokens remembered per session to detect reuse; older ones are dropped
+const MAX_ROTATED_TOKENS = 50;
+
+const signAccessToken = (session) =>
+  jwt.sign(
+    { id: session.user.toString(), sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenMinutes() * 60 }
+  );
+
+const getClientInfo = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || '',
+});
+
+// What the client stores after signing in or refreshing
+const toTokenPair = (session, refreshToken) => ({
+  token: signAccessToken(session),
+  refreshToken,
+  expiresIn: getAccessTokenMinutes() * 60,
+});
+
+/**
+ * Start a session for a user who just proved who they are.
+ * Returns { session, token, refreshToken, expiresIn }.
+ */
+const createSession = async (user, req) => {
+  const { token: refreshToken, tokenHash, expiresAt } = generateAccountToken(getRefreshTokenDays() * DAY_MS);
+  const maxExpiresAt = new Date(Date.now() + getSessionMaxDays() * DAY_MS);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    expiresAt: expiresAt < maxExpiresAt ? expiresAt : maxExpiresAt,
+    maxExpiresAt,
+    ...getClientInfo(req),
+  });
+  return { session, ...toTokenPair(session, refreshToken) };
+};
+
+const revokeSessions = (filter, reason) =>
+  Session.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * A refresh token that was already used is treated as stolen: its whole session is revoked.
+ * Returns { session, token, refreshToken, expiresIn } or { status, message }.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const presentedHash = hashAccountToken(refreshToken);
+  const { token: nextToken, tokenHash: nextHash, expiresAt } = generateAccountToken(getRefreshTokenDays() * DAY_MS);
+
+  const live = { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } };
+  const current = await Session.findOne(live).select('maxExpiresAt');
+  // Atomic on the presented hash so two requests can't both redeem the same token;
+  // the new expiry never goes past the session's fixed maximum lifetime
+  const session = current && await Session.findOneAndUpdate(
+    { ...live, _id: current._id },
+    {
+      $set: {
+        refreshTokenHash: nextHash,
+        expiresAt: expiresAt < current.maxExpiresAt ? expiresAt : current.maxExpiresAt,
+        lastUsedAt: new Date(),
+        ...getClientInfo(req),
+      },
+      $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_TOKENS } },
+    },
+    { new: true }
+  );
+  if (session) return { session, ...toTokenPair(session, nextToken) };
+
+  const reused = await revokeSessions({ rotatedTokenHashes: presentedHash }, 'refresh_reuse');
+  if (reused.modifiedCount > 0) {
+    console.warn('Refresh token reuse detected; session revoked.');
+  }
+  return { status: 401, message: 'Your session has expired. Please sign in again.' };
+};
+
+/**
+ * The live session an access token belongs to, or null once it was revoked or expired.
+ */
+const findActiveSession = (sessionId, userId) =>
+  Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const findUserSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+
+// "Chrome on Windows" from a User-Agent header; good enough to recognise one's own devices
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return 'Unknown device';
+  return [browser && browser[1], os && `on ${os[1]}`].filter(Boolean).join(' ');
+};
+
+// What the session list shows
+const toSessionView = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.equals(currentSessionId),
+});
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  findActiveSession,
+  findUserSessions,
+  toSessionView,
+};
@@ -0,0 +1,198 @@
+// backend/utils/twoFactor.js
+// Two-factor authentication for staff accounts: TOTP enrolment, single-use recovery
+// codes, and the challenge token that links the two steps of a sign-in.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const company = require('../config/company');
+const { hashAccountToken } = require('./accountTokens');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const CHALLENGE_PURPOSE = 'two-factor';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+// Wrong codes allowed per challenge; after that the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+// The hidden fields the functions below work with
+const TWO_FACTOR_FIELDS = [
+  'secret', 'pendingSecret', 'recoveryCodeHashes', 'lastUsedStep', 'challengeId', 'challengeAttempts',
+].map((field) => `+twoFactor.${field}`).join(' ');
+
+/**
+ * A user with their two-factor fields loaded, or null.
+ */
+const findUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// --- Sign-in challenge ---
+
+/**
+ * Open the second step of a sign-in once the password was accepted. Any earlier challenge
+ * stops working. Returns the challenge token, valid for CHALLENGE_TTL_SECONDS.
+ */
+const startLoginChallenge = async (user) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+  );
+  return jwt.sign(
+    { purpose: CHALLENGE_PURPOSE, id: user._id.toString(), cid: challengeId },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+};
+
+/**
+ * The user a challenge token belongs to, while it is the latest one and has attempts left.
+ */
+const findChallengedUser = async (challengeToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== CHALLENGE_PURPOSE) return null;
+  return User.findOne({
+    _id: payload.id,
+    'twoFactor.challengeId': payload.cid,
+    'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS },
+  }).select(TWO_FACTOR_FIELDS);
+};
+
+const recordFailedChallenge = (user) =>
+  User.updateOne(
+    { _id: user._id, 'twoFactor.challengeId': user.twoFactor.challengeId },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } }
+  );
+
+const endLoginChallenge = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    { $unset: { 'twoFactor.challengeId': 1, 'twoFactor.challengeAttempts': 1 } }
+  );
+
+// --- Codes ---
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Ten codes like "3f9a1-c07be", shown once; only their hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashAccountToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Accept an authenticator code once: a code (or an older one) can't be replayed.
+ */
+const useTotpCode = async (user, code, secret = user.twoFactor.secret) => {
+  if (!secret) return false;
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return modifiedCount === 1;
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+  const codeHash = hashAccountToken(normalizeRecoveryCode(recoveryCode));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Check the second factor: an authenticator `code`, or else a `recoveryCode` (used up).
+ */
+const verifySecondFactor = (user, { code, recoveryCode } = {}) =>
+  (code ? useTotpCode(user, code) : recoveryCode ? useRecoveryCode(user, recoveryCode) : Promise.resolve(false));
+
+// --- Enrolment ---
+
+/**
+ * Give the user a new secret to add to their authenticator app. It only takes effect once
+ * confirmed with a code. Returns { secret, otpauthUri }.
+ */
+const startEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: company.name }),
+  };
+};
+
+/**
+ * Turn two-factor on with the first code from the app.
+ * Returns { recoveryCodes } or { status, message }.
+ */
+const confirmEnrollment = async (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  if (!pendingSecret) {
+    return { status: 400, message: 'Start two-factor setup first.' };
+  }
+  if (!(await useTotpCode(user, code, pendingSecret))) {
+    return { status: 400, message: 'Invalid code. Check the time on your device and try again.' };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodeHashes': hashes,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Replace all recovery codes. Returns the new codes.
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodeHashes': hashes } });
+  return codes;
+};
+
+const removeTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodeHashes': 1,
+        'twoFactor.lastUsedStep': 1,
+      },
+    }
+  );
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  findUserWithTwoFactor,
+  startLoginChallenge,
+  findChallengedUser,
+  recordFailedChallenge,
+  endLoginChallenge,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  removeTwoFactor,
+};
@@ -0,0 +1,17 @@
+// backend/utils/validation.js
+
+/**
+ * Send a Mongoose ValidationError as a 400 with one message per field,
+ * in the same shape the car endpoints use.
+ */
+const sendValidationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.keys(error.errors).reduce((acc, key) => {
+      acc[key] = error.errors[key].message;
+      return acc;
+    }, {}),
+  });
+
+module.exports = { sendValidationError };
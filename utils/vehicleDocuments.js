@@ -0,0 +1,85 @@
+// backend/utils/vehicleDocuments.js
+const mongoose = require('mongoose');
+const FleetUnit = require('../models/FleetUnit');
+const VehicleDocument = require('../models/VehicleDocument');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days until a document expires; negative once it has.
+ */
+const daysUntilExpiry = (document, now = new Date()) =>
+  Math.floor((document.expiryDate - now) / DAY_MS);
+
+/**
+ * The current document of each kind per vehicle: the one expiring last among the records
+ * of the same car, unit and type, since renewing means adding a record.
+ * "other" documents are all distinct and never replace each other.
+ */
+const findCurrentDocuments = async () => {
+  const latest = await VehicleDocument.aggregate([
+    { $sort: { expiryDate: -1 } },
+    {
+      $group: {
+        _id: {
+          car: '$car',
+          unit: '$unit',
+          type: '$type',
+          other: { $cond: [{ $eq: ['$type', 'other'] }, '$_id', null] },
+        },
+        document: { $first: '$$ROOT' },
+      },
+    },
+    { $replaceRoot: { newRoot: '$document' } },
+    { $sort: { expiryDate: 1 } },
+  ]);
+  return latest.map((document) => VehicleDocument.hydrate(document));
+};
+
+/**
+ * Current documents expired or expiring within `days`, soonest first.
+ */
+const findExpiringDocuments = async ({ days = 30, now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const expiring = (await findCurrentDocuments()).filter((document) => document.expiryDate <= horizon);
+  await VehicleDocument.populate(expiring, [
+    { path: 'car', select: 'name brand' },
+    { path: 'unit', select: 'plateNumber' },
+  ]);
+  return expiring.map((document) => ({
+    ...document.toObject(),
+    expired: document.expiryDate <= now,
+    daysLeft: daysUntilExpiry(document, now),
+  }));
+};
+
+/**
+ * IDs of cars that can't legally be rented because a mandatory document has expired.
+ * Papers filed against the listing itself cover the whole car; for listings with fleet
+ * units, the car stays rentable while one active unit still has valid papers.
+ */
+const findCarIdsWithExpiredDocuments = async (now = new Date()) => {
+  const expired = (await findCurrentDocuments())
+    .filter((document) => document.mandatory && document.expiryDate <= now);
+  if (expired.length === 0) return [];
+
+  const blockedCarIds = new Set(expired.filter((document) => !document.unit).map((document) => String(document.car)));
+  const expiredUnitIds = new Set(expired.filter((document) => document.unit).map((document) => String(document.unit)));
+  const unitCarIds = [...new Set(expired
+    .filter((document) => document.unit && !blockedCarIds.has(String(document.car)))
+    .map((document) => String(document.car)))];
+
+  const activeUnits = await FleetUnit.find({ car: { $in: unitCarIds }, status: 'active' }).select('car');
+  unitCarIds.forEach((carId) => {
+    const roadworthy = activeUnits.some((unit) => String(unit.car) === carId && !expiredUnitIds.has(String(unit._id)));
+    if (!roadworthy) blockedCarIds.add(carId);
+  });
+  return [...blockedCarIds].map((carId) => new mongoose.Types.ObjectId(carId));
+};
+
+module.exports = {
+  daysUntilExpiry,
+  findCurrentDocuments,
+  findExpiringDocuments,
+  findCarIdsWithExpiredDocuments,
+};